@@ -32,6 +32,22 @@ class AccountController < ApplicationController
         return
       end
 
+      # Zero-knowledge master key, rewrapped in the browser for the new password
+      # (zk_password_controller.js). Saved together with the password so the two
+      # never get out of step: without it (no JavaScript, a failed rewrap) the
+      # stored key would stay wrapped with the old password and every encrypted
+      # conversation would become unreadable, so the password stays as it is.
+      if @user.encrypted_master_key.present?
+        if params[:encrypted_master_key].blank? || params[:key_derivation_salt].blank?
+          flash.now[:alert] = t('account.zk_master_key_missing')
+          render :edit, status: :unprocessable_entity
+          return
+        end
+
+        @user.encrypted_master_key = params[:encrypted_master_key]
+        @user.key_derivation_salt = params[:key_derivation_salt]
+      end
+
       @user.password = params[:password]
       @user.password_confirmation = params[:password_confirmation]
     end
@@ -64,6 +80,150 @@ class AccountController < ApplicationController
     head :ok
   end
 
+  # GET /account/zk_key_rotation (JSON)
+  # The key rotation in progress, if any: the new master key, encrypted with
+  # the current one, so the rotation can resume on any device.
+  def zk_key_rotation
+    render json: zk_key_rotation_json
+  end
+
+  # PUT /account/zk_key_rotation (JSON)
+  # Starts a key rotation (conversation_key_rotation.js): keeps the new master
+  # key, encrypted in the browser with the current master key, until the
+  # rotation commits. A rotation already in progress wins, so two tabs
+  # starting at once end up re-encrypting with the same key; only a pending
+  # key the browser found stale (sealed with an earlier master key) and sends
+  # back as replaces_master_key is overwritten.
+  def start_zk_key_rotation
+    unless current_user.authenticate(params[:current_password].to_s)
+      return render json: { error: t('account.wrong_password') }, status: :forbidden
+    end
+
+    pending_key = params[:pending_master_key].to_s
+    return render json: { error: 'Missing key material' }, status: :unprocessable_entity if pending_key.blank?
+
+    current_user.with_lock do
+      stale_key = params[:replaces_master_key].to_s
+      if current_user.pending_master_key.blank? ||
+         (stale_key.present? && ActiveSupport::SecurityUtils.secure_compare(current_user.pending_master_key, stale_key))
+        current_user.update!(pending_master_key: pending_key, pending_master_key_created_at: Time.current)
+      end
+    end
+    render json: zk_key_rotation_json
+  end
+
+  # PATCH /account/zk_key_material (JSON)
+  # Stores the new wrapped master key at the end of a key rotation
+  # (conversation_key_rotation.js) and ends the rotation. The server only ever
+  # sees the wrapped key; the password check keeps a hijacked session from
+  # replacing it.
+  def update_zk_key_material
+    unless current_user.authenticate(params[:current_password].to_s)
+      return render json: { error: t('account.wrong_password') }, status: :forbidden
+    end
+    if current_user.pending_master_key.blank?
+      return render json: { error: 'No key rotation in progress' }, status: :conflict
+    end
+
+    wrapped_key = params[:encrypted_master_key].to_s
+    salt = params[:key_derivation_salt].to_s
+    if wrapped_key.blank? || salt.blank?
+      return render json: { error: 'Missing key material' }, status: :unprocessable_entity
+    end
+
+    # The sharing private key is encrypted with the master key, so it has to
+    # move to the new key in the same update
+    private_key = params[:zk_encrypted_private_key].to_s
+    if current_user.zk_encrypted_private_key.present? && private_key.blank?
+      return render json: { error: 'Missing key material' }, status: :unprocessable_entity
+    end
+
+    # Recovery and passkey copies still wrap the old key, which no longer opens anything
+    User.transaction do
+      current_user.update!(encrypted_master_key: wrapped_key, key_derivation_salt: salt,
+                           pending_master_key: nil, pending_master_key_created_at: nil,
+                           recovery_wrapped_master_key: nil, recovery_key_salt: nil, recovery_key_created_at: nil)
+      current_user.update!(zk_encrypted_private_key: private_key) if private_key.present?
+      current_user.zk_passkeys.destroy_all
+    end
+    Rails.logger.info("[Account] Master key rotated for user #{current_user.id}")
+    render json: { success: true }
+  end
+
+  # PATCH /account/recovery_key (JSON)
+  # Stores the recovery copy of the master key, wrapped in the browser with the
+  # user's recovery phrase (zk_recovery_key_controller.js).
+  def update_recovery_key
+    unless current_user.authenticate(params[:current_password].to_s)
+      return render json: { error: t('account.wrong_password') }, status: :forbidden
+    end
+
+    wrapped_key = params[:recovery_wrapped_master_key].to_s
+    salt = params[:recovery_key_salt].to_s
+    if wrapped_key.blank? || salt.blank?
+      return render json: { error: 'Missing key material' }, status: :unprocessable_entity
+    end
+
+    current_user.update!(recovery_wrapped_master_key: wrapped_key, recovery_key_salt: salt,
+                         recovery_key_created_at: Time.current)
+    render json: { success: true }
+  end
+
+  # DELETE /account/recovery_key (JSON)
+  def destroy_recovery_key
+    unless current_user.authenticate(params[:current_password].to_s)
+      return render json: { error: t('account.wrong_password') }, status: :forbidden
+    end
+
+    current_user.update!(recovery_wrapped_master_key: nil, recovery_key_salt: nil, recovery_key_created_at: nil)
+    render json: { success: true }
+  end
+
+  # GET /account/zk_passkeys (JSON)
+  # Everything a browser needs to unlock with one of the passkeys; the wrapped
+  # copies are useless without the authenticator's PRF output.
+  def zk_passkeys
+    render json: { passkeys: current_user.zk_passkeys.recent.map { |p| zk_passkey_json(p) } }
+  end
+
+  # POST /account/zk_passkeys (JSON)
+  def create_zk_passkey
+    unless current_user.authenticate(params[:current_password].to_s)
+      return render json: { error: t('account.wrong_password') }, status: :forbidden
+    end
+
+    passkey = current_user.zk_passkeys.build(
+      credential_id: params[:credential_id],
+      label: params[:label].presence&.to_s&.truncate(100),
+      prf_salt: params[:prf_salt],
+      wrapped_master_key: params[:wrapped_master_key]
+    )
+
+    if passkey.save
+      AccountActivity.log(current_user, 'passkey_added', request)
+      render json: { success: true, passkey: zk_passkey_json(passkey) }
+    else
+      render json: { error: passkey.errors.full_messages.join(', ') }, status: :unprocessable_entity
+    end
+  end
+
+  # DELETE /account/zk_passkeys/:id (JSON)
+  # No password needed: revoking only ever takes access away.
+  def destroy_zk_passkey
+    passkey = current_user.zk_passkeys.find_by(id: params[:id])
+    return render json: { error: 'Passkey not found' }, status: :not_found unless passkey
+
+    passkey.destroy!
+    AccountActivity.log(current_user, 'passkey_revoked', request)
+    render json: { success: true }
+  end
+
+  # POST /account/zk_passkeys/:id/used (JSON)
+  def touch_zk_passkey
+    current_user.zk_passkeys.where(id: params[:id]).update_all(last_used_at: Time.current)
+    render json: { success: true }
+  end
+
   def activity_log
     @activities = current_user.account_activities.recent
   end
@@ -137,6 +297,12 @@ class AccountController < ApplicationController
         Rails.logger.warn("[Account] Query failed: #{e.message}")
         []
       end,
+      conversation_shares: current_user.sent_conversation_shares.includes(:recipient).order(:created_at).map do |s|
+        { conversation_token: s.conversation_token, recipient: s.recipient.email, shared_at: s.updated_at }
+      end,
+      zk_passkeys: current_user.zk_passkeys.order(:created_at).map do |p|
+        p.slice(:label, :created_at, :last_used_at)
+      end,
       activity_log: current_user.account_activities.order(:created_at).map do |a|
         a.slice(:activity_type, :ip_address, :user_agent, :created_at)
       end
@@ -178,6 +344,25 @@ class AccountController < ApplicationController
 
   private
 
+  def zk_key_rotation_json
+    {
+      pending_master_key: current_user.pending_master_key.presence,
+      started_at: current_user.pending_master_key_created_at&.iso8601
+    }
+  end
+
+  def zk_passkey_json(passkey)
+    {
+      id: passkey.id,
+      label: passkey.label,
+      credential_id: passkey.credential_id,
+      prf_salt: passkey.prf_salt,
+      wrapped_master_key: passkey.wrapped_master_key,
+      created_at: passkey.created_at.iso8601,
+      last_used_at: passkey.last_used_at&.iso8601
+    }
+  end
+
   def billing_info_params
     params.permit(
       :customer_type,
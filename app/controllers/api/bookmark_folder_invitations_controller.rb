@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+module Api
+  # Invitations to other accounts' bookmark folders, addressed to the user's
+  # email address (see BookmarkFolderMember); GET /api/bookmarks lists them.
+  # Accepting makes the folder appear under "Shared with me"; declining
+  # deletes the invitation.
+  class BookmarkFolderInvitationsController < ApplicationController
+    skip_forgery_protection
+    before_action :require_user
+    before_action :set_invitation
+
+    # POST /api/bookmark_folder_invitations/:id/accept
+    def accept
+      @invitation.accept!(current_user)
+      render json: { success: true }
+    rescue ActiveRecord::RecordInvalid => e
+      render json: { error: e.record.errors.full_messages.join(', ') }, status: :unprocessable_entity
+    end
+
+    # DELETE /api/bookmark_folder_invitations/:id
+    def destroy
+      @invitation.destroy!
+      render json: { success: true }
+    end
+
+    private
+
+    def require_user
+      return if current_user
+
+      render json: { error: 'Login required' }, status: :unauthorized
+    end
+
+    def set_invitation
+      @invitation = BookmarkFolderMember.invited(current_user).find_by(id: params[:id])
+      render json: { error: 'Invitation not found' }, status: :not_found unless @invitation
+    end
+  end
+end
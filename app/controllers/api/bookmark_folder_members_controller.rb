@@ -0,0 +1,77 @@
+# frozen_string_literal: true
+
+module Api
+  # Sharing a bookmark folder with other accounts, by email address.
+  # The owner lists, invites, re-roles and removes members; a member can only
+  # remove themselves (leave the folder). An invitation grants access once
+  # the invited account accepts it (BookmarkFolderInvitationsController) and
+  # gets the same response whether or not an account has that address.
+  class BookmarkFolderMembersController < ApplicationController
+    skip_forgery_protection
+    before_action :require_user
+    before_action :set_own_folder, except: :destroy
+
+    # GET /api/bookmark_folders/:bookmark_folder_id/members
+    def index
+      render json: { members: @folder.members.includes(:user).order(:created_at).map { |m| member_json(m) } }
+    end
+
+    # POST /api/bookmark_folders/:bookmark_folder_id/members
+    def create
+      member = @folder.members.build(email: params[:email], role: params[:role].presence || 'view')
+      if member.save
+        render json: { success: true, member: member_json(member) }
+      else
+        render json: { error: member.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      end
+    end
+
+    # PATCH /api/bookmark_folders/:bookmark_folder_id/members/:id
+    def update
+      member = @folder.members.find_by(id: params[:id])
+      return render json: { error: 'Member not found' }, status: :not_found unless member
+
+      if member.update(role: params[:role])
+        render json: { success: true, member: member_json(member) }
+      else
+        render json: { error: member.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      end
+    end
+
+    # DELETE /api/bookmark_folders/:bookmark_folder_id/members/:id
+    def destroy
+      member = BookmarkFolderMember.includes(:bookmark_folder).find_by(id: params[:id], bookmark_folder_id: params[:bookmark_folder_id])
+      unless member && (member.user_id == current_user.id || member.bookmark_folder.user_id == current_user.id)
+        return render json: { error: 'Member not found' }, status: :not_found
+      end
+
+      member.destroy!
+      render json: { success: true }
+    end
+
+    private
+
+    def require_user
+      return if current_user
+
+      render json: { error: 'Login required' }, status: :unauthorized
+    end
+
+    def set_own_folder
+      @folder = current_user.bookmark_folders.find_by(id: params[:bookmark_folder_id])
+      render json: { error: 'Folder not found' }, status: :not_found unless @folder
+    end
+
+    # The name only once accepted: before that the invitation says nothing
+    # about the account behind the address
+    def member_json(member)
+      {
+        id: member.id,
+        role: member.role,
+        email: member.email,
+        name: member.accepted? ? member.user&.name : nil,
+        pending: !member.accepted?
+      }
+    end
+  end
+end
@@ -0,0 +1,83 @@
+# frozen_string_literal: true
+
+module Api
+  # Nested bookmark folders: create, rename, move, merge and delete.
+  # Listing happens through GET /api/bookmarks, which returns the folders
+  # alongside the bookmarks.
+  class BookmarkFoldersController < ApplicationController
+    skip_forgery_protection
+    before_action :require_user
+    before_action :set_folder, except: :create
+
+    # POST /api/bookmark_folders
+    def create
+      folder = current_user.bookmark_folders.build(name: params[:name], parent: find_parent)
+      return if performed?
+
+      if folder.save
+        render json: { success: true, folder: folder_json(folder) }
+      else
+        render json: { error: folder.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      end
+    end
+
+    # PATCH /api/bookmark_folders/:id
+    # Rename (name) and/or move (parent_id; null moves it to the top level)
+    def update
+      @folder.name = params[:name] if params.key?(:name)
+      @folder.parent = find_parent if params.key?(:parent_id)
+      return if performed?
+
+      if @folder.save
+        render json: { success: true, folder: folder_json(@folder) }
+      else
+        render json: { error: @folder.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      end
+    end
+
+    # POST /api/bookmark_folders/:id/merge
+    # Moves bookmarks and subfolders into another folder and deletes this one
+    def merge
+      target = current_user.bookmark_folders.find_by(id: params[:into_id])
+      return render json: { error: 'Folder not found' }, status: :not_found unless target
+      if @folder.subtree_ids.include?(target.id)
+        return render json: { error: 'Cannot merge a folder into itself or a subfolder' }, status: :unprocessable_entity
+      end
+
+      @folder.merge_into!(target)
+      render json: { success: true, folder: folder_json(target) }
+    end
+
+    # DELETE /api/bookmark_folders/:id
+    # Bookmarks and subfolders move up one level; nothing is deleted but the folder
+    def destroy
+      @folder.dissolve!
+      render json: { success: true }
+    end
+
+    private
+
+    def require_user
+      return if current_user
+
+      render json: { error: 'Login required' }, status: :unauthorized
+    end
+
+    def set_folder
+      @folder = current_user.bookmark_folders.find_by(id: params[:id])
+      render json: { error: 'Folder not found' }, status: :not_found unless @folder
+    end
+
+    def find_parent
+      return nil if params[:parent_id].blank?
+
+      parent = current_user.bookmark_folders.find_by(id: params[:parent_id])
+      render json: { error: 'Folder not found' }, status: :not_found unless parent
+      parent
+    end
+
+    def folder_json(folder)
+      { id: folder.id, name: folder.name, parent_id: folder.parent_id, path: folder.path }
+    end
+  end
+end
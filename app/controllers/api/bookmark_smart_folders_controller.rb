@@ -0,0 +1,84 @@
+# frozen_string_literal: true
+
+module Api
+  # Smart folders: saved rules on the bookmarks page (see BookmarkSmartFolder).
+  # Listing happens through GET /api/bookmarks, which returns them alongside
+  # the bookmarks and folders; the page evaluates the rules itself, asking
+  # #matches only for what it cannot see: the text of the bookmarked laws.
+  class BookmarkSmartFoldersController < ApplicationController
+    skip_forgery_protection
+    before_action :require_user
+    before_action :set_smart_folder, except: :create
+
+    # POST /api/bookmark_smart_folders
+    # name, rule: { tags: [], types: [], changed_within: 30, query: '' }
+    def create
+      smart_folder = current_user.bookmark_smart_folders.build(name: params[:name], rule: rule_params)
+
+      if smart_folder.save
+        render json: { success: true, smart_folder: smart_folder_json(smart_folder) }
+      else
+        render json: { error: smart_folder.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      end
+    end
+
+    # PATCH /api/bookmark_smart_folders/:id
+    def update
+      @smart_folder.name = params[:name] if params.key?(:name)
+      @smart_folder.rule = rule_params if params.key?(:rule)
+
+      if @smart_folder.save
+        render json: { success: true, smart_folder: smart_folder_json(@smart_folder) }
+      else
+        render json: { error: @smart_folder.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      end
+    end
+
+    # GET /api/bookmark_smart_folders/:id/matches
+    # NUMACs of the bookmarked laws whose text matches the rule's search
+    # words, by the laws search with "search in text". The page counts these
+    # in on top of bookmarks whose own title, note or tags match.
+    def matches
+      query = @smart_folder.rule['query']
+      numacs = Bookmark.visible_to(current_user).where(kind: 'law').distinct.pluck(:numac)
+      return render json: { numacs: [] } if query.blank? || numacs.empty?
+
+      matched = LawSearchService.search(title: query, search_in_text: '1', sort: 'date_desc')
+                                .where(numac: numacs).reorder(nil).distinct.pluck(:numac)
+      render json: { numacs: matched }
+    rescue StandardError => e
+      Rails.logger.error("[SmartFolderMatches] #{e.class}: #{e.message}")
+      render json: { numacs: [] }
+    end
+
+    # DELETE /api/bookmark_smart_folders/:id
+    # Only the rule goes; the bookmarks it matched stay where they are
+    def destroy
+      @smart_folder.destroy!
+      render json: { success: true }
+    end
+
+    private
+
+    def require_user
+      return if current_user
+
+      render json: { error: 'Login required' }, status: :unauthorized
+    end
+
+    def set_smart_folder
+      @smart_folder = current_user.bookmark_smart_folders.find_by(id: params[:id])
+      render json: { error: 'Smart folder not found' }, status: :not_found unless @smart_folder
+    end
+
+    def rule_params
+      return {} unless params[:rule].respond_to?(:permit)
+
+      params[:rule].permit(:changed_within, :query, tags: [], types: []).to_h
+    end
+
+    def smart_folder_json(smart_folder)
+      { id: smart_folder.id, name: smart_folder.name, rule: smart_folder.rule }
+    end
+  end
+end
@@ -5,25 +5,82 @@ module Api
     skip_forgery_protection
     before_action :require_user
 
+    # How long the undo of a bulk delete can restore other members' bookmarks
+    RESTORE_TOKEN_TTL = 1.hour
+
     # GET /api/bookmarks
+    # The user's own bookmarks and folders, plus the folders shared with them
+    # (shared_folders), every member's bookmarks in shared folders and the
+    # invitations to share a folder the user has not answered yet
     def index
-      bookmarks = current_user.bookmarks.recent
-      bookmarks = bookmarks.by_folder(params[:folder]) if params[:folder].present?
-      bookmarks = bookmarks.limit(params[:limit] || 500)
+      shared_roles = BookmarkFolder.shared_roles_for(current_user)
+      folders = current_user.bookmark_folders.ordered.to_a
+      shared_folders = BookmarkFolder.where(id: shared_roles.keys).includes(:user).ordered.to_a
+      bookmarks = Bookmark.visible_to(current_user).includes(:user).recent
+      bookmarks = bookmarks.by_folder(params[:folder_id]) if params[:folder_id].present?
+      bookmarks = bookmarks.limit(params[:limit] || 500).to_a
+      paths = folder_paths(folders + shared_folders)
+      changes = BookmarkChangeService.changes_for(bookmarks, current_language_id)
+      citations = citation_metadata(bookmarks)
+      writable = folders.map(&:id) + shared_roles.select { |_, role| role == 'edit' }.keys
+      member_counts = BookmarkFolderMember.where(bookmark_folder_id: folders.map(&:id)).group(:bookmark_folder_id).count
+      memberships = current_user.bookmark_folder_memberships.pluck(:bookmark_folder_id, :id).to_h
+      invitations = BookmarkFolderMember.invited(current_user).includes(bookmark_folder: :user).order(:created_at).to_a
+      smart_folders = current_user.bookmark_smart_folders.ordered.to_a
+      change_window = smart_folders.filter_map { |f| f.rule['changed_within'] }.max
+      last_changed = if change_window
+                       BookmarkChangeService.last_changed_for(bookmarks, current_language_id, since: change_window.days.ago)
+                     end
 
       render json: {
-        bookmarks: bookmarks.map { |b| bookmark_json(b) },
-        folders: Bookmark.folders_for_user(current_user)
+        bookmarks: bookmarks.map do |b|
+          bookmark_json(b, paths, changes: changes, citations: citations, writable: writable, last_changed: last_changed)
+        end,
+        folders: folders.map { |f| { id: f.id, name: f.name, parent_id: f.parent_id, path: paths[f.id], members: member_counts[f.id] || 0 } },
+        shared_folders: shared_folders.map do |f|
+          {
+            id: f.id,
+            name: f.name,
+            parent_id: shared_roles.key?(f.parent_id) ? f.parent_id : nil,
+            path: paths[f.id],
+            role: shared_roles[f.id],
+            owner: { name: f.user.name, email: f.user.email },
+            membership_id: memberships[f.id]
+          }
+        end,
+        invitations: invitations.map do |i|
+          { id: i.id, role: i.role, folder: { name: i.bookmark_folder.name }, owner: { name: i.bookmark_folder.user.name, email: i.bookmark_folder.user.email } }
+        end,
+        smart_folders: smart_folders.map { |f| { id: f.id, name: f.name, rule: f.rule } },
+        shared_version: BookmarkFolder.shared_version_for(current_user),
+        digest: current_user.bookmark_digest
       }
     end
 
+    # GET /api/bookmarks/shared_version
+    # Polled by the bookmarks page: changes when anything changes in a shared
+    # folder the user owns or is a member of
+    def shared_version
+      render json: { version: BookmarkFolder.shared_version_for(current_user) }
+    end
+
     # POST /api/bookmarks
+    # type is law (default), article, case, parliamentary or flemish_parliament;
+    # numac holds the NUMAC, ECLI or document id accordingly. With anchor (and
+    # paragraph) this bookmarks one article (or §) of the law.
     def create
+      return unless writable_folder?(params[:folder_id])
+
       bookmark = current_user.bookmarks.build(
+        kind: Bookmark.kind_for(params[:type]),
         numac: params[:numac],
+        anchor: params[:anchor].to_s,
+        paragraph: params[:paragraph].to_s,
+        article_label: params[:article].to_s.first(50).presence,
+        excerpt: params[:excerpt].to_s.first(1000).presence,
         title: params[:title],
         url: params[:url],
-        folder: params[:folder],
+        bookmark_folder_id: params[:folder_id].presence,
         bookmarked_at: Time.current
       )
 
@@ -36,7 +93,7 @@ module Api
 
     # DELETE /api/bookmarks/:numac
     def destroy
-      bookmark = current_user.bookmarks.find_by(numac: params[:numac] || params[:id])
+      bookmark = find_bookmark
       if bookmark&.destroy
         render json: { success: true }
       else
@@ -45,16 +102,58 @@ module Api
     end
 
     # PATCH /api/bookmarks/:numac
+    # Only the attributes present in the request are changed, so the page can
+    # save a note without touching the folder and vice versa. seen=true clears
+    # the "changed" badge without opening the law.
     def update
-      bookmark = current_user.bookmarks.find_by(numac: params[:numac] || params[:id])
+      bookmark = find_bookmark
       return render json: { error: 'Bookmark not found' }, status: :not_found unless bookmark
+      return if params.key?(:folder_id) && !writable_folder?(params[:folder_id])
+
+      attributes = {}
+      attributes[:bookmark_folder_id] = params[:folder_id].presence if params.key?(:folder_id)
+      attributes[:note] = params[:note].to_s.strip.presence if params.key?(:note)
+      attributes[:tags] = Array(params[:tags]).map(&:to_s) if params.key?(:tags)
+      attributes[:last_seen_at] = Time.current if params[:seen].present?
+
+      if bookmark.update(attributes)
+        render json: { success: true, bookmark: bookmark_json(bookmark) }
+      else
+        render json: { error: bookmark.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      end
+    end
+
+    # PATCH /api/bookmarks/reorder
+    # Manual sort: the given bookmark ids get positions 0..n-1 in that order
+    def reorder
+      ids = params[:ids]
+      return render json: { error: 'ids required' }, status: :bad_request unless ids.is_a?(Array)
+
+      ids = ids.map(&:to_i).uniq
+      bookmarks = Bookmark.editable_by(current_user).where(id: ids).index_by(&:id)
+      Bookmark.transaction do
+        ids.each_with_index do |id, index|
+          bookmarks[id]&.update_column(:position, index)
+        end
+      end
+      render json: { success: true }
+    end
+
+    # PATCH /api/bookmarks/digest
+    # Email digest of changes to bookmarked laws: off, daily or weekly
+    def digest
+      frequency = params[:frequency].to_s
+      unless User::BOOKMARK_DIGESTS.include?(frequency)
+        return render json: { error: 'Invalid frequency' }, status: :unprocessable_entity
+      end
 
-      bookmark.update!(folder: params[:folder])
-      render json: { success: true, bookmark: bookmark_json(bookmark) }
+      current_user.update_column(:bookmark_digest, frequency)
+      render json: { success: true, digest: frequency }
     end
 
     # POST /api/bookmarks/import
-    # Bulk import from localStorage migration
+    # Bulk import: the page's JSON backups and the recognised rows of CSV and
+    # browser bookmark files (see bookmark_import.js). Existing targets are skipped.
     def import
       items = params[:bookmarks]
       return render json: { error: 'No bookmarks provided' }, status: :bad_request unless items.is_a?(Array)
@@ -63,12 +162,17 @@ module Api
       items.each do |item|
         next unless item[:numac].present?
 
-        bookmark = current_user.bookmarks.find_or_initialize_by(numac: item[:numac])
+        bookmark = current_user.bookmarks.target(item[:numac], item[:anchor], item[:paragraph],
+                                                 kind: Bookmark.kind_for(item[:type])).first_or_initialize
         if bookmark.new_record?
           bookmark.assign_attributes(
+            article_label: item[:article].to_s.first(50).presence,
+            excerpt: item[:excerpt].to_s.first(1000).presence,
             title: item[:title],
             url: item[:url],
-            folder: item[:folder],
+            bookmark_folder: item[:folder].present? ? BookmarkFolder.find_or_create_path!(current_user, item[:folder]) : nil,
+            note: item[:note],
+            tags: Array(item[:tags]).map(&:to_s).first(Bookmark::MAX_TAGS),
             bookmarked_at: item[:addedAt].present? ? Time.parse(item[:addedAt]) : Time.current
           )
           imported += 1 if bookmark.save
@@ -81,13 +185,66 @@ module Api
       render json: { success: true, imported: imported }
     end
 
+    # POST /api/bookmarks/bulk
+    # One request for a batch action on the selected bookmarks (ids):
+    #   move     folder_id (blank = unfiled)
+    #   tag      adds tags; untag removes them
+    #   delete   returns the deleted bookmarks, which restore takes back (undo),
+    #            and a restore_token that vouches for other members' among them
+    #   restore  bookmarks: [...] and restore_token as returned by delete
+    def bulk
+      operation = params[:operation].to_s
+      return bulk_restore if operation == 'restore'
+
+      ids = params[:ids]
+      return render json: { error: 'ids required' }, status: :bad_request unless ids.is_a?(Array)
+
+      bookmarks = Bookmark.editable_by(current_user).where(id: ids.map(&:to_i)).includes(:user).to_a
+      count = bookmarks.size
+      case operation
+      when 'move'
+        return unless writable_folder?(params[:folder_id])
+
+        # One by one, so a member's bookmark only goes where they may write
+        folder = params[:folder_id].present? ? BookmarkFolder.find(params[:folder_id]) : nil
+        moved = bookmarks.select { |bookmark| bookmark.update(bookmark_folder: folder) }
+        (bookmarks - moved).each(&:reload)
+        count = moved.size
+      when 'tag', 'untag'
+        tags = Array(params[:tags]).map { |tag| tag.to_s.strip }.reject(&:blank?)
+        return render json: { error: 'tags required' }, status: :bad_request if tags.empty?
+
+        failed = bulk_tag(bookmarks, tags, remove: operation == 'untag')
+        return render json: { error: failed }, status: :unprocessable_entity if failed
+      when 'delete'
+        deleted = bookmarks.map do |bookmark|
+          bookmark_json(bookmark).merge(user_id: bookmark.user_id, last_seen_at: bookmark.last_seen_at&.iso8601)
+        end
+        Bookmark.transaction { bookmarks.each(&:destroy!) }
+        return render json: { success: true, count: bookmarks.size, deleted: deleted, restore_token: restore_token(bookmarks) }
+      else
+        return render json: { error: 'Unknown operation' }, status: :bad_request
+      end
+
+      paths = folder_paths(current_user.bookmark_folders.to_a + BookmarkFolder.where(id: BookmarkFolder.shared_roles_for(current_user).keys).to_a)
+      render json: { success: true, count: count, bookmarks: bookmarks.map { |b| bookmark_json(b, paths) } }
+    end
+
     # GET /api/bookmarks/check
-    # Quick check if a NUMAC is bookmarked (for toggle button state)
+    # Quick check if a NUMAC is bookmarked (for toggle button state).
+    # ?numac=…[&type=…&anchor=…&paragraph=…] checks one document, article or §;
+    # ?numacs[]=… lists which laws have a law-level bookmark.
     def check
+      if params[:numac].present?
+        bookmarked = current_user.bookmarks.target(params[:numac], params[:anchor], params[:paragraph],
+                                                   kind: Bookmark.kind_for(params[:type])).exists?
+        return render json: { bookmarked: bookmarked }
+      end
+
       numacs = params[:numacs]
       return render json: { error: 'numacs required' }, status: :bad_request unless numacs.is_a?(Array)
 
-      bookmarked = current_user.bookmarks.where(numac: numacs).pluck(:numac)
+      bookmarked = current_user.bookmarks.law_level.where(numac: numacs).pluck(:numac)
       render json: { bookmarked: bookmarked }
     end
 
@@ -99,13 +256,171 @@ module Api
       render json: { error: 'Login required' }, status: :unauthorized
     end
 
-    def bookmark_json(bookmark)
+    # ?bookmark_id= picks one bookmark directly (bookmarks page); otherwise the
+    # document, article or § given by :numac, type, anchor and paragraph
+    def find_bookmark
+      return Bookmark.editable_by(current_user).find_by(id: params[:bookmark_id]) if params[:bookmark_id].present?
+
+      current_user.bookmarks.target(params[:numac] || params[:id], params[:anchor], params[:paragraph],
+                                    kind: Bookmark.kind_for(params[:type])).first
+    end
+
+    # All or nothing, so a tag that does not fit one bookmark (too many or
+    # too long) leaves the whole selection untouched. Returns the error, if any.
+    def bulk_tag(bookmarks, tags, remove:)
+      error = nil
+      Bookmark.transaction do
+        bookmarks.each do |bookmark|
+          bookmark.tags = if remove
+                            bookmark.tags.reject { |tag| tags.any? { |t| t.casecmp?(tag) } }
+                          else
+                            bookmark.tags + tags
+                          end
+          next if bookmark.save
+
+          error = bookmark.errors.full_messages.join(', ')
+          raise ActiveRecord::Rollback
+        end
+      end
+      error
+    end
+
+    # Undo of a bulk delete: recreates the bookmarks as they were, skipping
+    # any that have been bookmarked again in the meantime. Another member's
+    # bookmark goes back to that member, and only into its folder: when the
+    # restore token vouches for it and both users can still write there.
+    def bulk_restore
+      items = params[:bookmarks]
+      return render json: { error: 'No bookmarks provided' }, status: :bad_request unless items.is_a?(Array)
+
+      folder_ids = BookmarkFolder.writable_ids_for(current_user).to_set
+      vouched = restorable_targets(params[:restore_token])
+      restored = 0
+      items.each do |item|
+        kind = Bookmark.kind_for(item[:type])
+        owner_id = item[:user_id].presence&.to_i || current_user.id
+        folder_id = folder_ids.include?(item[:folder_id].to_i) ? item[:folder_id].to_i : nil
+        if owner_id != current_user.id
+          next unless folder_id && vouched.include?([owner_id, kind, item[:numac].to_s, item[:anchor].to_s, item[:paragraph].to_s])
+
+          owner = User.find_by(id: owner_id)
+          next unless owner && BookmarkFolder.find(folder_id).writable_by?(owner)
+        else
+          owner = current_user
+        end
+
+        bookmark = owner.bookmarks.target(item[:numac], item[:anchor], item[:paragraph], kind: kind).first_or_initialize
+        next unless bookmark.new_record?
+
+        bookmark.assign_attributes(
+          article_label: item[:article].to_s.first(50).presence,
+          excerpt: item[:excerpt].to_s.first(1000).presence,
+          title: item[:title],
+          url: item[:url],
+          bookmark_folder_id: folder_id,
+          position: item[:position],
+          note: item[:note],
+          tags: Array(item[:tags]).map(&:to_s),
+          bookmarked_at: item[:bookmarked_at].present? ? Time.parse(item[:bookmarked_at]) : Time.current,
+          last_seen_at: item[:last_seen_at].present? ? Time.parse(item[:last_seen_at]) : nil
+        )
+        restored += 1 if bookmark.save
+      rescue StandardError => e
+        Rails.logger.warn("[BookmarkRestore] Skipped #{item[:numac]}: #{e.message}")
+        next
+      end
+
+      render json: { success: true, restored: restored }
+    end
+
+    # Signed for this user, so restore cannot be used to add bookmarks in
+    # another member's name that were never deleted
+    def restore_token(bookmarks)
+      targets = bookmarks.reject { |bookmark| bookmark.user_id == current_user.id }
+                         .map { |bookmark| [bookmark.user_id, bookmark.kind, bookmark.numac, bookmark.anchor.to_s, bookmark.paragraph.to_s] }
+      restore_verifier.generate(targets, purpose: "bookmark_restore_#{current_user.id}", expires_in: RESTORE_TOKEN_TTL)
+    end
+
+    def restorable_targets(token)
+      return Set.new if token.blank?
+
+      Array(restore_verifier.verified(token.to_s, purpose: "bookmark_restore_#{current_user.id}")).to_set
+    end
+
+    def restore_verifier
+      Rails.application.message_verifier(:bookmark_restore)
+    end
+
+    # Own folders and folders shared with edit rights; renders 404 otherwise.
+    # A blank id (unfiled) is always fine.
+    def writable_folder?(folder_id)
+      return true if folder_id.blank? || BookmarkFolder.writable_ids_for(current_user).include?(folder_id.to_i)
+
+      render json: { error: 'Folder not found' }, status: :not_found
+      false
+    end
+
+    # { folder_id => "Client / Dossier" } without a query per folder.
+    # A shared folder whose parent the user cannot see starts its own path.
+    def folder_paths(folders)
+      by_id = folders.index_by(&:id)
+      paths = {}
+      resolve = lambda do |folder|
+        paths[folder.id] ||= begin
+          parent = by_id[folder.parent_id]
+          parent ? "#{resolve.call(parent)}#{BookmarkFolder::PATH_SEPARATOR}#{folder.name}" : folder.name
+        end
+      end
+      folders.each { |folder| resolve.call(folder) }
+      paths
+    end
+
+    # { numac => { published:, abbreviation: } } for the bookmarked laws, so
+    # the page can export citations (RIS, BibTeX, CSL-JSON) without a request
+    # per law. published is the date in the Belgisch Staatsblad.
+    def citation_metadata(bookmarks)
+      numacs = bookmarks.select { |b| b.kind == 'law' }.map(&:numac).uniq
+      return {} if numacs.empty?
+
+      language_id = current_language_id
+      published = Content.where(legislation_numac: numacs, language_id: language_id)
+                         .pluck(:legislation_numac, :publication_date).to_h
+      dates = Legislation.where(numac: numacs, language_id: language_id).pluck(:numac, :date).to_h
+      numacs.index_with do |numac|
+        {
+          published: published[numac].presence || dates[numac],
+          abbreviation: Search::ArticleLookupService.abbreviation_for(numac, language_id)
+        }
+      end
+    end
+
+    # writable: folder ids the user may edit in, to flag other members'
+    # bookmarks in shared folders as editable or not
+    def bookmark_json(bookmark, paths = nil, changes: nil, citations: nil, writable: nil, last_changed: nil)
+      citation = bookmark.kind == 'law' ? citations&.dig(bookmark.numac) : nil
+      own = bookmark.user_id == current_user.id
       {
+        id: bookmark.id,
+        type: bookmark.type,
         numac: bookmark.numac,
+        anchor: bookmark.anchor.presence,
+        paragraph: bookmark.paragraph.presence,
+        article: bookmark.article_label,
+        excerpt: bookmark.excerpt,
         title: bookmark.title,
         url: bookmark.url,
-        folder: bookmark.folder,
-        bookmarked_at: bookmark.bookmarked_at&.iso8601
+        folder_id: bookmark.bookmark_folder_id,
+        folder: paths ? paths[bookmark.bookmark_folder_id] : bookmark.bookmark_folder&.path,
+        position: bookmark.position,
+        note: bookmark.note,
+        tags: bookmark.tags,
+        bookmarked_at: bookmark.bookmarked_at&.iso8601,
+        changes: changes&.dig(bookmark.id),
+        last_changed: last_changed&.dig(bookmark.id),
+        published: citation&.dig(:published),
+        abbreviation: citation&.dig(:abbreviation),
+        added_by: own ? nil : { name: bookmark.user.name, email: bookmark.user.email },
+        editable: own || writable.nil? || writable.include?(bookmark.bookmark_folder_id)
       }
     end
   end
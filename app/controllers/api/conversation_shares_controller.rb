@@ -0,0 +1,160 @@
+# frozen_string_literal: true
+
+module Api
+  # Sharing zero-knowledge chatbot conversations between users.
+  # Everything cryptographic happens in the browser
+  # (app/javascript/services/conversation_sharing.js); this controller only
+  # stores public keys, encrypted private keys and encrypted snapshots.
+  class ConversationSharesController < ApplicationController
+    skip_forgery_protection
+    before_action :require_user
+
+    # Lookups and shares together: both answer whether an address has sharing set up
+    PUBLIC_KEY_LOOKUPS_PER_HOUR = 30
+
+    # GET /api/chatbot/keypair
+    def keypair
+      render json: {
+        public_key: current_user.zk_public_key,
+        encrypted_private_key: current_user.zk_encrypted_private_key
+      }
+    end
+
+    # POST /api/chatbot/keypair
+    # One key pair per user: replacing it would strand every share made to it,
+    # so an existing pair is never overwritten.
+    def create_keypair
+      if current_user.zk_public_key.present?
+        return render json: { error: 'Key pair already exists' }, status: :conflict
+      end
+
+      public_key = params[:public_key].to_s
+      encrypted_private_key = params[:encrypted_private_key].to_s
+      if public_key.blank? || encrypted_private_key.blank? || public_key.length > 200
+        return render json: { error: 'Missing key material' }, status: :unprocessable_entity
+      end
+
+      current_user.update!(zk_public_key: public_key, zk_encrypted_private_key: encrypted_private_key)
+      render json: { success: true }
+    end
+
+    # GET /api/chatbot/public_keys?email=...
+    # Recipient lookup before sharing. An unknown address, one without sharing
+    # set up and the user's own get the same 404, and lookups are rate limited,
+    # so the endpoint is no way to find out who has an account.
+    def public_key
+      if public_key_lookups_exceeded?
+        return render json: { error: 'Too many requests. Please try again later.' }, status: :too_many_requests
+      end
+
+      user = User.find_by(email: params[:email].to_s.strip.downcase)
+      if user.nil? || user == current_user || user.zk_public_key.blank?
+        return render json: { error: 'Not found' }, status: :not_found
+      end
+
+      render json: { email: user.email, public_key: user.zk_public_key }
+    end
+
+    # GET /api/chatbot/shares
+    # Conversations the current user shared
+    def index
+      shares = current_user.sent_conversation_shares.includes(:recipient).recent
+      render json: {
+        shares: shares.map do |share|
+          {
+            id: share.id,
+            conversation_token: share.conversation_token,
+            recipient: { email: share.recipient.email, name: share.recipient.name },
+            shared_at: share.updated_at.iso8601
+          }
+        end
+      }
+    end
+
+    # GET /api/chatbot/conversations/shared
+    # Conversations shared with the current user, read-only
+    def received
+      shares = current_user.received_conversation_shares.includes(:owner).recent
+      render json: {
+        conversations: shares.map do |share|
+          {
+            id: share.id,
+            token: "shared-#{share.id}",
+            shared: true,
+            read_only: true,
+            owner: { email: share.owner.email, name: share.owner.name },
+            sender_public_key: share.sender_public_key,
+            encrypted_payload: share.encrypted_payload,
+            envelope_salt: share.envelope_salt,
+            wrapped_content_key: share.wrapped_content_key,
+            shared_at: share.updated_at.iso8601
+          }
+        end
+      }
+    end
+
+    # POST /api/chatbot/shares
+    # Sharing the same conversation with the same person again replaces the snapshot.
+    # recipient_public_key is the key the envelope was sealed for (from the
+    # lookup); a share is only stored when it is the recipient's current key.
+    # Rate limited and answered like #public_key, so it reveals no more.
+    def create
+      if public_key_lookups_exceeded?
+        return render json: { error: 'Too many requests. Please try again later.' }, status: :too_many_requests
+      end
+
+      recipient = User.find_by(email: params[:recipient_email].to_s.strip.downcase)
+      if recipient.nil? || recipient == current_user || recipient.zk_public_key.blank? ||
+         !ActiveSupport::SecurityUtils.secure_compare(recipient.zk_public_key, params[:recipient_public_key].to_s)
+        return render json: { error: 'Not found' }, status: :not_found
+      end
+      if current_user.zk_public_key.blank?
+        return render json: { error: 'No key pair' }, status: :unprocessable_entity
+      end
+
+      share = current_user.sent_conversation_shares.find_or_initialize_by(
+        recipient: recipient, conversation_token: params[:conversation_token].to_s
+      )
+      share.assign_attributes(
+        encrypted_payload: params[:encrypted_payload],
+        envelope_salt: params[:envelope_salt],
+        wrapped_content_key: params[:wrapped_content_key],
+        sender_public_key: current_user.zk_public_key
+      )
+
+      if share.save
+        render json: { success: true, id: share.id }
+      else
+        render json: { error: share.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      end
+    end
+
+    # DELETE /api/chatbot/shares/:id
+    # The owner revokes; the recipient may also drop a share from their list
+    def destroy
+      share = ConversationShare.where(owner: current_user).or(ConversationShare.where(recipient: current_user))
+                               .find_by(id: params[:id])
+      return render json: { error: 'Share not found' }, status: :not_found unless share
+
+      share.destroy!
+      render json: { success: true }
+    end
+
+    private
+
+    def public_key_lookups_exceeded?
+      key = "conversation_share_lookup:#{current_user.id}"
+      count = Rails.cache.read(key).to_i
+      return true if count >= PUBLIC_KEY_LOOKUPS_PER_HOUR
+
+      Rails.cache.write(key, count + 1, expires_in: 1.hour)
+      false
+    end
+
+    def require_user
+      return if current_user
+
+      render json: { error: 'Login required' }, status: :unauthorized
+    end
+  end
+end
@@ -13,31 +13,38 @@ module Api
     before_action :require_user
 
     # GET /api/preferences
-    # Returns all stored UI preferences as JSON
+    # Returns all stored UI preferences as JSON, with per-key versions
     def show
       render json: {
-        preferences: current_user.ui_prefs,
+        preferences: current_user.visible_ui_prefs,
+        versions: current_user.ui_pref_versions,
+        scope: current_user.ui_prefs_scope,
         consent: current_user.conversation_storage_consented?
       }
     end
 
     # PATCH /api/preferences
     # Merges provided preferences with existing ones (partial update)
-    # Body: { preferences: { theme: "dark", sidebar_collapsed: true, ... } }
+    # Body: { preferences: { theme: "dark", sidebar_collapsed: true, ... },
+    #         versions: { theme: 3 },              # optional: version each key was edited from
+    #         changed_at: { theme: 1718000000000 } # optional: client change time (ms)
+    # }
+    # Keys whose stored value was kept are returned under `conflicts`.
     def update
       prefs = params[:preferences]
       return render json: { error: 'No preferences provided' }, status: :bad_request unless prefs.is_a?(ActionController::Parameters) || prefs.is_a?(Hash)
 
       # Sanitize: only accept known preference keys to prevent abuse
+      # (keep in sync with app/javascript/services/preferences_schema.js)
       allowed = prefs.to_unsafe_h.slice(
         # Theme & display
-        'theme', 'dark_mode', 'font_size', 'article_view',
+        'theme', 'theme_accent', 'dark_mode', 'font_size', 'article_view',
         # Sidebar
         'sidebar_collapsed', 'sidebar_auto_open',
         # Article preferences
         'article_preferences',
         # TOC
-        'toc_collapsed', 'toc_position',
+        'toc_collapsed', 'toc_position', 'toc_follow_enabled',
         # Chatbot
         'chatbot', 'chatbot_widget',
         # Reference display
@@ -45,11 +52,21 @@ module Api
         # Bookmarks
         'bookmarks_view',
         # Copy style
-        'copy_format'
+        'copy_format', 'citation_templates', 'cite_on_copy', 'cite_version',
+        # Presets
+        'presets', 'active_preset',
+        # Conversation sharing: verified key fingerprints, sealed with the master key
+        'zk_verified_keys',
+        # Schema version the client last migrated the document to
+        'schema_version'
       )
 
-      result = current_user.merge_ui_prefs!(allowed)
-      render json: { success: true, preferences: result }
+      result = current_user.merge_versioned_ui_prefs!(
+        allowed,
+        base_versions: hash_param(:versions),
+        changed_at: hash_param(:changed_at) || {}
+      )
+      render json: { success: true, **result }
     rescue StandardError => e
       Rails.logger.error("[Preferences] Save failed for user #{current_user.id}: #{e.message}")
       render json: { error: 'Failed to save preferences' }, status: :internal_server_error
@@ -64,6 +81,13 @@ module Api
 
     private
 
+    def hash_param(key)
+      value = params[key]
+      return nil unless value.is_a?(ActionController::Parameters) || value.is_a?(Hash)
+
+      value.to_unsafe_h.to_h.stringify_keys
+    end
+
     def require_user
       return if current_user
 
@@ -159,6 +159,8 @@ class LawsController < ApplicationController
     # Load related data in a single query where possible
     # Skip for FisconetPlus articles - they use an OpenStruct, not ActiveRecord
     load_related_data unless @is_fisconet
+    load_version_changes unless @is_fisconet
+    mark_bookmarks_seen unless @is_fisconet
   end
 
   # GET /laws/:numac/articles
@@ -498,6 +500,71 @@ class LawsController < ApplicationController
     @language_id = @law.language_id
   end
 
+  # Opening a law clears the "changed" badge of its bookmarks (see BookmarkChangeService).
+  # Only bookmarks last seen before the law's newest change are written, so
+  # viewing an unchanged law costs no write.
+  # @return [void]
+  def mark_bookmarks_seen
+    return unless current_user
+
+    bookmarks = current_user.bookmarks.where(kind: 'law', numac: params[:numac])
+    return unless bookmarks.exists?
+
+    last_change = BookmarkChangeService.last_change_on(params[:numac], @language_id)
+    return unless last_change
+
+    bookmarks.where('COALESCE(last_seen_at, bookmarked_at, created_at) < ?', last_change.beginning_of_day)
+             .update_all(last_seen_at: Time.current)
+  end
+
+  # Point-in-time citations. @consolidated_on is the date the consolidated
+  # text shown is in force since; citations pinned to a version name that
+  # date. Only the current text is stored, so a cited link (?as_of=) cannot
+  # show an earlier wording: it shows the current text, lists the article
+  # changes that took effect after that date and marks those articles in
+  # the text (@version_markers, anchor => note).
+  # @return [void]
+  def load_version_changes
+    @consolidated_on = ArticleModification.consolidated_on(params[:numac], @language_id) || law_date
+    @as_of = begin
+      Date.iso8601(params[:as_of].to_s) if params[:as_of].present?
+    rescue Date::Error
+      nil
+    end
+    return unless @as_of
+
+    @version_changes = ArticleModification.changes_since(params[:numac], @as_of, @language_id).to_a
+    @version_changing_laws = Legislation.where(numac: @version_changes.filter_map(&:modifying_numac).uniq, language_id: @language_id)
+                                        .pluck(:numac, :title)
+                                        .to_h
+    @version_anchors = @version_changes.to_h { |change| [change.id, version_change_anchor(change.article_title)] }
+    @version_markers = {}
+    @version_changes.each do |change|
+      anchor = @version_anchors[change.id]
+      next if anchor.nil? || @version_markers.key?(anchor)
+
+      @version_markers[anchor] = t('copy_reference.version.marker', effective: change.effective_date.strftime('%d-%m-%Y'),
+                                                                    date: @as_of.strftime('%d-%m-%Y'))
+    end
+  end
+
+  # The law's own date, for a law that was never changed
+  # @return [Date, nil]
+  def law_date
+    Date.iso8601(@law.date.to_s)
+  rescue Date::Error
+    nil
+  end
+
+  # "Art. 5" / "5" => "art-5", the id of the article in the text; nil when
+  # the title does not name an article
+  # @return [String, nil]
+  def version_change_anchor(article_title)
+    title = article_title.to_s.strip
+    title = "Art. #{title}" unless title.match?(/\A(?:Art|Article|Artikel)\b/i)
+    helpers.article_id_from_toc_line(title)
+  end
+
   # Loads all data related to the current law
   # @return [void]
   def load_related_data
@@ -67,6 +67,14 @@ class PasswordResetsController < ApplicationController
     @user.reset_password_token = nil
     @user.reset_password_sent_at = nil
 
+    # Conversations restored with the recovery phrase: the master key was
+    # rewrapped for the new password in the browser (zk_recovery_controller.js)
+    if @user.recovery_wrapped_master_key.present? &&
+       params[:encrypted_master_key].present? && params[:key_derivation_salt].present?
+      @user.encrypted_master_key = params[:encrypted_master_key]
+      @user.key_derivation_salt = params[:key_derivation_salt]
+    end
+
     if @user.save
       redirect_to login_path, notice: t('auth.password_reset_success')
     else
@@ -96,6 +96,28 @@ module JurisprudenceHelper
     name || ecli
   end
 
+  # Roll or judgment number a decision is cited by: the Constitutional Court's
+  # "5/2023" and the Council of State's "255.123" come from the ECLI, the
+  # Court of Cassation's roll number ("C.21.0345.N") from the decision text.
+  # @param kase [Hash] Case hash with :case_number (the ECLI) and :full_text
+  # @return [String, nil] Roll number, or nil when not known
+  def case_roll_number(kase)
+    parts = kase[:case_number].to_s.split(':')
+    return nil unless parts.length >= 5
+
+    year = parts[3]
+    number = parts[4]
+    case parts[2].to_s.upcase
+    when 'GHCC'
+      judgment = number[/\AARR\.0*(\d+)\z/i, 1]
+      "#{judgment}/#{year}" if judgment
+    when 'RVSCE', 'RVS', 'RVST', 'RSCE'
+      number[/\AARR\.(\d+(?:\.\d+)*)\z/i, 1]
+    when 'CASS'
+      kase[:full_text].to_s.first(3000)[/\b[CDFPS]\.\d{2}\.\d{4}\.[NFD]\b/]
+    end
+  end
+
   private
 
   def badge_classes
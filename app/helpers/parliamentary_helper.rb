@@ -338,6 +338,32 @@ module ParliamentaryHelper
     s.present? ? s : "Dossier #{dossier}"
   end
 
+  # Document number as cited: "55-3115/001" for the Chamber (printed on the
+  # document as "DOC 55 3115/001"), "7-123/1" for the Senate, "1234/1" for
+  # the Flemish Parliament. Numbers that already carry a slash are kept.
+  #
+  # @param doc [Hash] Document hash with :parliament, :legislature,
+  #   :dossier_number and :document_number
+  # @return [String] Document number, or '' without a dossier number
+  def parliamentary_citation_number(doc)
+    number = doc[:document_number].to_s.strip
+    return number if number.include?('/')
+
+    # "54K1234" → "1234"; the document number may repeat the dossier number
+    dossier = doc[:dossier_number].to_s[/\d+\z/]
+    return '' if dossier.blank?
+
+    piece = number.delete_prefix(doc[:dossier_number].to_s)[/\d+\z/]
+    if doc[:parliament] == 'chamber'
+      dossier = dossier.rjust(4, '0')
+      piece = piece&.rjust(3, '0')
+    end
+    reference = [dossier, piece].compact.join('/')
+    return reference if doc[:parliament] == 'vlaams' || doc[:legislature].blank?
+
+    "#{doc[:legislature]}-#{reference}"
+  end
+
   # Extract a meaningful title from document content.
   # Looks for patterns like "WETSONTWERP tot ..." or "VOORSTEL VAN RESOLUTIE over ..."
   # in the first 500 chars of content.
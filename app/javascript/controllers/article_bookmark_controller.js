@@ -0,0 +1,69 @@
+import { Controller } from "@hotwired/stimulus"
+import { getLocale } from '../utils/locale'
+import { findParagraphs, articleExcerpt } from '../utils/article_paragraphs'
+
+/**
+ * Article Bookmark Controller
+ *
+ * Lives in the shared article menu (#shared-copy-menu) on law pages. When the
+ * menu opens for an article, the inline menu script dispatches
+ * `article-menu:open` with the article's permalink and text source; this
+ * controller then renders one bookmark button for the article and one per
+ * paragraph (§) found in its text. Each button is a regular bookmark
+ * controller with anchor/paragraph values, so state and toggling stay there.
+ *
+ * @example
+ * <div data-controller="article-bookmark"
+ *      data-article-bookmark-numac-value="2024001234"
+ *      data-article-bookmark-title-value="Wet van 15 januari 2024"
+ *      data-action="article-menu:open@document->article-bookmark#open">
+ *   <div data-article-bookmark-target="list"></div>
+ * </div>
+ */
+export default class extends Controller {
+  static targets = ["list"]
+  static values = {
+    numac: String,
+    title: String
+  }
+
+  // event.detail: { permalink: 'art-5', source: '#article-text-art-5', label: 'Art. 5.' }
+  open(event) {
+    const { permalink, source, label } = event.detail || {}
+    if (!permalink || !this.hasListTarget) return
+
+    const textEl = source ? document.querySelector(source) : null
+    const article = (label || '').trim().replace(/\.$/, '')
+    const buttons = [this._button(permalink, '', article, this._t('article'), articleExcerpt(textEl))]
+    findParagraphs(textEl).forEach(({ number }) => {
+      buttons.push(this._button(permalink, number, article, this._t('paragraph').replace('%{number}', number), articleExcerpt(textEl, number)))
+    })
+    this.listTarget.replaceChildren(...buttons)
+  }
+
+  _button(anchor, paragraph, article, label, excerpt) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'w-full px-2.5 py-1.5 text-left text-xs font-normal text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-1.5 transition-colors'
+    button.dataset.controller = 'bookmark'
+    button.dataset.action = 'click->bookmark#toggle'
+    button.dataset.bookmarkNumacValue = this.numacValue
+    button.dataset.bookmarkTitleValue = this.titleValue
+    button.dataset.bookmarkAnchorValue = anchor
+    button.dataset.bookmarkParagraphValue = paragraph
+    button.dataset.bookmarkArticleValue = article
+    button.dataset.bookmarkExcerptValue = excerpt
+    button.innerHTML = `<svg data-bookmark-target="icon" xmlns="http://www.w3.org/2000/svg" class="w-3.5 h-3.5 shrink-0 opacity-60" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" /></svg>`
+    button.append(label)
+    return button
+  }
+
+  _t(key) {
+    const messages = {
+      article: { nl: 'Artikel bewaren', fr: "Enregistrer l'article", de: 'Artikel merken', en: 'Bookmark article' },
+      paragraph: { nl: '§ %{number} bewaren', fr: 'Enregistrer le § %{number}', de: '§ %{number} merken', en: 'Bookmark § %{number}' }
+    }
+    const message = messages[key]
+    return message[getLocale()] || message.nl
+  }
+}
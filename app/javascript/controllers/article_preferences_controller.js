@@ -16,7 +16,54 @@ export default class extends Controller {
   connect() {
     // Load preferences from localStorage on page load
     this.loadPreferences()
+    this.applyBodyClasses()
     
+    // Sync button states with localStorage
+    this.syncColorsButton()
+    this.syncHighlightButton()
+    this.syncReferencesButton()
+    
+    // Apply preferences to the turbo frame if needed
+    setTimeout(() => this.applyPreferencesToFrame(), 100)
+    
+    // Listen for turbo frame events to show/hide spinner
+    document.addEventListener('turbo:frame-load', this.handleFrameLoad.bind(this))
+    document.addEventListener('turbo:before-fetch-request', this.handleBeforeFetch.bind(this))
+
+    // Follow toggles made in other open tabs (or applied by a preset/import)
+    this._unsubscribePrefs = prefs.subscribe('article_preferences', (_value, { remote }) => {
+      if (remote) this.handleRemoteChange()
+    })
+    this._unsubscribeFontSize = prefs.subscribe('font_size', (_value, { remote }) => {
+      if (remote) this.applyBodyClasses()
+    })
+  }
+
+  disconnect() {
+    document.removeEventListener('turbo:frame-load', this.handleFrameLoad.bind(this))
+    document.removeEventListener('turbo:before-fetch-request', this.handleBeforeFetch.bind(this))
+    this._unsubscribePrefs?.()
+    this._unsubscribeFontSize?.()
+  }
+
+  // Re-read preferences changed in another tab and update the page in place.
+  // Exdecs are rendered server-side, so a change there reloads the articles frame.
+  handleRemoteChange() {
+    const previousExdecs = this.showExdecsValue
+
+    this.loadPreferences()
+    this.applyBodyClasses()
+    this.syncReferencesButton()
+    this.syncColorsButton()
+    this.syncHighlightButton()
+
+    if (this.showExdecsValue !== previousExdecs) {
+      this.showSpinner()
+      this.navigateWithPreferences()
+    }
+  }
+
+  applyBodyClasses() {
     // Apply color preference immediately via CSS class (no reload needed)
     if (!this.showColorsValue) {
       document.body.classList.add('ww-hide-ref-colors')
@@ -39,23 +86,11 @@ export default class extends Controller {
     } else {
       document.body.classList.remove('ww-hide-highlight')
     }
-    
-    // Sync button states with localStorage
-    this.syncColorsButton()
-    this.syncHighlightButton()
-    this.syncReferencesButton()
-    
-    // Apply preferences to the turbo frame if needed
-    setTimeout(() => this.applyPreferencesToFrame(), 100)
-    
-    // Listen for turbo frame events to show/hide spinner
-    document.addEventListener('turbo:frame-load', this.handleFrameLoad.bind(this))
-    document.addEventListener('turbo:before-fetch-request', this.handleBeforeFetch.bind(this))
-  }
 
-  disconnect() {
-    document.removeEventListener('turbo:frame-load', this.handleFrameLoad.bind(this))
-    document.removeEventListener('turbo:before-fetch-request', this.handleBeforeFetch.bind(this))
+    // Article text size (e.g. large in the "Reading" preset)
+    const fontSize = prefs.get('font_size')
+    document.body.classList.toggle('ww-text-large', fontSize === 'large')
+    document.body.classList.toggle('ww-text-small', fontSize === 'small')
   }
 
   loadPreferences() {
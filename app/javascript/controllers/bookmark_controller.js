@@ -1,7 +1,8 @@
 /**
  * Bookmark Controller
  * 
- * Manages server-side bookmarks for laws. Requires user login.
+ * Manages server-side bookmarks for laws, case law and parliamentary
+ * documents. Requires user login.
  * Bookmarks are stored in the user's profile via /api/bookmarks.
  * No localStorage or sessionStorage is used.
  * 
@@ -16,6 +17,15 @@
  *         data-action="click->bookmark#toggle">
  *   <span data-bookmark-target="icon">☆</span>
  * </button>
+ *
+ * With an anchor (and paragraph) value the button bookmarks one article
+ * (or one § of it) instead of the whole law; see article_bookmark_controller.
+ *
+ * For other documents set the type value ('case', 'parliamentary' or
+ * 'flemish_parliament') and put the ECLI or document id in the numac value:
+ * <button data-controller="bookmark"
+ *         data-bookmark-type-value="case"
+ *         data-bookmark-numac-value="ECLI:BE:CASS:2015:ARR.20150619.1" …>
  */
 import { Controller } from "@hotwired/stimulus"
 import { showToast } from '../utils/toast'
@@ -26,7 +36,12 @@ export default class extends Controller {
   static targets = ["icon", "count", "list", "emptyMessage", "exportBtn", "importInput"]
   static values = {
     numac: String,
-    title: String
+    title: String,
+    type: { type: String, default: 'law' },
+    anchor: String,
+    paragraph: String,
+    article: String,
+    excerpt: String
   }
 
   connect() {
@@ -49,6 +64,14 @@ export default class extends Controller {
     document.removeEventListener('bookmark:updated', this._onBookmarkUpdate)
   }
 
+  anchorValueChanged(value, previous) {
+    if (previous !== undefined && prefs.isLoggedIn()) this.checkBookmarkState()
+  }
+
+  paragraphValueChanged(value, previous) {
+    if (previous !== undefined && prefs.isLoggedIn()) this.checkBookmarkState()
+  }
+
   async toggle(event) {
     event?.preventDefault?.()
     event?.stopPropagation?.()
@@ -66,7 +89,7 @@ export default class extends Controller {
       
       if (this._bookmarked) {
         // Remove bookmark via API
-        const response = await fetch(`/api/bookmarks/${encodeURIComponent(numac)}`, {
+        const response = await fetch(`/api/bookmarks/${encodeURIComponent(numac)}?${this.targetParams}`, {
           method: 'DELETE',
           credentials: 'same-origin',
           headers: {
@@ -89,9 +112,14 @@ export default class extends Controller {
             ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
           },
           body: JSON.stringify({
+            type: this.typeValue,
             numac: numac,
             title: this.titleValue || '',
-            url: window.location.href
+            url: window.location.href,
+            anchor: this.anchorValue,
+            paragraph: this.anchorValue ? this.paragraphValue : '',
+            article: this.articleValue,
+            excerpt: this.excerptValue
           })
         })
         if (response.ok) {
@@ -112,7 +140,7 @@ export default class extends Controller {
     if (!this.numacValue) return
     
     try {
-      const response = await fetch(`/api/bookmarks/check?numac=${encodeURIComponent(this.numacValue)}`, {
+      const response = await fetch(`/api/bookmarks/check?numac=${encodeURIComponent(this.numacValue)}&${this.targetParams}`, {
         credentials: 'same-origin',
         headers: { 'Accept': 'application/json' }
       })
@@ -165,6 +193,16 @@ export default class extends Controller {
     return div.innerHTML
   }
 
+  // type/anchor/paragraph query for check and delete (anchor empty for a
+  // law-level bookmark and for other document types)
+  get targetParams() {
+    return new URLSearchParams({
+      type: this.typeValue,
+      anchor: this.anchorValue,
+      paragraph: this.anchorValue ? this.paragraphValue : ''
+    }).toString()
+  }
+
   get isDutch() {
     return isDutch()
   }
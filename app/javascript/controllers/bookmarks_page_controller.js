@@ -1,37 +1,133 @@
 import { Controller } from "@hotwired/stimulus"
 import { showToast } from '../utils/toast'
 import { getLocale } from '../utils/locale'
+import { paragraphHash } from '../utils/article_paragraphs'
+import { iconFor } from '../utils/source_icons'
+import { exportCitations } from '../utils/bookmark_export'
+import { parseImportFile } from '../utils/bookmark_import'
 
 /**
  * Bookmarks Page Controller
  *
- * Full-featured bookmark management with folders, sorting, delete confirmation,
- * and richer bookmark cards. All data stored server-side via /api/bookmarks.
- * No localStorage or sessionStorage used.
+ * Full-featured bookmark management with nested folders, tags, notes,
+ * search, sorting (including a manual order), delete confirmation and richer
+ * bookmark cards. All data stored server-side via /api/bookmarks and
+ * /api/bookmark_folders. No localStorage or sessionStorage used.
  *
  * Data schema per bookmark:
- *   { numac, title, addedAt, folder }
+ *   { id, type, numac, anchor, paragraph, article, excerpt, title, addedAt, folderId, position, note, tags, changes, lastChanged }
+ * and per folder:
+ *   { id, name, parent_id }
+ *
+ * Bookmarks and folders can be reorganised by drag-and-drop. Everything a
+ * drag does is also available from the keyboard: the "Move" menu and the
+ * up/down buttons on a bookmark, and the actions menu on a folder.
+ *
+ * A bookmark points at a whole law, or at one article (anchor) or paragraph
+ * of it; a law can therefore have several bookmarks, told apart by id. Case
+ * law and parliamentary documents can be bookmarked too: type says which
+ * (see TYPES), and numac then holds the ECLI or the document id.
+ *
+ * Laws amended since they were bookmarked or last opened carry changes
+ * ({ since, articles, amended_by }, see BookmarkChangeService) and get a
+ * "changed" badge; opening the law or "Mark as seen" clears it.
+ *
+ * Notes and tags are saved one bookmark at a time via PATCH
+ * /api/bookmarks/:numac?bookmark_id=…. Search and tag filtering happen
+ * client-side on the loaded list.
+ *
+ * Bookmarks can be selected (shift-click for a range, or all shown) and
+ * then moved, tagged, deleted or exported together. Batch actions, and
+ * deleting in general, go through POST /api/bookmarks/bulk in one request;
+ * a delete can be undone from the toast.
+ *
+ * Folders can be shared with other accounts by email, with a view or edit
+ * role. Sharing sends an invitation, listed under "Shared with me" for the
+ * invited account until it accepts or declines; the owner gets the same
+ * answer whether or not the address has an account. Accepted folders are
+ * listed there too (flagged shared, with role and owner); bookmarks other members added
+ * carry addedBy, and editable says whether the user may change them. While
+ * a shared folder is involved the page polls /api/bookmarks/shared_version
+ * and reloads when it changes, dispatching `bookmark:updated` so bookmark
+ * buttons elsewhere on the page refresh too.
+ *
+ * Smart folders are saved rules instead of folders with members: tags,
+ * types, "changed in the last N days" (from lastChanged, see
+ * BookmarkChangeService.last_changed_for) and search words. They are
+ * evaluated here against the loaded bookmarks on every render, so they
+ * follow new bookmarks, edits and law changes without being stored per
+ * bookmark. Search words also match laws by their text: which bookmarked
+ * laws do comes from /api/bookmark_smart_folders/:id/matches, fetched again
+ * with every reload. Selecting one sets currentFolder to 'smart:<id>'.
+ *
+ * Import takes the JSON export, CSV and browser bookmark HTML (see
+ * utils/bookmark_import) and shows what was recognised before posting it to
+ * /api/bookmarks/import.
  */
 
+// How often shared folders are checked for changes by other members
+const SHARED_POLL_INTERVAL = 30000
+
+// Rows listed in the import preview (all recognised rows are imported)
+const IMPORT_PREVIEW_LIMIT = 200
+
+// Bookmark types in filter order, with the global search icon for each
+const TYPES = {
+  law: 'law',
+  article: 'article',
+  case: 'case',
+  parliamentary: 'doc',
+  flemish_parliament: 'doc'
+}
+
+// ArticleModification change types with a translation (others are shown as is)
+const CHANGE_TYPES = ['modified', 'abolished', 'created', 'replaced']
+
 export default class extends Controller {
   static targets = [
     "list", "empty", "count", "sortLabel",
     "sidebar", "folderList", "createFolderForm", "newFolderInput",
+    "typeSection", "typeList", "tagSection", "tagList", "searchInput", "noResults",
+    "folderDialog", "folderDialogTitle", "folderDialogName", "folderDialogSelect",
     "deleteDialog", "deleteTitle", "deleteMessage",
-    "clearAllBtn", "exportBtn"
+    "clearAllBtn", "exportBtn", "digestSelect",
+    "selectAll", "selectionBar", "selectionCount", "bulkFolderMenu", "bulkTagInput",
+    "shareDialog", "shareTitle", "shareMembers", "shareEmail", "shareRole",
+    "smartDialog", "smartDialogTitle", "smartName", "smartTags", "smartTypes", "smartChangedWithin", "smartQuery",
+    "importDialog", "importSummary", "importRows", "importUnmatched", "importUnmatchedList", "importConfirm"
   ]
 
   connect() {
     this.currentSort = 'newest'
-    this.currentFolder = null       // null = all, '' = unfiled, 'name' = specific folder
-    this.pendingDeleteNumac = null
+    this.currentFolder = null       // null = all, '' = unfiled, id = folder (and its subfolders), 'smart:<id>' = smart folder
+    this.currentTag = null          // null = any tag
+    this.currentType = null         // null = any type
+    this.searchQuery = ''
+    this.pendingDeleteId = null
+    this._selected = new Set()      // ids of the selected bookmarks (always among those shown)
+    this._lastSelectedId = null     // anchor for shift-click ranges
+    this._dragging = null           // { type: 'bookmark', id } | { type: 'folder', id }
+    this._shownBookmarks = []       // the list as rendered, for reordering
+    this._folderDialog = null       // { mode: 'rename' | 'move' | 'merge', id }
     this._bookmarksCache = []
     this._foldersCache = []
+    this._sharedVersion = null      // see /api/bookmarks/shared_version; null = nothing shared
+    this._sharedPoll = null
+    this._shareFolderId = null      // folder open in the share dialog
+    this._invitations = []          // { id, role, folder: { name }, owner: { name, email } }
+    this._smartFoldersCache = []    // { id, name, rule }
+    this._smartMatches = {}         // smart folder id → Set of NUMACs whose law text matches its query
+    this._smartFolderId = null      // smart folder open in the dialog; null = new
+    this._pendingImport = null      // recognised rows of the file in the import preview
     
     // Load bookmarks from server
     this.fetchBookmarksFromServer()
   }
 
+  disconnect() {
+    this._stopSharedPolling()
+  }
+
   async fetchBookmarksFromServer() {
     try {
       const response = await fetch('/api/bookmarks', {
@@ -41,19 +137,279 @@ export default class extends Controller {
       if (response.ok) {
         const data = await response.json()
         this._bookmarksCache = (data.bookmarks || []).map(b => ({
+          id: b.id,
+          type: b.type || 'law',
           numac: b.numac,
+          anchor: b.anchor || '',
+          paragraph: b.paragraph || '',
+          article: b.article || '',
+          excerpt: b.excerpt || '',
           title: b.title || b.numac,
-          addedAt: b.created_at || b.addedAt,
-          folder: b.folder,
-          url: b.url
+          addedAt: b.bookmarked_at || b.created_at,
+          folderId: b.folder_id ?? null,
+          position: b.position ?? null,
+          url: b.url,
+          note: b.note || '',
+          tags: b.tags || [],
+          changes: b.changes || null,
+          lastChanged: b.last_changed || null,
+          published: b.published || null,
+          abbreviation: b.abbreviation || null,
+          addedBy: b.added_by || null,
+          editable: b.editable !== false
         }))
-        this._foldersCache = data.folders || []
+        this._foldersCache = [...(data.folders || []), ...(data.shared_folders || []).map(f => ({ ...f, shared: true }))]
+        this._invitations = data.invitations || []
+        this._smartFoldersCache = data.smart_folders || []
+        if (this._isSmartValue(this.currentFolder) && !this._smartFolderFor(this.currentFolder)) this.currentFolder = null
+        this._loadSmartMatches()
+        this._sharedVersion = data.shared_version || null
+        this._syncSharedPolling()
+        if (data.digest && this.hasDigestSelectTarget) this.digestSelectTarget.value = data.digest
       }
     } catch (e) {
       console.warn('Failed to load bookmarks:', e)
     }
     this.loadBookmarks()
     this.renderFolders()
+    this.renderTypes()
+    this.renderTags()
+  }
+
+  // ─── SEARCH ───────────────────────────────────────────────────────────
+
+  search() {
+    this.searchQuery = this.searchInputTarget.value
+    this.loadBookmarks()
+  }
+
+  clearSearch() {
+    if (this.hasSearchInputTarget) this.searchInputTarget.value = ''
+    this.searchQuery = ''
+    this.loadBookmarks()
+  }
+
+  // Every word of the query must occur in the title, NUMAC, article, excerpt, note or a tag;
+  // case and accents are ignored ("geneeskunde" finds "Geneeskunde", "ecole" finds "école")
+  searchBookmarks(bookmarks) {
+    const terms = this._searchTerms(this.searchQuery)
+    if (terms.length === 0) return bookmarks
+
+    return bookmarks.filter(b => this._matchesTerms(b, terms))
+  }
+
+  _searchTerms(query) {
+    return this._normalize(query).split(/\s+/).filter(Boolean)
+  }
+
+  _matchesTerms(bookmark, terms) {
+    const haystack = this._normalize([bookmark.title, bookmark.numac, bookmark.article, bookmark.excerpt, bookmark.note, ...(bookmark.tags || [])].join(' '))
+    return terms.every(term => haystack.includes(term))
+  }
+
+  _normalize(str) {
+    return (str || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase()
+  }
+
+  // ─── TYPES ────────────────────────────────────────────────────────────
+
+  renderTypes() {
+    if (!this.hasTypeListTarget) return
+    const counts = new Map()
+    this.getBookmarks().forEach(b => counts.set(b.type, (counts.get(b.type) || 0) + 1))
+    const types = Object.keys(TYPES).filter(type => counts.has(type))
+
+    // A type filter that no longer matches anything is dropped
+    if (this.currentType && !counts.has(this.currentType)) {
+      this.currentType = null
+      this.loadBookmarks()
+    }
+
+    if (this.hasTypeSectionTarget) this.typeSectionTarget.classList.toggle('hidden', types.length < 2)
+
+    this.typeListTarget.innerHTML = types.map(type => {
+      const active = this.currentType === type
+      const cls = active
+        ? 'bg-(--accent-600-solid) text-white'
+        : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+      return `<button type="button" data-type-name="${type}" aria-pressed="${active}" class="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${cls} transition-colors">
+        ${iconFor(TYPES[type]).replace('w-4 h-4', 'w-3.5 h-3.5')}
+        <span>${this._escapeHtml(this._t(`type_${type}`))}</span>
+        <span class="${active ? 'text-white/80' : 'text-gray-400'}">${counts.get(type)}</span>
+      </button>`
+    }).join('')
+
+    this.typeListTarget.querySelectorAll('[data-type-name]').forEach(btn => {
+      btn.addEventListener('click', () => this.filterByType(btn.dataset.typeName))
+    })
+  }
+
+  filterByType(type) {
+    this.currentType = this.currentType === type ? null : type
+    this.loadBookmarks()
+    this.renderTypes()
+  }
+
+  // ─── CHANGES ──────────────────────────────────────────────────────────
+
+  // Clear the "changed" badge without opening the law
+  async markSeen(bookmark) {
+    try {
+      await this._request('PATCH', this._bookmarkUrl(bookmark), { seen: true })
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+    this._bookmarksCache = this.getBookmarks().map(b => (b.id === bookmark.id ? { ...b, changes: null } : b))
+    this.loadBookmarks()
+  }
+
+  async setDigest(event) {
+    const select = event.currentTarget
+    try {
+      await this._request('PATCH', '/api/bookmarks/digest', { frequency: select.value })
+      showToast(this._t(select.value === 'off' ? 'digestOff' : 'digestOn'))
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+    }
+  }
+
+  _renderChanges(item, bookmark, locale) {
+    const badge = item.querySelector('.bookmark-changed')
+    const panel = item.querySelector('.bookmark-changes')
+    const changes = bookmark.changes
+    if (!changes || !badge || !panel) return
+
+    const count = changes.articles.length
+    badge.textContent = count > 0 ? this._t('changedArticles').replace('%{count}', count) : this._t('changed')
+    badge.title = this._t('changedSince').replace('%{date}', this._formatDate(changes.since, locale))
+    badge.classList.remove('hidden')
+    badge.addEventListener('click', () => {
+      const open = panel.classList.toggle('hidden') === false
+      badge.setAttribute('aria-expanded', String(open))
+    })
+
+    const language = locale === 'fr' || locale === 'de' ? 2 : 1
+    const list = panel.querySelector('.bookmark-changes-list')
+    const lines = changes.articles.map(m => {
+      const article = /^\d/.test(m.article) ? `Art. ${m.article}` : m.article
+      const change = CHANGE_TYPES.includes(m.change) ? this._t(`change_${m.change}`) : m.change
+      return `<li><span class="font-medium">${this._escapeHtml(article)}</span> ${this._escapeHtml(change)} · ${this._escapeHtml(this._formatDate(m.date, locale))}</li>`
+    })
+    changes.amended_by.slice(0, 3).forEach(law => {
+      lines.push(`<li>${this._escapeHtml(this._t('amendedBy'))} <a href="/laws/${encodeURIComponent(law.numac)}?language_id=${language}" class="underline hover:text-(--accent-600)">${this._escapeHtml(law.title)}</a> · ${this._escapeHtml(this._formatDate(law.date, locale))}</li>`)
+    })
+    list.innerHTML = lines.join('')
+
+    const seenBtn = panel.querySelector('.bookmark-seen')
+    seenBtn.textContent = this._t('markSeen')
+    seenBtn.addEventListener('click', () => this.markSeen(bookmark))
+  }
+
+  _formatDate(value, locale) {
+    if (!value) return ''
+    return new Date(value).toLocaleDateString(locale === 'nl' ? 'nl-BE' : locale === 'de' ? 'de-DE' : 'fr-BE', {
+      day: 'numeric', month: 'short', year: 'numeric'
+    })
+  }
+
+  // ─── TAGS ─────────────────────────────────────────────────────────────
+
+  getTags() {
+    const counts = new Map()
+    this.getBookmarks().forEach(b => {
+      (b.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1))
+    })
+    return [...counts.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  renderTags() {
+    if (!this.hasTagListTarget) return
+    const tags = this.getTags()
+
+    // A tag filter that no longer matches anything is dropped
+    if (this.currentTag && !tags.some(t => t.name === this.currentTag)) {
+      this.currentTag = null
+      this.loadBookmarks()
+    }
+
+    if (this.hasTagSectionTarget) this.tagSectionTarget.classList.toggle('hidden', tags.length === 0)
+
+    // Built with DOM APIs: tag names come from other members in shared folders
+    this.tagListTarget.replaceChildren(...tags.map(({ name, count }) => {
+      const active = this.currentTag === name
+      const btn = document.createElement('button')
+      btn.type = 'button'
+      btn.dataset.tagName = name
+      btn.setAttribute('aria-pressed', String(active))
+      btn.className = `inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${active
+        ? 'bg-(--accent-600-solid) text-white'
+        : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'} transition-colors`
+
+      const label = document.createElement('span')
+      label.className = 'truncate max-w-32'
+      label.textContent = name
+      const counter = document.createElement('span')
+      counter.className = active ? 'text-white/80' : 'text-gray-400'
+      counter.textContent = count
+      btn.append(label, counter)
+
+      btn.addEventListener('click', () => this.filterByTag(name))
+      return btn
+    }))
+  }
+
+  filterByTag(tag) {
+    this.currentTag = this.currentTag === tag ? null : tag
+    this.loadBookmarks()
+    this.renderTags()
+  }
+
+  // "Huurrecht, cliënt X, huurrecht" → ['Huurrecht', 'cliënt X']
+  parseTags(input) {
+    const seen = new Set()
+    return (input || '').split(',')
+      .map(tag => tag.trim().slice(0, 50))
+      .filter(tag => {
+        const key = tag.toLowerCase()
+        if (!tag || seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+      .slice(0, 20)
+  }
+
+  // ─── NOTES & TAGS EDITING ─────────────────────────────────────────────
+
+  async saveDetails(bookmark, { note, tags }) {
+    try {
+      const data = await this._request('PATCH', this._bookmarkUrl(bookmark), { note, tags })
+      this._bookmarksCache = this.getBookmarks().map(b => {
+        if (b.id !== bookmark.id) return b
+        return { ...b, note: data.bookmark?.note || '', tags: data.bookmark?.tags || [] }
+      })
+      this.loadBookmarks()
+      this.renderFolders()
+      this.renderTags()
+      showToast(this._t('saved'))
+      return true
+    } catch (e) {
+      console.warn('Failed to save bookmark note:', e)
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return false
+    }
+  }
+
+  _openEditor(item, bookmark) {
+    const editor = item.querySelector('.bookmark-editor')
+    if (!editor) return
+    editor.querySelector('.bookmark-note-input').value = bookmark.note || ''
+    editor.querySelector('.bookmark-tags-input').value = (bookmark.tags || []).join(', ')
+    editor.classList.remove('hidden')
+    item.draggable = false // let the fields select text instead of dragging the card
+    editor.querySelector('.bookmark-note-input').focus()
   }
 
   // ─── SORTING ──────────────────────────────────────────────────────────
@@ -80,11 +436,70 @@ export default class extends Controller {
         return sorted.sort((a, b) => (a.title || '').localeCompare(b.title || ''))
       case 'alpha_desc':
         return sorted.sort((a, b) => (b.title || '').localeCompare(a.title || ''))
+      case 'manual':
+        return this._manualSort(sorted)
       default:
         return sorted
     }
   }
 
+  // Ordered bookmarks first, by position; never-ordered ones after them, newest first
+  _manualSort(bookmarks) {
+    return [...bookmarks].sort((a, b) => {
+      if (a.position !== null && b.position !== null) return a.position - b.position
+      if (a.position !== null) return -1
+      if (b.position !== null) return 1
+      return new Date(b.addedAt || 0) - new Date(a.addedAt || 0)
+    })
+  }
+
+  // ─── MANUAL ORDER ─────────────────────────────────────────────────────
+
+  // Move a bookmark within the list as currently shown and switch to the
+  // manual sort. Only the shown bookmarks trade places; bookmarks hidden by
+  // the folder, tag or search filter keep their spot in the overall order.
+  async moveInOrder(id, toIndex) {
+    const shown = this._shownBookmarks.map(b => b.id)
+    const from = shown.indexOf(id)
+    if (from === -1 || toIndex < 0 || toIndex >= shown.length || toIndex === from) return false
+
+    shown.splice(from, 1)
+    shown.splice(toIndex, 0, id)
+
+    const slots = new Set(shown)
+    const queue = [...shown]
+    const order = this._manualSort(this.getBookmarks()).map(b => (slots.has(b.id) ? queue.shift() : b.id))
+    const positions = new Map(order.map((n, i) => [n, i]))
+    this._bookmarksCache = this.getBookmarks().map(b => ({ ...b, position: positions.get(b.id) }))
+
+    this._setSort('manual')
+    this.loadBookmarks()
+
+    try {
+      await this._request('PATCH', '/api/bookmarks/reorder', { ids: order })
+    } catch (e) {
+      console.warn('Failed to save bookmark order:', e)
+      showToast(this._t('saveFailed'), { type: 'error' })
+    }
+    return true
+  }
+
+  // Keyboard alternative to dragging: up/down buttons and Alt+↑/↓ on a card
+  async stepInOrder(id, delta, focusSelector) {
+    const index = this._shownBookmarks.findIndex(b => b.id === id)
+    if (!(await this.moveInOrder(id, index + delta))) return
+
+    const item = this.listTarget.querySelector(`[data-bookmark-id="${id}"]`)
+    const focusEl = (focusSelector && item?.querySelector(focusSelector)) || item
+    focusEl?.focus()
+  }
+
+  _setSort(sort) {
+    this.currentSort = sort
+    const option = this.element.querySelector(`[data-sort="${sort}"]`)
+    if (option && this.hasSortLabelTarget) this.sortLabelTarget.textContent = option.textContent.trim()
+  }
+
   // ─── FOLDERS ──────────────────────────────────────────────────────────
 
   getFolders() {
@@ -92,86 +507,208 @@ export default class extends Controller {
     return this._foldersCache || []
   }
 
-  saveFolders(folders) {
-    this._foldersCache = folders
-    // Sync to server
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
-    fetch('/api/bookmarks', {
-      method: 'POST',
-      credentials: 'same-origin',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
-      },
-      body: JSON.stringify({ action: 'save_folders', folders })
-    }).catch(() => {})
+  _folderById(id) {
+    return this.getFolders().find(f => f.id === id)
+  }
+
+  _childFolders(parentId) {
+    return this.getFolders()
+      .filter(f => (f.parent_id ?? null) === parentId)
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  // The folder and every folder below it
+  _subtreeIds(id, ids = new Set()) {
+    ids.add(id)
+    this._childFolders(id).forEach(f => this._subtreeIds(f.id, ids))
+    return ids
+  }
+
+  // "Client › Dossier › Topic"
+  _folderPath(id, separator = ' › ') {
+    const names = []
+    let folder = this._folderById(id)
+    while (folder && names.length < 10) {
+      names.unshift(folder.name)
+      folder = this._folderById(folder.parent_id ?? null)
+    }
+    return names.join(separator)
+  }
+
+  // Folders depth-first, for menus and selects: the user's own, or
+  // (shared = true) the ones shared with them
+  _folderTree(parentId = null, depth = 0, result = [], shared = false) {
+    this._childFolders(parentId)
+      .filter(folder => parentId !== null || !!folder.shared === shared)
+      .forEach(folder => {
+        result.push({ folder, depth })
+        this._folderTree(folder.id, depth + 1, result, shared)
+      })
+    return result
+  }
+
+  // Where bookmarks can be moved: own folders, then shared folders with the edit role
+  _moveTargets() {
+    return [...this._folderTree(), ...this._folderTree(null, 0, [], true).filter(({ folder }) => folder.role === 'edit')]
+  }
+
+  // A shared folder's top level shows whose it is
+  _folderLabel(folder) {
+    return folder.shared && folder.membership_id ? `${folder.name} (${folder.owner?.name || folder.owner?.email})` : folder.name
   }
 
   renderFolders() {
     if (!this.hasFolderListTarget) return
-    const folders = this.getFolders()
     const bookmarks = this.getBookmarks()
-    const locale = getLocale()
-
-    const allLabel = locale === 'fr' ? 'Tous' : locale === 'de' ? 'Alle' : 'Alle'
-    const unfiledLabel = locale === 'fr' ? 'Non classé' : locale === 'de' ? 'Unsortiert' : 'Ongesorteerd'
-    const allCount = bookmarks.length
-    const unfiledCount = bookmarks.filter(b => !b.folder).length
 
     let html = ''
+    html += this._folderItem(this._t('allFolders'), bookmarks.length, null)
+    html += this._folderItem(this._t('unfiled'), bookmarks.filter(b => !b.folderId).length, '')
+    this._folderTree().forEach(({ folder, depth }) => {
+      const ids = this._subtreeIds(folder.id)
+      const count = bookmarks.filter(b => ids.has(b.folderId)).length
+      html += this._folderItem(folder.name, count, folder.id, depth, folder)
+    })
 
-    // "All" folder
-    html += this._folderItem(allLabel, allCount, null)
-    // "Unfiled" folder
-    html += this._folderItem(unfiledLabel, unfiledCount, '')
+    const shared = this._folderTree(null, 0, [], true)
+    if (shared.length > 0 || this._invitations.length > 0) {
+      html += `<li class="pt-3 pb-1 px-2 text-xs font-semibold text-gray-500 dark:text-gray-400">${this._escapeHtml(this._t('sharedWithMe'))}</li>`
+      this._invitations.forEach(invitation => { html += this._invitationItem(invitation) })
+      shared.forEach(({ folder, depth }) => {
+        const ids = this._subtreeIds(folder.id)
+        const count = bookmarks.filter(b => ids.has(b.folderId)).length
+        html += this._folderItem(this._folderLabel(folder), count, folder.id, depth, folder)
+      })
+    }
 
-    // User folders
-    folders.forEach(f => {
-      const count = bookmarks.filter(b => b.folder === f.name).length
-      html += this._folderItem(f.name, count, f.name, true)
+    html += `<li class="flex items-center justify-between pt-3 pb-1 px-2 text-xs font-semibold text-gray-500 dark:text-gray-400">
+      <span>${this._escapeHtml(this._t('smartFolders'))}</span>
+      <button type="button" data-smart-action="new" class="p-0.5 text-gray-400 hover:text-(--accent-500) transition-colors" title="${this._escapeHtml(this._t('smartNew'))}" aria-label="${this._escapeHtml(this._t('smartNew'))}">
+        <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 4v16m8-8H4"/></svg>
+      </button>
+    </li>`
+    this._smartFoldersCache.forEach(smartFolder => {
+      const count = bookmarks.filter(b => this._matchesRule(b, smartFolder)).length
+      html += this._smartFolderItem(smartFolder, count)
     })
 
     this.folderListTarget.innerHTML = html
 
-    // Attach click handlers
-    this.folderListTarget.querySelectorAll('[data-folder-name]').forEach(el => {
+    this.folderListTarget.querySelectorAll('[data-folder-value]').forEach(el => {
+      const value = this._parseFolderValue(el.dataset.folderValue)
+
       el.addEventListener('click', (e) => {
         e.preventDefault()
-        const val = el.dataset.folderName
-        this.currentFolder = val === '__all__' ? null : val
+        this.currentFolder = value
         this.loadBookmarks()
         this.renderFolders()
       })
+
+      // Drop target for bookmarks and folders
+      el.addEventListener('dragover', (e) => {
+        if (!this._canDropOnFolder(value)) return
+        e.preventDefault()
+        e.dataTransfer.dropEffect = 'move'
+        el.classList.add('ring-2', 'ring-(--accent-500)')
+      })
+      el.addEventListener('dragleave', () => el.classList.remove('ring-2', 'ring-(--accent-500)'))
+      el.addEventListener('drop', (e) => {
+        e.preventDefault()
+        el.classList.remove('ring-2', 'ring-(--accent-500)')
+        this._dropOnFolder(value)
+      })
+
+      // Own folders can be dragged themselves
+      if (typeof value === 'number' && !this._folderById(value)?.shared) {
+        el.addEventListener('dragstart', (e) => {
+          this._dragging = { type: 'folder', id: value }
+          e.dataTransfer.effectAllowed = 'move'
+          e.dataTransfer.setData('text/plain', this._folderPath(value))
+        })
+        el.addEventListener('dragend', () => { this._dragging = null })
+      }
+    })
+
+    this.folderListTarget.querySelectorAll('[data-folder-action]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation()
+        btn.closest('[data-dropdown-target="menu"]')?.classList.add('hidden')
+        const id = Number(btn.dataset.folderId)
+        if (btn.dataset.folderAction === 'delete') {
+          this.deleteFolder(id)
+        } else if (btn.dataset.folderAction === 'share') {
+          this.openShareDialog(id)
+        } else if (btn.dataset.folderAction === 'leave') {
+          this.leaveFolder(id)
+        } else {
+          this.openFolderDialog(btn.dataset.folderAction, id)
+        }
+      })
+    })
+
+    this.folderListTarget.querySelectorAll('[data-invitation-action]').forEach(btn => {
+      btn.addEventListener('click', () => this.answerInvitation(Number(btn.dataset.invitationId), btn.dataset.invitationAction === 'accept'))
     })
 
-    // Attach delete handlers for user folders
-    this.folderListTarget.querySelectorAll('[data-delete-folder]').forEach(btn => {
+    this.folderListTarget.querySelectorAll('[data-smart-action]').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation()
-        this.deleteFolder(btn.dataset.deleteFolder)
+        btn.closest('[data-dropdown-target="menu"]')?.classList.add('hidden')
+        const id = btn.dataset.smartId ? Number(btn.dataset.smartId) : null
+        if (btn.dataset.smartAction === 'delete') {
+          this.deleteSmartFolder(id)
+        } else {
+          this.openSmartDialog(id)
+        }
       })
     })
   }
 
-  _folderItem(label, count, folderValue, deletable = false) {
+  // data-folder-value: '__all__' → null, '' → unfiled, 'smart:<id>' as is, otherwise a folder id
+  _parseFolderValue(raw) {
+    if (raw === '__all__') return null
+    if (raw === '') return ''
+    if (this._isSmartValue(raw)) return raw
+    return Number(raw)
+  }
+
+  // folder: the folder object for user folders (own or shared), else null
+  _folderItem(label, count, folderValue, depth = null, folder = null) {
     const isActive = this.currentFolder === folderValue
-    const dataVal = folderValue === null ? '__all__' : folderValue
+    const isUserFolder = depth !== null
+    // Own folders get every action; a shared folder only "leave", at its top
+    const folderActions = !folder?.shared
+      ? ['rename', 'move', 'merge', 'share', 'delete']
+      : folder.membership_id ? ['leave'] : []
+    const dataVal = folderValue === null ? '__all__' : String(folderValue)
     const activeClass = isActive
       ? 'bg-(--accent-50) dark:bg-(--accent-900)/20 text-(--accent-700) dark:text-(--accent-400) font-medium'
       : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-800'
-
-    return `<li>
-      <a href="#" data-folder-name="${this._escapeHtml(dataVal)}" class="flex items-center justify-between px-2 py-1.5 rounded-md text-sm ${activeClass} transition-colors group/folder">
+    const indent = isUserFolder ? `style="padding-left: ${0.5 + depth * 0.875}rem"` : ''
+
+    const actions = isUserFolder && folderActions.length > 0
+      ? `<div class="relative shrink-0" data-controller="dropdown">
+          <button type="button" class="p-0.5 text-gray-400 hover:text-(--accent-500) opacity-0 group-hover/folder:opacity-100 focus:opacity-100 transition-opacity" data-action="click->dropdown#toggle" data-dropdown-target="button" aria-haspopup="true" aria-label="${this._escapeHtml(this._t('folderActions'))}: ${this._escapeHtml(label)}">
+            <svg class="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24"><circle cx="5" cy="12" r="2"/><circle cx="12" cy="12" r="2"/><circle cx="19" cy="12" r="2"/></svg>
+          </button>
+          <div class="hidden absolute right-0 mt-1 w-44 bg-white dark:bg-gray-800 rounded-md shadow-lg ring-1 ring-black/5 z-50" data-dropdown-target="menu">
+            <div class="py-1">
+              ${folderActions.map(action => `<button type="button" data-folder-action="${action}" data-folder-id="${folderValue}" class="block w-full text-left px-3 py-1.5 text-sm ${action === 'delete' || action === 'leave' ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'} hover:bg-gray-100 dark:hover:bg-gray-700">${this._escapeHtml(this._t(`folder_${action}`))}</button>`).join('')}
+            </div>
+          </div>
+        </div>`
+      : ''
+
+    return `<li class="flex items-center gap-1 group/folder">
+      <a href="#" data-folder-value="${this._escapeHtml(dataVal)}" ${isUserFolder && !folder?.shared ? 'draggable="true"' : ''} ${isActive ? 'aria-current="true"' : ''} ${indent} class="flex-1 min-w-0 flex items-center justify-between px-2 py-1.5 rounded-md text-sm ${activeClass} transition-colors">
         <span class="flex items-center gap-1.5 truncate">
           <svg class="w-4 h-4 shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z"/></svg>
           <span class="truncate">${this._escapeHtml(label)}</span>
+          ${folder?.members > 0 || folder?.membership_id ? `<svg class="w-3.5 h-3.5 shrink-0 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" role="img" aria-label="${this._escapeHtml(this._t('sharedFolder'))}"><title>${this._escapeHtml(this._t('sharedFolder'))}</title><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"/></svg>` : ''}
         </span>
-        <span class="flex items-center gap-1">
-          <span class="text-xs text-gray-400">${count}</span>
-          ${deletable ? `<button type="button" data-delete-folder="${this._escapeHtml(folderValue)}" class="hidden group-hover/folder:inline p-0.5 text-gray-400 hover:text-red-500 transition-colors"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg></button>` : ''}
-        </span>
+        <span class="text-xs text-gray-400">${count}</span>
       </a>
+      ${actions}
     </li>`
   }
 
@@ -189,91 +726,596 @@ export default class extends Controller {
     }
   }
 
-  createFolder() {
+  // New folders go inside the selected folder, or at the top level
+  async createFolder() {
     const name = this.newFolderInputTarget.value.trim()
     if (!name) return
 
-    const folders = this.getFolders()
-    if (folders.some(f => f.name === name)) {
-      showToast(getLocale() === 'nl' ? 'Map bestaat al' : 'Le dossier existe déjà')
+    const parentId = typeof this.currentFolder === 'number' && !this._folderById(this.currentFolder)?.shared ? this.currentFolder : null
+    if (this._childFolders(parentId).some(f => !f.shared && f.name.toLowerCase() === name.toLowerCase())) {
+      showToast(this._t('folderExists'), { type: 'error' })
+      return
+    }
+
+    try {
+      await this._request('POST', '/api/bookmark_folders', { name, parent_id: parentId })
+      this.hideCreateFolder()
+      await this.fetchBookmarksFromServer()
+      showToast(this._t('folderCreated').replace('%{name}', name))
+    } catch (e) {
+      showToast(this._t(e.status === 422 ? 'folderInvalid' : 'saveFailed'), { type: 'error' })
+    }
+  }
+
+  // Bookmarks and subfolders move up one level; only the folder itself goes
+  async deleteFolder(id) {
+    const folder = this._folderById(id)
+    if (!folder) return
+    if (!confirm(this._t('folderDeleteConfirm').replace('%{name}', folder.name))) return
+
+    try {
+      await this._request('DELETE', `/api/bookmark_folders/${id}`)
+      if (this.currentFolder === id) this.currentFolder = folder.parent_id ?? null
+      await this.fetchBookmarksFromServer()
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+    }
+  }
+
+  async moveFolder(id, parentId) {
+    const folder = this._folderById(id)
+    if (!folder || (folder.parent_id ?? null) === parentId) return
+    if (parentId !== null && this._subtreeIds(id).has(parentId)) return
+
+    try {
+      await this._request('PATCH', `/api/bookmark_folders/${id}`, { parent_id: parentId })
+      await this.fetchBookmarksFromServer()
+      showToast(this._t('folderMoved').replace('%{name}', folder.name))
+    } catch (e) {
+      showToast(this._t(e.status === 422 ? 'folderInvalid' : 'saveFailed'), { type: 'error' })
+    }
+  }
+
+  async renameFolder(id, name) {
+    try {
+      await this._request('PATCH', `/api/bookmark_folders/${id}`, { name })
+      await this.fetchBookmarksFromServer()
+      return true
+    } catch (e) {
+      showToast(this._t(e.status === 422 ? 'folderExists' : 'saveFailed'), { type: 'error' })
+      return false
+    }
+  }
+
+  async mergeFolder(id, intoId) {
+    const folder = this._folderById(id)
+    const target = this._folderById(intoId)
+    if (!folder || !target) return
+
+    try {
+      await this._request('POST', `/api/bookmark_folders/${id}/merge`, { into_id: intoId })
+      if (this.currentFolder === id) this.currentFolder = intoId
+      await this.fetchBookmarksFromServer()
+      showToast(this._t('folderMerged').replace('%{name}', folder.name).replace('%{target}', target.name))
+    } catch (e) {
+      showToast(this._t(e.status === 422 ? 'folderInvalid' : 'saveFailed'), { type: 'error' })
+    }
+  }
+
+  async moveToFolder(id, folderId) {
+    const bookmark = this.getBookmarks().find(b => b.id === id)
+    if (!bookmark || bookmark.folderId === folderId) return
+
+    try {
+      await this._request('PATCH', this._bookmarkUrl(bookmark), { folder_id: folderId })
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
       return
     }
 
-    folders.push({ name, createdAt: new Date().toISOString() })
-    this.saveFolders(folders)
-    this.hideCreateFolder()
+    this._bookmarksCache = this.getBookmarks().map(b => (b.id === id ? { ...b, folderId } : b))
+    this.loadBookmarks()
     this.renderFolders()
-    showToast(getLocale() === 'nl' ? `Map "${name}" aangemaakt` : `Dossier "${name}" créé`)
+    showToast(folderId
+      ? this._t('movedTo').replace('%{name}', this._folderPath(folderId))
+      : this._t('movedToUnfiled'))
   }
 
-  deleteFolder(name) {
-    const locale = getLocale()
-    const msg = locale === 'nl' ? `Map "${name}" verwijderen? Bladwijzers worden niet verwijderd.` : `Supprimer le dossier "${name}" ? Les signets ne seront pas supprimés.`
-    if (!confirm(msg)) return
+  // ─── FOLDER DIALOG (rename / move / merge) ────────────────────────────
+
+  openFolderDialog(mode, id) {
+    const folder = this._folderById(id)
+    if (!folder || !this.hasFolderDialogTarget) return
+    this._folderDialog = { mode, id }
+
+    this.folderDialogTitleTarget.textContent = `${this._t(`folder_${mode}`)}: ${folder.name}`
+    this.folderDialogNameTarget.classList.toggle('hidden', mode !== 'rename')
+    this.folderDialogSelectTarget.classList.toggle('hidden', mode === 'rename')
+
+    if (mode === 'rename') {
+      this.folderDialogNameTarget.value = folder.name
+    } else {
+      // A folder cannot go into itself or one of its own subfolders
+      const excluded = this._subtreeIds(id)
+      const options = this._folderTree()
+        .filter(({ folder: f }) => !excluded.has(f.id))
+        .filter(({ folder: f }) => mode === 'merge' || f.id !== folder.parent_id)
+        .map(({ folder: f, depth }) => `<option value="${f.id}">${'\u00a0\u00a0'.repeat(depth)}${this._escapeHtml(f.name)}</option>`)
+      if (mode === 'move' && folder.parent_id) {
+        options.unshift(`<option value="">${this._escapeHtml(this._t('topLevel'))}</option>`)
+      }
+      this.folderDialogSelectTarget.innerHTML = options.join('')
+      if (options.length === 0) {
+        showToast(this._t('noTargetFolder'))
+        this._folderDialog = null
+        return
+      }
+    }
 
-    // Remove folder from folder list
-    const folders = this.getFolders().filter(f => f.name !== name)
-    this.saveFolders(folders)
+    this.folderDialogTarget.classList.remove('hidden')
+    const field = mode === 'rename' ? this.folderDialogNameTarget : this.folderDialogSelectTarget
+    field.focus()
+    if (mode === 'rename') field.select()
+  }
 
-    // Move bookmarks in that folder to unfiled
-    const bookmarks = this.getBookmarks().map(b => {
-      if (b.folder === name) return { ...b, folder: undefined }
-      return b
+  async confirmFolderDialog(event) {
+    event?.preventDefault()
+    if (!this._folderDialog) return
+    const { mode, id } = this._folderDialog
+
+    if (mode === 'rename') {
+      const name = this.folderDialogNameTarget.value.trim()
+      if (!name) return
+      if (!(await this.renameFolder(id, name))) return
+    } else {
+      const raw = this.folderDialogSelectTarget.value
+      const targetId = raw === '' ? null : Number(raw)
+      if (mode === 'move') await this.moveFolder(id, targetId)
+      if (mode === 'merge' && targetId !== null) await this.mergeFolder(id, targetId)
+    }
+    this.cancelFolderDialog()
+  }
+
+  cancelFolderDialog() {
+    if (this.hasFolderDialogTarget) this.folderDialogTarget.classList.add('hidden')
+    this._folderDialog = null
+  }
+
+  // ─── DRAG & DROP ──────────────────────────────────────────────────────
+
+  _canDropOnFolder(value) {
+    const drag = this._dragging
+    // What is in a smart folder follows from its rule, not from dropping
+    if (!drag || this._isSmartValue(value)) return false
+    const target = typeof value === 'number' ? this._folderById(value) : null
+    // Bookmarks go into a folder or back to "Unfiled"; "All" is not a place.
+    // Shared folders take them only with the edit role.
+    if (drag.type === 'bookmark') return value !== null && (!target?.shared || target.role === 'edit')
+    // Folders go into another own folder, or to the top level via "All"/"Unfiled"
+    if (typeof value !== 'number') return true
+    if (target?.shared) return false
+    return !this._subtreeIds(drag.id).has(value)
+  }
+
+  _dropOnFolder(value) {
+    const drag = this._dragging
+    this._dragging = null
+    if (!drag) return
+
+    if (drag.type === 'bookmark') {
+      this.moveToFolder(drag.id, value === '' ? null : value)
+    } else {
+      this.moveFolder(drag.id, typeof value === 'number' ? value : null)
+    }
+  }
+
+  _bindBookmarkDrag(itemEl, id) {
+    const clearIndicator = () => itemEl.classList.remove('border-t-2', 'border-b-2', 'border-(--accent-500)')
+
+    itemEl.addEventListener('dragstart', (e) => {
+      this._dragging = { type: 'bookmark', id }
+      e.dataTransfer.effectAllowed = 'move'
+      e.dataTransfer.setData('text/plain', String(id))
+      itemEl.classList.add('opacity-50')
+    })
+    itemEl.addEventListener('dragend', () => {
+      this._dragging = null
+      itemEl.classList.remove('opacity-50')
     })
-    this.saveBookmarks(bookmarks)
 
-    if (this.currentFolder === name) this.currentFolder = null
-    this.renderFolders()
+    // Dropping on another bookmark reorders (above or below it, by pointer position)
+    itemEl.addEventListener('dragover', (e) => {
+      if (this._dragging?.type !== 'bookmark' || this._dragging.id === id) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'move'
+      const below = e.offsetY > itemEl.offsetHeight / 2
+      clearIndicator()
+      itemEl.classList.add(below ? 'border-b-2' : 'border-t-2', 'border-(--accent-500)')
+    })
+    itemEl.addEventListener('dragleave', clearIndicator)
+    itemEl.addEventListener('drop', (e) => {
+      e.preventDefault()
+      clearIndicator()
+      const drag = this._dragging
+      this._dragging = null
+      if (drag?.type !== 'bookmark') return
+
+      const shown = this._shownBookmarks.map(b => b.id)
+      const from = shown.indexOf(drag.id)
+      let to = shown.indexOf(id) + (e.offsetY > itemEl.offsetHeight / 2 ? 1 : 0)
+      if (from < to) to -= 1
+      this.moveInOrder(drag.id, to)
+    })
+  }
+
+  // ─── SMART FOLDERS ────────────────────────────────────────────────────
+
+  _isSmartValue(value) {
+    return typeof value === 'string' && value.startsWith('smart:')
+  }
+
+  _smartFolderFor(value) {
+    const id = Number(String(value).slice('smart:'.length))
+    return this._smartFoldersCache.find(f => f.id === id) || null
+  }
+
+  // A bookmark is in a smart folder when it meets every condition of the rule
+  _matchesRule(bookmark, smartFolder) {
+    const rule = smartFolder.rule || {}
+    if (rule.tags?.length) {
+      const tags = (bookmark.tags || []).map(tag => tag.toLowerCase())
+      if (!rule.tags.some(tag => tags.includes(tag.toLowerCase()))) return false
+    }
+    if (rule.types?.length && !rule.types.includes(bookmark.type)) return false
+    if (rule.changed_within) {
+      const since = new Date(Date.now() - rule.changed_within * 86400000).toISOString().slice(0, 10)
+      if (!bookmark.lastChanged || bookmark.lastChanged < since) return false
+    }
+    if (rule.query && !this._matchesTerms(bookmark, this._searchTerms(rule.query)) &&
+        !(['law', 'article'].includes(bookmark.type) && this._smartMatches[smartFolder.id]?.has(bookmark.numac))) return false
+    return true
+  }
+
+  // The bookmarked laws whose text matches each smart folder's search words;
+  // the folders render from the bookmarks' own fields until these arrive
+  async _loadSmartMatches() {
+    const withQuery = this._smartFoldersCache.filter(f => f.rule?.query)
+    const entries = await Promise.all(withQuery.map(async smartFolder => {
+      try {
+        const data = await this._request('GET', `/api/bookmark_smart_folders/${smartFolder.id}/matches`)
+        return [smartFolder.id, new Set(data.numacs || [])]
+      } catch (e) {
+        return [smartFolder.id, this._smartMatches[smartFolder.id] || new Set()]
+      }
+    }))
+    this._smartMatches = Object.fromEntries(entries)
+    if (entries.length === 0) return
+
     this.loadBookmarks()
+    this.renderFolders()
   }
 
-  moveToFolder(event) {
-    const numac = event.currentTarget.dataset.numac
-    const folder = event.currentTarget.dataset.folder
-    const bookmarks = this.getBookmarks().map(b => {
-      if (b.numac === numac) return { ...b, folder: folder || undefined }
-      return b
-    })
-    this.saveBookmarks(bookmarks)
+  _smartFolderItem(smartFolder, count) {
+    const value = `smart:${smartFolder.id}`
+    const isActive = this.currentFolder === value
+    const activeClass = isActive
+      ? 'bg-(--accent-50) dark:bg-(--accent-900)/20 text-(--accent-700) dark:text-(--accent-400) font-medium'
+      : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-800'
+    const name = this._escapeHtml(smartFolder.name)
+
+    return `<li class="flex items-center gap-1 group/folder">
+      <a href="#" data-folder-value="${value}" title="${this._escapeHtml(this._describeRule(smartFolder.rule))}" ${isActive ? 'aria-current="true"' : ''} class="flex-1 min-w-0 flex items-center justify-between px-2 py-1.5 rounded-md text-sm ${activeClass} transition-colors">
+        <span class="flex items-center gap-1.5 truncate">
+          <svg class="w-4 h-4 shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z"/></svg>
+          <span class="truncate">${name}</span>
+        </span>
+        <span class="text-xs text-gray-400">${count}</span>
+      </a>
+      <div class="relative shrink-0" data-controller="dropdown">
+        <button type="button" class="p-0.5 text-gray-400 hover:text-(--accent-500) opacity-0 group-hover/folder:opacity-100 focus:opacity-100 transition-opacity" data-action="click->dropdown#toggle" data-dropdown-target="button" aria-haspopup="true" aria-label="${this._escapeHtml(this._t('folderActions'))}: ${name}">
+          <svg class="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24"><circle cx="5" cy="12" r="2"/><circle cx="12" cy="12" r="2"/><circle cx="19" cy="12" r="2"/></svg>
+        </button>
+        <div class="hidden absolute right-0 mt-1 w-44 bg-white dark:bg-gray-800 rounded-md shadow-lg ring-1 ring-black/5 z-50" data-dropdown-target="menu">
+          <div class="py-1">
+            <button type="button" data-smart-action="edit" data-smart-id="${smartFolder.id}" class="block w-full text-left px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">${this._escapeHtml(this._t('smartEdit'))}</button>
+            <button type="button" data-smart-action="delete" data-smart-id="${smartFolder.id}" class="block w-full text-left px-3 py-1.5 text-sm text-red-600 dark:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-700">${this._escapeHtml(this._t('folder_delete'))}</button>
+          </div>
+        </div>
+      </div>
+    </li>`
+  }
+
+  // "Tags: fiscaal · Laws · Changed in the last 30 days · "btw""
+  _describeRule(rule) {
+    const parts = []
+    if (rule.tags?.length) parts.push(`${this._t('smartTags')}: ${rule.tags.join(', ')}`)
+    if (rule.types?.length) parts.push(rule.types.map(type => this._t(`type_${type}`)).join(', '))
+    if (rule.changed_within) parts.push(this._t('smartChangedWithin').replace('%{days}', rule.changed_within))
+    if (rule.query) parts.push(`"${rule.query}"`)
+    return parts.join(' · ')
+  }
+
+  // id: the smart folder to edit; null creates one (from the active tag and type filters)
+  openSmartDialog(id = null) {
+    if (!this.hasSmartDialogTarget) return
+    const smartFolder = id ? this._smartFoldersCache.find(f => f.id === id) : null
+    const rule = smartFolder?.rule || {
+      tags: this.currentTag ? [this.currentTag] : [],
+      types: this.currentType ? [this.currentType] : [],
+      query: this.searchQuery
+    }
+
+    this._smartFolderId = smartFolder?.id ?? null
+    this.smartDialogTitleTarget.textContent = this._t(smartFolder ? 'smartEdit' : 'smartNew')
+    this.smartNameTarget.value = smartFolder?.name || ''
+    this.smartTagsTarget.value = (rule.tags || []).join(', ')
+    this.smartChangedWithinTarget.value = rule.changed_within || ''
+    this.smartQueryTarget.value = rule.query || ''
+    this.smartTypesTarget.innerHTML = Object.keys(TYPES).map(type => `<label class="inline-flex items-center gap-1.5 text-sm text-gray-700 dark:text-gray-300">
+      <input type="checkbox" value="${type}" ${(rule.types || []).includes(type) ? 'checked' : ''} class="rounded border-gray-300 dark:border-gray-600 text-(--accent-600)">
+      ${this._escapeHtml(this._t(`type_${type}`))}
+    </label>`).join('')
+    this.smartDialogTarget.classList.remove('hidden')
+    this.smartNameTarget.focus()
+  }
+
+  closeSmartDialog() {
+    if (this.hasSmartDialogTarget) this.smartDialogTarget.classList.add('hidden')
+    this._smartFolderId = null
+  }
+
+  async saveSmartFolder(event) {
+    event.preventDefault()
+    const name = this.smartNameTarget.value.trim()
+    const rule = {
+      tags: this.parseTags(this.smartTagsTarget.value),
+      types: [...this.smartTypesTarget.querySelectorAll('input:checked')].map(input => input.value),
+      changed_within: this.smartChangedWithinTarget.value ? Number(this.smartChangedWithinTarget.value) : null,
+      query: this.smartQueryTarget.value.trim()
+    }
+    if (!name) return
+    if (!rule.tags.length && !rule.types.length && !rule.changed_within && !rule.query) {
+      showToast(this._t('smartEmpty'), { type: 'error' })
+      return
+    }
+
+    const id = this._smartFolderId
+    let data
+    try {
+      data = id
+        ? await this._request('PATCH', `/api/bookmark_smart_folders/${id}`, { name, rule })
+        : await this._request('POST', '/api/bookmark_smart_folders', { name, rule })
+    } catch (e) {
+      showToast(this._t(e.status === 422 ? 'folderInvalid' : 'saveFailed'), { type: 'error' })
+      return
+    }
+
+    this.closeSmartDialog()
+    if (!id && data.smart_folder) this.currentFolder = `smart:${data.smart_folder.id}`
+    // Reload: a new "changed within" window needs change dates from the server
+    await this.fetchBookmarksFromServer()
+    showToast(this._t('smartSaved').replace('%{name}', name))
+  }
+
+  // Only the rule goes; the bookmarks stay where they are
+  async deleteSmartFolder(id) {
+    const smartFolder = this._smartFoldersCache.find(f => f.id === id)
+    if (!smartFolder) return
+    if (!confirm(this._t('smartDeleteConfirm').replace('%{name}', smartFolder.name))) return
+
+    try {
+      await this._request('DELETE', `/api/bookmark_smart_folders/${id}`)
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+    this._smartFoldersCache = this._smartFoldersCache.filter(f => f.id !== id)
+    if (this.currentFolder === `smart:${id}`) this.currentFolder = null
     this.loadBookmarks()
     this.renderFolders()
+    showToast(this._t('smartDeleted').replace('%{name}', smartFolder.name))
+  }
 
-    const locale = getLocale()
-    const msg = folder
-      ? (locale === 'nl' ? `Verplaatst naar "${folder}"` : `Déplacé vers "${folder}"`)
-      : (locale === 'nl' ? 'Bladwijzer ongesorteerd' : 'Signet non classé')
-    showToast(msg)
+  // ─── SHARED FOLDERS ───────────────────────────────────────────────────
+
+  async openShareDialog(id) {
+    const folder = this._folderById(id)
+    if (!folder || !this.hasShareDialogTarget) return
+
+    this._shareFolderId = id
+    this.shareTitleTarget.textContent = this._t('shareTitle').replace('%{name}', folder.name)
+    this.shareEmailTarget.value = ''
+    this.shareMembersTarget.innerHTML = ''
+    this.shareDialogTarget.classList.remove('hidden')
+    this.shareEmailTarget.focus()
+    await this._loadMembers()
+  }
+
+  closeShareDialog() {
+    if (this.hasShareDialogTarget) this.shareDialogTarget.classList.add('hidden')
+    this._shareFolderId = null
+  }
+
+  async addMember(event) {
+    event.preventDefault()
+    const email = this.shareEmailTarget.value.trim()
+    if (!email || !this._shareFolderId) return
+
+    try {
+      await this._request('POST', `/api/bookmark_folders/${this._shareFolderId}/members`, { email, role: this.shareRoleTarget.value })
+    } catch (e) {
+      showToast(this._t(e.status === 422 ? 'shareInvalid' : 'saveFailed'), { type: 'error' })
+      return
+    }
+    this.shareEmailTarget.value = ''
+    showToast(this._t('invited').replace('%{email}', email))
+    await this._loadMembers()
+    await this.fetchBookmarksFromServer()
+  }
+
+  async _loadMembers() {
+    const folderId = this._shareFolderId
+    let members = []
+    try {
+      members = (await this._request('GET', `/api/bookmark_folders/${folderId}/members`)).members || []
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+    if (folderId !== this._shareFolderId) return
+
+    const rows = members.map(member => `<li class="flex items-center gap-2 py-1.5" data-member-id="${member.id}">
+      <span class="flex-1 min-w-0">
+        <span class="block text-sm text-gray-900 dark:text-white truncate">${this._escapeHtml(member.name || member.email)}</span>
+        ${member.name ? `<span class="block text-xs text-gray-500 dark:text-gray-400 truncate">${this._escapeHtml(member.email)}</span>` : ''}
+        ${member.pending ? `<span class="block text-xs text-amber-600 dark:text-amber-400">${this._escapeHtml(this._t('invitationPending'))}</span>` : ''}
+      </span>
+      <select class="text-xs px-1.5 py-1 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white" aria-label="${this._escapeHtml(this._t('shareRole'))}">
+        ${['view', 'edit'].map(role => `<option value="${role}" ${member.role === role ? 'selected' : ''}>${this._escapeHtml(this._t(`role_${role}`))}</option>`).join('')}
+      </select>
+      <button type="button" class="p-1 text-gray-400 hover:text-red-500 dark:hover:text-red-400" aria-label="${this._escapeHtml(this._t('shareRemove'))}" title="${this._escapeHtml(this._t('shareRemove'))}">
+        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>
+      </button>
+    </li>`)
+    this.shareMembersTarget.innerHTML = rows.length > 0
+      ? rows.join('')
+      : `<li class="py-1.5 text-sm text-gray-500 dark:text-gray-400">${this._escapeHtml(this._t('shareNobody'))}</li>`
+
+    this.shareMembersTarget.querySelectorAll('[data-member-id]').forEach(row => {
+      const url = `/api/bookmark_folders/${folderId}/members/${row.dataset.memberId}`
+      row.querySelector('select').addEventListener('change', async (e) => {
+        try {
+          await this._request('PATCH', url, { role: e.target.value })
+          showToast(this._t('shareRoleChanged'))
+        } catch {
+          showToast(this._t('saveFailed'), { type: 'error' })
+        }
+      })
+      row.querySelector('button').addEventListener('click', async () => {
+        try {
+          await this._request('DELETE', url)
+        } catch {
+          showToast(this._t('saveFailed'), { type: 'error' })
+          return
+        }
+        await this._loadMembers()
+        await this.fetchBookmarksFromServer()
+      })
+    })
+  }
+
+  _invitationItem(invitation) {
+    const owner = invitation.owner?.name || invitation.owner?.email || ''
+    const text = this._t('invitation')
+      .replace('%{owner}', owner)
+      .replace('%{name}', invitation.folder?.name || '')
+      .replace('%{role}', this._t(`role_${invitation.role}`).toLowerCase())
+    const button = 'px-2 py-0.5 text-xs rounded transition-colors'
+
+    return `<li class="mx-1 my-1 p-2 rounded-md bg-(--accent-50) dark:bg-(--accent-900)/20 text-sm text-gray-700 dark:text-gray-300">
+      <p class="mb-1.5 break-words">${this._escapeHtml(text)}</p>
+      <div class="flex gap-1">
+        <button type="button" data-invitation-action="accept" data-invitation-id="${invitation.id}" class="${button} bg-(--accent-600-solid) text-white hover:bg-(--accent-700-solid)">${this._escapeHtml(this._t('invitationAccept'))}</button>
+        <button type="button" data-invitation-action="decline" data-invitation-id="${invitation.id}" class="${button} text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700">${this._escapeHtml(this._t('invitationDecline'))}</button>
+      </div>
+    </li>`
+  }
+
+  async answerInvitation(id, accept) {
+    const invitation = this._invitations.find(i => i.id === id)
+    if (!invitation) return
+
+    try {
+      await this._request(accept ? 'POST' : 'DELETE', `/api/bookmark_folder_invitations/${id}${accept ? '/accept' : ''}`)
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+    await this.fetchBookmarksFromServer()
+    if (accept) showToast(this._t('invitationAccepted').replace('%{name}', invitation.folder?.name || ''))
+  }
+
+  // Stop seeing a folder someone shared; bookmarks the user added there become unfiled
+  async leaveFolder(id) {
+    const folder = this._folderById(id)
+    if (!folder?.membership_id) return
+    if (!confirm(this._t('leaveConfirm').replace('%{name}', folder.name))) return
+
+    try {
+      await this._request('DELETE', `/api/bookmark_folders/${id}/members/${folder.membership_id}`)
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+    if (this._subtreeIds(id).has(this.currentFolder)) this.currentFolder = null
+    await this.fetchBookmarksFromServer()
+    showToast(this._t('left').replace('%{name}', folder.name))
+  }
+
+  // Poll only while a shared folder is involved, and not in a hidden tab
+  _syncSharedPolling() {
+    if (!this._sharedVersion) {
+      this._stopSharedPolling()
+      return
+    }
+    if (this._sharedPoll) return
+
+    this._sharedPoll = setInterval(() => this._checkSharedVersion(), SHARED_POLL_INTERVAL)
+  }
+
+  _stopSharedPolling() {
+    clearInterval(this._sharedPoll)
+    this._sharedPoll = null
+  }
+
+  async _checkSharedVersion() {
+    if (document.hidden) return
+    // Reloading would close an open note editor or dialog
+    if (this.listTarget.querySelector('.bookmark-editor:not(.hidden)')) return
+    if (this.hasShareDialogTarget && !this.shareDialogTarget.classList.contains('hidden')) return
+
+    try {
+      const { version } = await this._request('GET', '/api/bookmarks/shared_version')
+      if (version === this._sharedVersion) return
+    } catch {
+      return
+    }
+    await this.fetchBookmarksFromServer()
+    document.dispatchEvent(new CustomEvent('bookmark:updated'))
   }
 
   // ─── DELETE CONFIRMATION ──────────────────────────────────────────────
 
-  requestDelete(numac, title) {
-    this.pendingDeleteNumac = numac
+  requestDelete(id, title) {
+    this.pendingDeleteId = id
     if (this.hasDeleteDialogTarget) {
       this.deleteDialogTarget.classList.remove('hidden')
+      // clearAll replaces the title; put the one-bookmark title back
+      if (this.hasDeleteTitleTarget) {
+        this._deleteTitle ??= this.deleteTitleTarget.textContent
+        this.deleteTitleTarget.textContent = this._deleteTitle
+      }
       if (this.hasDeleteMessageTarget) {
-        this.deleteMessageTarget.textContent = title || numac
+        this.deleteMessageTarget.textContent = title
       }
     }
   }
 
   confirmDelete() {
-    if (this.pendingDeleteNumac) {
-      const bookmarks = this.getBookmarks().filter(b => b.numac !== this.pendingDeleteNumac)
-      this.saveBookmarks(bookmarks)
-      this.pendingDeleteNumac = null
-      this.cancelDelete()
-      this.loadBookmarks()
-      this.renderFolders()
-      showToast(getLocale() === 'nl' ? 'Bladwijzer verwijderd' : getLocale() === 'de' ? 'Lesezeichen gelöscht' : 'Signet supprimé')
-    }
+    if (!this.pendingDeleteId) return
+
+    const ids = this.pendingDeleteId === '__CLEAR_ALL__'
+      ? this.getBookmarks().filter(b => !b.addedBy).map(b => b.id)
+      : [this.pendingDeleteId]
+    this.cancelDelete()
+    this._deleteBookmarks(ids)
   }
 
   cancelDelete() {
     if (this.hasDeleteDialogTarget) {
       this.deleteDialogTarget.classList.add('hidden')
     }
-    this.pendingDeleteNumac = null
+    this.pendingDeleteId = null
   }
 
   // ─── MAIN RENDER ──────────────────────────────────────────────────────
@@ -282,22 +1324,37 @@ export default class extends Controller {
     let bookmarks = this.getBookmarks()
     const locale = getLocale()
 
-    // Filter by folder
+    // Filter by folder (a folder includes its subfolders) or smart folder rule
     if (this.currentFolder !== null && this.currentFolder !== undefined) {
       if (this.currentFolder === '') {
-        bookmarks = bookmarks.filter(b => !b.folder)
+        bookmarks = bookmarks.filter(b => !b.folderId)
+      } else if (this._isSmartValue(this.currentFolder)) {
+        const smartFolder = this._smartFolderFor(this.currentFolder)
+        bookmarks = smartFolder ? bookmarks.filter(b => this._matchesRule(b, smartFolder)) : bookmarks
       } else {
-        bookmarks = bookmarks.filter(b => b.folder === this.currentFolder)
+        const ids = this._subtreeIds(this.currentFolder)
+        bookmarks = bookmarks.filter(b => ids.has(b.folderId))
       }
     }
 
+    // Filter by type, tag and search query
+    if (this.currentType) {
+      bookmarks = bookmarks.filter(b => b.type === this.currentType)
+    }
+    if (this.currentTag) {
+      bookmarks = bookmarks.filter(b => (b.tags || []).includes(this.currentTag))
+    }
+    bookmarks = this.searchBookmarks(bookmarks)
+
     // Sort
     bookmarks = this.sortBookmarks(bookmarks)
+    this._shownBookmarks = bookmarks
 
     if (bookmarks.length === 0) {
-      this.showEmpty()
+      this.showEmpty(this.getBookmarks().length > 0)
       this.updateCount(0)
       this.updateActionButtons(this.getBookmarks().length)
+      this.renderSelection()
       return
     }
 
@@ -309,22 +1366,54 @@ export default class extends Controller {
     const template = document.getElementById('bookmark-item-template')
     if (!template) return
 
-    const folders = this.getFolders()
+    const folderTree = this._moveTargets()
 
     bookmarks.forEach(bookmark => {
       const item = template.content.cloneNode(true)
       const link = item.querySelector('.bookmark-link')
       const numac = item.querySelector('.bookmark-numac')
+      const typeEl = item.querySelector('.bookmark-type')
+      const articleBadge = item.querySelector('.bookmark-article')
+      const excerptEl = item.querySelector('.bookmark-excerpt')
       const dateEl = item.querySelector('.bookmark-date')
       const folderBadge = item.querySelector('.bookmark-folder-badge')
+      const addedByEl = item.querySelector('.bookmark-added-by')
       const removeBtn = item.querySelector('.bookmark-remove')
       const folderMenu = item.querySelector('.bookmark-folder-menu')
+      const noteEl = item.querySelector('.bookmark-note')
+      const tagsEl = item.querySelector('.bookmark-tags')
+      const editBtn = item.querySelector('.bookmark-edit')
+      const editor = item.querySelector('.bookmark-editor')
+      const selectBox = item.querySelector('.bookmark-select')
+      const upBtn = item.querySelector('.bookmark-move-up')
+      const downBtn = item.querySelector('.bookmark-move-down')
 
       // Title and link
       const title = bookmark.title || bookmark.numac
       link.textContent = title
-      link.href = `/laws/${bookmark.numac}?language_id=${locale === 'nl' ? 1 : locale === 'de' ? 3 : 2}`
-      numac.textContent = `NUMAC ${bookmark.numac}`
+      link.href = this._bookmarkHref(bookmark, locale)
+      if (bookmark.type === 'law' || bookmark.type === 'article') {
+        numac.textContent = `NUMAC ${bookmark.numac}`
+      } else if (bookmark.type === 'case') {
+        numac.textContent = bookmark.numac
+      } else {
+        numac.remove()
+      }
+      if (typeEl) {
+        typeEl.innerHTML = iconFor(TYPES[bookmark.type])
+        typeEl.title = this._t(`type_${bookmark.type}`)
+        typeEl.setAttribute('aria-label', typeEl.title)
+      }
+
+      // Article / paragraph bookmarks: "Art. 5, § 2" and the text it points at
+      if (bookmark.anchor && articleBadge) {
+        articleBadge.textContent = this._articleLabel(bookmark)
+        articleBadge.classList.remove('hidden')
+      }
+      if (bookmark.excerpt && excerptEl) {
+        excerptEl.textContent = bookmark.excerpt
+        excerptEl.classList.remove('hidden')
+      }
 
       // Date added
       if (bookmark.addedAt && dateEl) {
@@ -335,48 +1424,293 @@ export default class extends Controller {
       }
 
       // Folder badge
-      if (bookmark.folder && folderBadge) {
-        folderBadge.textContent = bookmark.folder
+      if (bookmark.folderId && folderBadge) {
+        folderBadge.textContent = this._folderPath(bookmark.folderId)
         folderBadge.classList.remove('hidden')
       }
 
+      // Added by another member of a shared folder
+      if (bookmark.addedBy && addedByEl) {
+        addedByEl.textContent = this._t('addedBy').replace('%{name}', bookmark.addedBy.name || bookmark.addedBy.email)
+        addedByEl.title = bookmark.addedBy.email
+        addedByEl.classList.remove('hidden')
+      }
+
+      // Changed since bookmarked or last opened
+      this._renderChanges(item, bookmark, locale)
+
+      // Note
+      if (bookmark.note && noteEl) {
+        noteEl.textContent = bookmark.note
+        noteEl.classList.remove('hidden')
+      }
+
+      // Tag chips (click filters the list by that tag)
+      if (tagsEl) {
+        (bookmark.tags || []).forEach(tag => {
+          const chip = document.createElement('button')
+          chip.type = 'button'
+          chip.className = 'text-xs px-1.5 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+          chip.textContent = `#${tag}`
+          chip.addEventListener('click', () => this.filterByTag(tag))
+          tagsEl.appendChild(chip)
+        })
+      }
+
+      // Drag to reorder or onto a folder; up/down buttons and Alt+↑/↓ from the keyboard
+      const itemEl = item.firstElementChild
+      itemEl.dataset.bookmarkId = bookmark.id
+      this._bindBookmarkDrag(itemEl, bookmark.id)
+      selectBox?.addEventListener('click', (e) => this.toggleSelection(bookmark.id, selectBox.checked, e.shiftKey))
+      upBtn?.addEventListener('click', () => this.stepInOrder(bookmark.id, -1, '.bookmark-move-up'))
+      downBtn?.addEventListener('click', () => this.stepInOrder(bookmark.id, 1, '.bookmark-move-down'))
+      itemEl.addEventListener('keydown', (e) => {
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return
+        if (e.target.closest('input, textarea')) return
+        e.preventDefault()
+        this.stepInOrder(bookmark.id, e.key === 'ArrowUp' ? -1 : 1)
+      })
+
+      // Note & tags editor
+      if (editBtn && editor) {
+        editBtn.addEventListener('click', () => this._openEditor(itemEl, bookmark))
+        editor.querySelector('.bookmark-editor-cancel').addEventListener('click', () => {
+          editor.classList.add('hidden')
+          itemEl.draggable = true
+        })
+        editor.addEventListener('submit', async (e) => {
+          e.preventDefault()
+          const saved = await this.saveDetails(bookmark, {
+            note: editor.querySelector('.bookmark-note-input').value.trim(),
+            tags: this.parseTags(editor.querySelector('.bookmark-tags-input').value)
+          })
+          if (saved) editor.classList.add('hidden')
+        })
+      }
+
       // Delete button → confirmation dialog
-      removeBtn.addEventListener('click', () => this.requestDelete(bookmark.numac, title))
+      removeBtn.addEventListener('click', () => this.requestDelete(bookmark.id, bookmark.anchor ? `${title} (${this._articleLabel(bookmark)})` : title))
 
-      // Folder menu
+      // Folder menu (nested, indented by depth)
       if (folderMenu) {
         let menuHtml = ''
-        const unfiledLabel = locale === 'fr' ? 'Non classé' : locale === 'de' ? 'Unsortiert' : 'Ongesorteerd'
 
         // Unfiled option
-        menuHtml += `<button type="button" class="block w-full text-left px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 ${!bookmark.folder ? 'font-bold' : ''}" data-numac="${bookmark.numac}" data-folder="">${unfiledLabel}</button>`
+        menuHtml += `<button type="button" class="block w-full text-left px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 ${!bookmark.folderId ? 'font-bold' : ''}" data-folder="">${this._escapeHtml(this._t('unfiled'))}</button>`
 
-        folders.forEach(f => {
-          const active = bookmark.folder === f.name ? 'font-bold' : ''
-          menuHtml += `<button type="button" class="block w-full text-left px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 ${active}" data-numac="${bookmark.numac}" data-folder="${this._escapeHtml(f.name)}">${this._escapeHtml(f.name)}</button>`
+        folderTree.forEach(({ folder: f, depth }) => {
+          const active = bookmark.folderId === f.id ? 'font-bold' : ''
+          menuHtml += `<button type="button" class="block w-full text-left px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 truncate ${active}" style="padding-left: ${0.75 + depth * 0.75}rem" data-folder="${f.id}">${this._escapeHtml(this._folderLabel(f))}</button>`
         })
 
-        folderMenu.innerHTML = `<div class="py-1">${menuHtml}</div>`
+        folderMenu.innerHTML = `<div class="py-1 max-h-72 overflow-y-auto">${menuHtml}</div>`
         folderMenu.querySelectorAll('button').forEach(btn => {
-          btn.addEventListener('click', (e) => this.moveToFolder(e))
+          btn.addEventListener('click', () => {
+            folderMenu.classList.add('hidden')
+            this.moveToFolder(bookmark.id, btn.dataset.folder ? Number(btn.dataset.folder) : null)
+          })
         })
       }
 
+      // View-only in a shared folder: no editing, moving or deleting
+      if (!bookmark.editable) {
+        itemEl.draggable = false
+        itemEl.querySelectorAll('.bookmark-remove, .bookmark-edit, .bookmark-move-up, .bookmark-move-down').forEach(el => el.remove())
+        itemEl.querySelector('.bookmark-move')?.closest('[data-controller="dropdown"]')?.remove()
+      }
+
       this.listTarget.appendChild(item)
     })
+
+    this.renderSelection()
+  }
+
+  // ─── SELECTION & BATCH ACTIONS ────────────────────────────────────────
+
+  // With Shift, every bookmark between the last clicked one and this one
+  // takes the new state
+  toggleSelection(id, checked, shiftKey = false) {
+    const ids = this._shownBookmarks.map(b => b.id)
+    let range = [id]
+    if (shiftKey && ids.includes(this._lastSelectedId)) {
+      const [from, to] = [ids.indexOf(this._lastSelectedId), ids.indexOf(id)].sort((a, b) => a - b)
+      range = ids.slice(from, to + 1)
+    }
+    range.forEach(rangeId => (checked ? this._selected.add(rangeId) : this._selected.delete(rangeId)))
+    this._lastSelectedId = id
+    this.renderSelection()
+  }
+
+  // Selects everything shown: the open folder or type, with filters applied
+  toggleSelectAll(event) {
+    if (event.currentTarget.checked) {
+      this._shownBookmarks.forEach(b => this._selected.add(b.id))
+    } else {
+      this._selected.clear()
+    }
+    this.renderSelection()
+  }
+
+  clearSelection() {
+    this._selected.clear()
+    this._lastSelectedId = null
+    this.renderSelection()
+  }
+
+  // Drops selected bookmarks that are no longer shown and syncs the
+  // checkboxes, the select-all box and the batch action bar
+  renderSelection() {
+    const shown = new Set(this._shownBookmarks.map(b => b.id))
+    this._selected.forEach(id => { if (!shown.has(id)) this._selected.delete(id) })
+    const count = this._selected.size
+
+    this.listTarget.querySelectorAll('[data-bookmark-id]').forEach(el => {
+      const selected = this._selected.has(Number(el.dataset.bookmarkId))
+      const checkbox = el.querySelector('.bookmark-select')
+      if (checkbox) checkbox.checked = selected
+      el.classList.toggle('bg-(--accent-50)', selected)
+      el.classList.toggle('dark:bg-(--accent-900)/20', selected)
+    })
+    if (this.hasSelectAllTarget) {
+      this.selectAllTarget.checked = count > 0 && count === shown.size
+      this.selectAllTarget.indeterminate = count > 0 && count < shown.size
+    }
+    if (this.hasSelectionBarTarget) this.selectionBarTarget.classList.toggle('hidden', count === 0)
+    if (this.hasSelectionCountTarget) this.selectionCountTarget.textContent = this._t('selected').replace('%{count}', count)
+    if (count > 0) this._renderBulkFolderMenu()
+  }
+
+  _selectedBookmarks() {
+    return this._shownBookmarks.filter(b => this._selected.has(b.id))
+  }
+
+  // Move, tag and delete skip bookmarks in shared folders the user can only view
+  _editableSelectedIds() {
+    return this._selectedBookmarks().filter(b => b.editable).map(b => b.id)
+  }
+
+  _renderBulkFolderMenu() {
+    if (!this.hasBulkFolderMenuTarget) return
+
+    const itemClass = 'block w-full text-left px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 truncate'
+    let menuHtml = `<button type="button" class="${itemClass}" data-folder="">${this._escapeHtml(this._t('unfiled'))}</button>`
+    this._moveTargets().forEach(({ folder, depth }) => {
+      menuHtml += `<button type="button" class="${itemClass}" style="padding-left: ${0.75 + depth * 0.75}rem" data-folder="${folder.id}">${this._escapeHtml(this._folderLabel(folder))}</button>`
+    })
+    this.bulkFolderMenuTarget.innerHTML = `<div class="py-1 max-h-72 overflow-y-auto">${menuHtml}</div>`
+    this.bulkFolderMenuTarget.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.bulkFolderMenuTarget.classList.add('hidden')
+        this.bulkMove(btn.dataset.folder ? Number(btn.dataset.folder) : null)
+      })
+    })
+  }
+
+  async bulkMove(folderId) {
+    const ids = this._editableSelectedIds()
+    if (ids.length === 0) return
+
+    let data
+    try {
+      data = await this._request('POST', '/api/bookmarks/bulk', { operation: 'move', ids, folder_id: folderId })
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+
+    // A member's bookmark only moves where that member may write, so take
+    // the folders from the response
+    const folders = new Map((data.bookmarks || []).map(b => [b.id, b.folder_id ?? null]))
+    this._bookmarksCache = this.getBookmarks().map(b => (folders.has(b.id) ? { ...b, folderId: folders.get(b.id) } : b))
+    this.loadBookmarks()
+    this.renderFolders()
+    showToast(this._t('bulkMoved')
+      .replace('%{count}', data.count)
+      .replace('%{name}', folderId ? this._folderPath(folderId) : this._t('unfiled')))
+  }
+
+  // data-operation="tag" adds the typed tags, "untag" removes them
+  async bulkTag(event) {
+    const operation = event.currentTarget.dataset.operation || 'tag'
+    const ids = this._editableSelectedIds()
+    const tags = this.parseTags(this.bulkTagInputTarget.value)
+    if (ids.length === 0 || tags.length === 0) return
+
+    let data
+    try {
+      data = await this._request('POST', '/api/bookmarks/bulk', { operation, ids, tags })
+    } catch (e) {
+      showToast(this._t(e.status === 422 ? 'tagsInvalid' : 'saveFailed'), { type: 'error' })
+      return
+    }
+
+    const updated = new Map((data.bookmarks || []).map(b => [b.id, b.tags || []]))
+    this._bookmarksCache = this.getBookmarks().map(b => (updated.has(b.id) ? { ...b, tags: updated.get(b.id) } : b))
+    this.bulkTagInputTarget.value = ''
+    this.bulkTagInputTarget.closest('[data-dropdown-target="menu"]')?.classList.add('hidden')
+    this.loadBookmarks()
+    this.renderFolders()
+    this.renderTags()
+    showToast(this._t(operation === 'untag' ? 'bulkUntagged' : 'bulkTagged').replace('%{count}', ids.length))
+  }
+
+  bulkDelete() {
+    const ids = this._editableSelectedIds()
+    if (ids.length > 0) this._deleteBookmarks(ids)
+  }
+
+  // One request for any number of bookmarks; the toast offers undo, which
+  // recreates them from what the server returned
+  async _deleteBookmarks(ids) {
+    let data
+    try {
+      data = await this._request('POST', '/api/bookmarks/bulk', { operation: 'delete', ids })
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+
+    const deleted = new Set(ids)
+    this._bookmarksCache = this.getBookmarks().filter(b => !deleted.has(b.id))
+    this.loadBookmarks()
+    this.renderFolders()
+    this.renderTypes()
+    this.renderTags()
+    showToast(this._t('deleted').replace('%{count}', data.count), {
+      duration: 8000,
+      action: { label: this._t('undo'), onClick: () => this._restoreBookmarks(data.deleted || [], data.restore_token) }
+    })
+  }
+
+  // Other members' bookmarks go back to them; restoreToken vouches for those
+  async _restoreBookmarks(bookmarks, restoreToken) {
+    try {
+      const data = await this._request('POST', '/api/bookmarks/bulk', { operation: 'restore', bookmarks, restore_token: restoreToken })
+      await this.fetchBookmarksFromServer()
+      showToast(this._t('restored').replace('%{count}', data.restored))
+    } catch (e) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+    }
   }
 
   // ─── EXPORT / IMPORT / CLEAR ──────────────────────────────────────────
 
-  exportBookmarks() {
-    const bookmarks = this.getBookmarks()
-    const folders = this.getFolders()
+  // data-scope="selection" exports only the selected bookmarks
+  exportBookmarks(event) {
+    const menu = event?.currentTarget?.closest('[data-dropdown-target="menu"]')
+    if (menu) menu.classList.add('hidden')
+
+    const bookmarks = event?.currentTarget?.dataset.scope === 'selection' ? this._selectedBookmarks() : this.getBookmarks()
+    const folders = this.getFolders().filter(f => !f.shared)
     if (bookmarks.length === 0) {
       showToast(getLocale() === 'nl' ? 'Geen bladwijzers om te exporteren' : 'Aucun signet à exporter')
       return
     }
 
-    const data = JSON.stringify({ bookmarks, folders }, null, 2)
+    // Folder paths ("Client / Dossier") travel with each bookmark, so an
+    // import can rebuild the hierarchy in another account
+    const exported = bookmarks.map(({ id, folderId, ...b }) => ({ ...b, folder: folderId ? this._folderPath(folderId, ' / ') : undefined }))
+    const data = JSON.stringify({ bookmarks: exported, folders: folders.map(f => ({ ...f, path: this._folderPath(f.id, ' / ') })) }, null, 2)
     const blob = new Blob([data], { type: 'application/json' })
     const url = URL.createObjectURL(blob)
     const a = document.createElement('a')
@@ -389,80 +1723,135 @@ export default class extends Controller {
     showToast(getLocale() === 'nl' ? 'Bladwijzers geëxporteerd' : 'Signets exportés')
   }
 
+  // RIS, BibTeX or CSL-JSON of the bookmarks currently shown, i.e. the open
+  // folder or type with the active search and tag filters applied, or of
+  // the selection (data-scope="selection")
+  exportCitations(event) {
+    const { format, scope } = event.currentTarget.dataset
+    const menu = event.currentTarget.closest('[data-dropdown-target="menu"]')
+    if (menu) menu.classList.add('hidden')
+
+    const bookmarks = scope === 'selection' ? this._selectedBookmarks() : this._shownBookmarks
+    if (bookmarks.length === 0) {
+      showToast(this._t('nothingToExport'))
+      return
+    }
+
+    const locale = getLocale()
+    const entries = bookmarks.map(b => ({ ...b, url: this._bookmarkHref(b, locale) }))
+    const { content, mimeType, extension } = exportCitations(entries, format, { locale, baseUrl: window.location.origin })
+    const blob = new Blob([content], { type: mimeType })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `wetwijzer-bookmarks-${new Date().toISOString().split('T')[0]}.${extension}`
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+    showToast(this._t('citationsExported').replace('%{count}', bookmarks.length))
+  }
+
+  // JSON backups, CSV and browser bookmark files; shows a preview first
   importBookmarks(event) {
     const file = event.target.files[0]
     if (!file) return
 
     const reader = new FileReader()
     reader.onload = (e) => {
+      let rows
       try {
-        const raw = JSON.parse(e.target.result)
-        let imported = []
-        let importedFolders = []
-
-        // Handle both old (plain array) and new ({ bookmarks, folders }) formats
-        if (Array.isArray(raw)) {
-          imported = raw
-        } else if (raw.bookmarks && Array.isArray(raw.bookmarks)) {
-          imported = raw.bookmarks
-          importedFolders = raw.folders || []
-        } else {
-          throw new Error('Invalid format')
-        }
-
-        // Merge bookmarks
-        const existing = this.getBookmarks()
-        const existingNumacs = new Set(existing.map(b => b.numac))
-        let added = 0
-        imported.forEach(bookmark => {
-          if (bookmark.numac && !existingNumacs.has(bookmark.numac)) {
-            existing.push({
-              numac: bookmark.numac,
-              title: bookmark.title || bookmark.numac,
-              addedAt: bookmark.addedAt || new Date().toISOString(),
-              folder: bookmark.folder
-            })
-            added++
-          }
-        })
-        this.saveBookmarks(existing)
-
-        // Merge folders
-        if (importedFolders.length > 0) {
-          const existingFolders = this.getFolders()
-          const existingNames = new Set(existingFolders.map(f => f.name))
-          importedFolders.forEach(f => {
-            if (f.name && !existingNames.has(f.name)) {
-              existingFolders.push(f)
-            }
-          })
-          this.saveFolders(existingFolders)
-        }
-
-        this.loadBookmarks()
-        this.renderFolders()
-        const locale = getLocale()
-        showToast(locale === 'nl'
-          ? `${added} bladwijzer(s) geïmporteerd`
-          : `${added} signet(s) importé(s)`)
+        rows = parseImportFile(e.target.result, file.name).rows
       } catch {
-        showToast(getLocale() === 'nl' ? 'Ongeldig bestand' : 'Fichier invalide')
+        showToast(this._t('importInvalid'), { type: 'error' })
+        return
       }
+      this._openImportDialog(rows)
     }
     reader.readAsText(file)
     event.target.value = ''
   }
 
+  // Recognised rows are imported unless already bookmarked (or twice in the file);
+  // the rest are listed so the user sees what was left out
+  _openImportDialog(rows) {
+    if (!this.hasImportDialogTarget) return
+    const targetKey = b => [b.type === 'article' ? 'law' : b.type || 'law', b.numac, b.anchor || '', b.anchor ? b.paragraph || '' : ''].join('|')
+    const known = new Set(this.getBookmarks().map(targetKey))
+    const detected = []
+    const unmatched = []
+    let duplicates = 0
+    rows.forEach(row => {
+      if (!row.item) {
+        unmatched.push(row)
+      } else if (known.has(targetKey(row.item))) {
+        duplicates++
+      } else {
+        known.add(targetKey(row.item))
+        detected.push(row.item)
+      }
+    })
+    if (detected.length === 0 && unmatched.length === 0 && duplicates === 0) {
+      showToast(this._t('importInvalid'), { type: 'error' })
+      return
+    }
+
+    this._pendingImport = detected
+    this.importSummaryTarget.textContent = this._t('importSummary')
+      .replace('%{detected}', detected.length)
+      .replace('%{duplicates}', duplicates)
+      .replace('%{unmatched}', unmatched.length)
+    this.importRowsTarget.innerHTML = detected.slice(0, IMPORT_PREVIEW_LIMIT).map(item => `<li class="py-1.5 flex items-start gap-2">
+      <span class="shrink-0 mt-0.5 text-gray-400">${iconFor(TYPES[item.type] || 'law').replace('w-4 h-4', 'w-3.5 h-3.5')}</span>
+      <span class="min-w-0">
+        <span class="block text-sm text-gray-900 dark:text-white truncate">${this._escapeHtml(item.title)}</span>
+        <span class="block text-xs text-gray-500 dark:text-gray-400 truncate">${this._escapeHtml([item.numac, item.anchor ? this._articleLabel(item) : '', item.folder].filter(Boolean).join(' · '))}</span>
+      </span>
+    </li>`).join('') + (detected.length > IMPORT_PREVIEW_LIMIT
+      ? `<li class="py-1.5 text-xs text-gray-500 dark:text-gray-400">${this._escapeHtml(this._t('importMore').replace('%{count}', detected.length - IMPORT_PREVIEW_LIMIT))}</li>`
+      : '')
+    this.importUnmatchedTarget.classList.toggle('hidden', unmatched.length === 0)
+    this.importUnmatchedListTarget.innerHTML = unmatched.slice(0, IMPORT_PREVIEW_LIMIT).map(row => `<li class="py-1 text-xs text-gray-500 dark:text-gray-400 truncate">${this._escapeHtml([row.title, row.url].filter(Boolean).join(' — '))}</li>`).join('')
+    this.importConfirmTarget.disabled = detected.length === 0
+    this.importDialogTarget.classList.remove('hidden')
+  }
+
+  closeImportDialog() {
+    if (this.hasImportDialogTarget) this.importDialogTarget.classList.add('hidden')
+    this._pendingImport = null
+  }
+
+  // Folders are recreated on the server from each bookmark's folder path
+  async confirmImport() {
+    const items = this._pendingImport
+    if (!items?.length) return
+
+    this.importConfirmTarget.disabled = true
+    let data
+    try {
+      data = await this._request('POST', '/api/bookmarks/import', { bookmarks: items })
+    } catch (e) {
+      this.importConfirmTarget.disabled = false
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+    this.closeImportDialog()
+    await this.fetchBookmarksFromServer()
+    showToast(this._t('imported').replace('%{count}', data.imported ?? items.length))
+  }
+
+  // Only the user's own bookmarks; other members' stay in shared folders
   clearAll() {
     const locale = getLocale()
-    const total = this.getBookmarks().length
+    const total = this.getBookmarks().filter(b => !b.addedBy).length
     if (total === 0) return
 
     // Use custom dialog for clear all too
-    this.pendingDeleteNumac = '__CLEAR_ALL__'
+    this.pendingDeleteId = '__CLEAR_ALL__'
     if (this.hasDeleteDialogTarget) {
       this.deleteDialogTarget.classList.remove('hidden')
       if (this.hasDeleteTitleTarget) {
+        this._deleteTitle ??= this.deleteTitleTarget.textContent
         this.deleteTitleTarget.textContent = locale === 'fr'
           ? 'Supprimer tous les signets ?'
           : locale === 'de'
@@ -478,21 +1867,6 @@ export default class extends Controller {
       }
     }
 
-    // Override confirmDelete for this case
-    const origConfirm = this.confirmDelete.bind(this)
-    this.confirmDelete = () => {
-      if (this.pendingDeleteNumac === '__CLEAR_ALL__') {
-        this.saveBookmarks([])
-        this.pendingDeleteNumac = null
-        this.cancelDelete()
-        this.loadBookmarks()
-        this.renderFolders()
-        showToast(locale === 'nl' ? 'Bladwijzers verwijderd' : locale === 'de' ? 'Lesezeichen gelöscht' : 'Signets supprimés')
-        this.confirmDelete = origConfirm
-      } else {
-        origConfirm()
-      }
-    }
   }
 
   // ─── STORAGE ──────────────────────────────────────────────────────────
@@ -502,22 +1876,8 @@ export default class extends Controller {
     return this._bookmarksCache || []
   }
 
-  saveBookmarks(bookmarks) {
-    this._bookmarksCache = bookmarks
-    // Sync to server
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
-    fetch('/api/bookmarks/import', {
-      method: 'POST',
-      credentials: 'same-origin',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
-      },
-      body: JSON.stringify({ bookmarks, replace: true })
-    }).catch(() => {})
-  }
-
+  // Import only adds the bookmarks the server does not have yet; deleting
+  // goes through _deleteBookmarks
   // ─── UI HELPERS ───────────────────────────────────────────────────────
 
   updateCount(count) {
@@ -528,13 +1888,16 @@ export default class extends Controller {
     }
   }
 
-  showEmpty() {
-    if (this.hasEmptyTarget) this.emptyTarget.classList.remove('hidden')
+  // filtered: there are bookmarks, but the folder/tag/search filter hides them all
+  showEmpty(filtered = false) {
+    if (this.hasEmptyTarget) this.emptyTarget.classList.toggle('hidden', filtered)
+    if (this.hasNoResultsTarget) this.noResultsTarget.classList.toggle('hidden', !filtered)
     if (this.hasListTarget) this.listTarget.classList.add('hidden')
   }
 
   hideEmpty() {
     if (this.hasEmptyTarget) this.emptyTarget.classList.add('hidden')
+    if (this.hasNoResultsTarget) this.noResultsTarget.classList.add('hidden')
     if (this.hasListTarget) this.listTarget.classList.remove('hidden')
   }
 
@@ -561,9 +1924,136 @@ export default class extends Controller {
     }
   }
 
+  async _request(method, url, body = null) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const response = await fetch(url, {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    })
+    if (!response.ok) throw Object.assign(new Error('request_failed'), { status: response.status })
+    return response.json()
+  }
+
+  _t(key) {
+    const messages = {
+      allFolders: { nl: 'Alle', fr: 'Tous', de: 'Alle', en: 'All' },
+      unfiled: { nl: 'Ongesorteerd', fr: 'Non classé', de: 'Unsortiert', en: 'Unfiled' },
+      topLevel: { nl: '(hoofdniveau)', fr: '(niveau principal)', de: '(oberste Ebene)', en: '(top level)' },
+      folderActions: { nl: 'Mapacties', fr: 'Actions du dossier', de: 'Ordneraktionen', en: 'Folder actions' },
+      folder_rename: { nl: 'Naam wijzigen', fr: 'Renommer', de: 'Umbenennen', en: 'Rename' },
+      folder_move: { nl: 'Verplaatsen naar…', fr: 'Déplacer vers…', de: 'Verschieben nach…', en: 'Move to…' },
+      folder_merge: { nl: 'Samenvoegen met…', fr: 'Fusionner avec…', de: 'Zusammenführen mit…', en: 'Merge into…' },
+      folder_delete: { nl: 'Verwijderen', fr: 'Supprimer', de: 'Löschen', en: 'Delete' },
+      folderExists: { nl: 'Map bestaat al', fr: 'Le dossier existe déjà', de: 'Ordner existiert bereits', en: 'Folder already exists' },
+      folderInvalid: { nl: 'Dat kan niet met deze map (te diep genest of naam bestaat al)', fr: 'Impossible pour ce dossier (trop profond ou nom déjà utilisé)', de: 'Mit diesem Ordner nicht möglich (zu tief verschachtelt oder Name vergeben)', en: 'Not possible for this folder (nested too deep or name taken)' },
+      folderCreated: { nl: 'Map "%{name}" aangemaakt', fr: 'Dossier "%{name}" créé', de: 'Ordner "%{name}" erstellt', en: 'Folder "%{name}" created' },
+      folderMoved: { nl: 'Map "%{name}" verplaatst', fr: 'Dossier "%{name}" déplacé', de: 'Ordner "%{name}" verschoben', en: 'Folder "%{name}" moved' },
+      folderMerged: { nl: '"%{name}" samengevoegd met "%{target}"', fr: '"%{name}" fusionné avec "%{target}"', de: '"%{name}" mit "%{target}" zusammengeführt', en: 'Merged "%{name}" into "%{target}"' },
+      folderDeleteConfirm: { nl: 'Map "%{name}" verwijderen? Bladwijzers en submappen gaan één niveau omhoog.', fr: 'Supprimer le dossier "%{name}" ? Les signets et sous-dossiers remontent d\'un niveau.', de: 'Ordner "%{name}" löschen? Lesezeichen und Unterordner rücken eine Ebene nach oben.', en: 'Delete folder "%{name}"? Its bookmarks and subfolders move up one level.' },
+      noTargetFolder: { nl: 'Geen andere map beschikbaar', fr: 'Aucun autre dossier disponible', de: 'Kein anderer Ordner verfügbar', en: 'No other folder available' },
+      movedTo: { nl: 'Verplaatst naar "%{name}"', fr: 'Déplacé vers "%{name}"', de: 'Verschoben nach "%{name}"', en: 'Moved to "%{name}"' },
+      movedToUnfiled: { nl: 'Bladwijzer ongesorteerd', fr: 'Signet non classé', de: 'Lesezeichen unsortiert', en: 'Bookmark unfiled' },
+      type_law: { nl: 'Wetten', fr: 'Lois', de: 'Gesetze', en: 'Laws' },
+      type_article: { nl: 'Artikels', fr: 'Articles', de: 'Artikel', en: 'Articles' },
+      type_case: { nl: 'Rechtspraak', fr: 'Jurisprudence', de: 'Rechtsprechung', en: 'Case law' },
+      type_parliamentary: { nl: 'Parlementaire stukken', fr: 'Documents parlementaires', de: 'Parlamentsdokumente', en: 'Parliamentary documents' },
+      type_flemish_parliament: { nl: 'Vlaams Parlement', fr: 'Parlement flamand', de: 'Flämisches Parlament', en: 'Flemish Parliament' },
+      changed: { nl: 'Gewijzigd', fr: 'Modifié', de: 'Geändert', en: 'Changed' },
+      changedArticles: { nl: 'Gewijzigd (%{count} art.)', fr: 'Modifié (%{count} art.)', de: 'Geändert (%{count} Art.)', en: 'Changed (%{count} art.)' },
+      changedSince: { nl: 'Gewijzigd sinds %{date}', fr: 'Modifié depuis le %{date}', de: 'Geändert seit %{date}', en: 'Changed since %{date}' },
+      change_modified: { nl: 'gewijzigd', fr: 'modifié', de: 'geändert', en: 'modified' },
+      change_abolished: { nl: 'opgeheven', fr: 'abrogé', de: 'aufgehoben', en: 'repealed' },
+      change_created: { nl: 'ingevoegd', fr: 'inséré', de: 'eingefügt', en: 'inserted' },
+      change_replaced: { nl: 'vervangen', fr: 'remplacé', de: 'ersetzt', en: 'replaced' },
+      amendedBy: { nl: 'Gewijzigd door', fr: 'Modifiée par', de: 'Geändert durch', en: 'Amended by' },
+      markSeen: { nl: 'Markeren als gezien', fr: 'Marquer comme vu', de: 'Als gesehen markieren', en: 'Mark as seen' },
+      digestOn: { nl: 'U krijgt een e-mail bij wijzigingen', fr: 'Vous recevrez un e-mail en cas de modification', de: 'Sie erhalten eine E-Mail bei Änderungen', en: "You'll get an email when laws change" },
+      nothingToExport: { nl: 'Geen bladwijzers om te exporteren', fr: 'Aucun signet à exporter', de: 'Keine Lesezeichen zum Exportieren', en: 'No bookmarks to export' },
+      citationsExported: { nl: '%{count} referenties geëxporteerd', fr: '%{count} références exportées', de: '%{count} Referenzen exportiert', en: '%{count} references exported' },
+      digestOff: { nl: 'Geen e-mails meer bij wijzigingen', fr: "Plus d'e-mails en cas de modification", de: 'Keine E-Mails mehr bei Änderungen', en: 'No more change emails' },
+      selected: { nl: '%{count} geselecteerd', fr: '%{count} sélectionné(s)', de: '%{count} ausgewählt', en: '%{count} selected' },
+      bulkMoved: { nl: '%{count} bladwijzer(s) verplaatst naar "%{name}"', fr: '%{count} signet(s) déplacé(s) vers "%{name}"', de: '%{count} Lesezeichen nach "%{name}" verschoben', en: 'Moved %{count} bookmark(s) to "%{name}"' },
+      bulkTagged: { nl: 'Tags toegevoegd aan %{count} bladwijzer(s)', fr: 'Tags ajoutés à %{count} signet(s)', de: 'Tags zu %{count} Lesezeichen hinzugefügt', en: 'Tags added to %{count} bookmark(s)' },
+      bulkUntagged: { nl: 'Tags verwijderd van %{count} bladwijzer(s)', fr: 'Tags retirés de %{count} signet(s)', de: 'Tags von %{count} Lesezeichen entfernt', en: 'Tags removed from %{count} bookmark(s)' },
+      tagsInvalid: { nl: 'Te veel of te lange tags', fr: 'Trop de tags ou tags trop longs', de: 'Zu viele oder zu lange Tags', en: 'Too many or too long tags' },
+      deleted: { nl: '%{count} bladwijzer(s) verwijderd', fr: '%{count} signet(s) supprimé(s)', de: '%{count} Lesezeichen gelöscht', en: '%{count} bookmark(s) deleted' },
+      restored: { nl: '%{count} bladwijzer(s) teruggezet', fr: '%{count} signet(s) restauré(s)', de: '%{count} Lesezeichen wiederhergestellt', en: '%{count} bookmark(s) restored' },
+      folder_share: { nl: 'Delen…', fr: 'Partager…', de: 'Teilen…', en: 'Share…' },
+      folder_leave: { nl: 'Map verlaten', fr: 'Quitter le dossier', de: 'Ordner verlassen', en: 'Leave folder' },
+      importInvalid: { nl: 'Ongeldig bestand', fr: 'Fichier invalide', de: 'Ungültige Datei', en: 'Invalid file' },
+      importSummary: { nl: '%{detected} herkend, %{duplicates} al bewaard, %{unmatched} niet herkend', fr: '%{detected} reconnu(s), %{duplicates} déjà enregistré(s), %{unmatched} non reconnu(s)', de: '%{detected} erkannt, %{duplicates} bereits gemerkt, %{unmatched} nicht erkannt', en: '%{detected} recognised, %{duplicates} already bookmarked, %{unmatched} not recognised' },
+      importMore: { nl: 'en nog %{count}', fr: 'et %{count} de plus', de: 'und %{count} weitere', en: 'and %{count} more' },
+      imported: { nl: '%{count} bladwijzer(s) geïmporteerd', fr: '%{count} signet(s) importé(s)', de: '%{count} Lesezeichen importiert', en: '%{count} bookmark(s) imported' },
+      sharedWithMe: { nl: 'Gedeeld met mij', fr: 'Partagés avec moi', de: 'Mit mir geteilt', en: 'Shared with me' },
+      smartFolders: { nl: 'Slimme mappen', fr: 'Dossiers intelligents', de: 'Intelligente Ordner', en: 'Smart folders' },
+      smartNew: { nl: 'Nieuwe slimme map', fr: 'Nouveau dossier intelligent', de: 'Neuer intelligenter Ordner', en: 'New smart folder' },
+      smartEdit: { nl: 'Regel bewerken', fr: 'Modifier la règle', de: 'Regel bearbeiten', en: 'Edit rule' },
+      smartTags: { nl: 'Tags', fr: 'Tags', de: 'Tags', en: 'Tags' },
+      smartChangedWithin: { nl: 'Gewijzigd in de laatste %{days} dagen', fr: 'Modifié ces %{days} derniers jours', de: 'In den letzten %{days} Tagen geändert', en: 'Changed in the last %{days} days' },
+      smartEmpty: { nl: 'Kies minstens één voorwaarde', fr: 'Choisissez au moins une condition', de: 'Wählen Sie mindestens eine Bedingung', en: 'Choose at least one condition' },
+      smartSaved: { nl: 'Slimme map "%{name}" bewaard', fr: 'Dossier intelligent « %{name} » enregistré', de: 'Intelligenter Ordner „%{name}" gespeichert', en: 'Smart folder "%{name}" saved' },
+      smartDeleteConfirm: { nl: 'Slimme map "%{name}" verwijderen? De bladwijzers zelf blijven bewaard.', fr: 'Supprimer le dossier intelligent « %{name} » ? Les signets eux-mêmes sont conservés.', de: 'Intelligenten Ordner „%{name}" löschen? Die Lesezeichen selbst bleiben erhalten.', en: 'Delete smart folder "%{name}"? The bookmarks themselves are kept.' },
+      smartDeleted: { nl: 'Slimme map "%{name}" verwijderd', fr: 'Dossier intelligent « %{name} » supprimé', de: 'Intelligenter Ordner „%{name}" gelöscht', en: 'Smart folder "%{name}" deleted' },
+      sharedFolder: { nl: 'Gedeelde map', fr: 'Dossier partagé', de: 'Geteilter Ordner', en: 'Shared folder' },
+      addedBy: { nl: 'Toegevoegd door %{name}', fr: 'Ajouté par %{name}', de: 'Hinzugefügt von %{name}', en: 'Added by %{name}' },
+      shareTitle: { nl: '"%{name}" delen', fr: 'Partager "%{name}"', de: '"%{name}" teilen', en: 'Share "%{name}"' },
+      shareRole: { nl: 'Rol', fr: 'Rôle', de: 'Rolle', en: 'Role' },
+      role_view: { nl: 'Kan bekijken', fr: 'Peut consulter', de: 'Kann ansehen', en: 'Can view' },
+      role_edit: { nl: 'Kan bewerken', fr: 'Peut modifier', de: 'Kann bearbeiten', en: 'Can edit' },
+      shareRemove: { nl: 'Toegang intrekken', fr: "Retirer l'accès", de: 'Zugriff entziehen', en: 'Remove access' },
+      shareNobody: { nl: 'Nog met niemand gedeeld', fr: 'Partagé avec personne pour le moment', de: 'Noch mit niemandem geteilt', en: 'Not shared with anyone yet' },
+      shareInvalid: { nl: 'Delen niet mogelijk (ongeldig adres, al uitgenodigd of uw eigen adres)', fr: 'Partage impossible (adresse invalide, déjà invitée ou votre propre adresse)', de: 'Teilen nicht möglich (ungültige Adresse, bereits eingeladen oder Ihre eigene Adresse)', en: 'Cannot share (invalid address, already invited or your own address)' },
+      invited: { nl: 'Uitnodiging voor %{email} klaargezet; heeft dit adres een WetWijzer-account, dan ziet die ze bij de bladwijzers', fr: 'Invitation pour %{email} enregistrée ; si cette adresse a un compte WetWijzer, elle apparaîtra dans ses signets', de: 'Einladung für %{email} erstellt; gehört die Adresse zu einem WetWijzer-Konto, erscheint sie dort bei den Lesezeichen', en: 'Invitation for %{email} created; if the address has a WetWijzer account, it shows up among its bookmarks' },
+      invitationPending: { nl: 'Uitnodiging nog niet aanvaard', fr: 'Invitation pas encore acceptée', de: 'Einladung noch nicht angenommen', en: 'Invitation not accepted yet' },
+      invitation: { nl: '%{owner} nodigt u uit voor map "%{name}" (%{role})', fr: '%{owner} vous invite au dossier "%{name}" (%{role})', de: '%{owner} lädt Sie zum Ordner "%{name}" ein (%{role})', en: '%{owner} invites you to folder "%{name}" (%{role})' },
+      invitationAccept: { nl: 'Aanvaarden', fr: 'Accepter', de: 'Annehmen', en: 'Accept' },
+      invitationDecline: { nl: 'Weigeren', fr: 'Refuser', de: 'Ablehnen', en: 'Decline' },
+      invitationAccepted: { nl: 'Map "%{name}" toegevoegd onder Gedeeld met mij', fr: 'Dossier "%{name}" ajouté sous Partagés avec moi', de: 'Ordner "%{name}" unter Mit mir geteilt hinzugefügt', en: 'Folder "%{name}" added under Shared with me' },
+      shareRoleChanged: { nl: 'Rol gewijzigd', fr: 'Rôle modifié', de: 'Rolle geändert', en: 'Role changed' },
+      leaveConfirm: { nl: 'Map "%{name}" verlaten? Bladwijzers die u er toevoegde, worden ongesorteerd.', fr: 'Quitter le dossier "%{name}" ? Les signets que vous y avez ajoutés deviennent non classés.', de: 'Ordner "%{name}" verlassen? Von Ihnen hinzugefügte Lesezeichen werden unsortiert.', en: 'Leave folder "%{name}"? Bookmarks you added there become unfiled.' },
+      left: { nl: 'Map "%{name}" verlaten', fr: 'Dossier "%{name}" quitté', de: 'Ordner "%{name}" verlassen', en: 'Left folder "%{name}"' },
+      undo: { nl: 'Ongedaan maken', fr: 'Annuler', de: 'Rückgängig', en: 'Undo' },
+      saved: { nl: 'Notitie en tags opgeslagen', fr: 'Note et tags enregistrés', de: 'Notiz und Tags gespeichert', en: 'Note and tags saved' },
+      saveFailed: { nl: 'Opslaan mislukt', fr: "Échec de l'enregistrement", de: 'Speichern fehlgeschlagen', en: 'Saving failed' }
+    }
+    const message = messages[key] || messages.saveFailed
+    return message[getLocale()] || message.nl
+  }
+
+  // PATCH/DELETE address a bookmark by law and id, since a law can have several
+  _bookmarkUrl(bookmark) {
+    return `/api/bookmarks/${encodeURIComponent(bookmark.numac)}?bookmark_id=${bookmark.id}`
+  }
+
+  // Laws open in the interface language, at the article or § for those types
+  _bookmarkHref(bookmark, locale) {
+    switch (bookmark.type) {
+      case 'case':
+        return `/jurisprudence/${encodeURI(bookmark.numac)}`
+      case 'parliamentary':
+      case 'flemish_parliament':
+        return `/parliamentary_work/${encodeURIComponent(bookmark.numac)}`
+      default:
+        return `/laws/${bookmark.numac}?language_id=${locale === 'nl' ? 1 : locale === 'de' ? 3 : 2}${paragraphHash(bookmark.anchor, bookmark.paragraph)}`
+    }
+  }
+
+  // "Art. 5, § 2" (the article label as shown on the law page, or the anchor)
+  _articleLabel(bookmark) {
+    const article = bookmark.article || bookmark.anchor
+    return bookmark.paragraph ? `${article}, § ${bookmark.paragraph}` : article
+  }
+
+  // Safe in text and in double-quoted attributes (innerHTML leaves quotes as they are)
   _escapeHtml(str) {
     const el = document.createElement('span')
     el.textContent = str || ''
-    return el.innerHTML
+    return el.innerHTML.replace(/"/g, '&quot;')
   }
 }
@@ -0,0 +1,92 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationPasskeys } from '../services/conversation_passkeys'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+import { watchHistoryList, unlockChatbot } from '../utils/chatbot_bridge'
+
+// Chatbot unlock prompt: offers the passkeys registered on the account page
+// (ConversationPasskeys) next to the password. The password form stays as it
+// is and takes over whenever the passkey is cancelled or cannot unlock.
+// On <body>; does nothing on pages without the chatbot.
+export default class extends Controller {
+  connect() {
+    this._passkeys = null
+    this._busy = false
+    this._unwatch = ConversationPasskeys.isSupported() ? watchHistoryList(list => this._decorate(list)) : null
+  }
+
+  disconnect() {
+    this._unwatch?.()
+  }
+
+  async _decorate(list) {
+    const form = list.querySelector('#zk-unlock-form')
+    if (!form || list.querySelector('[data-passkey-unlock]')) return
+
+    try {
+      this._passkeys ||= ConversationPasskeys.list()
+      const passkeys = await this._passkeys
+      if (passkeys.length === 0 || !form.isConnected || list.querySelector('[data-passkey-unlock]')) return
+      form.before(this._button())
+    } catch (_) {
+      this._passkeys = null // Try again on the next render
+    }
+  }
+
+  _button() {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.dataset.passkeyUnlock = ''
+    button.className = 'w-full mb-2 px-3 py-2 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors'
+    button.textContent = this._t('unlock')
+    button.addEventListener('click', () => this._unlock(button))
+    return button
+  }
+
+  async _unlock(button) {
+    if (this._busy) return
+    this._busy = true
+    button.disabled = true
+
+    try {
+      const masterKey = await ConversationPasskeys.unlock()
+      if (unlockChatbot(this.application, masterKey)) showToast(this._t('unlocked'))
+    } catch (e) {
+      // Revoked elsewhere since the list was loaded
+      if (e.message === 'no_passkeys') this._passkeys = null
+      this._fallBack(e.message)
+    } finally {
+      this._busy = false
+      if (button.isConnected) button.disabled = false
+    }
+  }
+
+  _fallBack(reason) {
+    const error = document.getElementById('zk-unlock-error')
+    if (error && reason !== 'cancelled') {
+      error.textContent = this._t(reason)
+      error.classList.remove('hidden')
+    }
+    document.getElementById('zk-unlock-password')?.focus()
+  }
+
+  _t(key) {
+    const messages = {
+      unlock: { nl: 'Ontgrendelen met passkey', fr: 'Déverrouiller avec une clé d\'accès', de: 'Mit Passkey entsperren', en: 'Unlock with passkey' },
+      unlocked: {
+        nl: 'Uw gesprekken zijn ontgrendeld met de passkey', fr: 'Vos conversations ont été déverrouillées avec la clé d\'accès',
+        de: 'Ihre Unterhaltungen wurden mit dem Passkey entsperrt', en: 'Your conversations were unlocked with the passkey'
+      },
+      prf_unsupported: {
+        nl: 'Deze passkey kan niet ontgrendelen, gebruik uw wachtwoord', fr: 'Cette clé d\'accès ne peut pas déverrouiller, utilisez votre mot de passe',
+        de: 'Dieser Passkey kann nicht entsperren, verwenden Sie Ihr Passwort', en: 'This passkey cannot unlock, use your password'
+      },
+      failed: {
+        nl: 'Ontgrendelen met passkey mislukt, gebruik uw wachtwoord', fr: 'Échec du déverrouillage par clé d\'accès, utilisez votre mot de passe',
+        de: 'Entsperren mit Passkey fehlgeschlagen, verwenden Sie Ihr Passwort', en: 'Passkey unlock failed, use your password'
+      }
+    }
+    const message = messages[key] || messages.failed
+    return message[getLocale()] || message.nl
+  }
+}
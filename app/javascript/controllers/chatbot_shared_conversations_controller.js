@@ -0,0 +1,151 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationSharing } from '../services/conversation_sharing'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+import { trapFocus, releaseFocus } from '../utils/focus_trap'
+import { watchHistoryList, chatbotMasterKey } from '../utils/chatbot_bridge'
+import { renderSharedMessages } from '../utils/shared_conversation'
+
+// Chatbot conversation list: adds the conversations colleagues shared
+// (ConversationSharing) under the user's own, once the chatbot is unlocked.
+// They open read-only in a dialog; the chatbot itself never loads them.
+// On <body>; does nothing on pages without the chatbot.
+export default class extends Controller {
+  connect() {
+    this._summaries = null
+    this._opened = null
+    this._unwatch = watchHistoryList(list => this._decorate(list))
+  }
+
+  disconnect() {
+    this._unwatch?.()
+    this._closeDialog()
+  }
+
+  async _decorate(list) {
+    if (list.querySelector('[data-shared-conversations]') || list.querySelector('#zk-unlock-form')) return
+    if (!chatbotMasterKey(this.application)) return
+
+    try {
+      this._summaries ||= ConversationSharing.listReceivedSummaries()
+      const summaries = await this._summaries
+      if (summaries.length === 0 || list.querySelector('[data-shared-conversations]')) return
+      list.appendChild(this._section(summaries))
+    } catch (_) {
+      this._summaries = null // Try again on the next render
+    }
+  }
+
+  _section(summaries) {
+    const section = document.createElement('div')
+    section.dataset.sharedConversations = ''
+    section.className = 'mt-2 pt-2 border-t border-gray-200 dark:border-gray-700'
+
+    const heading = document.createElement('p')
+    heading.className = 'px-3 py-1 text-[10px] font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400'
+    heading.textContent = this._t('heading')
+    section.appendChild(heading)
+
+    summaries.forEach(summary => {
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'w-full text-left px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors'
+      button.addEventListener('click', () => this._open(summary.id))
+
+      const owner = document.createElement('span')
+      owner.className = 'block text-sm text-gray-900 dark:text-white truncate'
+      owner.textContent = `${this._t('from')} ${summary.owner.name || summary.owner.email}`
+      const date = document.createElement('span')
+      date.className = 'block text-[10px] text-gray-400'
+      date.textContent = new Date(summary.shared_at).toLocaleDateString(getLocale(), { day: 'numeric', month: 'short' })
+
+      button.append(owner, date)
+      section.appendChild(button)
+    })
+    return section
+  }
+
+  async _open(id) {
+    const masterKey = chatbotMasterKey(this.application)
+    if (!masterKey) return
+
+    try {
+      this._opened ||= ConversationSharing.listReceived(masterKey)
+      const share = (await this._opened).find(s => s.id === id)
+      if (share) this._showDialog(share)
+    } catch (_) {
+      this._opened = null
+      showToast(this._t('failed'), { type: 'error' })
+    }
+  }
+
+  _showDialog(share) {
+    this._closeDialog()
+
+    const overlay = document.createElement('div')
+    overlay.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm'
+    overlay.addEventListener('click', e => { if (e.target === overlay) this._closeDialog() })
+
+    const dialog = document.createElement('div')
+    dialog.className = 'relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl p-6 w-full max-w-2xl mx-4 max-h-[85vh] flex flex-col'
+    dialog.setAttribute('role', 'dialog')
+    dialog.setAttribute('aria-modal', 'true')
+    dialog.addEventListener('keydown', e => { if (e.key === 'Escape') this._closeDialog() })
+
+    const title = document.createElement('h3')
+    title.className = 'text-lg font-semibold text-gray-900 dark:text-white truncate'
+    title.textContent = share.meta.title || this._t('untitled')
+    const meta = document.createElement('p')
+    meta.className = 'mb-3 text-xs text-gray-500 dark:text-gray-400'
+    meta.textContent = `${this._t('from')} ${share.owner.name || share.owner.email} · ${this._t('readOnly')} · ${this._t(`status_${share.senderStatus}`)}`
+
+    const body = document.createElement('div')
+    body.className = 'flex-1 overflow-y-auto text-sm text-gray-700 dark:text-gray-300'
+    if (share.payload === null) {
+      body.textContent = this._t('unreadable')
+    } else {
+      body.appendChild(renderSharedMessages(share.payload))
+    }
+
+    const close = document.createElement('button')
+    close.type = 'button'
+    close.className = 'mt-4 self-end px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors'
+    close.textContent = this._t('close')
+    close.addEventListener('click', () => this._closeDialog())
+
+    dialog.append(title, meta, body, close)
+    overlay.appendChild(dialog)
+    document.body.appendChild(overlay)
+    this._dialog = overlay
+    trapFocus(dialog)
+  }
+
+  _closeDialog() {
+    if (!this._dialog) return
+    this._dialog.remove()
+    this._dialog = null
+    releaseFocus()
+  }
+
+  _t(key) {
+    const messages = {
+      heading: { nl: 'Gedeeld met mij', fr: 'Partagées avec moi', de: 'Mit mir geteilt', en: 'Shared with me' },
+      from: { nl: 'Van', fr: 'De', de: 'Von', en: 'From' },
+      untitled: { nl: 'Gesprek', fr: 'Conversation', de: 'Unterhaltung', en: 'Conversation' },
+      readOnly: { nl: 'alleen-lezen', fr: 'lecture seule', de: 'schreibgeschützt', en: 'read-only' },
+      status_verified: { nl: 'sleutel geverifieerd', fr: 'clé vérifiée', de: 'Schlüssel verifiziert', en: 'key verified' },
+      status_unverified: { nl: 'sleutel niet geverifieerd', fr: 'clé non vérifiée', de: 'Schlüssel nicht verifiziert', en: 'key not verified' },
+      status_changed: {
+        nl: 'sleutel gewijzigd sinds uw verificatie!', fr: 'clé modifiée depuis votre vérification !',
+        de: 'Schlüssel seit Ihrer Verifizierung geändert!', en: 'key changed since you verified it!'
+      },
+      unreadable: {
+        nl: 'Dit gesprek kon niet worden ontsleuteld', fr: 'Cette conversation n\'a pas pu être déchiffrée',
+        de: 'Diese Unterhaltung konnte nicht entschlüsselt werden', en: 'This conversation could not be decrypted'
+      },
+      close: { nl: 'Sluiten', fr: 'Fermer', de: 'Schließen', en: 'Close' },
+      failed: { nl: 'Er ging iets mis', fr: 'Une erreur s\'est produite', de: 'Etwas ist schiefgelaufen', en: 'Something went wrong' }
+    }
+    return messages[key][getLocale()] || messages[key].nl
+  }
+}
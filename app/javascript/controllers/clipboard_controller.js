@@ -1,17 +1,121 @@
 import { Controller } from "@hotwired/stimulus"
+import { showToast } from '../utils/toast'
+import { copyRich } from '../utils/rich_clipboard'
+import { Footnotes, articleHtml, articleText } from '../utils/article_clipboard'
 
 // Copy text to clipboard and show a temporary confirmation.
 // data-controller="clipboard" on the button
 // data-clipboard-text-value="text to copy"
 // data-clipboard-success-value="✅ Copied!" (optional feedback text)
+//
+// Links and articles are copied as HTML too (see utils/article_clipboard.js),
+// so Word keeps hyperlinks, article numbering and references as footnotes:
+// data-clipboard-fragment-value="art_5" copies this page's URL with #art_5,
+// data-clipboard-source-selector-value="#article-text-art-5" names the article
+// for copyText / copyCleanText, and copyAllArticles / copyCompareArticles take
+// every article on the page. With data-clipboard-copied-label-value a toast
+// confirms the copy instead of the button text.
 export default class extends Controller {
   static values = {
     text: String,
-    success: { type: String, default: "✅ Gekopieerd!" }
+    success: { type: String, default: "✅ Gekopieerd!" },
+    fragment: String,
+    sourceSelector: String,
+    copiedLabel: String
   }
 
   copy() {
-    navigator.clipboard.writeText(this.textValue)
+    if (this.fragmentValue) {
+      const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${this.fragmentValue}`
+      const link = document.createElement('a')
+      link.href = url
+      link.textContent = url
+      this._write(url, link.outerHTML)
+    } else {
+      this._write(this.textValue)
+    }
+  }
+
+  copyText() {
+    this._copyArticles(this._sources(), false)
+  }
+
+  copyCleanText() {
+    this._copyArticles(this._sources(), true)
+  }
+
+  copyAllArticles() {
+    this._copyArticles(document.querySelectorAll('[id^="article-text-"]'), false)
+  }
+
+  copyAllArticlesCitation() {
+    this._copyArticles(document.querySelectorAll('[id^="article-text-"]'), true)
+  }
+
+  // article-menu:copy@document → the shared article menu on law pages;
+  // event.detail: { source: '#article-text-art-5', clean: true }
+  copyArticle(event) {
+    const { source, clean } = event.detail || {}
+    if (source) this._copyArticles(document.querySelectorAll(source), !!clean)
+  }
+
+  copyCompareArticles() {
+    this._copyCompare(false)
+  }
+
+  copyCompareArticlesCitation() {
+    this._copyCompare(true)
+  }
+
+  _sources() {
+    return this.sourceSelectorValue ? document.querySelectorAll(this.sourceSelectorValue) : []
+  }
+
+  _copyArticles(elements, clean) {
+    const articles = Array.from(elements)
+    if (articles.length === 0) return
+
+    const footnotes = new Footnotes()
+    this._write(
+      articles.map(el => articleText(el, { clean })).filter(Boolean).join('\n\n'),
+      footnotes.wrap(articles.map(el => articleHtml(el, { clean, footnotes })).join(''))
+    )
+  }
+
+  // Compare rows side by side: a two-column table (NL | FR) in HTML, NL then FR as text.
+  // Each row holds [data-article-scope] cells, NL and FR alternating.
+  _copyCompare(clean) {
+    const rows = Array.from(document.querySelectorAll('[id^="compare-row-"]'))
+    if (rows.length === 0) return
+
+    const footnotes = new Footnotes()
+    const texts = []
+    const htmlRows = rows.map(row => {
+      const cells = Array.from(row.querySelectorAll('[data-article-scope]'))
+      const sides = [0, 1].map(side => cells.filter((cell, i) => i % 2 === side && cell.textContent.trim() !== '-'))
+      texts.push(sides.map(side => side.map(cell => articleText(cell, { clean })).filter(Boolean).join('\n')).filter(Boolean).join('\n\n'))
+      return `<tr>${sides.map(side => `<td valign="top">${side.map(cell => articleHtml(cell, { clean, footnotes })).join('')}</td>`).join('')}</tr>`
+    })
+    const header = '<tr><th>Nederlands (NL)</th><th>Français (FR)</th></tr>'
+
+    this._write(
+      texts.filter(Boolean).join('\n\n'),
+      footnotes.wrap(`<table border="1" cellpadding="4" style="border-collapse:collapse">${header}${htmlRows.join('')}</table>`)
+    )
+  }
+
+  _write(text, html = null) {
+    if (!text) return
+    copyRich({ text, html }).then(ok => {
+      if (ok) this._feedback()
+    })
+  }
+
+  _feedback() {
+    if (this.copiedLabelValue) {
+      showToast(this.copiedLabelValue)
+      return
+    }
     const original = this.element.textContent
     this.element.textContent = this.successValue
     setTimeout(() => { this.element.textContent = original }, 2000)
@@ -1,9 +1,23 @@
 import { Controller } from "@hotwired/stimulus"
+import { prefs } from "../services/preferences_store"
+import { showToast } from "../utils/toast"
+import { getLocale } from "../utils/locale"
 
+// mode "cookies": the general consent banner (shown on load until decided)
+// mode "preferences": the opt-in for keeping an anonymous visitor's display
+//   settings on this device (shown the first time they change one)
+// mode "forget": a "forget my settings" control, no banner
 export default class extends Controller {
-  static values = { accepted: Boolean }
+  static values = { accepted: Boolean, mode: { type: String, default: 'cookies' } }
 
   connect() {
+    if (this.modeValue === 'preferences') {
+      this._onUnsaved = () => this.element.classList.remove('translate-y-full')
+      document.addEventListener('preferences:unsaved', this._onUnsaved)
+      return
+    }
+    if (this.modeValue !== 'cookies') return
+
     // Show banner if not yet accepted
     if (!this.acceptedValue && !this.hasConsent()) {
       setTimeout(() => {
@@ -30,6 +44,37 @@ export default class extends Controller {
     this.hideBanner()
   }
 
+  disconnect() {
+    if (this._onUnsaved) document.removeEventListener('preferences:unsaved', this._onUnsaved)
+  }
+
+  // Keep this visitor's preferences in local storage from now on
+  allowPreferences() {
+    this.setCookie('prefs_storage', 'local', 365)
+    prefs.enableLocalPersistence()
+    this.hideBanner()
+  }
+
+  declinePreferences() {
+    this.setCookie('prefs_storage', 'declined', 365)
+    this.hideBanner()
+  }
+
+  // "Forget me": wipe the locally kept preferences and the consent itself
+  forgetPreferences() {
+    prefs.forgetLocal()
+    this.setCookie('prefs_storage', '', -1) // expiry in the past deletes it
+    this.element.remove()
+
+    const messages = {
+      nl: 'Uw instellingen zijn van dit apparaat verwijderd',
+      fr: 'Vos paramètres ont été supprimés de cet appareil',
+      de: 'Ihre Einstellungen wurden von diesem Gerät gelöscht',
+      en: 'Your settings have been removed from this device'
+    }
+    showToast(messages[getLocale()] || messages.nl)
+  }
+
   hideBanner() {
     this.element.classList.add('translate-y-full')
     setTimeout(() => {
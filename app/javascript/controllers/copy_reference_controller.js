@@ -3,35 +3,103 @@
  * 
  * Provides one-click copy of formatted law citations in multiple formats.
  * 
- * Formats:
+ * Formats for laws:
  * - full: "artikel 1134 van het Burgerlijk Wetboek (BS 1804-03-21)"
  * - short: "Art. 1134 BW"
  * - legal: "BW art. 1134, §2"
  * - numac: "NUMAC 2024001234"
- * 
+ *
+ * Citations are rendered from templates (see utils/citation_template.js):
+ * full, short and legal are built in, and users can add their own in the
+ * templates dialog, with a live preview. Each citation language (the
+ * language of the law text) can have a default template, which the quick
+ * copy button then uses. User templates and defaults live in the
+ * `citation_templates` preference: { custom: { id: { name, template } },
+ * defaults: { nl: id, fr: id, … } }.
+ *
+ * With kind "case" (jurisprudence pages) or "parliamentary" the menu offers
+ * that kind's built-in citations instead, following Belgian citation
+ * conventions: "Cass. 12 januari 2023, C.21.0345.N, ECLI:…" or
+ * "Parl.St. Kamer 2022-23, nr. 55-3115/001", plus the bare ECLI or document
+ * number. User templates are for laws only.
+ *
+ * On law pages, `copy@document->copy-reference#citeSelection` adds a
+ * citation for the articles and paragraphs a copied text selection covers
+ * ("Art. 3-7 BW", "Art. 3, § 2 en art. 5 BW"; see
+ * utils/selection_citation.js), rendered like the quick copy button. The
+ * `cite_on_copy` preference turns this off.
+ *
+ * With the `cite_version` preference, law citations name the consolidated
+ * version they quote: the date of the last change in force in the text on
+ * the page ("…, zoals van kracht op 01-07-2026"), never the reader's today.
+ * The copied URL carries ?as_of=2026-07-01. Only the current text is stored,
+ * so that link does not reproduce the cited text: it opens the current text
+ * with the article changes since that date listed and marked
+ * (LawsController#load_version_changes). On a page opened with ?as_of=
+ * (the version value) citations are always pinned, to the text shown.
+ *
+ * Citations go to the clipboard as HTML too: linked to the page, with the
+ * gazette and parliamentary series in italics, so they paste into Word as
+ * a styled hyperlink.
+ *
  * @example
  * <div data-controller="copy-reference"
  *      data-copy-reference-numac-value="2024001234"
  *      data-copy-reference-title-value="Burgerlijk Wetboek"
  *      data-copy-reference-abbreviation-value="BW"
- *      data-copy-reference-date-value="1804-03-21">
+ *      data-copy-reference-date-value="1804-03-21"
+ *      data-copy-reference-language-value="nl">
  *   <button data-action="click->copy-reference#copyFull">Copy full</button>
  * </div>
+ *
+ * <div data-controller="copy-reference"
+ *      data-copy-reference-kind-value="case"
+ *      data-copy-reference-ecli-value="ECLI:BE:CASS:2023:ARR.20230112.1N.3"
+ *      data-copy-reference-court-value="Hof van Cassatie"
+ *      data-copy-reference-roll-number-value="C.21.0345.N"
+ *      data-copy-reference-date-value="2023-01-12"
+ *      data-copy-reference-language-value="nl">
  */
 import { Controller } from "@hotwired/stimulus"
 import { showToast } from '../utils/toast'
-import { isDutch } from '../utils/locale'
+import { getLocale, isDutch } from '../utils/locale'
 import { prefs } from '../services/preferences_store'
+import { selectedArticles, articleReference } from '../utils/selection_citation'
+import {
+  BUILT_IN_TEMPLATES, COURT_SHORT, GAZETTE_SHORT, IN_FORCE, LANGUAGES, NUMBER_SHORT, NUMBERED_COURTS, PARLIAMENT_SHORT, SERIES_SHORT,
+  builtInTemplate, parliamentarySession, renderTemplate, renderTemplateHtml, validateTemplate
+} from '../utils/citation_template'
+import { copyRich } from '../utils/rich_clipboard'
+
+const MAX_CUSTOM_TEMPLATES = 20
+const NEW_TEMPLATE = '__new__'
 
 export default class extends Controller {
-  static targets = ["menu", "button"]
+  static targets = [
+    "menu", "button", "templateList",
+    "dialog", "templateSelect", "templateName", "templateInput", "templateLanguage",
+    "templateDefault", "templatePreview", "templateError", "templateDelete", "citeOnCopy", "citeVersion"
+  ]
   static values = {
     numac: String,
     title: String,
     abbreviation: String,
     date: String,
     article: String,
-    paragraph: String
+    paragraph: String,
+    language: String,
+    // YYYY-MM-DD of the ?as_of= version the page was opened on
+    version: String,
+    // YYYY-MM-DD the consolidated text on the page is in force since
+    consolidated: String,
+    kind: { type: String, default: 'law' },
+    // Court decisions
+    ecli: String,
+    court: String,
+    rollNumber: String,
+    // Parliamentary documents: chamber, senate or vlaams
+    parliament: String,
+    document: String
   }
 
   connect() {
@@ -40,11 +108,24 @@ export default class extends Controller {
     document.addEventListener('click', this.closeOnClickOutside)
     
     // Load preferred format from server-side profile
-    this.preferredFormat = prefs.get('copy_format', 'full')
+    this.preferredFormat = prefs.get('copy_format')
+    this._unsubscribeFormat = prefs.subscribe('copy_format', (format) => {
+      this.preferredFormat = format || 'full'
+    })
+    this._unsubscribeTemplates = prefs.subscribe('citation_templates', () => this.renderTemplateList())
+    this.renderTemplateList()
+    this._unsubscribeCiteOnCopy = prefs.subscribe('cite_on_copy', () => this._syncCiteOnCopy())
+    this._syncCiteOnCopy()
+    this._unsubscribeCiteVersion = prefs.subscribe('cite_version', () => this._syncCiteVersion())
+    this._syncCiteVersion()
   }
 
   disconnect() {
     document.removeEventListener('click', this.closeOnClickOutside)
+    this._unsubscribeFormat?.()
+    this._unsubscribeTemplates?.()
+    this._unsubscribeCiteOnCopy?.()
+    this._unsubscribeCiteVersion?.()
   }
 
   toggle(event) {
@@ -70,11 +151,25 @@ export default class extends Controller {
     }
   }
 
-  // Copy using last preferred format (for quick copy button)
+  // Copy using the language's default template, else the last used format (for quick copy button)
   copyPreferred(event) {
     event?.preventDefault?.()
+    const template = this._findTemplate(this._defaultTemplateId(this.citationLanguage))
+    if (template) {
+      this._copyCitation(template)
+      return
+    }
+
     const format = this.preferredFormat || 'full'
-    
+    if (this.kind !== 'law') {
+      if (format === 'url') {
+        this.copyUrl(event)
+      } else {
+        this._copyCitation(this._preferredTemplate())
+      }
+      return
+    }
+
     switch (format) {
       case 'short': this.copyShort(event); break
       case 'legal': this.copyLegal(event); break
@@ -86,22 +181,19 @@ export default class extends Controller {
 
   copyFull(event) {
     event?.preventDefault?.()
-    const text = this.buildFullCitation()
-    this.copyToClipboard(text)
+    this._copyCitation(this._findTemplate('full'))
     this.savePreferredFormat('full')
   }
 
   copyShort(event) {
     event?.preventDefault?.()
-    const text = this.buildShortCitation()
-    this.copyToClipboard(text)
+    this._copyCitation(this._findTemplate('short'))
     this.savePreferredFormat('short')
   }
 
   copyLegal(event) {
     event?.preventDefault?.()
-    const text = this.buildLegalCitation()
-    this.copyToClipboard(text)
+    this._copyCitation(this._findTemplate('legal'))
     this.savePreferredFormat('legal')
   }
 
@@ -114,81 +206,387 @@ export default class extends Controller {
 
   copyUrl(event) {
     event?.preventDefault?.()
-    const text = window.location.href
-    this.copyToClipboard(text)
+    const text = this._url()
+    this.copyToClipboard(text, this._link(text, this._escape(text)))
     this.savePreferredFormat('url')
   }
 
+  // data-template-id: a built-in format or a user template
+  copyTemplate(event) {
+    event?.preventDefault?.()
+    const template = this._findTemplate(event.currentTarget.dataset.templateId)
+    if (!template) return
+
+    this._copyCitation(template)
+    if (template.builtIn && this.kind === 'law') this.savePreferredFormat(template.id)
+  }
+
+  // The language's default template, else the last used built-in format
+  // (the full citation after copying a NUMAC or URL)
+  _preferredTemplate() {
+    return this._findTemplate(this._defaultTemplateId(this.citationLanguage)) ||
+      this._findTemplate(this.preferredFormat) || this._findTemplate('full')
+  }
+
+  // copy@document: append a citation of the selected articles to copied law text
+  citeSelection(event) {
+    if (!event.clipboardData || !prefs.get('cite_on_copy')) return
+    if (event.target?.closest?.('input, textarea, [contenteditable="true"]')) return
+
+    const selection = window.getSelection()
+    const reference = articleReference(selectedArticles(selection, document.getElementById('tekst')), this.citationLanguage)
+    if (!reference) return
+
+    const language = this.citationLanguage
+    const data = { ...this._citationData(language), ...reference }
+    const template = this._preferredTemplate()
+    const citation = this._render(template, language, data)
+    const html = document.createElement('div')
+    for (let i = 0; i < selection.rangeCount; i++) html.append(selection.getRangeAt(i).cloneContents())
+
+    event.clipboardData.setData('text/plain', `${selection.toString().trim()}\n\n${citation}`)
+    event.clipboardData.setData('text/html', `${html.innerHTML}<p>${this._renderHtml(template, language, data)}</p>`)
+    event.preventDefault()
+    showToast(this._t('citationAdded').replace('%{citation}', citation))
+  }
+
+  toggleCiteOnCopy(event) {
+    event?.preventDefault?.()
+    prefs.set('cite_on_copy', !prefs.get('cite_on_copy'))
+    this._syncCiteOnCopy()
+  }
+
+  _syncCiteOnCopy() {
+    if (this.hasCiteOnCopyTarget) this._syncCheck(this.citeOnCopyTarget, !!prefs.get('cite_on_copy'))
+  }
+
+  toggleCiteVersion(event) {
+    event?.preventDefault?.()
+    prefs.set('cite_version', !prefs.get('cite_version'))
+    this._syncCiteVersion()
+  }
+
+  _syncCiteVersion() {
+    if (!this.hasCiteVersionTarget) return
+    this._syncCheck(this.citeVersionTarget, !!this._versionDate())
+    // A page opened on a version always cites a version
+    this.citeVersionTarget.disabled = !!this.versionValue
+  }
+
+  _syncCheck(target, enabled) {
+    target.setAttribute('aria-checked', enabled ? 'true' : 'false')
+    target.querySelector('[data-check]')?.classList.toggle('invisible', !enabled)
+  }
+
+  // YYYY-MM-DD the citation is pinned to: the consolidation of the text on
+  // the page, when cite_version is on or the page was opened on a version;
+  // null for an unpinned citation or when the consolidation date is unknown
+  _versionDate() {
+    if (this.kind !== 'law') return null
+    if (!this.versionValue && !prefs.get('cite_version')) return null
+    return this.consolidatedValue || null
+  }
+
+  // This page, with ?as_of= for a pinned citation: it opens with the changes
+  // since the cited version listed
+  _url() {
+    const url = new URL(window.location.href)
+    const version = this._versionDate()
+    if (version) url.searchParams.set('as_of', version)
+    else url.searchParams.delete('as_of')
+    return url.toString()
+  }
+
   savePreferredFormat(format) {
     this.preferredFormat = format
     prefs.set('copy_format', format)
   }
 
-  // Build citation formats
-  
-  buildFullCitation() {
-    const parts = []
-    
-    if (this.hasArticleValue && this.articleValue) {
-      const articleWord = this.isDutch ? "artikel" : "l'article"
-      parts.push(`${articleWord} ${this.articleValue}`)
-      
-      if (this.hasParagraphValue && this.paragraphValue) {
-        parts.push(`§ ${this.paragraphValue}`)
-      }
-      
-      const ofWord = this.isDutch ? "van het" : "du"
-      parts.push(ofWord)
+  // Placeholder values for templates; blanks make optional sections drop out
+  _citationData(language) {
+    const data = {
+      article: this.articleValue,
+      paragraph: this.paragraphValue,
+      title: this.titleValue,
+      abbreviation: this.abbreviationValue,
+      date: this.dateValue ? this.formatDate(this.dateValue) : '',
+      gazette: GAZETTE_SHORT[language],
+      numac: this.numacValue,
+      url: this._url()
     }
-    
-    parts.push(this.titleValue || this.numacValue)
-    
-    if (this.hasDateValue && this.dateValue) {
-      const bsLabel = this.isDutch ? "BS" : "MB"
-      parts.push(`(${bsLabel} ${this.formatDate(this.dateValue)})`)
+    if (this.kind === 'law') {
+      const version = this._versionDate()
+      if (!version) return data
+      // YYYY-MM-DD → DD-MM-YYYY (not through Date: no time zone shift)
+      const date = version.split('-').reverse().join('-')
+      return { ...data, version: date, in_force: `${IN_FORCE[language]} ${date}` }
+    }
+
+    // ECLI:BE:CASS:2023:… → CASS
+    const courtCode = this.ecliValue.split(':')[2]?.toUpperCase()
+    const numbered = NUMBERED_COURTS.includes(courtCode) && this.rollNumberValue
+    return {
+      ...data,
+      date: this.dateValue ? this.formatLongDate(this.dateValue, language) : '',
+      court: COURT_SHORT[courtCode]?.[language] || this.courtValue,
+      roll_number: numbered ? `${NUMBER_SHORT[language]} ${this.rollNumberValue}` : this.rollNumberValue,
+      ecli: this.ecliValue,
+      series: SERIES_SHORT[language],
+      chamber: PARLIAMENT_SHORT[this.parliamentValue]?.[language] || this.parliamentValue,
+      session: parliamentarySession(this.dateValue, language),
+      document: this.documentValue
     }
-    
-    return parts.join(' ')
   }
 
-  buildShortCitation() {
-    const parts = []
-    
-    if (this.hasArticleValue && this.articleValue) {
-      parts.push(`Art. ${this.articleValue}`)
-      
-      if (this.hasParagraphValue && this.paragraphValue) {
-        parts.push(`§${this.paragraphValue}`)
+  _render(template, language, data = this._citationData(language)) {
+    return renderTemplate(this._templateSource(template, language), data)
+  }
+
+  // The citation as a link to this page, for rich clipboard content
+  _renderHtml(template, language, data = this._citationData(language)) {
+    return this._link(this._url(), renderTemplateHtml(this._templateSource(template, language), data))
+  }
+
+  _copyCitation(template) {
+    if (!template) return
+    const language = this.citationLanguage
+    this.copyToClipboard(this._render(template, language), this._renderHtml(template, language))
+  }
+
+  _link(url, html) {
+    return `<a href="${this._escape(url)}">${html}</a>`
+  }
+
+  _escape(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML.replace(/"/g, '&quot;')
+  }
+
+  // ─── TEMPLATES ────────────────────────────────────────────────────────
+
+  // Built-in formats first, then the user's own (laws only): [{ id, name, builtIn, template }]
+  _templates() {
+    const custom = this.kind === 'law' ? prefs.get('citation_templates.custom') || {} : {}
+    return [
+      ...Object.keys(BUILT_IN_TEMPLATES[this.kind]).map(id => ({ id, name: this._t(`format_${id}`), builtIn: true })),
+      ...Object.entries(custom)
+        .filter(([, t]) => t && typeof t.template === 'string' && !validateTemplate(t.template))
+        .map(([id, t]) => ({ id, name: t.name || id, builtIn: false, template: t.template }))
+    ]
+  }
+
+  _findTemplate(id) {
+    return id ? this._templates().find(t => t.id === id) || null : null
+  }
+
+  _templateSource(template, language) {
+    return template.builtIn ? builtInTemplate(template.id, language, this.kind) : template.template
+  }
+
+  _defaultTemplateId(language) {
+    return prefs.get(`citation_templates.defaults.${language}`)
+  }
+
+  // The copy menu: one entry per template, the language's default first and ticked
+  renderTemplateList() {
+    if (!this.hasTemplateListTarget) return
+    const defaultId = this._defaultTemplateId(this.citationLanguage)
+    const templates = this._templates().sort((a, b) => (b.id === defaultId) - (a.id === defaultId))
+
+    this.templateListTarget.replaceChildren(...templates.map(template => {
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-(--accent-active-bg) flex items-center justify-between gap-2'
+      button.dataset.templateId = template.id
+      button.dataset.action = 'click->copy-reference#copyTemplate'
+      const label = document.createElement('span')
+      label.className = 'truncate'
+      label.textContent = template.name
+      button.append(label)
+      if (template.id === defaultId) {
+        const mark = document.createElement('span')
+        mark.className = 'text-xs text-(--accent-600) dark:text-(--accent-400)'
+        mark.textContent = '✓'
+        mark.title = this._t('isDefault')
+        button.append(mark)
       }
-    }
-    
-    if (this.hasAbbreviationValue && this.abbreviationValue) {
-      parts.push(this.abbreviationValue)
-    } else {
-      parts.push(this.numacValue)
-    }
-    
-    return parts.join(' ')
+      return button
+    }))
   }
 
-  buildLegalCitation() {
-    const parts = []
-    
-    if (this.hasAbbreviationValue && this.abbreviationValue) {
-      parts.push(this.abbreviationValue)
-    } else {
-      parts.push(this.numacValue)
+  openTemplates(event) {
+    event?.preventDefault?.()
+    event?.stopPropagation?.()
+    if (!this.hasDialogTarget) return
+
+    if (this.hasMenuTarget) this.menuTarget.classList.add('hidden')
+    this.templateLanguageTarget.value = this.citationLanguage
+    this._fillTemplateSelect(this._defaultTemplateId(this.citationLanguage) || 'full')
+    this.dialogTarget.classList.remove('hidden')
+    this.templateSelectTarget.focus()
+  }
+
+  closeTemplates(event) {
+    event?.preventDefault?.()
+    if (this.hasDialogTarget) this.dialogTarget.classList.add('hidden')
+  }
+
+  _fillTemplateSelect(selectedId) {
+    const options = this._templates().map(template => new Option(template.name, template.id))
+    options.push(new Option(this._t('newTemplate'), NEW_TEMPLATE))
+    this.templateSelectTarget.replaceChildren(...options)
+    this.templateSelectTarget.value = this._findTemplate(selectedId) ? selectedId : 'full'
+    this.selectTemplate()
+  }
+
+  // Built-in templates are read-only; a new template starts from the full citation
+  selectTemplate() {
+    const id = this.templateSelectTarget.value
+    const language = this.templateLanguageTarget.value
+    const template = this._findTemplate(id)
+    const editable = !template?.builtIn
+
+    this.templateNameTarget.value = id === NEW_TEMPLATE ? '' : template?.name || ''
+    this.templateInputTarget.value = template ? this._templateSource(template, language) : builtInTemplate('full', language)
+    this.templateNameTarget.readOnly = !editable
+    this.templateInputTarget.readOnly = !editable
+    this.templateDefaultTarget.checked = !!template && this._defaultTemplateId(language) === id
+    this.templateDeleteTarget.classList.toggle('hidden', !template || template.builtIn)
+    this.previewTemplate()
+  }
+
+  changeTemplateLanguage() {
+    const id = this.templateSelectTarget.value
+    const template = this._findTemplate(id)
+    if (template?.builtIn) this.templateInputTarget.value = this._templateSource(template, this.templateLanguageTarget.value)
+    this.templateDefaultTarget.checked = !!template && this._defaultTemplateId(this.templateLanguageTarget.value) === id
+    this.previewTemplate()
+  }
+
+  // This law as cited, plus an article example when the page has no article
+  previewTemplate() {
+    const source = this.templateInputTarget.value
+    const error = validateTemplate(source)
+    this.templateErrorTarget.textContent = error ? this._templateErrorMessage(error) : ''
+    this.templateErrorTarget.classList.toggle('hidden', !error)
+    if (error) {
+      this.templatePreviewTarget.replaceChildren()
+      return
     }
-    
-    if (this.hasArticleValue && this.articleValue) {
-      parts.push(`art. ${this.articleValue}`)
-      
-      if (this.hasParagraphValue && this.paragraphValue) {
-        parts.push(`§${this.paragraphValue}`)
+
+    const language = this.templateLanguageTarget.value
+    const data = this._citationData(language)
+    const examples = [data]
+    if (!data.article) examples.push({ ...data, article: '5', paragraph: '2' })
+    this.templatePreviewTarget.replaceChildren(...examples.map(example => {
+      const line = document.createElement('p')
+      line.className = 'text-sm text-gray-900 dark:text-white break-words'
+      line.textContent = renderTemplate(source, example)
+      return line
+    }))
+  }
+
+  saveTemplate(event) {
+    event?.preventDefault?.()
+    const id = this.templateSelectTarget.value
+    const language = this.templateLanguageTarget.value
+    const existing = this._findTemplate(id)
+    const stored = JSON.parse(JSON.stringify(prefs.get('citation_templates') || {}))
+    stored.custom ||= {}
+    stored.defaults ||= {}
+
+    let savedId = id
+    if (!existing?.builtIn) {
+      const name = this.templateNameTarget.value.trim()
+      const source = this.templateInputTarget.value
+      if (!name || validateTemplate(source)) {
+        this.previewTemplate()
+        showToast(this._t(name ? 'invalidTemplate' : 'nameRequired'), { type: 'error' })
+        return
+      }
+      if (id === NEW_TEMPLATE) {
+        if (Object.keys(stored.custom).length >= MAX_CUSTOM_TEMPLATES) {
+          showToast(this._t('tooMany').replace('%{max}', MAX_CUSTOM_TEMPLATES), { type: 'error' })
+          return
+        }
+        savedId = `t${Date.now().toString(36)}`
       }
+      stored.custom[savedId] = { name: name.slice(0, 60), template: source }
     }
-    
-    return parts.join(', ').replace(/, §/, ', §')
+
+    if (this.templateDefaultTarget.checked) {
+      stored.defaults[language] = savedId
+    } else if (stored.defaults[language] === savedId) {
+      stored.defaults[language] = null
+    }
+
+    if (!prefs.set('citation_templates', stored)) {
+      showToast(this._t('saveFailed'), { type: 'error' })
+      return
+    }
+    this._fillTemplateSelect(savedId)
+    this.renderTemplateList()
+    showToast(this._t('templateSaved'))
+  }
+
+  deleteTemplate(event) {
+    event?.preventDefault?.()
+    const template = this._findTemplate(this.templateSelectTarget.value)
+    if (!template || template.builtIn) return
+    if (!confirm(this._t('deleteConfirm').replace('%{name}', template.name))) return
+
+    const stored = JSON.parse(JSON.stringify(prefs.get('citation_templates') || {}))
+    delete stored.custom?.[template.id]
+    LANGUAGES.forEach(language => {
+      if (stored.defaults?.[language] === template.id) stored.defaults[language] = null
+    })
+    prefs.set('citation_templates', stored)
+    this._fillTemplateSelect('full')
+    this.renderTemplateList()
+  }
+
+  _templateErrorMessage(error) {
+    const message = this._t(`error_${error.code}`)
+    return message.replace('%{name}', error.detail).replace('%{position}', error.position + 1)
+  }
+
+  get kind() {
+    return BUILT_IN_TEMPLATES[this.kindValue] ? this.kindValue : 'law'
+  }
+
+  // Language of the law text (or decision, document), else the interface language
+  get citationLanguage() {
+    if (LANGUAGES.includes(this.languageValue)) return this.languageValue
+    const locale = getLocale()
+    return LANGUAGES.includes(locale) ? locale : 'nl'
+  }
+
+  _t(key) {
+    const messages = {
+      format_full: { nl: 'Volledige citatie', fr: 'Citation complète', de: 'Vollständiges Zitat', en: 'Full citation' },
+      format_short: { nl: 'Korte citatie', fr: 'Citation courte', de: 'Kurzzitat', en: 'Short citation' },
+      format_legal: { nl: 'Juridische citatie', fr: 'Citation juridique', de: 'Juristisches Zitat', en: 'Legal citation' },
+      citationAdded: { nl: 'Bron toegevoegd: %{citation}', fr: 'Référence ajoutée : %{citation}', de: 'Quelle angefügt: %{citation}', en: 'Citation added: %{citation}' },
+      format_ecli: { nl: 'ECLI', fr: 'ECLI', de: 'ECLI', en: 'ECLI' },
+      format_document: { nl: 'Documentnummer', fr: 'Numéro du document', de: 'Dokumentnummer', en: 'Document number' },
+      isDefault: { nl: 'Standaard voor deze taal', fr: 'Par défaut pour cette langue', de: 'Standard für diese Sprache', en: 'Default for this language' },
+      newTemplate: { nl: 'Nieuw sjabloon…', fr: 'Nouveau modèle…', de: 'Neue Vorlage…', en: 'New template…' },
+      nameRequired: { nl: 'Geef het sjabloon een naam', fr: 'Donnez un nom au modèle', de: 'Geben Sie der Vorlage einen Namen', en: 'Give the template a name' },
+      invalidTemplate: { nl: 'Het sjabloon bevat een fout', fr: 'Le modèle contient une erreur', de: 'Die Vorlage enthält einen Fehler', en: 'The template contains an error' },
+      tooMany: { nl: 'Maximaal %{max} eigen sjablonen', fr: 'Au maximum %{max} modèles personnels', de: 'Höchstens %{max} eigene Vorlagen', en: 'At most %{max} templates of your own' },
+      templateSaved: { nl: 'Sjabloon bewaard', fr: 'Modèle enregistré', de: 'Vorlage gespeichert', en: 'Template saved' },
+      saveFailed: { nl: 'Bewaren mislukt', fr: "Échec de l'enregistrement", de: 'Speichern fehlgeschlagen', en: 'Saving failed' },
+      deleteConfirm: { nl: 'Sjabloon "%{name}" verwijderen?', fr: 'Supprimer le modèle « %{name} » ?', de: 'Vorlage „%{name}" löschen?', en: 'Delete template "%{name}"?' },
+      error_empty: { nl: 'Het sjabloon is leeg', fr: 'Le modèle est vide', de: 'Die Vorlage ist leer', en: 'The template is empty' },
+      error_too_long: { nl: 'Het sjabloon is te lang', fr: 'Le modèle est trop long', de: 'Die Vorlage ist zu lang', en: 'The template is too long' },
+      error_unclosed_placeholder: { nl: 'Een { wordt niet gesloten (teken %{position})', fr: "Une { n'est pas fermée (caractère %{position})", de: 'Eine { wird nicht geschlossen (Zeichen %{position})', en: 'A { is not closed (character %{position})' },
+      error_unknown_placeholder: { nl: 'Onbekend veld {%{name}}', fr: 'Champ inconnu {%{name}}', de: 'Unbekanntes Feld {%{name}}', en: 'Unknown field {%{name}}' },
+      error_unclosed_section: { nl: 'Een [ wordt niet gesloten (teken %{position})', fr: "Un [ n'est pas fermé (caractère %{position})", de: 'Eine [ wird nicht geschlossen (Zeichen %{position})', en: 'A [ is not closed (character %{position})' },
+      error_unexpected_bracket: { nl: 'Onverwachte %{name} (teken %{position}); gebruik \\%{name} voor het teken zelf', fr: 'Caractère %{name} inattendu (caractère %{position}) ; utilisez \\%{name} pour le caractère lui-même', de: 'Unerwartetes %{name} (Zeichen %{position}); \\%{name} für das Zeichen selbst', en: 'Unexpected %{name} (character %{position}); use \\%{name} for the character itself' }
+    }
+    const message = messages[key]
+    return message[getLocale()] || message.nl
   }
 
   formatDate(dateStr) {
@@ -208,10 +606,23 @@ export default class extends Controller {
     }
   }
 
-  copyToClipboard(text) {
-    const showFeedback = () => {
+  // YYYY-MM-DD or DD-MM-YYYY → "12 januari 2023", "12 janvier 2023", "12. Januar 2023"
+  formatLongDate(dateStr, language) {
+    const text = String(dateStr).trim()
+    const ymd = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/)
+    const dmy = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/)
+    const parts = ymd ? [ymd[1], ymd[2], ymd[3]] : dmy ? [dmy[3], dmy[2], dmy[1]] : null
+    if (!parts) return text
+
+    const date = new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])))
+    return new Intl.DateTimeFormat(`${language}-BE`, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }).format(date)
+  }
+
+  copyToClipboard(text, html = null) {
+    copyRich({ text, html }).then(ok => {
+      if (!ok) return
       showToast(this.isDutch ? "Referentie gekopieerd!" : "Référence copiée!")
-      
+
       // Close menu after copy
       if (this.hasMenuTarget) {
         this.menuTarget.classList.add('hidden')
@@ -219,31 +630,7 @@ export default class extends Controller {
           this.buttonTarget.setAttribute('aria-expanded', 'false')
         }
       }
-    }
-
-    const fallbackCopy = (text) => {
-      try {
-        const textarea = document.createElement('textarea')
-        textarea.value = text
-        textarea.style.position = 'fixed'
-        textarea.style.top = '-9999px'
-        textarea.style.opacity = '0'
-        document.body.appendChild(textarea)
-        textarea.focus()
-        textarea.select()
-        const ok = document.execCommand('copy')
-        document.body.removeChild(textarea)
-        if (ok) showFeedback()
-      } catch (e) {
-        console.warn('Copy failed:', e)
-      }
-    }
-
-    if (navigator?.clipboard?.writeText) {
-      navigator.clipboard.writeText(text).then(showFeedback).catch(() => fallbackCopy(text))
-    } else {
-      fallbackCopy(text)
-    }
+    })
   }
 
   get isDutch() {
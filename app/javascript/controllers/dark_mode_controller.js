@@ -32,12 +32,18 @@ export default class extends Controller {
     // Listen for system theme changes
     this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)')
     this.mediaQuery.addEventListener('change', this.handleSystemThemeChange.bind(this))
+
+    // Follow theme changes made in other open tabs
+    this._unsubscribeTheme = prefs.subscribe('theme', (_theme, { remote }) => {
+      if (remote) this.applyTheme()
+    })
   }
 
   disconnect() {
     if (this.mediaQuery) {
       this.mediaQuery.removeEventListener('change', this.handleSystemThemeChange.bind(this))
     }
+    this._unsubscribeTheme?.()
   }
 
   toggle(event) {
@@ -0,0 +1,136 @@
+import { Controller } from "@hotwired/stimulus"
+import { prefs } from '../services/preferences_store'
+import {
+  applyPreset, deletePreset, exportPreferences, importPreferences, listPresets, savePreset
+} from '../services/preference_presets'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+
+// Account page: switch/save/delete display presets and export/import the
+// whole preference document as JSON.
+export default class extends Controller {
+  static targets = ["list", "name"]
+  static values = {
+    standard: { type: Object, default: {} }
+  }
+
+  connect() {
+    this.render()
+
+    // Saved or switched in another tab
+    this._unsubscribe = [
+      prefs.subscribe('presets', () => this.render()),
+      prefs.subscribe('active_preset', () => this.render())
+    ]
+  }
+
+  disconnect() {
+    this._unsubscribe?.forEach(unsubscribe => unsubscribe())
+  }
+
+  render() {
+    if (!this.hasListTarget) return
+    const locale = getLocale()
+    const active = prefs.get('active_preset')
+
+    this.listTarget.innerHTML = listPresets(this.standardValue).map(preset => {
+      const label = preset.label ? (preset.label[locale] || preset.label.nl) : preset.name
+      const isActive = preset.name === active
+      const name = this._escapeHtml(preset.name)
+      return `
+        <li class="flex items-center justify-between gap-3 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+          <span class="text-gray-700 dark:text-gray-300">
+            ${this._escapeHtml(label)}
+            ${isActive ? `<span class="ml-2 px-2 py-0.5 text-xs bg-green-100 text-green-800 rounded-full">${this._t('active')}</span>` : ''}
+          </span>
+          <span class="flex items-center gap-3 text-sm">
+            <button type="button" class="text-(--accent-600) hover:text-(--accent-700)"
+                    data-action="preference-presets#apply" data-preference-presets-name-param="${name}">${this._t('apply')}</button>
+            ${preset.builtIn ? '' : `<button type="button" class="text-red-600 hover:text-red-700"
+                    data-action="preference-presets#remove" data-preference-presets-name-param="${name}">${this._t('delete')}</button>`}
+          </span>
+        </li>`
+    }).join('')
+  }
+
+  apply(event) {
+    if (applyPreset(event.params.name, this.standardValue)) {
+      this.render()
+      showToast(this._t('applied'))
+    }
+  }
+
+  save(event) {
+    event?.preventDefault()
+    const name = this.hasNameTarget ? this.nameTarget.value : ''
+    if (!savePreset(name)) {
+      showToast(this._t('invalidName'), { type: 'error' })
+      return
+    }
+    this.nameTarget.value = ''
+    this.render()
+    showToast(this._t('saved'))
+  }
+
+  remove(event) {
+    deletePreset(event.params.name)
+    this.render()
+  }
+
+  export() {
+    const blob = new Blob([exportPreferences()], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `wetwijzer-preferences-${new Date().toISOString().split('T')[0]}.json`
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
+  import(event) {
+    const file = event.target.files[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      try {
+        const { rejected } = importPreferences(e.target.result)
+        this.render()
+        if (rejected.length > 0) {
+          showToast(`${this._t('importedPartially')} ${rejected.join(', ')}`, { duration: 5000 })
+        } else {
+          showToast(this._t('imported'))
+        }
+      } catch (_) {
+        showToast(this._t('invalidFile'), { type: 'error' })
+      }
+    }
+    reader.readAsText(file)
+    event.target.value = ''
+  }
+
+  _t(key) {
+    const messages = {
+      active: { nl: 'actief', fr: 'actif', de: 'aktiv', en: 'active' },
+      apply: { nl: 'Toepassen', fr: 'Appliquer', de: 'Anwenden', en: 'Apply' },
+      delete: { nl: 'Verwijderen', fr: 'Supprimer', de: 'Löschen', en: 'Delete' },
+      applied: { nl: 'Voorinstelling toegepast', fr: 'Préréglage appliqué', de: 'Voreinstellung angewendet', en: 'Preset applied' },
+      saved: { nl: 'Voorinstelling opgeslagen', fr: 'Préréglage enregistré', de: 'Voreinstellung gespeichert', en: 'Preset saved' },
+      invalidName: { nl: 'Kies een andere naam', fr: 'Choisissez un autre nom', de: 'Wählen Sie einen anderen Namen', en: 'Choose another name' },
+      imported: { nl: 'Voorkeuren geïmporteerd', fr: 'Préférences importées', de: 'Einstellungen importiert', en: 'Preferences imported' },
+      importedPartially: { nl: 'Geïmporteerd, behalve:', fr: 'Importé, sauf :', de: 'Importiert, außer:', en: 'Imported, except:' },
+      invalidFile: { nl: 'Ongeldig voorkeurenbestand', fr: 'Fichier de préférences invalide', de: 'Ungültige Einstellungsdatei', en: 'Invalid preferences file' }
+    }
+    const locale = getLocale()
+    return messages[key][locale] || messages[key].nl
+  }
+
+  // Also escapes quotes: names end up in data attributes
+  _escapeHtml(str) {
+    const el = document.createElement('span')
+    el.textContent = str || ''
+    return el.innerHTML.replace(/"/g, '&quot;')
+  }
+}
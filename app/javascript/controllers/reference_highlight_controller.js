@@ -1,11 +1,28 @@
 import { Controller } from "@hotwired/stimulus"
 import { prefs } from "../services/preferences_store"
 
+// One subscription shared by all instances (there is one per reference on the page):
+// when highlighting is switched off, possibly from another tab, drop any active highlight.
+let highlightSubscription = null
+
+function clearAllHighlights() {
+  document.querySelectorAll('.reference-inline-highlighted').forEach(el => el.classList.remove('reference-inline-highlighted'))
+  document.querySelectorAll('.reference-row-highlighted').forEach(el => el.classList.remove('reference-row-highlighted'))
+}
+
 // Bidirectional highlighting between inline references [1 ...]1 and bottom references [1]
 export default class extends Controller {
+  connect() {
+    if (!highlightSubscription) {
+      highlightSubscription = prefs.subscribe('reference_highlight', (enabled) => {
+        if (enabled === false) clearAllHighlights()
+      })
+    }
+  }
+
   // Check if highlighting is enabled via server-side profile
   isHighlightEnabled() {
-    return prefs.get('reference_highlight', true)
+    return prefs.get('reference_highlight')
   }
 
   // Inline reference hover → highlight ALL references with the same number (scoped to current article)
@@ -11,7 +11,7 @@ export default class extends Controller {
   static targets = ["checkbox"];
 
   connect() {
-    const autoOpen = prefs.get('sidebar_auto_open', false);
+    const autoOpen = prefs.get('sidebar_auto_open');
     
     if (this.hasCheckboxTarget) {
       this.checkboxTarget.checked = autoOpen;
@@ -39,6 +39,6 @@ export default class extends Controller {
 
   // Static method to check preference (can be called from other controllers)
   static isAutoOpenEnabled() {
-    return prefs.get('sidebar_auto_open', false);
+    return prefs.get('sidebar_auto_open');
   }
 }
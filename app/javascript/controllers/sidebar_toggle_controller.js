@@ -837,7 +837,7 @@ export default class extends Controller {
 
   // Check if auto-open is enabled via server-side profile preference
   isAutoOpenEnabled() {
-    return prefs.get('sidebar_auto_open', false);
+    return prefs.get('sidebar_auto_open');
   }
 
   // Helpers (duplicates cleaned)
@@ -21,9 +21,8 @@ export default class extends Controller {
   }
 
   connect() {
-    // Apply stored theme on connect, default to 'original' (classic look) when none
-    const stored = prefs.get('theme_accent', null)
-    const theme = stored || 'original'
+    // Apply stored theme on connect; the schema defaults to 'original' (classic look)
+    const theme = prefs.get('theme_accent')
     this._applyTheme(theme)
     this._currentTheme = theme
 
@@ -32,10 +31,19 @@ export default class extends Controller {
       if (e.key === 'Escape') this.close()
     }
     document.addEventListener('keydown', this._onKeydown)
+
+    // Follow accent changes made in other open tabs
+    this._unsubscribeAccent = prefs.subscribe('theme_accent', (accent, { remote }) => {
+      if (!remote) return
+      this._currentTheme = accent || 'original'
+      this._applyTheme(this._currentTheme)
+      this._highlightActiveTheme()
+    })
   }
 
   disconnect() {
     if (this._onKeydown) document.removeEventListener('keydown', this._onKeydown)
+    this._unsubscribeAccent?.()
   }
 
   toggle(event) {
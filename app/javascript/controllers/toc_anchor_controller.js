@@ -1,7 +1,10 @@
 import { Controller } from "@hotwired/stimulus"
+import { findParagraphs, parseArticleHash } from '../utils/article_paragraphs'
 
 // Handles navigation to article anchors in lazy-loaded content
-// Ensures articles are loaded before attempting to navigate to fragment
+// Ensures articles are loaded before attempting to navigate to fragment.
+// Also understands paragraph links ("#art-5--par-2", from paragraph
+// bookmarks): it navigates to the article, then scrolls to the § itself.
 export default class extends Controller {
   static targets = ["frame"]
   
@@ -19,6 +22,9 @@ export default class extends Controller {
     // Check if frame is already loaded (has content beyond loading placeholder)
     if (this.isFrameLoaded()) {
       // Articles already loaded, browser will handle scroll automatically
+      // (except for paragraphs, which have no element of their own)
+      const { anchor, paragraph } = parseArticleHash(hash)
+      if (paragraph) this.scrollToParagraph(anchor, paragraph)
       return
     }
     
@@ -35,7 +41,7 @@ export default class extends Controller {
     if (!hash) return
     
     // Check if target anchor exists in DOM
-    const targetElement = document.querySelector(hash)
+    const targetElement = document.getElementById(parseArticleHash(hash).anchor)
     
     if (targetElement) {
       // Target exists, navigate immediately
@@ -95,13 +101,33 @@ export default class extends Controller {
   }
   
   navigateToHash(hash) {
+    const { anchor, paragraph } = parseArticleHash(hash)
+
     // Update URL hash (this will trigger browser scroll)
     window.location.hash = hash
     
     // Fallback: manually scroll to element if browser doesn't auto-scroll
-    const target = document.querySelector(hash)
+    const target = document.getElementById(anchor)
     if (target) {
       target.scrollIntoView({ behavior: 'auto', block: 'start' })
     }
+
+    if (paragraph) this.scrollToParagraph(anchor, paragraph)
+  }
+
+  // Scroll to "§ N." inside the article and highlight it briefly
+  scrollToParagraph(anchor, paragraph) {
+    const textEl = document.getElementById(`article-text-${anchor}`) || document.getElementById(anchor)
+    const found = findParagraphs(textEl).find(p => p.number === paragraph)
+    if (!found) return
+
+    const mark = document.createElement('span')
+    mark.className = 'rounded-sm bg-(--accent-100) dark:bg-(--accent-900)/40 transition-colors duration-1000'
+    found.node.replaceWith(mark)
+    mark.appendChild(found.node)
+
+    const top = mark.getBoundingClientRect().top + window.scrollY - 96 // clear the sticky header
+    window.scrollTo({ top, behavior: 'auto' })
+    setTimeout(() => mark.classList.remove('bg-(--accent-100)', 'dark:bg-(--accent-900)/40'), 2500)
   }
 }
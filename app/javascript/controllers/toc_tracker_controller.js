@@ -253,6 +253,11 @@ export default class extends Controller {
       }
       document.addEventListener('turbo:frame-load', this.handleTurboFrameLoad)
     } catch (_) { /* noop */ }
+
+    // Follow the "follow TOC" toggle when it is changed in another open tab
+    this._unsubscribeFollow = prefs.subscribe('toc_follow_enabled', (enabled, { remote }) => {
+      if (remote && enabled !== null && enabled !== this.enabledValue) this.enabledValue = enabled
+    })
   }
 
   /**
@@ -266,6 +271,7 @@ export default class extends Controller {
   disconnect() {
     this.cleanup()
     try { document.removeEventListener('turbo:frame-load', this.handleTurboFrameLoad) } catch (_) { /* noop */ }
+    this._unsubscribeFollow?.()
   }
 
   // Private methods
@@ -0,0 +1,37 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Point-in-time law page (?as_of=): the articles frame shows the current
+// consolidated text, so each article changed after the cited date gets a
+// note saying so above its text. The notes are outside #article-text-…, so
+// copying an article or citing a selection does not pick them up.
+//
+// markers: { "art-5": "Changed on …" } (LawsController#load_version_changes)
+export default class extends Controller {
+  static values = { markers: Object }
+
+  connect() {
+    this.mark = this.mark.bind(this)
+    // The articles arrive in a lazy-loaded turbo frame
+    document.addEventListener("turbo:frame-load", this.mark)
+    this.mark()
+  }
+
+  disconnect() {
+    document.removeEventListener("turbo:frame-load", this.mark)
+  }
+
+  mark() {
+    Object.entries(this.markersValue).forEach(([anchor, text]) => {
+      const article = document.getElementById(anchor)?.closest("[data-article-scope]")
+      if (!article || article.querySelector("[data-version-marker]")) return
+
+      const marker = document.createElement("p")
+      marker.dataset.versionMarker = ""
+      marker.className = "mt-3 px-3 py-1.5 rounded-md bg-amber-50 dark:bg-amber-900/15 border border-amber-200 dark:border-amber-800/40 text-xs text-amber-800 dark:text-amber-200 select-none"
+      marker.textContent = text
+
+      const body = article.querySelector("[data-permalink]")
+      body ? body.before(marker) : article.prepend(marker)
+    })
+  }
+}
@@ -0,0 +1,137 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationArchive } from '../services/conversation_archive'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+
+// Minimum passphrase length for a new archive; it is the only thing
+// protecting the file once it leaves the account
+const MIN_PASSPHRASE_LENGTH = 12
+
+// Account edit page: export all conversations to a passphrase-encrypted
+// archive file, or import such a file into this account.
+export default class extends Controller {
+  static targets = ["password", "passphrase", "passphraseConfirmation", "file", "status"]
+
+  async export(event) {
+    event?.preventDefault()
+    const password = this.passwordTarget.value
+    const passphrase = this.passphraseTarget.value
+    if (!password || this._busy) return
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      showToast(this._t('passphraseTooShort'), { type: 'error', duration: 5000 })
+      return
+    }
+    if (passphrase !== this.passphraseConfirmationTarget.value) {
+      showToast(this._t('passphraseMismatch'), { type: 'error', duration: 5000 })
+      return
+    }
+
+    await this._run(async () => {
+      const { blob, count, skipped } = await ConversationArchive.export(password, passphrase, {
+        onProgress: ({ done, total }) => this._setStatus(`${this._t('exporting')} ${done} / ${total}`)
+      })
+      this._download(blob)
+      this._setStatus('')
+      const message = `${count} ${this._t('exported')}`
+      showToast(skipped.length > 0 ? `${message} (${skipped.length} ${this._t('skipped')})` : message, { duration: 5000 })
+    })
+  }
+
+  async import(event) {
+    event?.preventDefault()
+    const file = this.fileTarget.files[0]
+    const password = this.passwordTarget.value
+    const passphrase = this.passphraseTarget.value
+    if (!file || !password || !passphrase || this._busy) return
+
+    await this._run(async () => {
+      this._setStatus(this._t('importing'))
+      const { imported, rejected } = await ConversationArchive.import(await file.text(), password, passphrase)
+      this.fileTarget.value = ''
+      this._setStatus('')
+      const message = `${imported} ${this._t('imported')}`
+      if (rejected > 0) {
+        showToast(`${message} (${rejected} ${this._t('rejected')})`, { type: 'error', duration: 8000 })
+      } else {
+        showToast(message, { duration: 5000 })
+      }
+    })
+  }
+
+  async _run(work) {
+    this._busy = true
+    this.element.querySelectorAll('button').forEach(button => { button.disabled = true })
+    try {
+      await work()
+      this.passwordTarget.value = ''
+      this.passphraseTarget.value = ''
+      this.passphraseConfirmationTarget.value = ''
+    } catch (e) {
+      this._setStatus('')
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    } finally {
+      this._busy = false
+      this.element.querySelectorAll('button').forEach(button => { button.disabled = false })
+    }
+  }
+
+  _download(blob) {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `wetwijzer-conversations-${new Date().toISOString().split('T')[0]}.wwarchive`
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
+  _setStatus(text) {
+    if (this.hasStatusTarget) this.statusTarget.textContent = text
+  }
+
+  _t(key) {
+    const messages = {
+      exporting: { nl: 'Exporteren…', fr: 'Exportation…', de: 'Exportieren…', en: 'Exporting…' },
+      importing: { nl: 'Importeren…', fr: 'Importation…', de: 'Importieren…', en: 'Importing…' },
+      exported: { nl: 'gesprekken geëxporteerd', fr: 'conversations exportées', de: 'Unterhaltungen exportiert', en: 'conversations exported' },
+      imported: { nl: 'gesprekken geïmporteerd', fr: 'conversations importées', de: 'Unterhaltungen importiert', en: 'conversations imported' },
+      skipped: { nl: 'onleesbaar, overgeslagen', fr: 'illisibles, ignorées', de: 'unlesbar, übersprungen', en: 'unreadable, skipped' },
+      rejected: { nl: 'niet aanvaard door de server', fr: 'refusées par le serveur', de: 'vom Server nicht angenommen', en: 'not accepted by the server' },
+      passphraseTooShort: {
+        nl: `Kies een wachtzin van minstens ${MIN_PASSPHRASE_LENGTH} tekens`,
+        fr: `Choisissez une phrase secrète d'au moins ${MIN_PASSPHRASE_LENGTH} caractères`,
+        de: `Wählen Sie eine Passphrase mit mindestens ${MIN_PASSPHRASE_LENGTH} Zeichen`,
+        en: `Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`
+      },
+      passphraseMismatch: {
+        nl: 'De wachtzinnen komen niet overeen', fr: 'Les phrases secrètes ne correspondent pas',
+        de: 'Die Passphrasen stimmen nicht überein', en: 'The passphrases do not match'
+      },
+      wrong_password: { nl: 'Onjuist wachtwoord', fr: 'Mot de passe incorrect', de: 'Falsches Passwort', en: 'Wrong password' },
+      wrong_passphrase: {
+        nl: 'Deze wachtzin opent het archief niet', fr: 'Cette phrase secrète n\'ouvre pas l\'archive',
+        de: 'Diese Passphrase öffnet das Archiv nicht', en: 'This passphrase does not open the archive'
+      },
+      invalid_format: {
+        nl: 'Dit is geen Wetwijzer-gesprekkenarchief', fr: 'Ce n\'est pas une archive de conversations Wetwijzer',
+        de: 'Dies ist kein Wetwijzer-Unterhaltungsarchiv', en: 'This is not a Wetwijzer conversation archive'
+      },
+      unsupported_version: {
+        nl: 'Dit archief werd met een nieuwere versie gemaakt', fr: 'Cette archive a été créée avec une version plus récente',
+        de: 'Dieses Archiv wurde mit einer neueren Version erstellt', en: 'This archive was made with a newer version'
+      },
+      corrupt_entry: {
+        nl: 'Het archief is beschadigd of gewijzigd', fr: 'L\'archive est endommagée ou modifiée',
+        de: 'Das Archiv ist beschädigt oder verändert', en: 'The archive is damaged or has been modified'
+      },
+      truncated: {
+        nl: 'Het archief is onvolledig', fr: 'L\'archive est incomplète', de: 'Das Archiv ist unvollständig', en: 'The archive is incomplete'
+      },
+      failed: { nl: 'Er ging iets mis', fr: 'Une erreur s\'est produite', de: 'Etwas ist schiefgelaufen', en: 'Something went wrong' }
+    }
+    const message = messages[key] || messages.failed
+    return message[getLocale()] || message.nl
+  }
+}
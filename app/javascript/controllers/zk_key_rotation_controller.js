@@ -0,0 +1,85 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationKeyRotation } from '../services/conversation_key_rotation'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+
+// Account edit page: rotate the conversation master key, with a progress bar.
+// An interrupted rotation (kept on the server, see the service) is offered
+// for resumption on the next visit, on any device.
+// data-zk-key-rotation-pending-value="true" while a rotation is in progress
+export default class extends Controller {
+  static targets = ["password", "button", "progress", "bar", "status", "pending"]
+  static values = { pending: Boolean }
+
+  pendingValueChanged() {
+    if (this.hasPendingTarget) this.pendingTarget.classList.toggle('hidden', !this.pendingValue)
+  }
+
+  async rotate(event) {
+    event?.preventDefault()
+    const password = this.passwordTarget.value
+    if (!password || this._running) return
+
+    if (!this.pendingValue && !confirm(this._t('confirm'))) return
+
+    this._running = true
+    this.buttonTarget.disabled = true
+    this.progressTarget.classList.remove('hidden')
+    this._setStatus(this._t('preparing'))
+
+    try {
+      const result = await ConversationKeyRotation.run(password, {
+        onProgress: ({ done, total }) => {
+          const pct = total > 0 ? Math.round((done / total) * 100) : 100
+          this.barTarget.style.width = `${pct}%`
+          this._setStatus(`${done} / ${total}`)
+        }
+      })
+
+      this.pendingValue = !result.committed
+      if (!result.committed) {
+        const count = result.failed.length > 0 ? ` (${result.failed.length})` : ''
+        this._setStatus(`${this._t('interrupted')}${count}`)
+        showToast(this._t('interrupted'), { type: 'error', duration: 5000 })
+      } else {
+        this.barTarget.style.width = '100%'
+        this._setStatus(this._t('done'))
+        this.passwordTarget.value = ''
+        showToast(this._t('done'))
+      }
+    } catch (e) {
+      this._setStatus('')
+      // A rotation may have been started before the failure
+      if (e.message !== 'wrong_password') this.pendingValue = true
+      showToast(this._t(e.message === 'wrong_password' ? 'wrongPassword' : 'interrupted'), { type: 'error', duration: 5000 })
+    } finally {
+      this._running = false
+      this.buttonTarget.disabled = false
+    }
+  }
+
+  _setStatus(text) {
+    if (this.hasStatusTarget) this.statusTarget.textContent = text
+  }
+
+  _t(key) {
+    const messages = {
+      confirm: {
+        nl: 'Een nieuwe sleutel aanmaken en al uw gesprekken opnieuw versleutelen? Laat deze pagina open tot het klaar is.',
+        fr: 'Créer une nouvelle clé et rechiffrer toutes vos conversations ? Laissez cette page ouverte jusqu\'à la fin.',
+        de: 'Einen neuen Schlüssel erzeugen und alle Unterhaltungen neu verschlüsseln? Lassen Sie diese Seite bis zum Ende geöffnet.',
+        en: 'Create a new key and re-encrypt all your conversations? Keep this page open until it finishes.'
+      },
+      preparing: { nl: 'Sleutel voorbereiden…', fr: 'Préparation de la clé…', de: 'Schlüssel wird vorbereitet…', en: 'Preparing key…' },
+      done: { nl: 'Sleutel vernieuwd', fr: 'Clé renouvelée', de: 'Schlüssel erneuert', en: 'Key rotated' },
+      interrupted: {
+        nl: 'Rotatie onderbroken, u kunt ze later hervatten',
+        fr: 'Rotation interrompue, vous pourrez la reprendre plus tard',
+        de: 'Rotation unterbrochen, Sie können sie später fortsetzen',
+        en: 'Rotation interrupted, you can resume it later'
+      },
+      wrongPassword: { nl: 'Onjuist wachtwoord', fr: 'Mot de passe incorrect', de: 'Falsches Passwort', en: 'Wrong password' }
+    }
+    return messages[key][getLocale()] || messages[key].nl
+  }
+}
@@ -0,0 +1,147 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationPasskeys } from '../services/conversation_passkeys'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+
+// Account edit page: register passkeys that unlock the conversation master
+// key (WebAuthn PRF), list them, test one, and revoke them.
+export default class extends Controller {
+  static targets = ["list", "form", "password", "label", "unsupported"]
+
+  connect() {
+    if (!ConversationPasskeys.isSupported()) {
+      this.formTarget.classList.add('hidden')
+      this.unsupportedTarget.classList.remove('hidden')
+    }
+    this.load()
+  }
+
+  async load() {
+    try {
+      this._passkeys = await ConversationPasskeys.list()
+    } catch (_) {
+      this._passkeys = []
+    }
+    this.render()
+  }
+
+  render() {
+    if (this._passkeys.length === 0) {
+      this.listTarget.innerHTML = `<li class="text-sm text-gray-500 dark:text-gray-400">${this._t('none')}</li>`
+      return
+    }
+
+    this.listTarget.innerHTML = this._passkeys.map(passkey => `
+      <li class="flex items-center justify-between gap-3 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+        <span>
+          <span class="block text-gray-700 dark:text-gray-300">${this._escapeHtml(passkey.label || this._t('unnamed'))}</span>
+          <span class="block text-xs text-gray-500 dark:text-gray-400">
+            ${this._t('added')} ${this._formatDate(passkey.created_at)}
+            · ${passkey.last_used_at ? `${this._t('lastUsed')} ${this._formatDate(passkey.last_used_at)}` : this._t('neverUsed')}
+          </span>
+        </span>
+        <span class="flex items-center gap-3 text-sm">
+          <button type="button" class="text-(--accent-600) hover:text-(--accent-700)"
+                  data-action="zk-passkeys#test">${this._t('test')}</button>
+          <button type="button" class="text-red-600 hover:text-red-700"
+                  data-action="zk-passkeys#revoke" data-zk-passkeys-id-param="${passkey.id}">${this._t('revoke')}</button>
+        </span>
+      </li>`).join('')
+  }
+
+  async add(event) {
+    event?.preventDefault()
+    const password = this.passwordTarget.value
+    if (!password || this._busy) return
+
+    this._busy = true
+    try {
+      await ConversationPasskeys.register(password, this.labelTarget.value.trim() || this._defaultLabel())
+      this.passwordTarget.value = ''
+      this.labelTarget.value = ''
+      showToast(this._t('registered'))
+      await this.load()
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    } finally {
+      this._busy = false
+    }
+  }
+
+  async test() {
+    try {
+      await ConversationPasskeys.unlock()
+      showToast(this._t('unlocked'))
+      await this.load()
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    }
+  }
+
+  async revoke(event) {
+    if (!confirm(this._t('confirmRevoke'))) return
+    try {
+      await ConversationPasskeys.revoke(event.params.id)
+      await this.load()
+      showToast(this._t('revoked'))
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    }
+  }
+
+  // "Chrome on macOS" and the like, so the list tells devices apart
+  _defaultLabel() {
+    const ua = navigator.userAgent
+    const browser = /Edg\//.test(ua) ? 'Edge' : /Firefox\//.test(ua) ? 'Firefox' : /Chrome\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : ''
+    const os = /iPhone|iPad/.test(ua) ? 'iOS' : /Android/.test(ua) ? 'Android' : /Mac OS X/.test(ua) ? 'macOS' : /Windows/.test(ua) ? 'Windows' : /Linux/.test(ua) ? 'Linux' : ''
+    return [browser, os].filter(Boolean).join(' · ')
+  }
+
+  _formatDate(iso) {
+    const locale = { nl: 'nl-BE', fr: 'fr-BE', de: 'de-BE', en: 'en-GB' }[getLocale()] || 'nl-BE'
+    return new Date(iso).toLocaleDateString(locale)
+  }
+
+  _t(key) {
+    const messages = {
+      none: { nl: 'Nog geen passkeys', fr: 'Aucune clé d\'accès', de: 'Noch keine Passkeys', en: 'No passkeys yet' },
+      unnamed: { nl: 'Passkey', fr: 'Clé d\'accès', de: 'Passkey', en: 'Passkey' },
+      added: { nl: 'Toegevoegd', fr: 'Ajoutée le', de: 'Hinzugefügt', en: 'Added' },
+      lastUsed: { nl: 'laatst gebruikt', fr: 'dernière utilisation', de: 'zuletzt verwendet', en: 'last used' },
+      neverUsed: { nl: 'nog niet gebruikt', fr: 'jamais utilisée', de: 'noch nicht verwendet', en: 'never used' },
+      test: { nl: 'Testen', fr: 'Tester', de: 'Testen', en: 'Test' },
+      revoke: { nl: 'Intrekken', fr: 'Révoquer', de: 'Widerrufen', en: 'Revoke' },
+      registered: { nl: 'Passkey toegevoegd', fr: 'Clé d\'accès ajoutée', de: 'Passkey hinzugefügt', en: 'Passkey added' },
+      unlocked: {
+        nl: 'Uw gesprekken zijn ontgrendeld met de passkey', fr: 'Vos conversations ont été déverrouillées avec la clé d\'accès',
+        de: 'Ihre Unterhaltungen wurden mit dem Passkey entsperrt', en: 'Your conversations were unlocked with the passkey'
+      },
+      revoked: { nl: 'Passkey ingetrokken', fr: 'Clé d\'accès révoquée', de: 'Passkey widerrufen', en: 'Passkey revoked' },
+      confirmRevoke: {
+        nl: 'Deze passkey intrekken? Dat toestel kan uw gesprekken dan niet meer ontgrendelen.',
+        fr: 'Révoquer cette clé d\'accès ? Cet appareil ne pourra plus déverrouiller vos conversations.',
+        de: 'Diesen Passkey widerrufen? Dieses Gerät kann Ihre Unterhaltungen dann nicht mehr entsperren.',
+        en: 'Revoke this passkey? That device can no longer unlock your conversations.'
+      },
+      wrong_password: { nl: 'Onjuist wachtwoord', fr: 'Mot de passe incorrect', de: 'Falsches Passwort', en: 'Wrong password' },
+      already_registered: {
+        nl: 'Deze passkey is al toegevoegd', fr: 'Cette clé d\'accès est déjà ajoutée',
+        de: 'Dieser Passkey ist bereits hinzugefügt', en: 'This passkey has already been added'
+      },
+      prf_unsupported: {
+        nl: 'Deze passkey ondersteunt geen sleutelafleiding (PRF)', fr: 'Cette clé d\'accès ne prend pas en charge la dérivation de clé (PRF)',
+        de: 'Dieser Passkey unterstützt keine Schlüsselableitung (PRF)', en: 'This passkey does not support key derivation (PRF)'
+      },
+      cancelled: { nl: 'Geannuleerd', fr: 'Annulé', de: 'Abgebrochen', en: 'Cancelled' },
+      failed: { nl: 'Er ging iets mis', fr: 'Une erreur s\'est produite', de: 'Etwas ist schiefgelaufen', en: 'Something went wrong' }
+    }
+    const message = messages[key] || messages.failed
+    return message[getLocale()] || message.nl
+  }
+
+  _escapeHtml(str) {
+    const el = document.createElement('span')
+    el.textContent = str || ''
+    return el.innerHTML
+  }
+}
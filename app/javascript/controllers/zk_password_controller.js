@@ -0,0 +1,61 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationCrypto } from '../services/conversation_crypto'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+
+// Account edit form: when the password changes, rewrap the zero-knowledge
+// master key with the new password before submitting, so the server stores
+// both in the same update. Conversation payloads are not touched.
+export default class extends Controller {
+  static values = { wrappedKey: String, salt: String }
+
+  async submit(event) {
+    if (this._rewrapped) return // second pass, key fields are filled in
+
+    const currentPassword = this.element.querySelector('[name="current_password"]')?.value
+    const newPassword = this.element.querySelector('[name="password"]')?.value
+    if (!newPassword || !currentPassword || !this.wrappedKeyValue || !this.saltValue) return
+
+    event.preventDefault()
+
+    const button = this.element.querySelector('[type="submit"]')
+    if (button) button.disabled = true
+
+    try {
+      const { wrappedKey, salt } = await ConversationCrypto.rewrapMasterKey(
+        this.wrappedKeyValue, this.saltValue, currentPassword, newPassword
+      )
+      this._setField('encrypted_master_key', wrappedKey)
+      this._setField('key_derivation_salt', salt)
+      this._rewrapped = true
+      this.element.requestSubmit()
+    } catch (_) {
+      showToast(this._t('unwrapFailed'), { type: 'error', duration: 5000 })
+    } finally {
+      if (button) button.disabled = false
+    }
+  }
+
+  _setField(name, value) {
+    let input = this.element.querySelector(`input[type="hidden"][name="${name}"]`)
+    if (!input) {
+      input = document.createElement('input')
+      input.type = 'hidden'
+      input.name = name
+      this.element.appendChild(input)
+    }
+    input.value = value
+  }
+
+  _t(key) {
+    const messages = {
+      unwrapFailed: {
+        nl: 'Het huidige wachtwoord ontgrendelt uw versleutelde gesprekken niet',
+        fr: 'Le mot de passe actuel ne déverrouille pas vos conversations chiffrées',
+        de: 'Das aktuelle Passwort entsperrt Ihre verschlüsselten Unterhaltungen nicht',
+        en: 'The current password does not unlock your encrypted conversations'
+      }
+    }
+    return messages[key][getLocale()] || messages[key].nl
+  }
+}
@@ -0,0 +1,81 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationCrypto } from '../services/conversation_crypto'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+
+// Password reset form: when the user enters their recovery phrase, unwrap the
+// recovery copy of the master key and wrap it for the new password before
+// submitting. Without a phrase the reset goes through as before (encrypted
+// conversations then stay locked).
+export default class extends Controller {
+  static targets = ["phrase"]
+  static values = { wrappedKey: String, salt: String }
+
+  async submit(event) {
+    if (this._recovered) return // second pass, key fields are filled in
+
+    const phrase = this.hasPhraseTarget ? this.phraseTarget.value.trim() : ''
+    const newPassword = this.element.querySelector('[name="password"]')?.value
+    if (!phrase || !newPassword || !this.wrappedKeyValue || !this.saltValue) return
+
+    event.preventDefault()
+    const button = this.element.querySelector('[type="submit"]')
+    if (button) button.disabled = true
+
+    try {
+      const { wrappedKey, salt } = await ConversationCrypto.recoverWithPhrase(
+        this.wrappedKeyValue, this.saltValue, phrase, newPassword
+      )
+      this._setField('encrypted_master_key', wrappedKey)
+      this._setField('key_derivation_salt', salt)
+      this._recovered = true
+      this.element.requestSubmit()
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    } finally {
+      if (button) button.disabled = false
+    }
+  }
+
+  _setField(name, value) {
+    let input = this.element.querySelector(`input[type="hidden"][name="${name}"]`)
+    if (!input) {
+      input = document.createElement('input')
+      input.type = 'hidden'
+      input.name = name
+      this.element.appendChild(input)
+    }
+    input.value = value
+  }
+
+  _t(key) {
+    const messages = {
+      unknown_word: {
+        nl: 'Een van de woorden staat niet in de lijst',
+        fr: 'Un des mots ne figure pas dans la liste',
+        de: 'Eines der Wörter steht nicht in der Liste',
+        en: 'One of the words is not in the word list'
+      },
+      word_count: {
+        nl: 'De herstelzin telt 17 woorden',
+        fr: 'La phrase de récupération compte 17 mots',
+        de: 'Die Wiederherstellungsphrase hat 17 Wörter',
+        en: 'The recovery phrase has 17 words'
+      },
+      checksum: {
+        nl: 'Controleer de volgorde en spelling van de woorden',
+        fr: 'Vérifiez l\'ordre et l\'orthographe des mots',
+        de: 'Prüfen Sie Reihenfolge und Schreibweise der Wörter',
+        en: 'Check the order and spelling of the words'
+      },
+      wrong_phrase: {
+        nl: 'Deze herstelzin hoort niet bij uw account',
+        fr: 'Cette phrase de récupération ne correspond pas à votre compte',
+        de: 'Diese Wiederherstellungsphrase gehört nicht zu Ihrem Konto',
+        en: 'This recovery phrase does not belong to your account'
+      }
+    }
+    const message = messages[key] || messages.wrong_phrase
+    return message[getLocale()] || message.nl
+  }
+}
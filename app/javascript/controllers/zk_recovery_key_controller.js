@@ -0,0 +1,221 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationCrypto } from '../services/conversation_crypto'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+
+// Number of words the user retypes to prove the phrase was written down
+const CONFIRM_COUNT = 3
+
+// Account edit page: set up (or replace/remove) the recovery phrase for the
+// conversation master key. The phrase is generated and used in the browser;
+// the server only stores the copy of the master key it wraps.
+// Flow: password -> phrase shown (print) -> retype 3 words -> saved.
+// Not during a key rotation: the phrase would wrap the key being replaced.
+export default class extends Controller {
+  static targets = ["password", "setup", "phrase", "words", "confirm", "status"]
+  static values = { wrappedKey: String, salt: String, rotationPending: Boolean }
+
+  async create(event) {
+    event?.preventDefault()
+    const password = this.passwordTarget.value
+    if (!password || this._busy) return
+
+    if (this.rotationPendingValue) {
+      showToast(this._t('rotationPending'), { type: 'error', duration: 5000 })
+      return
+    }
+
+    this._busy = true
+    try {
+      const result = await ConversationCrypto.createRecoveryKey(this.wrappedKeyValue, this.saltValue, password)
+      this._pending = { ...result, password }
+      this._showPhrase(result.words)
+    } catch (_) {
+      showToast(this._t('wrongPassword'), { type: 'error', duration: 5000 })
+    } finally {
+      this._busy = false
+    }
+  }
+
+  async confirm(event) {
+    event?.preventDefault()
+    if (!this._pending || this._busy) return
+
+    const mismatch = [...this.confirmTarget.querySelectorAll('input')].some(input => {
+      return !this._matches(input.value, this._pending.words[Number(input.dataset.index)])
+    })
+    if (mismatch) {
+      showToast(this._t('mismatch'), { type: 'error', duration: 5000 })
+      return
+    }
+
+    this._busy = true
+    try {
+      await this._request('PATCH', {
+        recovery_wrapped_master_key: this._pending.recoveryWrappedKey,
+        recovery_key_salt: this._pending.recoverySalt,
+        current_password: this._pending.password
+      })
+      this._pending = null
+      showToast(this._t('saved'))
+      window.location.reload()
+    } catch (e) {
+      showToast(this._t(e.status === 403 ? 'wrongPassword' : 'failed'), { type: 'error', duration: 5000 })
+    } finally {
+      this._busy = false
+    }
+  }
+
+  cancel() {
+    this._pending = null
+    this.wordsTarget.innerHTML = ''
+    this.confirmTarget.innerHTML = ''
+    this.phraseTarget.classList.add('hidden')
+    this.setupTarget.classList.remove('hidden')
+  }
+
+  async remove() {
+    const password = this.passwordTarget.value
+    if (!password) {
+      this.passwordTarget.focus()
+      showToast(this._t('passwordNeeded'), { type: 'error' })
+      return
+    }
+    if (!confirm(this._t('confirmRemove'))) return
+
+    try {
+      await this._request('DELETE', { current_password: password })
+      showToast(this._t('removed'))
+      window.location.reload()
+    } catch (e) {
+      showToast(this._t(e.status === 403 ? 'wrongPassword' : 'failed'), { type: 'error', duration: 5000 })
+    }
+  }
+
+  // Print from a bare window, so the phrase does not end up in the page's
+  // own print layout or in a screenshot of the account page
+  print() {
+    if (!this._pending) return
+    const win = window.open('', '_blank', 'width=600,height=700')
+    if (!win) return
+
+    const doc = win.document
+    doc.title = this._t('printTitle')
+    const heading = doc.createElement('h1')
+    heading.textContent = this._t('printTitle')
+    const note = doc.createElement('p')
+    note.textContent = this._t('printNote')
+    const list = doc.createElement('ol')
+    this._pending.words.forEach(word => {
+      const item = doc.createElement('li')
+      item.textContent = word
+      item.style.fontFamily = 'monospace'
+      item.style.fontSize = '16px'
+      list.appendChild(item)
+    })
+    doc.body.append(heading, note, list)
+    win.focus()
+    win.print()
+  }
+
+  _showPhrase(words) {
+    this.wordsTarget.innerHTML = ''
+    words.forEach((word, index) => {
+      const item = document.createElement('li')
+      item.className = 'px-2 py-1 bg-gray-50 dark:bg-gray-700 rounded font-mono text-sm text-gray-900 dark:text-white'
+      item.textContent = `${index + 1}. ${word}`
+      this.wordsTarget.appendChild(item)
+    })
+
+    this.confirmTarget.innerHTML = ''
+    this._pickPositions(words.length).forEach(index => {
+      const label = document.createElement('label')
+      label.className = 'block text-sm text-gray-700 dark:text-gray-300'
+      label.textContent = `${this._t('word')} ${index + 1}`
+
+      const input = document.createElement('input')
+      input.type = 'text'
+      input.autocomplete = 'off'
+      input.spellcheck = false
+      input.dataset.index = index
+      input.className = 'mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white font-mono'
+      label.appendChild(input)
+      this.confirmTarget.appendChild(label)
+    })
+
+    this.passwordTarget.value = ''
+    this.setupTarget.classList.add('hidden')
+    this.phraseTarget.classList.remove('hidden')
+  }
+
+  _pickPositions(count) {
+    const positions = new Set()
+    const random = new Uint32Array(1)
+    while (positions.size < Math.min(CONFIRM_COUNT, count)) {
+      crypto.getRandomValues(random)
+      positions.add(random[0] % count)
+    }
+    return [...positions].sort((a, b) => a - b)
+  }
+
+  // The phrase decodes from 4-letter prefixes, so accept those here too
+  _matches(typed, expected) {
+    const value = typed.trim().toLowerCase()
+    return value.length >= 4 && expected.startsWith(value)
+  }
+
+  async _request(method, body) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const response = await fetch('/account/recovery_key', {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+      },
+      body: JSON.stringify(body)
+    })
+    if (!response.ok) throw Object.assign(new Error('request_failed'), { status: response.status })
+    return response.json()
+  }
+
+  _t(key) {
+    const messages = {
+      word: { nl: 'Woord', fr: 'Mot', de: 'Wort', en: 'Word' },
+      wrongPassword: { nl: 'Onjuist wachtwoord', fr: 'Mot de passe incorrect', de: 'Falsches Passwort', en: 'Wrong password' },
+      passwordNeeded: {
+        nl: 'Voer uw wachtwoord in', fr: 'Saisissez votre mot de passe', de: 'Geben Sie Ihr Passwort ein', en: 'Enter your password'
+      },
+      mismatch: {
+        nl: 'De woorden komen niet overeen met uw herstelzin',
+        fr: 'Les mots ne correspondent pas à votre phrase de récupération',
+        de: 'Die Wörter stimmen nicht mit Ihrer Wiederherstellungsphrase überein',
+        en: 'The words do not match your recovery phrase'
+      },
+      saved: { nl: 'Herstelzin ingesteld', fr: 'Phrase de récupération activée', de: 'Wiederherstellungsphrase eingerichtet', en: 'Recovery phrase set up' },
+      removed: { nl: 'Herstelzin verwijderd', fr: 'Phrase de récupération supprimée', de: 'Wiederherstellungsphrase entfernt', en: 'Recovery phrase removed' },
+      failed: { nl: 'Opslaan mislukt', fr: 'Échec de l\'enregistrement', de: 'Speichern fehlgeschlagen', en: 'Saving failed' },
+      confirmRemove: {
+        nl: 'Herstelzin verwijderen? Zonder herstelzin zijn uw gesprekken onleesbaar als u uw wachtwoord vergeet.',
+        fr: 'Supprimer la phrase de récupération ? Sans elle, vos conversations deviennent illisibles si vous oubliez votre mot de passe.',
+        de: 'Wiederherstellungsphrase entfernen? Ohne sie sind Ihre Unterhaltungen unlesbar, wenn Sie Ihr Passwort vergessen.',
+        en: 'Remove the recovery phrase? Without it your conversations become unreadable if you forget your password.'
+      },
+      rotationPending: {
+        nl: 'Rond eerst de lopende sleutelrotatie af',
+        fr: 'Terminez d\'abord la rotation de clé en cours',
+        de: 'Schließen Sie zuerst die laufende Schlüsselrotation ab',
+        en: 'Finish the pending key rotation first'
+      },
+      printTitle: { nl: 'Wetwijzer herstelzin', fr: 'Phrase de récupération Wetwijzer', de: 'Wetwijzer-Wiederherstellungsphrase', en: 'Wetwijzer recovery phrase' },
+      printNote: {
+        nl: 'Bewaar dit blad op een veilige plaats. Wie deze woorden kent, kan uw gesprekken ontsleutelen.',
+        fr: 'Conservez cette feuille en lieu sûr. Quiconque connaît ces mots peut déchiffrer vos conversations.',
+        de: 'Bewahren Sie dieses Blatt sicher auf. Wer diese Wörter kennt, kann Ihre Unterhaltungen entschlüsseln.',
+        en: 'Keep this sheet somewhere safe. Anyone who knows these words can decrypt your conversations.'
+      }
+    }
+    return messages[key][getLocale()] || messages[key].nl
+  }
+}
@@ -0,0 +1,371 @@
+import { Controller } from "@hotwired/stimulus"
+import { ConversationSharing } from '../services/conversation_sharing'
+import { showToast } from '../utils/toast'
+import { getLocale } from '../utils/locale'
+import { renderSharedMessages } from '../utils/shared_conversation'
+
+// Account edit page: share conversations with colleagues (public-key
+// envelopes), verify their key fingerprints, revoke shares and read the
+// conversations others shared (read-only). The password is asked once; the
+// master key it unlocks is kept until the page is left.
+export default class extends Controller {
+  static targets = [
+    "password", "fingerprint", "setup", "shareForm", "conversation", "email",
+    "recipient", "recipientFingerprint", "recipientStatus", "verified", "sent", "received"
+  ]
+
+  async connect() {
+    try {
+      this._myKey = await ConversationSharing.myKey()
+    } catch (_) {
+      this._myKey = null
+    }
+    this._renderMyKey()
+    if (this._myKey) {
+      this._loadConversations()
+      this._loadSent()
+    }
+  }
+
+  disconnect() {
+    this._unlocked = null
+  }
+
+  async setUp(event) {
+    event?.preventDefault()
+    try {
+      const masterKey = await this._masterKey()
+      if (!masterKey) return
+      this._myKey = await ConversationSharing.setUp(masterKey)
+      this._renderMyKey()
+      this._loadConversations()
+      this._loadSent()
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    }
+  }
+
+  async lookup(event) {
+    event?.preventDefault()
+    const email = this.emailTarget.value.trim()
+    if (!email) return
+
+    try {
+      const masterKey = await this._masterKey()
+      if (!masterKey) return
+      this._recipient = await ConversationSharing.lookup(email, masterKey)
+    } catch (e) {
+      this._recipient = null
+      this.recipientTarget.classList.add('hidden')
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+      return
+    }
+
+    this.recipientFingerprintTarget.textContent = this._recipient.fingerprint
+    this.recipientStatusTarget.textContent = this._t(`status_${this._recipient.status}`)
+    this.recipientStatusTarget.className = `text-xs font-medium ${{
+      verified: 'text-green-700 dark:text-green-400',
+      unverified: 'text-amber-700 dark:text-amber-300',
+      changed: 'text-red-700 dark:text-red-400'
+    }[this._recipient.status]}`
+    this.verifiedTarget.checked = this._recipient.status === 'verified'
+    this.verifiedTarget.disabled = this._recipient.status === 'verified'
+    this.recipientTarget.classList.remove('hidden')
+  }
+
+  async share(event) {
+    event?.preventDefault()
+    const conversationId = this.conversationTarget.value
+    if (!conversationId || !this._recipient) return
+
+    try {
+      const masterKey = await this._masterKey()
+      if (!masterKey) return
+
+      // A changed key stays blocked until the user deliberately verifies the new one
+      if (this.verifiedTarget.checked && this._recipient.status !== 'verified') {
+        await ConversationSharing.markVerified(this._recipient.email, this._recipient.fingerprint, masterKey)
+        this._recipient.status = 'verified'
+      }
+      if (this._recipient.status === 'unverified' && !confirm(this._t('confirmUnverified'))) return
+
+      await ConversationSharing.share(conversationId, this._recipient.email, masterKey, { allowUnverified: true })
+      showToast(this._t('shared'))
+      this._loadSent()
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    }
+  }
+
+  async revoke(event) {
+    if (!confirm(this._t('confirmRevoke'))) return
+    try {
+      await ConversationSharing.revoke(event.params.id)
+      showToast(this._t('revoked'))
+      this._loadSent()
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    }
+  }
+
+  async dismiss(event) {
+    try {
+      await ConversationSharing.revoke(event.params.id)
+      event.target.closest('li')?.remove()
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    }
+  }
+
+  async showReceived(event) {
+    event?.preventDefault()
+    try {
+      const masterKey = await this._masterKey()
+      if (!masterKey) return
+      const items = await ConversationSharing.listReceived(masterKey)
+      this._renderReceived(items)
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    }
+  }
+
+  // Pin the sender's key from the received list
+  async verifySender(event) {
+    const { email, fingerprint } = event.params
+    const button = event.target
+    if (!confirm(`${this._t('confirmVerify')}\n\n${fingerprint}`)) return
+    try {
+      const masterKey = await this._masterKey()
+      if (!masterKey) return
+      await ConversationSharing.markVerified(email, fingerprint, masterKey)
+      button.replaceWith(document.createTextNode(this._t('status_verified')))
+    } catch (e) {
+      showToast(this._t(e.message), { type: 'error', duration: 5000 })
+    }
+  }
+
+  // ── Rendering ──
+
+  _renderMyKey() {
+    const ready = !!this._myKey
+    this.setupTarget.classList.toggle('hidden', ready)
+    this.shareFormTarget.classList.toggle('hidden', !ready)
+    this.fingerprintTarget.textContent = ready ? this._myKey.fingerprint : '—'
+  }
+
+  async _loadConversations() {
+    try {
+      const response = await fetch('/api/chatbot/conversations', { credentials: 'same-origin', headers: { 'Accept': 'application/json' } })
+      const data = response.ok ? await response.json() : {}
+      const conversations = Array.isArray(data) ? data : (data?.conversations || [])
+
+      // Zero-knowledge titles are encrypted; those are listed by date
+      this.conversationTarget.innerHTML = ''
+      conversations.filter(c => c.id != null).forEach(conversation => {
+        const option = document.createElement('option')
+        option.value = conversation.id
+        option.textContent = conversation.title || this._conversationLabel(conversation)
+        this.conversationTarget.appendChild(option)
+      })
+    } catch (_) {
+      // Leave the select empty; sharing just is not possible right now
+    }
+  }
+
+  async _loadSent() {
+    let shares = []
+    try {
+      shares = await ConversationSharing.listSent()
+    } catch (_) {
+      // Shown as empty
+    }
+
+    const titles = {}
+    this.conversationTarget.querySelectorAll('option').forEach(option => { titles[option.value] = option.textContent })
+
+    this.sentTarget.innerHTML = ''
+    if (shares.length === 0) {
+      this.sentTarget.appendChild(this._emptyItem(this._t('noneSent')))
+      return
+    }
+    shares.forEach(share => {
+      const item = this._listItem()
+      const label = document.createElement('span')
+      label.className = 'text-sm text-gray-700 dark:text-gray-300'
+      label.textContent = `${titles[share.conversation_token] || share.conversation_token} → ${share.recipient.name || share.recipient.email}`
+
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'text-sm text-red-600 hover:text-red-700'
+      button.textContent = this._t('revoke')
+      button.dataset.action = 'zk-sharing#revoke'
+      button.dataset.zkSharingIdParam = share.id
+
+      item.append(label, button)
+      this.sentTarget.appendChild(item)
+    })
+  }
+
+  _renderReceived(items) {
+    this.receivedTarget.innerHTML = ''
+    if (items.length === 0) {
+      this.receivedTarget.appendChild(this._emptyItem(this._t('noneReceived')))
+      return
+    }
+
+    items.forEach(share => {
+      const item = this._listItem()
+      item.classList.add('flex-col', 'items-stretch')
+
+      const header = document.createElement('div')
+      header.className = 'flex items-center justify-between gap-3'
+      const title = document.createElement('span')
+      title.className = 'text-sm font-medium text-gray-900 dark:text-white'
+      title.textContent = `${share.meta.title || this._t('untitled')} — ${share.owner.name || share.owner.email}`
+      const dismiss = document.createElement('button')
+      dismiss.type = 'button'
+      dismiss.className = 'text-sm text-red-600 hover:text-red-700'
+      dismiss.textContent = this._t('remove')
+      dismiss.dataset.action = 'zk-sharing#dismiss'
+      dismiss.dataset.zkSharingIdParam = share.id
+      header.append(title, dismiss)
+
+      const key = document.createElement('p')
+      key.className = 'text-xs text-gray-500 dark:text-gray-400 font-mono'
+      key.textContent = `${share.senderFingerprint} · `
+      if (share.senderStatus === 'verified') {
+        key.append(this._t('status_verified'))
+      } else {
+        const verify = document.createElement('button')
+        verify.type = 'button'
+        verify.className = share.senderStatus === 'changed' ? 'text-red-600 hover:underline' : 'text-(--accent-600) hover:underline'
+        verify.textContent = this._t(share.senderStatus === 'changed' ? 'status_changed' : 'verify')
+        verify.dataset.action = 'zk-sharing#verifySender'
+        verify.dataset.zkSharingEmailParam = share.owner.email
+        verify.dataset.zkSharingFingerprintParam = share.senderFingerprint
+        key.appendChild(verify)
+      }
+
+      item.append(header, key, this._renderPayload(share.payload))
+      this.receivedTarget.appendChild(item)
+    })
+  }
+
+  // Read-only view; the payload format belongs to the chatbot, so fall back to JSON
+  _renderPayload(payload) {
+    const details = document.createElement('details')
+    details.className = 'text-sm text-gray-700 dark:text-gray-300'
+    const summary = document.createElement('summary')
+    summary.className = 'cursor-pointer text-(--accent-600)'
+    summary.textContent = this._t('read')
+    details.appendChild(summary)
+
+    if (payload === null) {
+      const error = document.createElement('p')
+      error.className = 'mt-2 text-red-600'
+      error.textContent = this._t('unreadable')
+      details.appendChild(error)
+    } else {
+      details.appendChild(renderSharedMessages(payload))
+    }
+    return details
+  }
+
+  _conversationLabel(conversation) {
+    const date = conversation.updated_at || conversation.created_at
+    return date ? `${this._t('untitled')} · ${new Date(date).toLocaleDateString(getLocale())}` : `${this._t('untitled')} #${conversation.id}`
+  }
+
+  _listItem() {
+    const item = document.createElement('li')
+    item.className = 'flex items-center justify-between gap-3 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg'
+    return item
+  }
+
+  _emptyItem(text) {
+    const item = document.createElement('li')
+    item.className = 'text-sm text-gray-500 dark:text-gray-400'
+    item.textContent = text
+    return item
+  }
+
+  // The master key, unlocked with the password field on first use; null
+  // (with a hint) while the field is empty
+  async _masterKey() {
+    if (this._unlocked) return this._unlocked
+
+    const password = this.passwordTarget.value
+    if (!password) {
+      this.passwordTarget.focus()
+      showToast(this._t('passwordNeeded'), { type: 'error' })
+      return null
+    }
+    this._unlocked = await ConversationSharing.unlock(password)
+    this.passwordTarget.value = ''
+    return this._unlocked
+  }
+
+  _t(key) {
+    const messages = {
+      passwordNeeded: { nl: 'Voer uw wachtwoord in', fr: 'Saisissez votre mot de passe', de: 'Geben Sie Ihr Passwort ein', en: 'Enter your password' },
+      status_verified: { nl: 'geverifieerd', fr: 'vérifiée', de: 'verifiziert', en: 'verified' },
+      status_unverified: { nl: 'niet geverifieerd', fr: 'non vérifiée', de: 'nicht verifiziert', en: 'not verified' },
+      status_changed: {
+        nl: 'sleutel gewijzigd sinds uw verificatie!', fr: 'clé modifiée depuis votre vérification !',
+        de: 'Schlüssel seit Ihrer Verifizierung geändert!', en: 'key changed since you verified it!'
+      },
+      verify: { nl: 'verifiëren', fr: 'vérifier', de: 'verifizieren', en: 'verify' },
+      confirmVerify: {
+        nl: 'Komt deze vingerafdruk overeen met wat uw collega u (telefonisch of persoonlijk) heeft voorgelezen?',
+        fr: 'Cette empreinte correspond-elle à celle que votre collègue vous a lue (par téléphone ou en personne) ?',
+        de: 'Stimmt dieser Fingerabdruck mit dem überein, den Ihnen Ihr Kollege (telefonisch oder persönlich) vorgelesen hat?',
+        en: 'Does this fingerprint match the one your colleague read to you (by phone or in person)?'
+      },
+      confirmUnverified: {
+        nl: 'U hebt de sleutel van deze collega niet geverifieerd. Toch delen?',
+        fr: 'Vous n\'avez pas vérifié la clé de ce collègue. Partager quand même ?',
+        de: 'Sie haben den Schlüssel dieses Kollegen nicht verifiziert. Trotzdem teilen?',
+        en: 'You have not verified this colleague\'s key. Share anyway?'
+      },
+      confirmRevoke: {
+        nl: 'Delen intrekken? Wat uw collega al gelezen heeft, kan niet worden teruggenomen.',
+        fr: 'Révoquer le partage ? Ce que votre collègue a déjà lu ne peut être repris.',
+        de: 'Freigabe widerrufen? Was Ihr Kollege bereits gelesen hat, lässt sich nicht zurücknehmen.',
+        en: 'Revoke this share? What your colleague already read cannot be taken back.'
+      },
+      shared: { nl: 'Gesprek gedeeld', fr: 'Conversation partagée', de: 'Unterhaltung geteilt', en: 'Conversation shared' },
+      revoked: { nl: 'Delen ingetrokken', fr: 'Partage révoqué', de: 'Freigabe widerrufen', en: 'Share revoked' },
+      revoke: { nl: 'Intrekken', fr: 'Révoquer', de: 'Widerrufen', en: 'Revoke' },
+      remove: { nl: 'Verwijderen', fr: 'Supprimer', de: 'Entfernen', en: 'Remove' },
+      read: { nl: 'Lezen (alleen-lezen)', fr: 'Lire (lecture seule)', de: 'Lesen (schreibgeschützt)', en: 'Read (read-only)' },
+      untitled: { nl: 'Gesprek', fr: 'Conversation', de: 'Unterhaltung', en: 'Conversation' },
+      noneSent: { nl: 'U hebt nog niets gedeeld', fr: 'Vous n\'avez encore rien partagé', de: 'Sie haben noch nichts geteilt', en: 'You have not shared anything yet' },
+      noneReceived: {
+        nl: 'Niemand heeft een gesprek met u gedeeld', fr: 'Personne n\'a partagé de conversation avec vous',
+        de: 'Niemand hat eine Unterhaltung mit Ihnen geteilt', en: 'Nobody has shared a conversation with you'
+      },
+      not_found: {
+        nl: 'Geen collega met dit e-mailadres heeft delen ingesteld', fr: 'Aucun collègue avec cette adresse n\'a activé le partage',
+        de: 'Kein Kollege mit dieser E-Mail-Adresse hat das Teilen eingerichtet', en: 'No colleague with this email address has set up sharing'
+      },
+      key_changed: {
+        nl: 'De sleutel van deze collega is gewijzigd. Verifieer de nieuwe vingerafdruk eerst.',
+        fr: 'La clé de ce collègue a changé. Vérifiez d\'abord la nouvelle empreinte.',
+        de: 'Der Schlüssel dieses Kollegen hat sich geändert. Verifizieren Sie zuerst den neuen Fingerabdruck.',
+        en: 'This colleague\'s key has changed. Verify the new fingerprint first.'
+      },
+      rate_limited: {
+        nl: 'Te veel opzoekingen, probeer het later opnieuw', fr: 'Trop de recherches, réessayez plus tard',
+        de: 'Zu viele Suchanfragen, versuchen Sie es später erneut', en: 'Too many lookups, try again later'
+      },
+      wrong_password: { nl: 'Onjuist wachtwoord', fr: 'Mot de passe incorrect', de: 'Falsches Passwort', en: 'Wrong password' },
+      unreadable: {
+        nl: 'Dit gesprek kon niet worden ontsleuteld', fr: 'Cette conversation n\'a pas pu être déchiffrée',
+        de: 'Diese Unterhaltung konnte nicht entschlüsselt werden', en: 'This conversation could not be decrypted'
+      },
+      failed: { nl: 'Er ging iets mis', fr: 'Une erreur s\'est produite', de: 'Etwas ist schiefgelaufen', en: 'Something went wrong' }
+    }
+    const message = messages[key] || messages.failed
+    return message[getLocale()] || message.nl
+  }
+}
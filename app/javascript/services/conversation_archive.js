@@ -0,0 +1,266 @@
+/**
+ * ConversationArchive - portable, passphrase-encrypted conversation export
+ *
+ * Exports every chatbot conversation to one file that opens with a passphrase
+ * of the user's choosing (not the account password), so it can be imported
+ * into another account or another Wetwijzer instance. Everything happens in
+ * the browser: conversations are decrypted with the account's master key,
+ * written to the archive, and on import re-encrypted with the importing
+ * account's master key before POST /api/chatbot/conversations/import.
+ *
+ * Conversations are read the way the chatbot reads them: GET
+ * /api/chatbot/conversations/:id returns `encrypted_messages` and
+ * `encrypted_title` for zero-knowledge conversations, `messages` and `title`
+ * otherwise. Imported conversations are sent with the fields the chatbot
+ * writes through PATCH /api/chatbot/conversations/:id/encrypted
+ * (`encrypted_messages`, `encrypted_title`, `message_count`), and the list is
+ * counted before and after so conversations the server did not take are
+ * reported instead of silently lost.
+ *
+ * File format (version 1), UTF-8 text, one JSON document per line:
+ *   line 1   header  { format, version, created_at, count, cipher, compression,
+ *                      kdf: { name, hash, iterations, salt }, wrapped_key }
+ *   line 2+  entry   { i, data }
+ *
+ * An entry is { meta: { title, message_count, created_at, updated_at },
+ * payload: { messages } }, the same shape ConversationSharing seals.
+ *
+ * - A random archive key (AES-256-GCM) encrypts the entries; wrapped_key is
+ *   that key wrapped with a PBKDF2 key derived from the passphrase, using the
+ *   same primitives as the account master key (ConversationCrypto).
+ * - Each entry is gzip-compressed JSON { meta, payload }, then encrypted on
+ *   its own with the exact header line and its index as associated data:
+ *   an edited header, a swapped, dropped or foreign entry fails to decrypt.
+ *   `count` in the header catches truncation at the end.
+ *
+ * Usage:
+ *   import { ConversationArchive } from '../services/conversation_archive'
+ *   const { blob } = await ConversationArchive.export(password, passphrase)
+ *   await ConversationArchive.import(await file.text(), password, passphrase)
+ */
+
+import { ConversationCrypto } from './conversation_crypto'
+
+export const ARCHIVE_FORMAT = 'wetwijzer-conversation-archive'
+export const ARCHIVE_VERSION = 1
+
+// Must match ConversationCrypto.deriveWrappingKey
+const KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 600_000 }
+
+// Conversations posted to the import endpoint per request
+const IMPORT_BATCH_SIZE = 25
+
+export const ConversationArchive = {
+  /**
+   * Build the archive.
+   * @param {string} password - account password (opens the conversations)
+   * @param {string} passphrase - protects the archive
+   * @param {Object} [options]
+   * @param {function({done: number, total: number}): void} [options.onProgress]
+   * @returns {Promise<{blob: Blob, count: number, skipped: number[]}>}
+   *   skipped: conversations the master key does not open (legacy, corrupt)
+   * @throws {Error} 'wrong_password' | 'no_key_material' | 'request_failed'
+   */
+  async export(password, passphrase, { onProgress = () => {} } = {}) {
+    const masterKey = await this._unlockMasterKey(password)
+    const conversations = await this._listConversations()
+
+    const entries = []
+    const skipped = []
+    for (const [index, conversation] of conversations.entries()) {
+      const entry = await this._readConversation(conversation, masterKey)
+      if (entry === null) {
+        skipped.push(conversation.id)
+      } else {
+        entries.push(entry)
+      }
+      onProgress({ done: index + 1, total: conversations.length })
+    }
+
+    const archiveKey = await ConversationCrypto.generateMasterKey()
+    const salt = ConversationCrypto.generateSalt()
+    const wrappingKey = await ConversationCrypto.deriveWrappingKey(passphrase, salt)
+    const compression = this._canCompress() ? 'gzip' : 'none'
+    const header = JSON.stringify({
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      created_at: new Date().toISOString(),
+      count: entries.length,
+      cipher: 'AES-256-GCM',
+      compression,
+      kdf: { ...KDF, salt },
+      wrapped_key: await ConversationCrypto.wrapMasterKey(archiveKey, wrappingKey)
+    })
+
+    const lines = [header]
+    for (const [i, entry] of entries.entries()) {
+      const plain = new TextEncoder().encode(JSON.stringify(entry))
+      const packed = compression === 'gzip' ? await this._transform(plain, new CompressionStream('gzip')) : plain
+      const sealed = await ConversationCrypto.encryptBytes(packed, archiveKey, this._associatedData(header, i))
+      lines.push(JSON.stringify({ i, data: ConversationCrypto._toBase64(sealed) }))
+    }
+
+    return {
+      blob: new Blob([lines.join('\n') + '\n'], { type: 'application/octet-stream' }),
+      count: entries.length,
+      skipped
+    }
+  },
+
+  /**
+   * Open an archive without importing it (check the passphrase, preview).
+   * @param {string} text - file contents
+   * @param {string} passphrase
+   * @returns {Promise<{header: Object, entries: Array<{meta: Object, payload: any}>}>}
+   * @throws {Error} 'invalid_format' | 'unsupported_version' | 'wrong_passphrase' | 'corrupt_entry' | 'truncated'
+   */
+  async open(text, passphrase) {
+    const lines = text.split('\n').filter(line => line.trim() !== '')
+    const headerLine = lines.shift() || ''
+
+    let header
+    try {
+      header = JSON.parse(headerLine)
+    } catch (_) {
+      throw new Error('invalid_format')
+    }
+    if (header?.format !== ARCHIVE_FORMAT) throw new Error('invalid_format')
+    if (header.version !== ARCHIVE_VERSION || header.kdf?.iterations !== KDF.iterations ||
+        !['gzip', 'none'].includes(header.compression)) {
+      throw new Error('unsupported_version')
+    }
+
+    let archiveKey
+    try {
+      const wrappingKey = await ConversationCrypto.deriveWrappingKey(passphrase, header.kdf.salt)
+      archiveKey = await ConversationCrypto.unwrapMasterKey(header.wrapped_key, wrappingKey)
+    } catch (_) {
+      throw new Error('wrong_passphrase')
+    }
+
+    if (lines.length !== header.count) throw new Error('truncated')
+
+    const entries = []
+    for (const [i, line] of lines.entries()) {
+      try {
+        const { data } = JSON.parse(line)
+        // The index comes from the position in the file, not from the line itself
+        const packed = await ConversationCrypto.decryptBytes(
+          ConversationCrypto._fromBase64(data), archiveKey, this._associatedData(headerLine, i)
+        )
+        const plain = header.compression === 'gzip' ? await this._transform(packed, new DecompressionStream('gzip')) : packed
+        entries.push(JSON.parse(new TextDecoder().decode(plain)))
+      } catch (_) {
+        throw new Error('corrupt_entry')
+      }
+    }
+    return { header, entries }
+  },
+
+  /**
+   * Import an archive into the current account.
+   * @param {string} text - file contents
+   * @param {string} password - account password (re-encrypts for this account)
+   * @param {string} passphrase - the archive's passphrase
+   * @returns {Promise<{imported: number, rejected: number}>}
+   *   rejected: entries the server did not add to the conversation list
+   * @throws {Error} the errors of open(), 'wrong_password' | 'no_key_material' | 'request_failed'
+   */
+  async import(text, password, passphrase) {
+    const { entries } = await this.open(text, passphrase)
+    if (entries.some(entry => !Array.isArray(entry?.payload?.messages))) throw new Error('corrupt_entry')
+    const masterKey = await this._unlockMasterKey(password)
+    const before = (await this._listConversations()).length
+
+    for (let start = 0; start < entries.length; start += IMPORT_BATCH_SIZE) {
+      const batch = entries.slice(start, start + IMPORT_BATCH_SIZE)
+      const conversations = await Promise.all(batch.map(async ({ meta, payload }) => ({
+        zero_knowledge: true,
+        encrypted_messages: await ConversationCrypto.encryptPayload(payload.messages, masterKey),
+        encrypted_title: await ConversationCrypto.encryptPayload(meta?.title || '', masterKey),
+        message_count: payload.messages.length,
+        created_at: meta?.created_at ?? null,
+        updated_at: meta?.updated_at ?? null
+      })))
+      await this._request('POST', '/api/chatbot/conversations/import', { conversations })
+    }
+
+    const imported = Math.max(0, Math.min(entries.length, (await this._listConversations()).length - before))
+    return { imported, rejected: entries.length - imported }
+  },
+
+  // ── Internal ──
+
+  async _unlockMasterKey(password) {
+    const material = await this._request('GET', '/api/chatbot/zk_key_material')
+    if (!material?.encrypted_master_key || !material?.key_derivation_salt) throw new Error('no_key_material')
+
+    const wrappingKey = await ConversationCrypto.deriveWrappingKey(password, material.key_derivation_salt)
+    try {
+      return await ConversationCrypto.unwrapMasterKey(material.encrypted_master_key, wrappingKey)
+    } catch (_) {
+      throw new Error('wrong_password')
+    }
+  },
+
+  _associatedData(headerLine, index) {
+    return new TextEncoder().encode(`${headerLine}\n${index}`)
+  },
+
+  _canCompress() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined'
+  },
+
+  async _transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream)
+    return new Uint8Array(await new Response(output).arrayBuffer())
+  },
+
+  // { meta, payload } or null when the master key does not open it
+  async _readConversation(conversation, masterKey) {
+    const data = await this._request('GET', `/api/chatbot/conversations/${encodeURIComponent(conversation.id)}`)
+
+    let messages, title
+    if (data?.zero_knowledge) {
+      messages = await ConversationCrypto.tryDecrypt(data.encrypted_messages, masterKey)
+      const encryptedTitle = data.encrypted_title ?? conversation.encrypted_title
+      title = encryptedTitle ? await ConversationCrypto.tryDecrypt(encryptedTitle, masterKey) : ''
+      if (!Array.isArray(messages) || title === null) return null
+    } else {
+      messages = Array.isArray(data?.messages) ? data.messages : []
+      title = data?.title ?? conversation.title ?? ''
+    }
+
+    return {
+      meta: {
+        title: String(title || ''),
+        message_count: messages.length,
+        created_at: data?.created_at ?? conversation.created_at ?? null,
+        updated_at: data?.updated_at ?? conversation.updated_at ?? null
+      },
+      payload: { messages }
+    }
+  },
+
+  async _listConversations() {
+    const data = await this._request('GET', '/api/chatbot/conversations')
+    const conversations = Array.isArray(data) ? data : (data?.conversations || [])
+    return conversations.filter(c => c.id != null)
+  },
+
+  async _request(method, url, body = null) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const response = await fetch(url, {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    })
+    if (!response.ok) throw Object.assign(new Error('request_failed'), { status: response.status })
+    return response.json()
+  }
+}
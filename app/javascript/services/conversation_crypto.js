@@ -11,11 +11,43 @@
  *
  * The wrapped (encrypted) masterKey is stored on the server.
  * On login, the user's password re-derives the wrappingKey to unwrap it.
+ *
+ * Password change: rewrapMasterKey() re-encrypts only the wrapped key.
+ * Key rotation (new masterKey, every payload re-encrypted) is driven by
+ * services/conversation_key_rotation.js on top of reencryptPayload() and
+ * sealPendingMasterKey().
+ *
+ * Recovery key (optional): a second copy of the masterKey, wrapped with a key
+ * derived from a random word list (services/recovery_phrase.js) the user
+ * writes down. It restores access after a forgotten password; the server only
+ * stores the wrapped copy and its salt.
+ *
+ * Passkeys (optional): one more copy per authenticator, wrapped with a key
+ * derived from its WebAuthn PRF output (services/conversation_passkeys.js),
+ * so a device can unlock without typing the password or running PBKDF2.
+ *
+ * Sharing: every user has an ECDH (P-256) key pair. The public key is stored
+ * in the clear, the private key encrypted with the masterKey. A shared
+ * conversation is a snapshot under a fresh content key; the content key is
+ * wrapped for the recipient with a key both sides derive from their ECDH
+ * pair (sealForRecipient / openEnvelope). Fingerprints let the two compare
+ * public keys out of band (services/conversation_sharing.js).
+ *
+ * Archives: encryptBytes()/decryptBytes() bind raw bytes to caller-supplied
+ * associated data; services/conversation_archive.js builds the portable
+ * export file on them.
  */
 
+import { RecoveryPhrase } from './recovery_phrase'
+
 const PBKDF2_ITERATIONS = 600_000
 const AES_KEY_LENGTH = 256
 const IV_LENGTH = 12 // 96-bit IV for AES-GCM
+const RECOVERY_INFO = 'wetwijzer-zk-recovery-v1'
+const PASSKEY_INFO = 'wetwijzer-zk-passkey-v1'
+const SHARE_INFO = 'wetwijzer-zk-share-v1'
+const PENDING_KEY_AD = 'wetwijzer-zk-pending-master-key-v1'
+const ECDH_CURVE = 'P-256'
 
 export const ConversationCrypto = {
   /**
@@ -61,7 +93,7 @@ export const ConversationCrypto = {
       encoder.encode(password),
       'PBKDF2',
       false,
-      ['wrapKey', 'unwrapKey']
+      ['deriveKey'] // key material only derives; the derived key does the wrapping
     )
 
     return crypto.subtle.deriveKey(
@@ -104,9 +136,11 @@ export const ConversationCrypto = {
    * Unwrap (decrypt) the master key with the wrapping key
    * @param {string} wrappedBase64 - base64-encoded wrapped key
    * @param {CryptoKey} wrappingKey
+   * @param {Object} [options]
+   * @param {boolean} [options.extractable=false] - only to wrap it again (password change)
    * @returns {Promise<CryptoKey>}
    */
-  async unwrapMasterKey(wrappedBase64, wrappingKey) {
+  async unwrapMasterKey(wrappedBase64, wrappingKey, { extractable = false } = {}) {
     const combined = this._fromBase64(wrappedBase64)
     const iv = combined.slice(0, IV_LENGTH)
     const wrapped = combined.slice(IV_LENGTH)
@@ -117,11 +151,30 @@ export const ConversationCrypto = {
       wrappingKey,
       { name: 'AES-GCM', iv },
       { name: 'AES-GCM', length: AES_KEY_LENGTH },
-      false, // not extractable once unwrapped
+      extractable, // not extractable once unwrapped, unless it is about to be rewrapped
       ['encrypt', 'decrypt']
     )
   },
 
+  /**
+   * Password change: unwrap the master key with the old password and wrap it
+   * with the new one, under a fresh salt. Payloads stay as they are.
+   * @param {string} wrappedBase64 - current wrapped master key
+   * @param {string} saltBase64 - current salt
+   * @param {string} oldPassword
+   * @param {string} newPassword
+   * @returns {Promise<{wrappedKey: string, salt: string}>}
+   * @throws {DOMException} when the old password does not unwrap the key
+   */
+  async rewrapMasterKey(wrappedBase64, saltBase64, oldPassword, newPassword) {
+    const oldWrappingKey = await this.deriveWrappingKey(oldPassword, saltBase64)
+    const masterKey = await this.unwrapMasterKey(wrappedBase64, oldWrappingKey, { extractable: true })
+
+    const salt = this.generateSalt()
+    const newWrappingKey = await this.deriveWrappingKey(newPassword, salt)
+    return { wrappedKey: await this.wrapMasterKey(masterKey, newWrappingKey), salt }
+  },
+
   /**
    * Encrypt a payload (conversation data) with the master key
    * @param {any} data - JSON-serializable data
@@ -184,6 +237,264 @@ export const ConversationCrypto = {
     }
   },
 
+  /**
+   * Derive the wrapping key for the recovery copy. The phrase already holds
+   * 128 random bits, so HKDF is enough (no password stretching needed).
+   * @param {Uint8Array} entropy - decoded recovery phrase
+   * @param {string} saltBase64
+   * @returns {Promise<CryptoKey>}
+   */
+  async deriveRecoveryKey(entropy, saltBase64) {
+    return this._deriveHkdfWrappingKey(entropy, saltBase64, RECOVERY_INFO)
+  },
+
+  /**
+   * Derive the wrapping key for a passkey's copy from its WebAuthn PRF output
+   * (32 bytes from the authenticator, already uniformly random).
+   * @param {ArrayBuffer|Uint8Array} prfOutput
+   * @param {string} saltBase64 - the passkey's PRF salt
+   * @returns {Promise<CryptoKey>}
+   */
+  async derivePasskeyKey(prfOutput, saltBase64) {
+    return this._deriveHkdfWrappingKey(prfOutput, saltBase64, PASSKEY_INFO)
+  },
+
+  /**
+   * Set up a recovery key: unwrap the master key with the password and wrap
+   * a second copy with a freshly generated phrase.
+   * @param {string} wrappedBase64 - current (password-)wrapped master key
+   * @param {string} saltBase64 - current PBKDF2 salt
+   * @param {string} password
+   * @returns {Promise<{words: string[], recoveryWrappedKey: string, recoverySalt: string}>}
+   * @throws {DOMException} when the password does not unwrap the key
+   */
+  async createRecoveryKey(wrappedBase64, saltBase64, password) {
+    const wrappingKey = await this.deriveWrappingKey(password, saltBase64)
+    const masterKey = await this.unwrapMasterKey(wrappedBase64, wrappingKey, { extractable: true })
+
+    const { words, entropy } = await RecoveryPhrase.generate()
+    const recoverySalt = this.generateSalt()
+    const recoveryKey = await this.deriveRecoveryKey(entropy, recoverySalt)
+    return { words, recoveryWrappedKey: await this.wrapMasterKey(masterKey, recoveryKey), recoverySalt }
+  },
+
+  /**
+   * Forgotten password: unwrap the recovery copy with the phrase and wrap the
+   * master key for the new password, under a fresh salt.
+   * @param {string} recoveryWrappedBase64
+   * @param {string} recoverySaltBase64
+   * @param {string} phrase - as typed by the user
+   * @param {string} newPassword
+   * @returns {Promise<{wrappedKey: string, salt: string}>}
+   * @throws {Error} 'unknown_word' | 'word_count' | 'checksum' | 'wrong_phrase'
+   */
+  async recoverWithPhrase(recoveryWrappedBase64, recoverySaltBase64, phrase, newPassword) {
+    const entropy = await RecoveryPhrase.decode(phrase)
+    const recoveryKey = await this.deriveRecoveryKey(entropy, recoverySaltBase64)
+
+    let masterKey
+    try {
+      masterKey = await this.unwrapMasterKey(recoveryWrappedBase64, recoveryKey, { extractable: true })
+    } catch (_) {
+      throw new Error('wrong_phrase')
+    }
+
+    const salt = this.generateSalt()
+    const wrappingKey = await this.deriveWrappingKey(newPassword, salt)
+    return { wrappedKey: await this.wrapMasterKey(masterKey, wrappingKey), salt }
+  },
+
+  /**
+   * Key rotation: re-encrypt a payload from the old master key to the new one.
+   * A payload that already opens with the new key (re-encrypted before an
+   * interrupted rotation) needs no work.
+   * @param {string} ciphertextBase64
+   * @param {CryptoKey} oldKey
+   * @param {CryptoKey} newKey
+   * @returns {Promise<string|null>} new ciphertext, or null when nothing changed
+   * @throws {DOMException} when the payload opens with neither key
+   */
+  async reencryptPayload(ciphertextBase64, oldKey, newKey) {
+    if (!ciphertextBase64) return null
+    if (await this.tryDecrypt(ciphertextBase64, newKey) !== null) return null
+
+    const data = await this.decryptPayload(ciphertextBase64, oldKey)
+    return this.encryptPayload(data, newKey)
+  },
+
+  /**
+   * Key rotation: encrypt the new master key with the current one, so the
+   * server can keep it while the rotation runs. Whatever opens the current
+   * key (password, recovery phrase, passkey) opens this copy too, and a
+   * password change in the meantime leaves it valid.
+   * @param {CryptoKey} newKey - extractable
+   * @param {CryptoKey} currentKey
+   * @returns {Promise<string>} base64 (iv + ciphertext)
+   */
+  async sealPendingMasterKey(newKey, currentKey) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', newKey))
+    return this._toBase64(await this.encryptBytes(raw, currentKey, new TextEncoder().encode(PENDING_KEY_AD)))
+  },
+
+  /**
+   * @param {string} sealedBase64 - from sealPendingMasterKey()
+   * @param {CryptoKey} currentKey
+   * @returns {Promise<CryptoKey>} extractable, to be wrapped with the password when the rotation commits
+   * @throws {DOMException} when the current key does not open it
+   */
+  async openPendingMasterKey(sealedBase64, currentKey) {
+    const raw = await this.decryptBytes(this._fromBase64(sealedBase64), currentKey, new TextEncoder().encode(PENDING_KEY_AD))
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM', length: AES_KEY_LENGTH }, true, ['encrypt', 'decrypt'])
+  },
+
+  /**
+   * Generate the user's sharing key pair
+   * @returns {Promise<CryptoKeyPair>} extractable, so the private key can be stored encrypted
+   */
+  async generateKeyPair() {
+    return crypto.subtle.generateKey({ name: 'ECDH', namedCurve: ECDH_CURVE }, true, ['deriveBits'])
+  },
+
+  /**
+   * @param {CryptoKey} publicKey
+   * @returns {Promise<string>} base64 of the raw (uncompressed) point
+   */
+  async exportPublicKey(publicKey) {
+    return this._toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', publicKey)))
+  },
+
+  async importPublicKey(publicKeyBase64) {
+    return crypto.subtle.importKey('raw', this._fromBase64(publicKeyBase64), { name: 'ECDH', namedCurve: ECDH_CURVE }, true, [])
+  },
+
+  /**
+   * Encrypt the private key with the master key for storage on the server
+   * @param {CryptoKey} privateKey - extractable
+   * @param {CryptoKey} masterKey
+   * @returns {Promise<string>} base64 (iv + ciphertext of the PKCS#8 bytes)
+   */
+  async encryptPrivateKey(privateKey, masterKey) {
+    const pkcs8 = new Uint8Array(await crypto.subtle.exportKey('pkcs8', privateKey))
+    return this._toBase64(await this.encryptBytes(pkcs8, masterKey))
+  },
+
+  /**
+   * @param {string} encryptedBase64 - from encryptPrivateKey()
+   * @param {CryptoKey} masterKey
+   * @param {Object} [options]
+   * @param {boolean} [options.extractable=false] - only to encrypt it again (key rotation)
+   * @returns {Promise<CryptoKey>}
+   * @throws {DOMException} when the master key does not open it
+   */
+  async decryptPrivateKey(encryptedBase64, masterKey, { extractable = false } = {}) {
+    const pkcs8 = await this.decryptBytes(this._fromBase64(encryptedBase64), masterKey)
+    return crypto.subtle.importKey('pkcs8', pkcs8, { name: 'ECDH', namedCurve: ECDH_CURVE }, extractable, ['deriveBits'])
+  },
+
+  /**
+   * Human-comparable fingerprint of a public key: SHA-256 in 16 groups of 4
+   * hex digits. Both people read theirs aloud (or compare on paper) to be
+   * sure the server handed out the right key.
+   * @param {string} publicKeyBase64
+   * @returns {Promise<string>} e.g. "3F2A 91C0 …"
+   */
+  async fingerprint(publicKeyBase64) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', this._fromBase64(publicKeyBase64)))
+    const hex = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase()
+    return hex.match(/.{4}/g).join(' ')
+  },
+
+  /**
+   * Encrypt a snapshot of data for one recipient. The content key is fresh
+   * per share, so revoking one share exposes nothing about the others.
+   * @param {any} data - JSON-serializable conversation data
+   * @param {CryptoKey} senderPrivateKey
+   * @param {string} recipientPublicKeyBase64
+   * @returns {Promise<{encryptedPayload: string, envelopeSalt: string, wrappedContentKey: string}>}
+   */
+  async sealForRecipient(data, senderPrivateKey, recipientPublicKeyBase64) {
+    const contentKey = await this.generateMasterKey()
+    const envelopeSalt = this.generateSalt()
+    const envelopeKey = await this._deriveEnvelopeKey(senderPrivateKey, recipientPublicKeyBase64, envelopeSalt)
+
+    return {
+      encryptedPayload: await this.encryptPayload(data, contentKey),
+      envelopeSalt,
+      wrappedContentKey: await this.wrapMasterKey(contentKey, envelopeKey)
+    }
+  },
+
+  /**
+   * Open a share addressed to us. Only the sender's and our own key pairs
+   * derive the envelope key, so this also proves who sent it.
+   * @param {{encryptedPayload: string, envelopeSalt: string, wrappedContentKey: string}} envelope
+   * @param {CryptoKey} recipientPrivateKey
+   * @param {string} senderPublicKeyBase64
+   * @returns {Promise<any>} the shared data
+   * @throws {DOMException} on the wrong keys or tampered data
+   */
+  async openEnvelope({ encryptedPayload, envelopeSalt, wrappedContentKey }, recipientPrivateKey, senderPublicKeyBase64) {
+    const envelopeKey = await this._deriveEnvelopeKey(recipientPrivateKey, senderPublicKeyBase64, envelopeSalt)
+    const contentKey = await this.unwrapMasterKey(wrappedContentKey, envelopeKey)
+    return this.decryptPayload(encryptedPayload, contentKey)
+  },
+
+  /**
+   * Encrypt raw bytes, authenticating extra data that is not encrypted
+   * @param {Uint8Array} bytes
+   * @param {CryptoKey} key - AES-GCM key with 'encrypt' usage
+   * @param {Uint8Array} [additionalData] - must be passed again to decrypt
+   * @returns {Promise<Uint8Array>} iv + ciphertext
+   */
+  async encryptBytes(bytes, key, additionalData = new Uint8Array(0)) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, bytes)
+
+    const combined = new Uint8Array(iv.length + encrypted.byteLength)
+    combined.set(iv)
+    combined.set(new Uint8Array(encrypted), iv.length)
+    return combined
+  },
+
+  /**
+   * @param {Uint8Array} combined - iv + ciphertext from encryptBytes()
+   * @param {CryptoKey} key
+   * @param {Uint8Array} [additionalData]
+   * @returns {Promise<Uint8Array>}
+   * @throws {DOMException} on a wrong key, tampered bytes or other additional data
+   */
+  async decryptBytes(combined, key, additionalData = new Uint8Array(0)) {
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: combined.slice(0, IV_LENGTH), additionalData },
+      key,
+      combined.slice(IV_LENGTH)
+    )
+    return new Uint8Array(decrypted)
+  },
+
+  async _deriveHkdfWrappingKey(secret, saltBase64, info) {
+    const keyMaterial = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey'])
+
+    return crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: this._fromBase64(saltBase64),
+        info: new TextEncoder().encode(info)
+      },
+      keyMaterial,
+      { name: 'AES-GCM', length: AES_KEY_LENGTH },
+      false,
+      ['wrapKey', 'unwrapKey']
+    )
+  },
+
+  async _deriveEnvelopeKey(privateKey, publicKeyBase64, saltBase64) {
+    const publicKey = await this.importPublicKey(publicKeyBase64)
+    const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256)
+    return this._deriveHkdfWrappingKey(secret, saltBase64, SHARE_INFO)
+  },
+
   // ── Base64 helpers (URL-safe) ──
 
   _toBase64(uint8Array) {
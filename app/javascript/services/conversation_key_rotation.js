@@ -0,0 +1,208 @@
+/**
+ * ConversationKeyRotation - replace a (possibly compromised) master key
+ *
+ * Generates a new master key, re-encrypts the messages and the title of every
+ * zero-knowledge conversation via PATCH /api/chatbot/conversations/:id/encrypted
+ * and finally stores the new wrapped key, together with the re-encrypted
+ * sharing private key, via PATCH /account/zk_key_material.
+ *
+ * Resumability: the new key is kept on the server (PUT /account/zk_key_rotation),
+ * encrypted with the current master key, until the rotation commits. Whatever
+ * opens the current key - the password, the recovery phrase, a passkey -
+ * therefore opens the new one too, on any device and after a password change,
+ * and run() picks up where an interrupted rotation stopped.
+ *
+ * The new key is only committed after a pass over all conversations finds
+ * every payload already opening with it. Until then the server still hands
+ * out the old key: conversations that were already re-encrypted do not open
+ * in the chatbot until the rotation is resumed and completes.
+ *
+ * Usage:
+ *   import { ConversationKeyRotation } from '../services/conversation_key_rotation'
+ *   const result = await ConversationKeyRotation.run(password, {
+ *     onProgress: ({ done, total }) => updateBar(done / total)
+ *   })
+ *   if (!result.committed) showResumeHint()
+ */
+
+import { ConversationCrypto } from './conversation_crypto'
+import { prefs } from './preferences_store'
+
+// Passes over the conversation list before giving up for now; conversations
+// saved with the old key by another tab are picked up by the next pass
+const MAX_PASSES = 3
+
+export const ConversationKeyRotation = {
+  /**
+   * Rotate (or resume rotating) the master key.
+   * @param {string} password - the account password (wraps the committed key)
+   * @param {Object} [options]
+   * @param {function({done: number, total: number, id: number|null}): void} [options.onProgress]
+   * @returns {Promise<{total: number, reencrypted: number, unreadable: number[], failed: number[], committed: boolean}>}
+   *   unreadable: conversations neither key opens (corrupt) - left as they are
+   *   failed: requests that failed; the rotation stays pending and can be resumed
+   *   committed: whether the new key replaced the old one
+   * @throws {Error} 'wrong_password' | 'no_key_material' | 'request_failed'
+   */
+  async run(password, { onProgress = () => {} } = {}) {
+    const material = await this._request('GET', '/api/chatbot/zk_key_material')
+    if (!material?.encrypted_master_key || !material?.key_derivation_salt) throw new Error('no_key_material')
+
+    const wrappingKey = await ConversationCrypto.deriveWrappingKey(password, material.key_derivation_salt)
+    let oldKey
+    try {
+      oldKey = await ConversationCrypto.unwrapMasterKey(material.encrypted_master_key, wrappingKey)
+    } catch (_) {
+      throw new Error('wrong_password')
+    }
+
+    const newKey = await this._pendingKey(oldKey, password)
+    const result = { total: 0, reencrypted: 0, unreadable: [], failed: [], committed: false }
+
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      const conversations = await this._listConversations()
+      result.total = conversations.length
+      result.unreadable = []
+      result.failed = []
+      let reencrypted = 0
+      let done = 0
+      onProgress({ done, total: result.total, id: null })
+
+      for (const conversation of conversations) {
+        try {
+          const outcome = await this._rotateConversation(conversation, oldKey, newKey)
+          if (outcome === 'reencrypted') reencrypted++
+          if (outcome === 'unreadable') result.unreadable.push(conversation.id)
+        } catch (e) {
+          console.warn(`[ConversationKeyRotation] ${conversation.id} not re-encrypted:`, e.message)
+          result.failed.push(conversation.id)
+        }
+        onProgress({ done: ++done, total: result.total, id: conversation.id })
+      }
+      result.reencrypted += reencrypted
+
+      // Requests failed: keep the old key, a later run() resumes
+      if (result.failed.length > 0) return result
+      // Nothing left to re-encrypt: every payload was seen opening with the new key
+      if (reencrypted === 0) {
+        await this._commit(oldKey, newKey, wrappingKey, material.key_derivation_salt, password)
+        result.committed = true
+        return result
+      }
+    }
+
+    return result
+  },
+
+  // ── Internal ──
+
+  // The rotation in progress on the server, or a new one. When two devices
+  // start at once the server keeps the first key and returns it to both.
+  async _pendingKey(oldKey, password) {
+    const rotation = await this._request('GET', '/account/zk_key_rotation')
+    if (rotation?.pending_master_key) {
+      try {
+        return await ConversationCrypto.openPendingMasterKey(rotation.pending_master_key, oldKey)
+      } catch (_) {
+        // Sealed with an earlier master key (zero-knowledge was set up again
+        // since): nothing was re-encrypted with it that still matters
+      }
+    }
+
+    const sealed = await ConversationCrypto.sealPendingMasterKey(await ConversationCrypto.generateMasterKey(), oldKey)
+    let started
+    try {
+      started = await this._request('PUT', '/account/zk_key_rotation', {
+        pending_master_key: sealed,
+        current_password: password,
+        ...(rotation?.pending_master_key ? { replaces_master_key: rotation.pending_master_key } : {})
+      })
+    } catch (e) {
+      throw new Error(e.status === 403 ? 'wrong_password' : 'request_failed')
+    }
+    return ConversationCrypto.openPendingMasterKey(started.pending_master_key, oldKey)
+  },
+
+  async _commit(oldKey, newKey, wrappingKey, salt, password) {
+    const privateKey = await this._reencryptPrivateKey(oldKey, newKey)
+    try {
+      await this._request('PATCH', '/account/zk_key_material', {
+        encrypted_master_key: await ConversationCrypto.wrapMasterKey(newKey, wrappingKey),
+        key_derivation_salt: salt,
+        current_password: password,
+        ...(privateKey ? { zk_encrypted_private_key: privateKey } : {})
+      })
+    } catch (e) {
+      throw new Error(e.status === 403 ? 'wrong_password' : 'request_failed')
+    }
+    await this._reencryptPins(oldKey, newKey)
+  },
+
+  // The verified-key pins (conversation_sharing.js) are sealed with the master
+  // key as well. Pins that do not open are dropped: sharing then asks to
+  // verify again, which is the safe side.
+  async _reencryptPins(oldKey, newKey) {
+    const sealed = prefs.get('zk_verified_keys')?.sealed
+    if (!sealed) return
+    try {
+      const resealed = await ConversationCrypto.reencryptPayload(sealed, oldKey, newKey)
+      if (resealed) prefs.set('zk_verified_keys', { sealed: resealed })
+    } catch (_) {
+      prefs.set('zk_verified_keys', {})
+    }
+  },
+
+  // 'reencrypted' | 'unchanged' (both payloads already open with newKey) | 'unreadable'
+  async _rotateConversation(conversation, oldKey, newKey) {
+    const path = `/api/chatbot/conversations/${encodeURIComponent(conversation.id)}`
+    const data = await this._request('GET', path)
+    const encryptedTitle = conversation.encrypted_title ?? data?.encrypted_title ?? null
+
+    let messages, title
+    try {
+      messages = await ConversationCrypto.reencryptPayload(data?.encrypted_messages, oldKey, newKey)
+      title = await ConversationCrypto.reencryptPayload(encryptedTitle, oldKey, newKey)
+    } catch (_) {
+      return 'unreadable'
+    }
+    if (messages === null && title === null) return 'unchanged'
+
+    await this._request('PATCH', `${path}/encrypted`, {
+      encrypted_messages: messages ?? data.encrypted_messages,
+      encrypted_title: title ?? encryptedTitle,
+      message_count: data?.message_count ?? conversation.message_count ?? 0
+    })
+    return 'reencrypted'
+  },
+
+  // The sharing private key is encrypted with the master key as well
+  async _reencryptPrivateKey(oldKey, newKey) {
+    const keypair = await this._request('GET', '/api/chatbot/keypair')
+    if (!keypair?.encrypted_private_key) return null
+
+    const privateKey = await ConversationCrypto.decryptPrivateKey(keypair.encrypted_private_key, oldKey, { extractable: true })
+    return ConversationCrypto.encryptPrivateKey(privateKey, newKey)
+  },
+
+  async _listConversations() {
+    const data = await this._request('GET', '/api/chatbot/conversations')
+    const conversations = Array.isArray(data) ? data : (data?.conversations || [])
+    return conversations.filter(c => c.id != null && c.zero_knowledge)
+  },
+
+  async _request(method, url, body = null) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const response = await fetch(url, {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    })
+    if (!response.ok) throw Object.assign(new Error('request_failed'), { status: response.status })
+    return response.json()
+  }
+}
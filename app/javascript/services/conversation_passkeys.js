@@ -0,0 +1,191 @@
+/**
+ * ConversationPasskeys - unlock the conversation master key with a passkey
+ *
+ * Uses the WebAuthn PRF extension: the authenticator turns a per-passkey salt
+ * into a secret that never leaves the browser. ConversationCrypto derives a
+ * wrapping key from it (HKDF) and each registered passkey keeps its own
+ * wrapped copy of the master key on the server (/account/zk_passkeys), next
+ * to the password-wrapped one. Unlocking is one biometric/PIN prompt instead
+ * of the password plus 600k PBKDF2 iterations.
+ *
+ * This is a key source, not a sign-in method: the WebAuthn ceremonies run
+ * with a browser-generated challenge and the server verifies nothing. An
+ * attacker without the authenticator cannot compute the PRF output, so the
+ * wrapped copies are as safe to hand out as the password-wrapped key.
+ *
+ * Usage:
+ *   import { ConversationPasskeys } from '../services/conversation_passkeys'
+ *   if (ConversationPasskeys.isSupported()) {
+ *     const masterKey = await ConversationPasskeys.unlock()
+ *   }
+ */
+
+import { ConversationCrypto } from './conversation_crypto'
+
+const CHALLENGE_LENGTH = 32
+
+export const ConversationPasskeys = {
+  /**
+   * Whether this browser can create passkeys at all. PRF support itself only
+   * shows after registration (authenticator dependent).
+   */
+  isSupported() {
+    return !!(window.PublicKeyCredential && navigator.credentials?.create && ConversationCrypto.isAvailable())
+  },
+
+  /**
+   * @returns {Promise<Array<{id: number, label: string|null, credential_id: string, prf_salt: string,
+   *   wrapped_master_key: string, created_at: string, last_used_at: string|null}>>}
+   */
+  async list() {
+    const data = await this._request('GET', '/account/zk_passkeys')
+    return data?.passkeys || []
+  },
+
+  /**
+   * Register a passkey on this device and store its copy of the master key.
+   * @param {string} password - account password (unwraps the master key once)
+   * @param {string} [label] - name for the management list
+   * @returns {Promise<Object>} the stored passkey (as list() returns it)
+   * @throws {Error} 'wrong_password' | 'no_key_material' | 'already_registered' | 'cancelled' |
+   *   'prf_unsupported' | 'request_failed'
+   */
+  async register(password, label = '') {
+    const material = await this._request('GET', '/api/chatbot/zk_key_material')
+    if (!material?.encrypted_master_key || !material?.key_derivation_salt) throw new Error('no_key_material')
+
+    let masterKey
+    try {
+      const wrappingKey = await ConversationCrypto.deriveWrappingKey(password, material.key_derivation_salt)
+      masterKey = await ConversationCrypto.unwrapMasterKey(material.encrypted_master_key, wrappingKey, { extractable: true })
+    } catch (_) {
+      throw new Error('wrong_password')
+    }
+
+    const existing = await this.list()
+    const prfSalt = ConversationCrypto.generateSalt()
+    let credential
+    try {
+      credential = await navigator.credentials.create({
+        publicKey: {
+          rp: { name: 'Wetwijzer', id: window.location.hostname },
+          user: {
+            id: this._userHandle(),
+            name: label || 'Wetwijzer',
+            displayName: label || 'Wetwijzer'
+          },
+          challenge: crypto.getRandomValues(new Uint8Array(CHALLENGE_LENGTH)),
+          pubKeyCredParams: [{ type: 'public-key', alg: -7 }, { type: 'public-key', alg: -257 }],
+          authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+          excludeCredentials: existing.map(p => ({ type: 'public-key', id: this._fromBase64Url(p.credential_id) })),
+          extensions: { prf: { eval: { first: ConversationCrypto._fromBase64(prfSalt) } } }
+        }
+      })
+    } catch (e) {
+      throw new Error(e?.name === 'InvalidStateError' ? 'already_registered' : 'cancelled')
+    }
+    if (!credential) throw new Error('cancelled')
+
+    const prf = credential.getClientExtensionResults?.()?.prf
+    if (!prf?.enabled && !prf?.results) throw new Error('prf_unsupported')
+
+    const passkey = { credential_id: credential.id, prf_salt: prfSalt }
+    // Most authenticators only evaluate PRF during an assertion
+    const output = prf.results?.first || (await this._evaluate([passkey])).output
+
+    const passkeyKey = await ConversationCrypto.derivePasskeyKey(output, prfSalt)
+    const data = await this._request('POST', '/account/zk_passkeys', {
+      ...passkey,
+      label,
+      wrapped_master_key: await ConversationCrypto.wrapMasterKey(masterKey, passkeyKey),
+      current_password: password
+    })
+    return data.passkey
+  },
+
+  /**
+   * Unlock the master key with any registered passkey the browser can reach.
+   * @returns {Promise<CryptoKey>} non-extractable master key
+   * @throws {Error} 'no_passkeys' | 'cancelled' | 'prf_unsupported' | 'unlock_failed' | 'request_failed'
+   */
+  async unlock() {
+    const passkeys = await this.list()
+    if (passkeys.length === 0) throw new Error('no_passkeys')
+
+    const { passkey, output } = await this._evaluate(passkeys)
+    let masterKey
+    try {
+      const passkeyKey = await ConversationCrypto.derivePasskeyKey(output, passkey.prf_salt)
+      masterKey = await ConversationCrypto.unwrapMasterKey(passkey.wrapped_master_key, passkeyKey)
+    } catch (_) {
+      throw new Error('unlock_failed')
+    }
+
+    // Only feeds "last used" in the management list
+    this._request('POST', `/account/zk_passkeys/${passkey.id}/used`, {}).catch(() => {})
+    return masterKey
+  },
+
+  async revoke(id) {
+    await this._request('DELETE', `/account/zk_passkeys/${encodeURIComponent(id)}`)
+  },
+
+  // ── Internal ──
+
+  // One assertion, with every known passkey allowed; the browser picks
+  async _evaluate(passkeys) {
+    const evalByCredential = {}
+    passkeys.forEach(p => {
+      evalByCredential[p.credential_id] = { first: ConversationCrypto._fromBase64(p.prf_salt) }
+    })
+
+    let assertion
+    try {
+      assertion = await navigator.credentials.get({
+        publicKey: {
+          challenge: crypto.getRandomValues(new Uint8Array(CHALLENGE_LENGTH)),
+          rpId: window.location.hostname,
+          allowCredentials: passkeys.map(p => ({ type: 'public-key', id: this._fromBase64Url(p.credential_id) })),
+          userVerification: 'required',
+          extensions: { prf: { evalByCredential } }
+        }
+      })
+    } catch (_) {
+      throw new Error('cancelled')
+    }
+    if (!assertion) throw new Error('cancelled')
+
+    const passkey = passkeys.find(p => p.credential_id === assertion.id)
+    const output = assertion.getClientExtensionResults?.()?.prf?.results?.first
+    if (!passkey || !output) throw new Error('prf_unsupported')
+    return { passkey, output }
+  },
+
+  // Same handle for all of the user's passkeys; excludeCredentials keeps an
+  // authenticator from registering twice
+  _userHandle() {
+    const scope = document.querySelector('meta[name="user-prefs-scope"]')?.content
+    return scope ? new TextEncoder().encode(scope) : crypto.getRandomValues(new Uint8Array(16))
+  },
+
+  _fromBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+    return ConversationCrypto._fromBase64(base64 + '='.repeat((4 - base64.length % 4) % 4))
+  },
+
+  async _request(method, url, body = null) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const response = await fetch(url, {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    })
+    if (!response.ok) throw Object.assign(new Error('request_failed'), { status: response.status })
+    return response.json()
+  }
+}
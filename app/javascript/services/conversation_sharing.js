@@ -0,0 +1,275 @@
+/**
+ * ConversationSharing - hand a conversation to a colleague, end-to-end encrypted
+ *
+ * Each user gets an ECDH key pair on first use (public key in the clear,
+ * private key encrypted with their master key). Sharing decrypts the
+ * conversation in the owner's browser and seals a snapshot for the
+ * recipient (ConversationCrypto.sealForRecipient); the recipient finds it
+ * under GET /api/chatbot/conversations/shared as a read-only item and opens
+ * it with their own private key. The owner can revoke a share at any time.
+ *
+ * Key verification: the server hands out public keys, so a compromised
+ * server could hand out its own. Both sides can compare fingerprints out of
+ * band; a verified fingerprint is pinned and sharing refuses a key that no
+ * longer matches its pin. The pins are kept in the `zk_verified_keys`
+ * preference encrypted with the master key, so the server can neither read
+ * nor rewrite them: pins that do not open count as none.
+ *
+ * Everything that needs the master key takes it as an argument; unlock()
+ * turns the password into one.
+ *
+ * Usage:
+ *   import { ConversationSharing } from '../services/conversation_sharing'
+ *   const masterKey = await ConversationSharing.unlock(password)
+ *   const recipient = await ConversationSharing.lookup('colleague@firm.be', masterKey)
+ *   await ConversationSharing.share(conversationId, recipient.email, masterKey)
+ */
+
+import { ConversationCrypto } from './conversation_crypto'
+import { prefs } from './preferences_store'
+
+export const ConversationSharing = {
+  /**
+   * The master key, from the account password.
+   * @param {string} password
+   * @returns {Promise<CryptoKey>}
+   * @throws {Error} 'wrong_password' | 'no_key_material' | 'request_failed'
+   */
+  async unlock(password) {
+    const material = await this._request('GET', '/api/chatbot/zk_key_material')
+    if (!material?.encrypted_master_key || !material?.key_derivation_salt) throw new Error('no_key_material')
+
+    const wrappingKey = await ConversationCrypto.deriveWrappingKey(password, material.key_derivation_salt)
+    try {
+      return await ConversationCrypto.unwrapMasterKey(material.encrypted_master_key, wrappingKey)
+    } catch (_) {
+      throw new Error('wrong_password')
+    }
+  },
+
+  /**
+   * The current user's public key, if sharing is set up.
+   * @returns {Promise<{publicKey: string, fingerprint: string}|null>}
+   */
+  async myKey() {
+    const keypair = await this._request('GET', '/api/chatbot/keypair')
+    if (!keypair?.public_key) return null
+    return { publicKey: keypair.public_key, fingerprint: await ConversationCrypto.fingerprint(keypair.public_key) }
+  },
+
+  /**
+   * Create the key pair if there is none yet.
+   * @param {CryptoKey} masterKey - encrypts the private key
+   * @returns {Promise<{publicKey: string, fingerprint: string}>}
+   * @throws {Error} 'request_failed'
+   */
+  async setUp(masterKey) {
+    const existing = await this.myKey()
+    if (existing) return existing
+
+    const keyPair = await ConversationCrypto.generateKeyPair()
+    const publicKey = await ConversationCrypto.exportPublicKey(keyPair.publicKey)
+    await this._request('POST', '/api/chatbot/keypair', {
+      public_key: publicKey,
+      encrypted_private_key: await ConversationCrypto.encryptPrivateKey(keyPair.privateKey, masterKey)
+    })
+    return { publicKey, fingerprint: await ConversationCrypto.fingerprint(publicKey) }
+  },
+
+  /**
+   * Find a colleague's public key and compare it with a pinned fingerprint.
+   * @param {string} email
+   * @param {CryptoKey} masterKey - opens the pins
+   * @returns {Promise<{email: string, publicKey: string, fingerprint: string,
+   *   status: 'verified'|'unverified'|'changed'}>}
+   * @throws {Error} 'not_found' | 'rate_limited' | 'request_failed'
+   */
+  async lookup(email, masterKey) {
+    let data
+    try {
+      data = await this._request('GET', `/api/chatbot/public_keys?email=${encodeURIComponent(email.trim())}`)
+    } catch (e) {
+      throw new Error(e.status === 404 ? 'not_found' : e.status === 429 ? 'rate_limited' : 'request_failed')
+    }
+
+    const fingerprint = await ConversationCrypto.fingerprint(data.public_key)
+    const pins = await this._pins(masterKey)
+    return { email: data.email, publicKey: data.public_key, fingerprint, status: this._status(pins[data.email], fingerprint) }
+  },
+
+  /**
+   * Pin a fingerprint after comparing it with the colleague out of band
+   * @param {string} email
+   * @param {string} fingerprint
+   * @param {CryptoKey} masterKey
+   */
+  async markVerified(email, fingerprint, masterKey) {
+    const pins = await this._pins(masterKey)
+    prefs.set('zk_verified_keys', {
+      sealed: await ConversationCrypto.encryptPayload({ ...pins, [email]: fingerprint }, masterKey)
+    })
+  },
+
+  /**
+   * Share (or re-share, replacing the snapshot) one conversation: its
+   * decrypted messages and title, as GET /api/chatbot/conversations/:id
+   * and the conversation list return them.
+   * @param {number|string} conversationId - the owner's conversation
+   * @param {string} email - recipient
+   * @param {CryptoKey} masterKey - owner's master key
+   * @param {Object} [options]
+   * @param {boolean} [options.allowUnverified=false] - share with a key that was never verified
+   * @throws {Error} 'not_found' | 'key_changed' | 'unverified' | 'no_key_material' |
+   *   'unreadable' | 'rate_limited' | 'request_failed'
+   */
+  async share(conversationId, email, masterKey, { allowUnverified = false } = {}) {
+    const recipient = await this.lookup(email, masterKey)
+    if (recipient.status === 'changed') throw new Error('key_changed')
+    if (recipient.status === 'unverified' && !allowUnverified) throw new Error('unverified')
+
+    const privateKey = await this._privateKey(masterKey)
+    const conversation = await this._request('GET', `/api/chatbot/conversations/${encodeURIComponent(conversationId)}`)
+
+    let messages = conversation.messages || []
+    if (conversation.zero_knowledge && conversation.encrypted_messages) {
+      messages = await ConversationCrypto.tryDecrypt(conversation.encrypted_messages, masterKey)
+      if (messages === null) throw new Error('unreadable')
+    }
+    const listed = (await this._conversations()).find(c => String(c.id) === String(conversationId)) || {}
+    const encryptedTitle = conversation.encrypted_title ?? listed.encrypted_title
+    const title = (encryptedTitle && await ConversationCrypto.tryDecrypt(encryptedTitle, masterKey)) ||
+      conversation.title || listed.title || null
+
+    const meta = {
+      title,
+      message_count: conversation.message_count ?? messages.length,
+      updated_at: conversation.updated_at ?? listed.updated_at ?? null
+    }
+    const sealed = await ConversationCrypto.sealForRecipient({ meta, payload: { messages } }, privateKey, recipient.publicKey)
+    try {
+      await this._request('POST', '/api/chatbot/shares', {
+        conversation_token: String(conversationId),
+        recipient_email: recipient.email,
+        recipient_public_key: recipient.publicKey,
+        encrypted_payload: sealed.encryptedPayload,
+        envelope_salt: sealed.envelopeSalt,
+        wrapped_content_key: sealed.wrappedContentKey
+      })
+    } catch (e) {
+      // 404: the recipient's key changed between the lookup and the share
+      throw new Error(e.status === 404 ? 'not_found' : e.status === 429 ? 'rate_limited' : 'request_failed')
+    }
+  },
+
+  /**
+   * Conversations the current user shared.
+   * @returns {Promise<Array<{id: number, conversation_token: string, recipient: {email: string, name: string|null},
+   *   shared_at: string}>>}
+   */
+  async listSent() {
+    const data = await this._request('GET', '/api/chatbot/shares')
+    return data?.shares || []
+  },
+
+  /**
+   * Conversations shared with the current user, not opened: who shared
+   * what when. The titles are inside the envelopes, see listReceived().
+   * @returns {Promise<Array<{id: number, owner: {email: string, name: string|null}, shared_at: string}>>}
+   */
+  async listReceivedSummaries() {
+    const data = await this._request('GET', '/api/chatbot/conversations/shared')
+    return (data?.conversations || []).map(({ id, owner, shared_at }) => ({ id, owner, shared_at }))
+  },
+
+  /**
+   * Conversations shared with the current user, opened. A share that does not
+   * open (tampered, or made for a key this account no longer has) comes back
+   * with `payload: null`.
+   * @param {CryptoKey} masterKey
+   * @returns {Promise<Array<{id: number, token: string, shared: true, read_only: true,
+   *   owner: {email: string, name: string|null}, shared_at: string, meta: Object, payload: any,
+   *   senderFingerprint: string, senderStatus: 'verified'|'unverified'|'changed'}>>}
+   */
+  async listReceived(masterKey) {
+    const data = await this._request('GET', '/api/chatbot/conversations/shared')
+    const shares = data?.conversations || []
+    if (shares.length === 0) return []
+
+    const privateKey = await this._privateKey(masterKey)
+    const pins = await this._pins(masterKey)
+
+    return Promise.all(shares.map(async share => {
+      const senderFingerprint = await ConversationCrypto.fingerprint(share.sender_public_key)
+      let opened = { meta: {}, payload: null }
+      try {
+        opened = await ConversationCrypto.openEnvelope({
+          encryptedPayload: share.encrypted_payload,
+          envelopeSalt: share.envelope_salt,
+          wrappedContentKey: share.wrapped_content_key
+        }, privateKey, share.sender_public_key)
+      } catch (_) {
+        // Left as payload: null
+      }
+
+      return {
+        id: share.id,
+        token: share.token,
+        shared: true,
+        read_only: true,
+        owner: share.owner,
+        shared_at: share.shared_at,
+        meta: opened.meta || {},
+        payload: opened.payload,
+        senderFingerprint,
+        senderStatus: this._status(pins[share.owner.email], senderFingerprint)
+      }
+    }))
+  },
+
+  /**
+   * Revoke a share (owner) or drop it from the list (recipient)
+   */
+  async revoke(id) {
+    await this._request('DELETE', `/api/chatbot/shares/${encodeURIComponent(id)}`)
+  },
+
+  // ── Internal ──
+
+  async _privateKey(masterKey) {
+    const keypair = await this._request('GET', '/api/chatbot/keypair')
+    if (!keypair?.encrypted_private_key) throw new Error('no_key_material')
+    return ConversationCrypto.decryptPrivateKey(keypair.encrypted_private_key, masterKey)
+  },
+
+  async _conversations() {
+    const data = await this._request('GET', '/api/chatbot/conversations')
+    return Array.isArray(data) ? data : (data?.conversations || [])
+  },
+
+  // { email: fingerprint }; pins the master key does not open (rewritten by
+  // the server, or from before they were encrypted) count as none
+  async _pins(masterKey) {
+    const sealed = prefs.get('zk_verified_keys')?.sealed
+    return (sealed && await ConversationCrypto.tryDecrypt(sealed, masterKey)) || {}
+  },
+
+  _status(pinned, fingerprint) {
+    return !pinned ? 'unverified' : (pinned === fingerprint ? 'verified' : 'changed')
+  },
+
+  async _request(method, url, body = null) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const response = await fetch(url, {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    })
+    if (!response.ok) throw Object.assign(new Error('request_failed'), { status: response.status })
+    return response.json()
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Preference Presets & Transfer
+ *
+ * Named presets switch a group of display preferences at once. Two presets
+ * are built in ("Reading", "Research"), a firm can ship a standard one through
+ * config/data/standard_preferences.yml, and users can save their own (kept in
+ * the `presets` preference, so they travel with the profile).
+ *
+ * The same helpers export the whole preference document to a JSON file and
+ * import it again, e.g. on another account. Everything goes through
+ * prefs.all() / prefs.merge(), so the schema still validates every value.
+ *
+ * Usage:
+ *   import { applyPreset, exportPreferences } from '../services/preference_presets'
+ *   applyPreset('reading')
+ */
+
+import { prefs } from './preferences_store'
+import { SCHEMA_VERSION, migratePreferences } from './preferences_schema'
+
+export const EXPORT_FORMAT = 'wetwijzer-preferences'
+
+// Preferences a preset captures; everything else (presets themselves, chatbot
+// and layout state) is left alone when switching
+export const PRESET_KEYS = [
+  'theme', 'theme_accent', 'font_size', 'article_preferences',
+  'reference_highlight', 'toc_follow_enabled', 'sidebar_auto_open', 'copy_format', 'cite_on_copy',
+  'cite_version'
+]
+
+export const BUILT_IN_PRESETS = {
+  reading: {
+    label: { nl: 'Lezen', fr: 'Lecture', de: 'Lesen', en: 'Reading' },
+    values: {
+      font_size: 'large',
+      reference_highlight: false,
+      article_preferences: { show_colors: false, show_exdecs: false, show_highlight: false, show_references: false }
+    }
+  },
+  research: {
+    label: { nl: 'Onderzoek', fr: 'Recherche', de: 'Recherche', en: 'Research' },
+    values: {
+      font_size: 'normal',
+      reference_highlight: true,
+      article_preferences: { show_colors: true, show_exdecs: true, show_highlight: true, show_references: true }
+    }
+  }
+}
+
+export const STANDARD_PRESET = 'standard'
+
+/**
+ * All presets available to the user, built-ins first.
+ * @param {Object} [standard] - the firm's standard preset values, if any
+ * @returns {Array<{name: string, values: Object, builtIn: boolean, label?: Object}>}
+ */
+export function listPresets(standard = null) {
+  const presets = Object.entries(BUILT_IN_PRESETS).map(([name, preset]) => ({ name, builtIn: true, ...preset }))
+  if (standard && Object.keys(standard).length > 0) {
+    presets.push({
+      name: STANDARD_PRESET,
+      builtIn: true,
+      label: { nl: 'Kantoorstandaard', fr: 'Standard du cabinet', de: 'Kanzleistandard', en: 'Firm standard' },
+      values: standard
+    })
+  }
+
+  Object.entries(prefs.get('presets', {}) || {}).forEach(([name, values]) => {
+    if (values && typeof values === 'object') presets.push({ name, builtIn: false, values })
+  })
+  return presets
+}
+
+/**
+ * Switch to a preset. Unknown or invalid keys in it are skipped by the schema.
+ * @returns {boolean} false when no preset has that name
+ */
+export function applyPreset(name, standard = null) {
+  const preset = listPresets(standard).find(p => p.name === name)
+  if (!preset) return false
+
+  prefs.merge({ ...pick(preset.values, PRESET_KEYS), active_preset: name }, { external: true })
+  return true
+}
+
+/**
+ * Save the current display preferences under a name (overwrites a preset
+ * with the same name; built-in names are reserved).
+ * @returns {boolean} false for an empty or reserved name
+ */
+export function savePreset(name) {
+  const trimmed = (name || '').trim()
+  if (!trimmed || trimmed in BUILT_IN_PRESETS || trimmed === STANDARD_PRESET) return false
+
+  // prefs.get() fills in schema defaults, so the preset is complete
+  const values = {}
+  PRESET_KEYS.forEach(key => { values[key] = prefs.get(key) })
+
+  const presets = { ...(prefs.get('presets', {}) || {}), [trimmed]: values }
+  prefs.merge({ presets, active_preset: trimmed })
+  return true
+}
+
+export function deletePreset(name) {
+  const presets = { ...(prefs.get('presets', {}) || {}) }
+  if (!(name in presets)) return
+
+  delete presets[name]
+  const updates = { presets }
+  if (prefs.get('active_preset') === name) updates.active_preset = null
+  prefs.merge(updates)
+}
+
+/**
+ * Serialize the whole preference document.
+ * @returns {string} JSON
+ */
+export function exportPreferences() {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    schema_version: SCHEMA_VERSION,
+    exported_at: new Date().toISOString(),
+    preferences: prefs.all()
+  }, null, 2)
+}
+
+/**
+ * Apply an exported document. Files from older app versions are migrated
+ * first; keys the schema rejects are reported instead of applied.
+ * @param {string} text - file contents
+ * @returns {{ applied: string[], rejected: string[] }}
+ * @throws {Error} when the file is not a preferences export
+ */
+export function importPreferences(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (_) {
+    throw new Error('invalid_json')
+  }
+  if (!data || data.format !== EXPORT_FORMAT || typeof data.preferences !== 'object') {
+    throw new Error('invalid_format')
+  }
+
+  const stored = { ...data.preferences, schema_version: data.schema_version || 0 }
+  const { doc } = migratePreferences(stored)
+  delete doc.schema_version
+
+  const rejected = prefs.merge(doc, { external: true })
+  return { applied: Object.keys(doc).filter(k => !rejected.includes(k)), rejected }
+}
+
+function pick(source, keys) {
+  const result = {}
+  keys.forEach(key => {
+    if (source[key] !== undefined) result[key] = source[key]
+  })
+  return result
+}
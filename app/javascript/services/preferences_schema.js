@@ -0,0 +1,250 @@
+/**
+ * Preference Schema
+ *
+ * Single source of truth for every UI preference key: its type, allowed
+ * values, default and the schema version that introduced its current shape.
+ * The PreferencesStore validates reads and writes against it and runs the
+ * migrations below on init(), so a typo or a renamed key cannot end up in a
+ * user's stored profile.
+ *
+ * Entry fields:
+ *   type        'boolean' | 'string' | 'number' | 'enum' | 'object'
+ *   values      allowed values (enum only)
+ *   default     value returned by prefs.get(key) when nothing valid is stored
+ *   nullable    null is an accepted value (e.g. "follow the system")
+ *   version     schema version in which the key got its current shape
+ *   properties  nested schema (object only), addressed with dot-notation
+ *   open        object accepts keys that are not listed in properties
+ *
+ * Adding a key: add it here and to the allowlist in Api::PreferencesController.
+ * Renaming or reshaping a key: bump SCHEMA_VERSION and add a migration.
+ */
+
+export const SCHEMA_VERSION = 3
+
+export const PREFERENCE_SCHEMA = {
+  // Internal: schema version the stored document was last migrated to
+  schema_version: { type: 'number', default: 0, version: 1 },
+
+  // Theme & display
+  theme: { type: 'enum', values: ['light', 'dark'], default: null, nullable: true, version: 2 },
+  theme_accent: { type: 'string', pattern: /^[a-z]+$/, default: 'original', version: 1 },
+  font_size: { type: 'enum', values: ['small', 'normal', 'large'], default: 'normal', version: 3 },
+  article_view: { type: 'string', default: null, nullable: true, version: 1 },
+
+  // Sidebar
+  sidebar_collapsed: { type: 'boolean', default: false, version: 1 },
+  sidebar_auto_open: { type: 'boolean', default: false, version: 1 },
+
+  // Article preferences
+  article_preferences: {
+    type: 'object',
+    version: 1,
+    properties: {
+      show_colors: { type: 'boolean', default: true, version: 1 },
+      show_exdecs: { type: 'boolean', default: true, version: 1 },
+      show_highlight: { type: 'boolean', default: true, version: 1 },
+      show_references: { type: 'boolean', default: true, version: 1 }
+    }
+  },
+
+  // TOC
+  toc_collapsed: { type: 'boolean', default: false, version: 1 },
+  toc_position: { type: 'string', default: null, nullable: true, version: 1 },
+  toc_follow_enabled: { type: 'boolean', default: true, version: 1 },
+
+  // Chatbot (the widget owns its own layout keys)
+  chatbot: {
+    type: 'object',
+    version: 2,
+    open: true,
+    properties: {
+      intelligence: { type: 'enum', values: ['smart', 'genius', 'mastermind', 'omniscient'], default: 'smart', version: 2 }
+    }
+  },
+  chatbot_widget: { type: 'object', open: true, version: 1, properties: {} },
+
+  // Reference display
+  reference_style: { type: 'string', default: null, nullable: true, version: 1 },
+  reference_highlight: { type: 'boolean', default: true, version: 1 },
+
+  // Bookmarks
+  bookmarks_view: { type: 'string', default: null, nullable: true, version: 1 },
+
+  // Copy style
+  copy_format: { type: 'enum', values: ['full', 'short', 'legal', 'numac', 'url'], default: 'full', version: 1 },
+  // Append a citation of the selected articles when copying law text
+  cite_on_copy: { type: 'boolean', default: true, version: 3 },
+  // Pin law citations to the version in force on the copy date ("zoals van kracht op …")
+  cite_version: { type: 'boolean', default: false, version: 3 },
+  // User citation templates by id ({ name, template }) and the default
+  // template per citation language (see copy_reference_controller.js)
+  citation_templates: {
+    type: 'object',
+    version: 3,
+    properties: {
+      custom: { type: 'object', open: true, version: 3, properties: {} },
+      defaults: {
+        type: 'object',
+        version: 3,
+        properties: {
+          nl: { type: 'string', default: null, nullable: true, version: 3 },
+          fr: { type: 'string', default: null, nullable: true, version: 3 },
+          de: { type: 'string', default: null, nullable: true, version: 3 },
+          en: { type: 'string', default: null, nullable: true, version: 3 }
+        }
+      }
+    }
+  },
+
+  // Presets: user-saved name -> preference subset (see preference_presets.js)
+  presets: { type: 'object', open: true, version: 3, properties: {} },
+  active_preset: { type: 'string', default: null, nullable: true, version: 3 },
+
+  // Conversation sharing: { sealed } - colleague email -> fingerprint verified
+  // out of band, encrypted with the master key (see conversation_sharing.js)
+  zk_verified_keys: { type: 'object', open: true, version: 3, properties: {} }
+}
+
+/**
+ * Upgrades for stored documents, applied in order to every version above the
+ * document's schema_version. Each step mutates the (cloned) document and
+ * returns the top-level keys it touched.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'fold the legacy dark_mode boolean into theme',
+    up(doc) {
+      if (doc.dark_mode === undefined || doc.dark_mode === null) return []
+      if (doc.theme === undefined || doc.theme === null) {
+        doc.theme = doc.dark_mode === true || doc.dark_mode === 'true' ? 'dark' : 'light'
+      }
+      delete doc.dark_mode
+      return ['dark_mode', 'theme']
+    }
+  },
+  {
+    version: 2,
+    description: 'rename pre-consolidation chatbot tiers (smarter → genius, smartest → mastermind)',
+    up(doc) {
+      const legacy = { smarter: 'genius', smartest: 'mastermind', '': 'smart' }
+      const level = doc.chatbot?.intelligence
+      if (typeof level !== 'string' || !(level in legacy)) return []
+      doc.chatbot = { ...doc.chatbot, intelligence: legacy[level] }
+      return ['chatbot']
+    }
+  },
+  {
+    version: 3,
+    description: 'font_size became small/normal/large; drop free-form values',
+    up(doc) {
+      if (doc.font_size === undefined || ['small', 'normal', 'large'].includes(doc.font_size)) return []
+      delete doc.font_size
+      return ['font_size']
+    }
+  }
+]
+
+/**
+ * Resolve the schema entry for a (dot-notation) key.
+ * @param {string} key
+ * @returns {Object|null} the entry, { open: true } for keys under an open object, or null if unknown
+ */
+export function schemaFor(key) {
+  const parts = key.split('.')
+  let entry = PREFERENCE_SCHEMA[parts[0]]
+
+  for (let i = 1; i < parts.length && entry; i++) {
+    if (entry.type !== 'object') return null
+    const child = entry.properties?.[parts[i]]
+    if (!child) return entry.open ? { open: true } : null
+    entry = child
+  }
+  return entry || null
+}
+
+/**
+ * Default value declared for a key (null when it has none).
+ * Object entries return their nested defaults.
+ */
+export function defaultFor(key) {
+  const entry = schemaFor(key)
+  if (!entry) return null
+  if (entry.type === 'object') {
+    const defaults = {}
+    Object.entries(entry.properties || {}).forEach(([name, child]) => {
+      if (child.default !== undefined) defaults[name] = child.default
+    })
+    return defaults
+  }
+  return entry.default !== undefined ? entry.default : null
+}
+
+/**
+ * Check a value against the schema for a key.
+ * @returns {string|null} an error message, or null when the value is valid
+ */
+export function validatePreference(key, value) {
+  const entry = schemaFor(key)
+  if (!entry) return `unknown preference "${key}"`
+  return validateEntry(entry, value, key)
+}
+
+function validateEntry(entry, value, key) {
+  if (entry.open && !entry.type) return null
+  if (value === null) return entry.nullable ? null : `"${key}" cannot be null`
+
+  switch (entry.type) {
+    case 'boolean':
+    case 'string':
+    case 'number':
+      if (typeof value !== entry.type) return `"${key}" must be a ${entry.type}`
+      if (entry.pattern && !entry.pattern.test(value)) return `"${key}" has an invalid format`
+      return null
+    case 'enum':
+      return entry.values.includes(value) ? null : `"${key}" must be one of ${entry.values.join(', ')}`
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return `"${key}" must be an object`
+      for (const [name, child] of Object.entries(value)) {
+        const childEntry = entry.properties?.[name]
+        if (!childEntry) {
+          if (entry.open) continue
+          return `unknown preference "${key}.${name}"`
+        }
+        const error = validateEntry(childEntry, child, `${key}.${name}`)
+        if (error) return error
+      }
+      return null
+    }
+    default:
+      return `"${key}" has no type`
+  }
+}
+
+/**
+ * Run every migration newer than the document's schema_version.
+ * @param {Object} doc - stored preferences (left untouched)
+ * @returns {{ doc: Object, changedKeys: string[] }} upgraded copy and the top-level keys that changed
+ */
+export function migratePreferences(doc) {
+  const from = typeof doc.schema_version === 'number' ? doc.schema_version : 0
+  if (from >= SCHEMA_VERSION) return { doc, changedKeys: [] }
+
+  const upgraded = JSON.parse(JSON.stringify(doc))
+  const changed = new Set()
+
+  MIGRATIONS
+    .filter(migration => migration.version > from)
+    .forEach(migration => {
+      try {
+        migration.up(upgraded).forEach(key => changed.add(key))
+      } catch (e) {
+        console.warn(`[PreferencesSchema] Migration ${migration.version} failed:`, e.message)
+      }
+    })
+
+  upgraded.schema_version = SCHEMA_VERSION
+  changed.add('schema_version')
+  return { doc: upgraded, changedKeys: [...changed] }
+}
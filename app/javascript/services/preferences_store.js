@@ -6,12 +6,23 @@
  * - Anonymous users: preferences kept in-memory only (lost on page navigation)
  * - Logged-in users: preferences saved to server via /api/preferences
  * - Zero localStorage/sessionStorage usage = zero browser trace for anonymous visitors
+ * - Exceptions: a logged-in user's own writes that have not reached the server
+ *   yet sit in a localStorage outbox until the server acknowledges them, and
+ *   anonymous visitors who opt in (see below) keep their preferences locally
+ *
+ * Local persistence (anonymous, opt-in):
+ *   The cookie consent banner sets the `prefs_storage=local` cookie when a
+ *   visitor agrees; only then are their preferences written to localStorage.
+ *   On the first page load after signup or login they are moved into the
+ *   server profile (a key edited more recently on the server keeps that value)
+ *   and the local copy is deleted. forgetLocal() wipes them on request.
  *
  * Usage:
  *   import { prefs } from '../services/preferences_store'
  *
  *   // Read (sync from cache, async from server)
  *   const theme = prefs.get('theme', 'light')
+ *   const format = prefs.get('copy_format') // schema default ('full') when unset
  *
  *   // Write (saves to server for logged-in users)
  *   prefs.set('theme', 'dark')
@@ -23,10 +34,42 @@
  *   // Bulk update
  *   prefs.merge({ theme: 'dark', sidebar_collapsed: true })
  *
+ *   // React to changes (from this tab or another open tab)
+ *   const unsubscribe = prefs.subscribe('theme', (value, { remote }) => applyTheme(value))
+ *   unsubscribe() // e.g. in a controller's disconnect()
+ *
  *   // Initialize on page load (fetches from server if logged in)
  *   await prefs.init()
+ *
+ * Cross-tab sync:
+ *   Changes are broadcast to other open tabs of the same origin through a
+ *   BroadcastChannel. The channel is an in-memory message bus between tabs;
+ *   nothing is written to browser storage. Only the tab that made the change
+ *   saves it to the server, receiving tabs just update their cache.
+ *
+ * Offline writes and conflicts:
+ *   Saves go through an outbox that is persisted until the server acknowledges
+ *   it, and retried with exponential backoff (and as soon as the browser comes
+ *   back online). Every top-level key carries a server version; the server
+ *   merges per key and returns the keys where its own value won, which are
+ *   applied here and announced to subscribers with { remote: true, conflict: true }.
+ *
+ * Schema:
+ *   Every key is declared in preferences_schema.js. get() falls back to the
+ *   declared default when no default is passed (or the stored value is invalid),
+ *   set()/merge() refuse values that do not match the schema, and init()
+ *   upgrades documents written by older versions of the app.
  */
 
+import { defaultFor, migratePreferences, schemaFor, validatePreference } from './preferences_schema'
+
+const CHANNEL_NAME = 'ww-preferences'
+const OUTBOX_KEY = 'ww-prefs-outbox'
+const LOCAL_KEY = 'ww-prefs-local'
+const LOCAL_CONSENT_COOKIE = 'prefs_storage'
+const RETRY_BASE_MS = 2000
+const RETRY_MAX_MS = 5 * 60 * 1000
+
 class PreferencesStore {
   constructor() {
     this._cache = {}
@@ -34,6 +77,15 @@ class PreferencesStore {
     this._saveTimer = null
     this._dirty = {}
     this._loggedIn = null
+    this._subscribers = new Map()
+    this._channel = null
+    this._versions = {}     // top-level key -> server version
+    this._changedAt = {}    // top-level key -> local change time (ms)
+    this._outbox = {}       // top-level key -> { value, base, at } awaiting server ack
+    this._scope = null
+    this._draining = false
+    this._retryTimer = null
+    this._retryDelay = 0
   }
 
   /**
@@ -53,6 +105,8 @@ class PreferencesStore {
     this._loggedIn = this._checkLoggedIn()
 
     if (this._loggedIn) {
+      this._scope = document.querySelector('meta[name="user-prefs-scope"]')?.content || null
+
       try {
         const response = await fetch('/api/preferences', {
           credentials: 'same-origin',
@@ -61,13 +115,30 @@ class PreferencesStore {
         if (response.ok) {
           const data = await response.json()
           this._cache = data.preferences || {}
+          this._versions = data.versions || {}
+          this._scope = data.scope || this._scope
         }
       } catch (e) {
         console.warn('[PreferencesStore] Failed to load preferences:', e.message)
       }
+
+      // Re-apply writes a previous page could not deliver, then retry them
+      this._restoreOutbox()
+      this._adoptLocal()
+      this._migrate()
+      window.addEventListener('online', () => this._drainOutbox())
+      this._drainOutbox()
+    } else if (this.hasLocalConsent()) {
+      const local = this._readLocal()
+      if (local) {
+        this._cache = local.preferences
+        Object.assign(this._changedAt, local.changedAt)
+        this._migrate()
+      }
     }
 
     this._initialized = true
+    this._openChannel()
 
     // Flush pending saves when the user navigates away or closes the tab.
     // pagehide fires reliably on tab close; visibilitychange on tab switch.
@@ -85,26 +156,32 @@ class PreferencesStore {
   /**
    * Get a preference value. Supports dot-notation for nested keys.
    * Returns from in-memory cache (sync). Call init() first for server data.
+   * Without a defaultValue the schema default is used; a stored value that
+   * fails validation is treated as absent.
    */
-  get(key, defaultValue = null) {
-    if (key.includes('.')) {
-      const parts = key.split('.')
-      let obj = this._cache
-      for (const part of parts) {
-        if (obj == null || typeof obj !== 'object') return defaultValue
-        obj = obj[part]
-      }
-      return obj !== undefined ? obj : defaultValue
-    }
-    const val = this._cache[key]
-    return val !== undefined ? val : defaultValue
+  get(key, defaultValue) {
+    const fallback = arguments.length > 1 ? defaultValue : defaultFor(key)
+    const val = this._read(key)
+    if (val === undefined) return fallback
+    if (schemaFor(key) && validatePreference(key, val)) return fallback
+    return val
   }
 
   /**
    * Set a preference value. Supports dot-notation for nested keys.
    * Auto-saves to server (debounced) for logged-in users.
+   * @returns {boolean} false when the value was rejected by the schema
    */
   set(key, value) {
+    const error = validatePreference(key, value)
+    if (error) {
+      console.warn(`[PreferencesStore] Ignored set(): ${error}`)
+      return false
+    }
+
+    // Skip no-op writes of scalar values (avoids echo loops between tabs)
+    if ((value === null || typeof value !== 'object') && this._read(key) === value) return true
+
     if (key.includes('.')) {
       const parts = key.split('.')
       let obj = this._cache
@@ -116,22 +193,48 @@ class PreferencesStore {
       }
       obj[parts[parts.length - 1]] = value
       // Track the top-level key as dirty
-      this._dirty[parts[0]] = this._cache[parts[0]]
+      this._markDirty(parts[0], this._cache[parts[0]])
     } else {
       this._cache[key] = value
-      this._dirty[key] = value
+      this._markDirty(key, value)
     }
 
     this._scheduleSave()
+    this._publish([key.split('.')[0]])
+    return true
   }
 
   /**
-   * Merge multiple preferences at once.
+   * Merge multiple preferences at once. Keys that fail validation are skipped.
+   * Pass { external: true } when the values do not come from the controllers
+   * that own them (import, presets), so subscribers re-apply them like a
+   * change from another tab.
+   * @returns {string[]} the keys that were rejected
    */
-  merge(updates) {
-    Object.assign(this._cache, updates)
-    Object.assign(this._dirty, updates)
+  merge(updates, { external = false } = {}) {
+    const accepted = {}
+    const rejected = []
+    Object.entries(updates).forEach(([k, v]) => {
+      const error = validatePreference(k, v)
+      if (error) {
+        console.warn(`[PreferencesStore] Ignored merge() key: ${error}`)
+        rejected.push(k)
+      } else {
+        accepted[k] = v
+      }
+    })
+    if (Object.keys(accepted).length === 0) return rejected
+
+    Object.assign(this._cache, accepted)
+    Object.entries(accepted).forEach(([k, v]) => this._markDirty(k, v))
     this._scheduleSave()
+    if (external) {
+      this._notify(Object.keys(accepted), { remote: true })
+      this._broadcast(Object.keys(accepted))
+    } else {
+      this._publish(Object.keys(accepted))
+    }
+    return rejected
   }
 
   /**
@@ -139,8 +242,38 @@ class PreferencesStore {
    */
   remove(key) {
     delete this._cache[key]
-    this._dirty[key] = null
+    this._markDirty(key, null)
     this._scheduleSave()
+    this._publish([key])
+  }
+
+  /**
+   * Subscribe to changes of a preference key. Supports dot-notation; a
+   * subscriber is notified whenever the top-level key it lives under changes.
+   * Use '*' to be notified of every change.
+   *
+   * The callback receives the current value (via get()) and
+   * { key, remote }, where remote is true when the change came from another tab
+   * (or was applied in bulk, see merge()), i.e. not from the subscriber itself.
+   *
+   * @param {string} key
+   * @param {function(any, {key: string, remote: boolean}): void} callback
+   * @returns {function(): void} unsubscribe function
+   */
+  subscribe(key, callback) {
+    if (!this._subscribers.has(key)) this._subscribers.set(key, new Set())
+    this._subscribers.get(key).add(callback)
+    return () => this.unsubscribe(key, callback)
+  }
+
+  /**
+   * Remove a callback registered with subscribe().
+   */
+  unsubscribe(key, callback) {
+    const callbacks = this._subscribers.get(key)
+    if (!callbacks) return
+    callbacks.delete(callback)
+    if (callbacks.size === 0) this._subscribers.delete(key)
   }
 
   /**
@@ -150,6 +283,44 @@ class PreferencesStore {
     return { ...this._cache }
   }
 
+  /**
+   * Whether this (anonymous) visitor agreed to keep preferences on the device.
+   */
+  hasLocalConsent() {
+    return this._localConsent() === 'local'
+  }
+
+  /**
+   * Start persisting locally; called by the cookie consent banner after it
+   * set the consent cookie. Saves what was changed on this page so far.
+   */
+  enableLocalPersistence() {
+    if (this.isLoggedIn() || !this.hasLocalConsent()) return
+    this._writeLocal()
+  }
+
+  /**
+   * "Forget me": delete the locally stored preferences and reset this tab
+   * (and other open tabs) to the defaults. The caller clears the cookie.
+   */
+  forgetLocal() {
+    try {
+      localStorage.removeItem(LOCAL_KEY)
+    } catch (_) {
+      // Storage unavailable: nothing was stored
+    }
+    if (this.isLoggedIn()) return
+
+    const keys = Object.keys(this._cache)
+    this._cache = {}
+    this._changedAt = {}
+    this._dirty = {}
+    // No controller in this tab made the change, so announce it like one from
+    // another tab: subscribers re-apply the defaults
+    this._notify(keys, { remote: true })
+    this._broadcast(keys)
+  }
+
   /**
    * Check if user is logged in.
    */
@@ -162,6 +333,109 @@ class PreferencesStore {
 
   // ── Internal ──
 
+  /** Raw cached value for a (dot-notation) key, undefined when absent. */
+  _read(key) {
+    let obj = this._cache
+    for (const part of key.split('.')) {
+      if (obj == null || typeof obj !== 'object') return undefined
+      obj = obj[part]
+    }
+    return obj
+  }
+
+  /**
+   * Upgrade a document written by an older schema version and queue the
+   * upgraded keys (removed keys are saved as null) so the server catches up.
+   */
+  _migrate() {
+    if (Object.keys(this._cache).length === 0) return
+
+    const { doc, changedKeys } = migratePreferences(this._cache)
+    if (changedKeys.length === 0) return
+
+    this._cache = doc
+    changedKeys.forEach(key => this._markDirty(key, key in doc ? doc[key] : null))
+    this._scheduleSave()
+  }
+
+  _openChannel() {
+    if (this._channel || typeof BroadcastChannel === 'undefined') return
+
+    try {
+      this._channel = new BroadcastChannel(CHANNEL_NAME)
+      this._channel.onmessage = (event) => this._handleRemoteChange(event.data)
+    } catch (e) {
+      console.warn('[PreferencesStore] Cross-tab sync unavailable:', e.message)
+      this._channel = null
+    }
+  }
+
+  /**
+   * Notify local subscribers and broadcast the new top-level values to other tabs.
+   */
+  _publish(topKeys) {
+    this._notify(topKeys, { remote: false })
+    this._broadcast(topKeys)
+  }
+
+  _broadcast(topKeys) {
+    if (!this._channel) return
+
+    const changes = {}
+    const removed = []
+    const versions = {}
+    topKeys.forEach(k => {
+      if (k in this._cache) changes[k] = this._cache[k]
+      else removed.push(k)
+      if (k in this._versions) versions[k] = this._versions[k]
+    })
+
+    try {
+      this._channel.postMessage({ type: 'change', changes, removed, versions })
+    } catch (e) {
+      console.warn('[PreferencesStore] Broadcast failed:', e.message)
+    }
+  }
+
+  /**
+   * Apply a change broadcast by another tab. The sending tab owns the server
+   * save, so the keys are dropped from our own dirty set instead of re-queued.
+   */
+  _handleRemoteChange(message) {
+    if (!message || message.type !== 'change') return
+
+    const changes = message.changes || {}
+    const removed = message.removed || []
+
+    Object.entries(changes).forEach(([k, v]) => {
+      this._cache[k] = v
+      delete this._dirty[k]
+    })
+    removed.forEach(k => {
+      delete this._cache[k]
+      delete this._dirty[k]
+    })
+    Object.assign(this._versions, message.versions || {})
+
+    this._notify([...Object.keys(changes), ...removed], { remote: true })
+  }
+
+  _notify(topKeys, meta) {
+    if (this._subscribers.size === 0 || topKeys.length === 0) return
+
+    this._subscribers.forEach((callbacks, key) => {
+      if (key !== '*' && !topKeys.includes(key.split('.')[0])) return
+      const value = key === '*' ? this.all() : this.get(key)
+      callbacks.forEach(callback => {
+        try {
+          callback(value, { key, ...meta })
+        } catch (e) {
+          console.warn(`[PreferencesStore] Subscriber for "${key}" failed:`, e.message)
+        }
+      })
+    })
+  }
+
   _checkLoggedIn() {
     // Check multiple indicators
     const authEl = document.getElementById('chatbot-auth-state')
@@ -183,7 +457,12 @@ class PreferencesStore {
   }
 
   _scheduleSave() {
-    if (!this._loggedIn) return // Anonymous: in-memory only
+    if (!this._loggedIn) {
+      // Anonymous: in-memory only, unless the visitor opted in to local storage
+      if (this.hasLocalConsent()) this._writeLocal()
+      else if (!this._localConsent()) this._askLocalConsent()
+      return
+    }
     if (this._saveTimer) clearTimeout(this._saveTimer)
 
     // Debounce: save after 500ms of inactivity (batches rapid changes)
@@ -194,35 +473,18 @@ class PreferencesStore {
     if (Object.keys(this._dirty).length === 0) return
     if (!this._loggedIn) return
 
-    const toSave = { ...this._dirty }
-    this._dirty = {}
-
-    try {
-      const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
-      await fetch('/api/preferences', {
-        method: 'PATCH',
-        credentials: 'same-origin',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
-        },
-        body: JSON.stringify({ preferences: toSave })
-      })
-    } catch (e) {
-      // Re-queue failed saves
-      Object.assign(this._dirty, toSave)
-      console.warn('[PreferencesStore] Save failed, will retry:', e.message)
-    }
+    this._enqueue(this._takeDirty())
+    await this._drainOutbox()
   }
 
   /**
    * Synchronous flush for page unload scenarios.
    * Uses fetch with keepalive:true so the request completes even during
-   * page teardown (supported in all modern browsers).
+   * page teardown (supported in all modern browsers). The outbox stays
+   * persisted until a response acknowledges it, so a write lost during
+   * teardown is retried on the next page load.
    */
   _flushSync() {
-    if (Object.keys(this._dirty).length === 0) return
     if (!this._loggedIn) return
 
     // Cancel any pending debounce timer
@@ -231,27 +493,266 @@ class PreferencesStore {
       this._saveTimer = null
     }
 
-    const toSave = { ...this._dirty }
+    if (Object.keys(this._dirty).length > 0) this._enqueue(this._takeDirty())
+    if (Object.keys(this._outbox).length === 0 || this._draining) return
+
+    const sent = { ...this._outbox }
+    try {
+      this._sendPatch(sent, { keepalive: true })
+        .then(response => (response.ok ? response.json() : null))
+        .then(data => { if (data) this._acknowledge(sent, data) })
+        .catch(() => { /* still queued; retried on next load */ })
+    } catch (e) {
+      // fetch setup failed (extremely rare): entries remain in the outbox
+    }
+  }
+
+  _markDirty(key, value) {
+    this._dirty[key] = value
+    this._changedAt[key] = Date.now()
+  }
+
+  _takeDirty() {
+    const dirty = this._dirty
+    this._dirty = {}
+    return dirty
+  }
+
+  // ── Local persistence (anonymous opt-in) ──
+
+  _localConsent() {
+    const match = document.cookie.match(new RegExp(`(?:^|; )${LOCAL_CONSENT_COOKIE}=([^;]*)`))
+    return match ? match[1] : null
+  }
+
+  /**
+   * Let the cookie consent banner offer local persistence, once per page,
+   * to a visitor who has not decided yet.
+   */
+  _askLocalConsent() {
+    if (this._consentAsked) return
+    this._consentAsked = true
+    document.dispatchEvent(new CustomEvent('preferences:unsaved'))
+  }
+
+  _writeLocal() {
     this._dirty = {}
+    try {
+      localStorage.setItem(LOCAL_KEY, JSON.stringify({ preferences: this._cache, changedAt: this._changedAt }))
+    } catch (_) {
+      // Storage unavailable (private mode, quota): preferences stay in memory
+    }
+  }
 
+  _readLocal() {
     try {
-      const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
-      fetch('/api/preferences', {
-        method: 'PATCH',
-        credentials: 'same-origin',
-        keepalive: true,  // Ensures request completes even during page unload
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
-        },
-        body: JSON.stringify({ preferences: toSave })
-      })
+      const raw = JSON.parse(localStorage.getItem(LOCAL_KEY) || 'null')
+      if (!raw || typeof raw.preferences !== 'object') return null
+      return { preferences: raw.preferences, changedAt: raw.changedAt || {} }
+    } catch (_) {
+      return null
+    }
+  }
+
+  /**
+   * After signup/login: queue the preferences kept as an anonymous visitor for
+   * the server. They are sent from version 0 with their local change time, so
+   * the server keeps its own value for keys the account changed more recently.
+   */
+  _adoptLocal() {
+    const local = this._readLocal()
+    if (!local) return
+
+    Object.entries(local.preferences).forEach(([key, value]) => {
+      // schema_version describes the server document, which _migrate() upgrades next
+      if (key === 'schema_version' || this._outbox[key] || validatePreference(key, value)) return
+      this._cache[key] = value
+      this._outbox[key] = { value, base: 0, at: local.changedAt[key] || 0 }
+    })
+    this._persistOutbox()
+
+    try {
+      localStorage.removeItem(LOCAL_KEY)
+    } catch (_) {
+      // Storage unavailable: nothing to clean up
+    }
+  }
+
+  // ── Outbox (durable write queue) ──
+
+  /**
+   * Queue top-level changes. A key that is already queued keeps the version it
+   * was first edited from, so the server can still detect a concurrent edit.
+   */
+  _enqueue(changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+      const queued = this._outbox[key]
+      this._outbox[key] = {
+        value,
+        base: queued ? queued.base : (this._versions[key] ?? 0),
+        at: this._changedAt[key] || Date.now()
+      }
+    })
+    this._persistOutbox()
+  }
+
+  async _drainOutbox() {
+    if (this._draining || !this._loggedIn) return
+    if (Object.keys(this._outbox).length === 0) return
+    if (navigator.onLine === false) {
+      this._scheduleRetry()
+      return
+    }
+
+    this._draining = true
+    const sent = { ...this._outbox }
+
+    try {
+      const response = await this._sendPatch(sent)
+      if (response.ok) {
+        this._acknowledge(sent, await response.json())
+        this._retryDelay = 0
+      } else if (response.status >= 500 || response.status === 429) {
+        this._scheduleRetry()
+      } else {
+        // Rejected for good (logged out, invalid payload): retrying cannot help
+        console.warn(`[PreferencesStore] Save rejected (${response.status}), dropping queued changes`)
+        this._discard(sent)
+      }
     } catch (e) {
-      // Re-queue if fetch setup fails (extremely rare)
-      Object.assign(this._dirty, toSave)
+      console.warn('[PreferencesStore] Save failed, will retry:', e.message)
+      this._scheduleRetry()
+    } finally {
+      this._draining = false
+    }
+
+    // Changes queued while the request was in flight
+    if (!this._retryTimer && Object.keys(this._outbox).length > 0) this._drainOutbox()
+  }
+
+  _sendPatch(entries, options = {}) {
+    const preferences = {}
+    const versions = {}
+    const changedAt = {}
+    Object.entries(entries).forEach(([key, entry]) => {
+      preferences[key] = entry.value
+      versions[key] = entry.base
+      changedAt[key] = entry.at
+    })
+
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    return fetch('/api/preferences', {
+      method: 'PATCH',
+      credentials: 'same-origin',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+      },
+      body: JSON.stringify({ preferences, versions, changed_at: changedAt })
+    })
+  }
+
+  /**
+   * Handle the server's answer to a PATCH: record new versions, drop the
+   * delivered entries and adopt the server value for conflicting keys.
+   */
+  _acknowledge(sent, data) {
+    Object.assign(this._versions, data.versions || {})
+
+    Object.entries(sent).forEach(([key, entry]) => {
+      const current = this._outbox[key]
+      if (current === entry) {
+        delete this._outbox[key]
+      } else if (current) {
+        // Edited again while in flight: rebase on the version we just created
+        current.base = this._versions[key] ?? current.base
+      }
+    })
+    this._persistOutbox(sent)
+
+    const resolved = []
+    Object.entries(data.conflicts || {}).forEach(([key, conflict]) => {
+      if (this._outbox[key]) return // a newer local edit is already queued
+      if (conflict.value === null || conflict.value === undefined) delete this._cache[key]
+      else this._cache[key] = conflict.value
+      this._versions[key] = conflict.version
+      resolved.push(key)
+    })
+
+    if (resolved.length > 0) {
+      this._notify(resolved, { remote: true, conflict: true })
+      this._broadcast(resolved)
     }
   }
+
+  _discard(sent) {
+    Object.entries(sent).forEach(([key, entry]) => {
+      if (this._outbox[key] === entry) delete this._outbox[key]
+    })
+    this._persistOutbox(sent)
+  }
+
+  _scheduleRetry() {
+    if (this._retryTimer) return
+
+    this._retryDelay = Math.min(this._retryDelay ? this._retryDelay * 2 : RETRY_BASE_MS, RETRY_MAX_MS)
+    const jitter = Math.random() * this._retryDelay * 0.2
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null
+      this._drainOutbox()
+    }, this._retryDelay + jitter)
+  }
+
+  /**
+   * Write the outbox to localStorage. Other tabs share the same slot, so the
+   * stored entries are merged (newest change per key wins) instead of replaced;
+   * `acknowledged` entries are removed when they are still the stored ones.
+   */
+  _persistOutbox(acknowledged = {}) {
+    try {
+      const stored = this._readStoredOutbox()
+      Object.entries(acknowledged).forEach(([key, entry]) => {
+        if (stored[key]?.at === entry.at) delete stored[key]
+      })
+      Object.entries(this._outbox).forEach(([key, entry]) => {
+        if (!stored[key] || stored[key].at <= entry.at) stored[key] = entry
+      })
+
+      if (Object.keys(stored).length === 0) {
+        localStorage.removeItem(OUTBOX_KEY)
+      } else {
+        localStorage.setItem(OUTBOX_KEY, JSON.stringify({ scope: this._scope, entries: stored }))
+      }
+    } catch (_) {
+      // Storage unavailable (private mode, quota): the queue stays in memory
+    }
+  }
+
+  _readStoredOutbox() {
+    try {
+      const raw = JSON.parse(localStorage.getItem(OUTBOX_KEY) || 'null')
+      if (!raw || !raw.entries) return {}
+      // Never replay another account's writes
+      if (!this._scope || raw.scope !== this._scope) {
+        localStorage.removeItem(OUTBOX_KEY)
+        return {}
+      }
+      return raw.entries
+    } catch (_) {
+      return {}
+    }
+  }
+
+  _restoreOutbox() {
+    const stored = this._readStoredOutbox()
+    Object.entries(stored).forEach(([key, entry]) => {
+      this._outbox[key] = entry
+      if (entry.value === null) delete this._cache[key]
+      else this._cache[key] = entry.value
+    })
+  }
 }
 
 // Singleton instance - shared across all controllers
@@ -0,0 +1,90 @@
+/**
+ * Recovery Phrase - human-readable encoding of a recovery key
+ *
+ * 16 random bytes (128 bits) are written as 16 words from a fixed list of
+ * 256, followed by one checksum word (first byte of their SHA-256), so a
+ * mistyped word is caught before any unwrap is attempted. Every word is
+ * identified by its first four letters, so users can type just those.
+ *
+ * The word list is part of the format: never reorder or change it.
+ */
+
+const ENTROPY_BYTES = 16
+
+export const RECOVERY_WORDS = [
+  'acid', 'acorn', 'actor', 'adult', 'agent', 'alarm', 'album', 'alley', 'amber', 'angle', 'ankle',
+  'apple', 'apron', 'arena', 'armor', 'arrow', 'atlas', 'attic', 'autumn', 'avenue', 'bacon',
+  'badge', 'bagel', 'baker', 'balloon', 'bamboo', 'banana', 'banjo', 'barrel', 'basket', 'beach',
+  'beaver', 'bench', 'berry', 'bishop', 'board', 'bonnet', 'bottle', 'bread', 'brick', 'bridge',
+  'broom', 'bucket', 'bundle', 'butter', 'cabin', 'cactus', 'camel', 'candle', 'canoe', 'canyon',
+  'carpet', 'carrot', 'castle', 'cattle', 'cedar', 'cellar', 'chair', 'chalk', 'cherry', 'chess',
+  'circus', 'citrus', 'cliff', 'clock', 'cloud', 'clover', 'coach', 'cobra', 'coconut', 'coffee',
+  'comet', 'copper', 'coral', 'cotton', 'cougar', 'cradle', 'crane', 'crayon', 'cricket',
+  'curtain', 'cushion', 'daisy', 'dancer', 'deer', 'desert', 'diamond', 'dinner', 'dolphin',
+  'donkey', 'dragon', 'drawer', 'dream', 'drum', 'eagle', 'easel', 'echo', 'elbow', 'engine',
+  'falcon', 'feather', 'fence', 'ferry', 'fiddle', 'finger', 'flame', 'flute', 'forest', 'fossil',
+  'fox', 'frost', 'garden', 'garlic', 'gazelle', 'ghost', 'giant', 'ginger', 'glacier', 'glove',
+  'goat', 'gold', 'gorilla', 'grape', 'gravel', 'guitar', 'hammer', 'harbor', 'harp', 'hazel',
+  'helmet', 'heron', 'hockey', 'honey', 'horse', 'hotel', 'igloo', 'insect', 'island', 'ivory',
+  'jacket', 'jaguar', 'jasmine', 'jelly', 'jewel', 'jigsaw', 'juice', 'jungle', 'kayak', 'kernel',
+  'kettle', 'kidney', 'kitten', 'knight', 'koala', 'ladder', 'lagoon', 'lamp', 'lemon', 'lily',
+  'lion', 'lizard', 'locket', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon', 'mirror',
+  'monkey', 'moose', 'mosaic', 'motor', 'muffin', 'museum', 'needle', 'nest', 'noodle', 'oak',
+  'oasis', 'ocean', 'olive', 'onion', 'orange', 'orchid', 'otter', 'owl', 'oyster', 'paddle',
+  'palace', 'panda', 'paper', 'parrot', 'peach', 'pearl', 'pebble', 'pencil', 'pepper', 'piano',
+  'pickle', 'pigeon', 'pillow', 'pilot', 'pine', 'pirate', 'planet', 'plum', 'pocket', 'pony',
+  'potato', 'pumpkin', 'puzzle', 'quartz', 'quilt', 'rabbit', 'radio', 'raven', 'ribbon', 'river',
+  'robin', 'rocket', 'saddle', 'salmon', 'sandal', 'scarf', 'shell', 'shovel', 'silver', 'skate',
+  'sled', 'snail', 'spider', 'spoon', 'squash', 'statue', 'stove', 'sugar', 'summit', 'sunset',
+  'swan', 'table', 'tiger', 'toast', 'tomato', 'tulip', 'turtle', 'valley', 'velvet', 'violin',
+  'wagon', 'walnut', 'walrus', 'whale', 'window', 'wizard', 'zebra'
+]
+
+export const RecoveryPhrase = {
+  WORD_COUNT: ENTROPY_BYTES + 1,
+
+  /**
+   * Generate a fresh phrase
+   * @returns {Promise<{words: string[], entropy: Uint8Array}>}
+   */
+  async generate() {
+    const entropy = crypto.getRandomValues(new Uint8Array(ENTROPY_BYTES))
+    return { words: await this.encode(entropy), entropy }
+  },
+
+  /**
+   * @param {Uint8Array} entropy
+   * @returns {Promise<string[]>}
+   */
+  async encode(entropy) {
+    const checksum = await this._checksum(entropy)
+    return [...entropy, checksum].map(byte => RECOVERY_WORDS[byte])
+  },
+
+  /**
+   * Parse what the user typed (any case, spacing or numbering; full words or
+   * their first four letters).
+   * @param {string} text
+   * @returns {Promise<Uint8Array>} the entropy
+   * @throws {Error} 'unknown_word' | 'word_count' | 'checksum'
+   */
+  async decode(text) {
+    const tokens = (text || '').toLowerCase().match(/[a-z]+/g) || []
+    if (tokens.length !== this.WORD_COUNT) throw new Error('word_count')
+
+    const bytes = tokens.map(token => {
+      const index = RECOVERY_WORDS.findIndex(word => word === token || (token.length >= 4 && word.startsWith(token.slice(0, 4))))
+      if (index === -1) throw new Error('unknown_word')
+      return index
+    })
+
+    const entropy = new Uint8Array(bytes.slice(0, ENTROPY_BYTES))
+    if (await this._checksum(entropy) !== bytes[ENTROPY_BYTES]) throw new Error('checksum')
+    return entropy
+  },
+
+  async _checksum(entropy) {
+    const digest = await crypto.subtle.digest('SHA-256', entropy)
+    return new Uint8Array(digest)[0]
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Article Clipboard Utility
+ *
+ * Turns rendered articles (the #article-text-… elements, compare page
+ * cells) into clipboard content: plain text, and HTML that word processors
+ * understand. The HTML keeps the article number, paragraph structure, tables
+ * and links; the amendment references ("[1 … ]1" with the numbered list
+ * under the article) become footnotes, in the markup Word uses for its own
+ * footnotes, so Word pastes real footnotes and other editors a superscript
+ * number with a note list.
+ *
+ * "Clean" copies (for quoting in a brief) leave out the references and
+ * their markers altogether.
+ *
+ * @example
+ * import { articleText, articleHtml, Footnotes } from '../utils/article_clipboard'
+ * const footnotes = new Footnotes()
+ * const html = footnotes.wrap(els.map(el => articleHtml(el, { footnotes })).join(''))
+ * const text = els.map(el => articleText(el)).join('\n\n')
+ */
+
+// Page furniture that never belongs in a copy
+const STRIP = 'button, svg, script, style, template, input, [aria-hidden="true"], .modification-marker, .domain-tag'
+
+const BLOCK_TAGS = ['DIV', 'P', 'TABLE', 'UL', 'OL', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE']
+const KEPT_TAGS = {
+  B: 'strong', STRONG: 'strong', I: 'em', EM: 'em', U: 'u', SUP: 'sup', SUB: 'sub', BR: 'br',
+  TABLE: 'table', THEAD: 'thead', TBODY: 'tbody', TR: 'tr', TD: 'td', TH: 'th', UL: 'ul', OL: 'ol', LI: 'li',
+  H1: 'p', H2: 'p', H3: 'p', H4: 'p', H5: 'p', H6: 'p', BLOCKQUOTE: 'blockquote'
+}
+
+/**
+ * Footnotes of one clipboard copy, numbered across all articles in it.
+ */
+export class Footnotes {
+  constructor() {
+    this.notes = []
+  }
+
+  /**
+   * @param {string} html - footnote text
+   * @returns {number} footnote number
+   */
+  add(html) {
+    this.notes.push(html)
+    return this.notes.length
+  }
+
+  /**
+   * @param {string} body - article HTML with footnote placeholders
+   * @returns {string} body with footnote references, followed by the footnotes
+   */
+  wrap(body) {
+    const html = body.replace(/<sup data-footnote="(\d+)"><\/sup>/g, (_, n) => footnoteLink(n, `#_ftn${n}`, `_ftnref${n}`))
+    if (this.notes.length === 0) return html
+
+    const notes = this.notes.map((note, i) => {
+      const n = i + 1
+      return `<div style="mso-element:footnote" id="ftn${n}"><p class="MsoFootnoteText">${footnoteLink(n, `#_ftnref${n}`, `_ftn${n}`)} ${note}</p></div>`
+    }).join('')
+    return `${html}<div style="mso-element:footnote-list"><![if !supportFootnotes]><br clear="all"><hr align="left" size="1" width="33%"><![endif]>${notes}</div>`
+  }
+}
+
+// Word's own footnote reference; other editors show the superscript number
+function footnoteLink(n, href, name) {
+  return `<a style="mso-footnote-id:ftn${n}" href="${href}" name="${name}" title=""><span class="MsoFootnoteReference"><span style="mso-special-character:footnote"></span><![if !supportFootnotes]><sup>${n}</sup><![endif]></span></a>`
+}
+
+/**
+ * @param {HTMLElement} el
+ * @param {{clean?: boolean}} [options] - clean: without references
+ * @returns {string}
+ */
+export function articleText(el, { clean = false } = {}) {
+  if (!el) return ''
+  if (!clean) return el.innerText.trim()
+
+  const clone = el.cloneNode(true)
+  removeReferences(clone)
+  clone.querySelectorAll('.modification-marker, .domain-tag').forEach(node => node.remove())
+
+  // Newlines for block elements, so the structure survives innerText on a detached node
+  clone.querySelectorAll('br').forEach(br => br.insertAdjacentText('beforebegin', '\n'))
+  clone.querySelectorAll('p, div').forEach(block => {
+    block.insertAdjacentText('beforebegin', '\n')
+    block.insertAdjacentText('afterend', '\n')
+  })
+
+  return (clone.innerText || clone.textContent || '')
+    .replace(/\[\d+\s*\.{3}\s*\d*\]/g, '')      // [1 ... 1] ASCII markers
+    .replace(/\[\d+\s*\u2026\s*\d*\]/g, '')     // [1 … 1] Unicode markers
+    .replace(/\[\d+\s/g, '')                    // Standalone opening [N markers
+    .replace(/\]\d+/g, '')                      // Standalone closing ]N markers
+    .replace(/\[\d+\]/g, '')                    // [N] markers
+    .replace(/(?:^|\s)\.{3}(?:\s|$)/gm, ' ')    // Orphaned '...'
+    .replace(/(?:^|\s)\u2026(?:\s|$)/gm, ' ')   // Orphaned '…'
+    .replace(/\t/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/ +/g, ' ').trim())
+    .filter((line, i, lines) => line || (i > 0 && lines[i - 1]))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * @param {HTMLElement} el
+ * @param {{clean?: boolean, footnotes?: Footnotes}} [options] - without footnotes,
+ *   references stay as superscript numbers
+ * @returns {string} HTML; footnote references are placeholders until Footnotes#wrap
+ */
+export function articleHtml(el, { clean = false, footnotes = null } = {}) {
+  if (!el) return ''
+
+  const clone = el.cloneNode(true)
+  clone.querySelectorAll(STRIP).forEach(node => node.remove())
+
+  if (clean) {
+    removeReferences(clone)
+  } else {
+    // Reference list under the article: { '1': 'W 2024-01-15/03, art. 5, 002; …' }
+    const notes = {}
+    clone.querySelectorAll('.references-section').forEach(section => {
+      section.querySelectorAll('[data-ref-number]').forEach(row => {
+        row.querySelector('[data-ref-target]')?.remove()
+        const number = row.dataset.refNumber
+        const html = sanitizeChildren(row).trim()
+        if (html) notes[number] = notes[number] ? `${notes[number]}<br>${html}` : html
+      })
+      section.remove()
+    })
+
+    // "]N" closes an amended passage and "[N]" stands alone: both get the note;
+    // "[N " opens a passage and is dropped
+    const referenced = new Set()
+    const reference = (number) => {
+      const sup = document.createElement('sup')
+      if (footnotes && notes[number] && !referenced.has(number)) {
+        referenced.add(number)
+        sup.dataset.footnote = footnotes.add(notes[number])
+      } else {
+        sup.textContent = number
+      }
+      return sup
+    }
+    clone.querySelectorAll('.ref-marker').forEach(marker => {
+      const match = marker.textContent.trim().match(/^(?:\](\d+)|\[(\d+)\])$/)
+      if (match) marker.replaceWith(reference(match[1] || match[2]))
+      else marker.remove()
+    })
+    Object.keys(notes).filter(number => !referenced.has(number)).forEach(number => clone.append(reference(number)))
+  }
+
+  const html = sanitizeChildren(clone).trim()
+  return hasBlocks(clone) ? html : `<p>${html}</p>`
+}
+
+function removeReferences(clone) {
+  clone.querySelectorAll('.references-section, .ref-marker').forEach(node => node.remove())
+  // .reference wrappers left with only the "…" of a deleted passage
+  clone.querySelectorAll('.reference').forEach(ref => {
+    const text = (ref.textContent || '').trim()
+    if (!text || /^[.…\s]+$/.test(text)) ref.remove()
+  })
+}
+
+function hasBlocks(el) {
+  return Array.from(el.children).some(child => BLOCK_TAGS.includes(child.tagName))
+}
+
+// Only formatting that word processors keep: no classes, styles or data attributes
+function sanitizeChildren(el) {
+  return Array.from(el.childNodes).map(sanitizeNode).join('')
+}
+
+function sanitizeNode(node) {
+  if (node.nodeType === Node.TEXT_NODE) return escapeHtml(node.textContent)
+  if (node.nodeType !== Node.ELEMENT_NODE) return ''
+
+  const inner = sanitizeChildren(node)
+  const tag = node.tagName
+  if (tag === 'SUP' && node.dataset.footnote) return `<sup data-footnote="${node.dataset.footnote}"></sup>`
+  if (node.classList.contains('article-number')) return `<strong>${inner}</strong>`
+  if (tag === 'A') {
+    const href = node.href
+    return /^https?:\/\//.test(href) ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner
+  }
+  if (tag === 'DIV' || tag === 'P') return hasBlocks(node) ? inner : `<p>${inner}</p>`
+  if (tag === 'BR') return '<br>'
+
+  const kept = KEPT_TAGS[tag]
+  if (!kept) return inner
+  const span = ['TD', 'TH'].includes(tag)
+    ? ['colspan', 'rowspan'].filter(name => node.hasAttribute(name)).map(name => ` ${name}="${escapeHtml(node.getAttribute(name))}"`).join('')
+    : ''
+  return `<${kept}${span}>${inner}</${kept}>`
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
@@ -0,0 +1,91 @@
+/**
+ * Article Paragraph Utility
+ *
+ * Finds the paragraphs (§ 1, § 2, § 3bis, …) inside a rendered article so
+ * they can be bookmarked and linked to. Articles have no element per
+ * paragraph: a paragraph starts at a text node that begins with "§ N."
+ * (right after the article number or a line break). References inside the
+ * text ("bedoeld in § 2") do not start a text node and are ignored.
+ *
+ * Paragraph links use the article anchor plus a suffix: "#art-5--par-2".
+ *
+ * @example
+ * import { findParagraphs, paragraphHash, parseArticleHash } from '../utils/article_paragraphs'
+ * findParagraphs(document.getElementById('article-text-art-5'))  // [{ number: '1', node }, …]
+ * paragraphHash('art-5', '2')                                     // '#art-5--par-2'
+ */
+
+const PARAGRAPH_START = /^\s*§\s*(\d+(?:er|bis|ter|quater|quinquies|sexies|septies|octies|novies|decies)?)\s*\./i
+const PARAGRAPH_SUFFIX = '--par-'
+
+/**
+ * @param {HTMLElement} articleTextEl - the #article-text-<permalink> element
+ * @returns {Array<{number: string, node: Text}>} in document order, without duplicates
+ */
+export function findParagraphs(articleTextEl) {
+  if (!articleTextEl) return []
+
+  const walker = document.createTreeWalker(articleTextEl, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement?.closest('.references-section') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  })
+  const found = []
+  const seen = new Set()
+  let node
+  while ((node = walker.nextNode())) {
+    const match = node.textContent.match(PARAGRAPH_START)
+    if (match && !seen.has(match[1])) {
+      seen.add(match[1])
+      found.push({ number: match[1], node })
+    }
+  }
+  return found
+}
+
+/**
+ * Plain text of an article, or of one of its paragraphs, shortened for display.
+ * @param {HTMLElement} articleTextEl
+ * @param {string|null} paragraph - e.g. '2'; null for the whole article
+ * @param {number} [maxLength=300]
+ * @returns {string}
+ */
+export function articleExcerpt(articleTextEl, paragraph = null, maxLength = 300) {
+  if (!articleTextEl) return ''
+
+  const clone = articleTextEl.cloneNode(true)
+  clone.querySelectorAll('.references-section, .ref-marker, .modification-marker, .domain-tag, .article-number').forEach(el => el.remove())
+  let text = clone.textContent.replace(/\s+/g, ' ').trim()
+
+  if (paragraph) {
+    const paragraphs = findParagraphs(articleTextEl)
+    const index = paragraphs.findIndex(p => p.number === paragraph)
+    if (index !== -1) {
+      const start = text.search(new RegExp(`§\\s*${paragraph}\\s*\\.`))
+      const next = paragraphs[index + 1]
+      const end = next && start !== -1 ? text.slice(start + 1).search(new RegExp(`§\\s*${next.number}\\s*\\.`)) : -1
+      if (start !== -1) text = end === -1 ? text.slice(start) : text.slice(start, start + 1 + end)
+    }
+  }
+
+  return text.length > maxLength ? `${text.slice(0, maxLength).replace(/\s+\S*$/, '')}…` : text
+}
+
+/**
+ * @param {string} anchor - article permalink, e.g. 'art-5'
+ * @param {string|null} paragraph
+ * @returns {string} '#art-5' or '#art-5--par-2'
+ */
+export function paragraphHash(anchor, paragraph = null) {
+  if (!anchor) return ''
+  return `#${anchor}${paragraph ? `${PARAGRAPH_SUFFIX}${paragraph}` : ''}`
+}
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {{anchor: string, paragraph: string|null}} anchor without '#'
+ */
+export function parseArticleHash(hash) {
+  const raw = decodeURIComponent((hash || '').replace(/^#/, ''))
+  const index = raw.lastIndexOf(PARAGRAPH_SUFFIX)
+  if (index === -1) return { anchor: raw, paragraph: null }
+  return { anchor: raw.slice(0, index), paragraph: raw.slice(index + PARAGRAPH_SUFFIX.length) || null }
+}
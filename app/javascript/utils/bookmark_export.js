@@ -0,0 +1,170 @@
+/**
+ * Bookmark Citation Export Utility
+ *
+ * Turns bookmarks into files that reference managers (Zotero, EndNote,
+ * Mendeley, JabRef, …) can import: RIS, BibTeX and CSL-JSON. Laws and
+ * articles use the same metadata as copy-reference citations: title,
+ * publication date in the Belgisch Staatsblad / Moniteur belge,
+ * abbreviation and NUMAC.
+ *
+ * @example
+ * import { exportCitations } from '../utils/bookmark_export'
+ * const { content, mimeType, extension } = exportCitations(bookmarks, 'ris', { locale: 'nl', baseUrl: location.origin })
+ */
+
+const GAZETTE = {
+  nl: 'Belgisch Staatsblad',
+  fr: 'Moniteur belge',
+  de: 'Belgisches Staatsblatt',
+  en: 'Belgian Official Gazette'
+}
+
+const GAZETTE_SHORT = { nl: 'BS', fr: 'MB', de: 'BS', en: 'BS' }
+
+const FORMATS = {
+  ris: { mimeType: 'application/x-research-info-systems', extension: 'ris', build: toRis },
+  bibtex: { mimeType: 'application/x-bibtex', extension: 'bib', build: toBibtex },
+  csl: { mimeType: 'application/vnd.citationstyles.csl+json', extension: 'json', build: toCslJson }
+}
+
+/**
+ * @param {Array<Object>} bookmarks - as held by the bookmarks page (plus url)
+ * @param {'ris'|'bibtex'|'csl'} format
+ * @param {{locale: string, baseUrl: string}} options - baseUrl prefixes relative bookmark urls
+ * @returns {{content: string, mimeType: string, extension: string}}
+ */
+export function exportCitations(bookmarks, format, options = {}) {
+  const spec = FORMATS[format]
+  if (!spec) throw new Error(`Unknown citation format: ${format}`)
+
+  const locale = GAZETTE[options.locale] ? options.locale : 'nl'
+  return { content: spec.build(bookmarks, { ...options, locale }), mimeType: spec.mimeType, extension: spec.extension }
+}
+
+export function toRis(bookmarks, { locale = 'nl', baseUrl = '' } = {}) {
+  return bookmarks.map(bookmark => {
+    const date = parseDate(bookmark.published)
+    const lines = [['TY', risType(bookmark)], ['TI', bookmark.title]]
+    if (isLaw(bookmark)) {
+      lines.push(['T2', GAZETTE[locale]], ['SE', sectionLabel(bookmark)], ['N1', `NUMAC ${bookmark.numac}`])
+      if (bookmark.abbreviation) lines.push(['J2', bookmark.abbreviation])
+    } else {
+      lines.push(['M1', bookmark.numac])
+    }
+    if (date) lines.push(['PY', date.year], ['DA', date.parts.join('/')])
+    ;(bookmark.tags || []).forEach(tag => lines.push(['KW', tag]))
+    if (bookmark.note) lines.push(['N2', bookmark.note])
+    lines.push(['UR', absoluteUrl(bookmark.url, baseUrl)], ['ER', ''])
+
+    return lines
+      .filter(([tag, value]) => tag === 'ER' || value)
+      .map(([tag, value]) => `${tag}  - ${String(value).replace(/\s*\n\s*/g, ' ')}`.trimEnd())
+      .join('\r\n')
+  }).join('\r\n\r\n') + '\r\n'
+}
+
+export function toBibtex(bookmarks, { locale = 'nl', baseUrl = '' } = {}) {
+  const keys = new Set()
+  return bookmarks.map(bookmark => {
+    const date = parseDate(bookmark.published)
+    const fields = [['title', `{${bibEscape(bookmark.title)}}`]]
+    if (isLaw(bookmark)) {
+      const published = date ? `${GAZETTE_SHORT[locale]} ${date.display}` : null
+      fields.push(['howpublished', published], ['shorttitle', bookmark.abbreviation], ['chapter', sectionLabel(bookmark)], ['number', `NUMAC ${bookmark.numac}`])
+    } else {
+      fields.push(['number', bookmark.numac])
+    }
+    if (date) fields.push(['year', date.year], ['date', date.parts.join('-')])
+    if (bookmark.tags?.length) fields.push(['keywords', bookmark.tags.join(', ')])
+    if (bookmark.note) fields.push(['note', bookmark.note])
+    fields.push(['url', absoluteUrl(bookmark.url, baseUrl)])
+
+    const body = fields
+      .filter(([, value]) => value)
+      .map(([name, value]) => `  ${name} = ${name === 'title' ? value : `{${name === 'url' ? value : bibEscape(value)}}`}`)
+      .join(',\n')
+    return `@${bookmark.type === 'case' ? 'jurisdiction' : 'misc'}{${citationKey(bookmark, date, keys)},\n${body}\n}`
+  }).join('\n\n') + '\n'
+}
+
+export function toCslJson(bookmarks, { locale = 'nl', baseUrl = '' } = {}) {
+  const items = bookmarks.map(bookmark => {
+    const date = parseDate(bookmark.published)
+    const item = { id: `${bookmark.type}-${bookmark.id ?? bookmark.numac}`, type: cslType(bookmark), title: bookmark.title }
+    if (isLaw(bookmark)) {
+      item['container-title'] = GAZETTE[locale]
+      item.number = bookmark.numac
+      if (bookmark.abbreviation) item['title-short'] = bookmark.abbreviation
+      if (bookmark.anchor) item.section = sectionLabel(bookmark)
+    } else {
+      item.number = bookmark.numac
+    }
+    if (date) item.issued = { 'date-parts': [date.parts.map(Number)] }
+    if (bookmark.tags?.length) item.keyword = bookmark.tags.join(', ')
+    if (bookmark.note) item.note = bookmark.note
+    item.URL = absoluteUrl(bookmark.url, baseUrl)
+    item.language = locale
+    return item
+  })
+  return JSON.stringify(items, null, 2)
+}
+
+function isLaw(bookmark) {
+  return bookmark.type === 'law' || bookmark.type === 'article'
+}
+
+function risType(bookmark) {
+  if (bookmark.type === 'case') return 'CASE'
+  if (bookmark.type === 'parliamentary' || bookmark.type === 'flemish_parliament') return 'BILL'
+  return 'STAT'
+}
+
+function cslType(bookmark) {
+  if (bookmark.type === 'case') return 'legal_case'
+  if (bookmark.type === 'parliamentary' || bookmark.type === 'flemish_parliament') return 'bill'
+  return 'legislation'
+}
+
+// "Art. 5, § 2" for article bookmarks, null for the law as a whole
+function sectionLabel(bookmark) {
+  if (!bookmark.anchor) return null
+  const article = bookmark.article || bookmark.anchor
+  return bookmark.paragraph ? `${article}, § ${bookmark.paragraph}` : article
+}
+
+// Publication dates come as YYYY-MM-DD or DD-MM-YYYY (also with slashes or dots)
+function parseDate(value) {
+  if (!value) return null
+  const text = String(value).trim()
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/)
+  let parts = match ? [match[1], match[2], match[3]] : null
+  if (!parts) {
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/)
+    if (match) parts = [match[3], match[2], match[1]]
+  }
+  if (!parts) return null
+
+  parts = [parts[0], parts[1].padStart(2, '0'), parts[2].padStart(2, '0')]
+  return { year: parts[0], parts, display: `${parts[2]}-${parts[1]}-${parts[0]}` }
+}
+
+function absoluteUrl(url, baseUrl) {
+  if (!url) return null
+  return /^https?:\/\//.test(url) ? url : `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`
+}
+
+// "BW_1804_art1382", "2024001234", … made unique within one export
+function citationKey(bookmark, date, keys) {
+  const stem = (bookmark.abbreviation || bookmark.numac || 'ref').replace(/[^A-Za-z0-9]/g, '')
+  const base = [stem, bookmark.abbreviation && date ? date.year : null, bookmark.anchor ? bookmark.anchor.replace(/[^A-Za-z0-9]/g, '') : null, bookmark.paragraph ? `p${bookmark.paragraph}` : null]
+    .filter(Boolean)
+    .join('_')
+  let key = base
+  for (let n = 2; keys.has(key); n++) key = `${base}_${n}`
+  keys.add(key)
+  return key
+}
+
+function bibEscape(value) {
+  return String(value).replace(/([\\{}])/g, '\\$1').replace(/([&%$#_])/g, '\\$1').replace(/\s*\n\s*/g, ' ')
+}
@@ -0,0 +1,266 @@
+/**
+ * Bookmark Import Utility
+ *
+ * Reads bookmark files into items for POST /api/bookmarks/import: the
+ * bookmarks page's own JSON export, CSV (e.g. an Excel sheet saved as CSV)
+ * and the Netscape bookmark HTML that every browser exports. Links to this
+ * site, ejustice.just.fgov.be (Justel, ELI) and anything carrying an ECLI
+ * (juportal.be, …) are recognised: the NUMAC, ECLI or document id and the
+ * article anchor come from the URL. A CSV may also have NUMAC, ECLI and
+ * article columns instead of links.
+ *
+ * Every row of the file comes back, recognised or not, so the page can show
+ * a preview before importing.
+ *
+ * @example
+ * import { parseImportFile } from '../utils/bookmark_import'
+ * const { format, rows } = parseImportFile(text, file.name)
+ * rows.filter(row => row.item)   // recognised: ready for the import endpoint
+ * rows.filter(row => !row.item)  // unmatched: { title, url } only
+ */
+import { parseArticleHash } from './article_paragraphs'
+
+const NUMAC = /^(?:1[6-9]|20)\d{2}[0-9A-Z]\d{5}$/
+const ECLI = /ECLI:[A-Z]{2}:[A-Z0-9]+:\d{4}:[A-Z0-9._-]+/i
+// Browser folder names joined the way BookmarkFolder::PATH_SEPARATOR expects
+const PATH_SEPARATOR = ' / '
+
+// Header names (lowercase, in any of the site's languages) per column
+const CSV_COLUMNS = {
+  url: ['url', 'link', 'href', 'adres', 'adresse', 'address', 'lien'],
+  title: ['title', 'titel', 'titre', 'name', 'naam', 'nom', 'omschrijving', 'beschrijving', 'description'],
+  numac: ['numac'],
+  ecli: ['ecli'],
+  article: ['article', 'artikel', 'art', 'art.'],
+  folder: ['folder', 'map', 'dossier', 'ordner'],
+  tags: ['tags', 'tag', 'labels', 'label', 'trefwoorden', 'mots-clés', 'schlagwörter'],
+  note: ['note', 'notes', 'notitie', 'opmerking', 'remarque', 'notiz', 'comment', 'commentaar']
+}
+
+/**
+ * @param {string} text - file contents
+ * @param {string} [filename] - only used to tell the format apart
+ * @returns {{format: 'json'|'csv'|'html', rows: Array<{title: string, url: string, item: Object|null}>}}
+ * @throws {Error} for JSON that is not a bookmark export
+ */
+export function parseImportFile(text, filename = '') {
+  const content = String(text || '').replace(/^\uFEFF/, '')
+  const trimmed = content.trimStart()
+
+  if (/\.json$/i.test(filename) || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return { format: 'json', rows: parseJson(content) }
+  }
+  if (/\.html?$/i.test(filename) || /^<!DOCTYPE NETSCAPE-Bookmark-file/i.test(trimmed) || /<dt>\s*<a\s/i.test(trimmed)) {
+    return { format: 'html', rows: parseNetscape(content) }
+  }
+  return { format: 'csv', rows: parseCsvRows(content) }
+}
+
+/**
+ * What a link (or a bare NUMAC / ECLI) points at.
+ * @param {string} value - URL, NUMAC or ECLI
+ * @returns {{type: string, numac: string, anchor: string, paragraph: string, article: string}|null}
+ */
+export function identify(value) {
+  const raw = String(value || '').trim()
+  if (!raw) return null
+  if (NUMAC.test(raw)) return lawTarget(raw)
+
+  let decoded = raw
+  try { decoded = decodeURIComponent(raw) } catch { /* keep as is */ }
+  const ecli = decoded.match(ECLI)
+  if (ecli) return { type: 'case', numac: ecli[0].replace(/\.$/, ''), anchor: '', paragraph: '', article: '' }
+
+  let url
+  try {
+    url = new URL(raw)
+  } catch {
+    return null
+  }
+
+  const parliamentary = url.pathname.match(/\/parliamentary_work\/(\d+)/)
+  if (parliamentary) return { type: 'parliamentary', numac: parliamentary[1], anchor: '', paragraph: '', article: '' }
+
+  // This site: /laws/2024001234#art-5--par-2
+  const own = url.pathname.match(/\/laws\/([0-9A-Z]{10})(?:\/|$)/)
+  if (own && NUMAC.test(own[1])) {
+    const { anchor, paragraph } = parseArticleHash(url.hash)
+    return lawTarget(own[1], anchor, paragraph)
+  }
+
+  // Justel and Reflex: numac=…, nm=…, numac_search=…, sql=numac = '…', cn=…;
+  // ELI: /eli/wet/2024/01/15/2024001234/justel
+  const params = url.searchParams
+  const sql = (params.get('sql') || '').match(/numac\s*=\s*'?([0-9A-Z]{10})/i)
+  const candidates = [params.get('numac'), params.get('nm'), params.get('numac_search'), sql?.[1], params.get('cn'),
+    ...url.pathname.split('/')]
+  const numac = candidates.find(candidate => candidate && NUMAC.test(candidate))
+  return numac ? lawTarget(numac, ejusticeAnchor(url.hash)) : null
+}
+
+function lawTarget(numac, anchor = '', paragraph = '') {
+  const number = anchor ? anchor.replace(/^art-/, '').replace(/-/g, '.') : ''
+  return { type: anchor ? 'article' : 'law', numac, anchor: anchor || '', paragraph: (anchor && paragraph) || '', article: number ? `Art. ${number}` : '' }
+}
+
+// "#Art.1382" / "#art-5bis" → "art-1382" / "art-5bis", the anchors used on law pages
+// ("#LNK0012" and other Justel anchors are not articles)
+function ejusticeAnchor(hash) {
+  const match = decodeURIComponent(hash || '').match(/^#art(?:icle|ikel)?[.\s_-]*(\d+[0-9a-z.:/-]*)$/i)
+  return match ? articleAnchor(match[1]) : ''
+}
+
+// Same normalisation as the article links in law texts: "1.2:3bis" → "art-1-2-3bis"
+function articleAnchor(number) {
+  const norm = String(number).toLowerCase().replace(/^art(?:icle|ikel)?\.?\s*/, '')
+    .replace(/[.:/]+/g, '-').replace(/[^a-z0-9-]/g, '').replace(/-+/g, '-').replace(/^-|-$/g, '')
+  return norm ? `art-${norm}` : ''
+}
+
+function row(title, url, target, extra = {}) {
+  const item = target
+    ? { ...target, title: (title || '').trim() || target.numac, ...extra }
+    : null
+  return { title: (title || '').trim(), url: url || '', item }
+}
+
+// ─── JSON (the page's own export) ─────────────────────────────────────
+
+function parseJson(content) {
+  const raw = JSON.parse(content)
+  const bookmarks = Array.isArray(raw) ? raw : raw?.bookmarks
+  if (!Array.isArray(bookmarks)) throw new Error('Invalid format')
+
+  return bookmarks.map(bookmark => ({
+    title: bookmark.title || bookmark.numac || '',
+    url: bookmark.url || '',
+    item: bookmark.numac
+      ? {
+          type: bookmark.type || 'law',
+          numac: bookmark.numac,
+          anchor: bookmark.anchor || '',
+          paragraph: bookmark.paragraph || '',
+          article: bookmark.article || '',
+          excerpt: bookmark.excerpt || '',
+          title: bookmark.title || bookmark.numac,
+          addedAt: bookmark.addedAt,
+          folder: bookmark.folder,
+          note: bookmark.note || '',
+          tags: Array.isArray(bookmark.tags) ? bookmark.tags : []
+        }
+      : null
+  }))
+}
+
+// ─── NETSCAPE BOOKMARK HTML ───────────────────────────────────────────
+
+// <DT><H3>Folder</H3><DL><p><DT><A HREF="…" ADD_DATE="1700000000" TAGS="a,b">Title</A>…
+function parseNetscape(content) {
+  const doc = new DOMParser().parseFromString(content, 'text/html')
+  return [...doc.querySelectorAll('a[href]')].map(link => {
+    const url = link.getAttribute('href')
+    const folders = []
+    for (let el = link.parentElement; el; el = el.parentElement) {
+      const heading = el.tagName === 'DL' ? el.previousElementSibling : null
+      if (heading?.tagName === 'H3') folders.unshift(heading.textContent.trim())
+    }
+    const added = Number(link.getAttribute('add_date'))
+    return row(link.textContent, url, identify(url), {
+      folder: folders.join(PATH_SEPARATOR) || undefined,
+      tags: splitTags(link.getAttribute('tags')),
+      addedAt: added > 0 ? new Date(added * 1000).toISOString() : undefined
+    })
+  })
+}
+
+// ─── CSV ──────────────────────────────────────────────────────────────
+
+function parseCsvRows(content) {
+  const records = parseCsv(content).filter(record => record.some(cell => cell.trim()))
+  if (records.length === 0) return []
+
+  const columns = headerColumns(records[0])
+  if (!columns) return records.map(headerlessRow)
+
+  const cell = (record, name) => (columns[name] === undefined ? '' : (record[columns[name]] || '').trim())
+  return records.slice(1).map(record => {
+    const url = cell(record, 'url')
+    let target = identify(url) || identify(cell(record, 'numac')) || identify(cell(record, 'ecli'))
+    const article = cell(record, 'article')
+    if (target?.type === 'law' && article) target = lawTarget(target.numac, articleAnchor(article))
+
+    return row(cell(record, 'title'), url || cell(record, 'numac') || cell(record, 'ecli'), target, {
+      folder: cell(record, 'folder') || undefined,
+      tags: splitTags(cell(record, 'tags')),
+      note: cell(record, 'note')
+    })
+  })
+}
+
+// Column index per known header, or null when the first row is data
+function headerColumns(record) {
+  if (record.some(cell => identify(cell))) return null
+
+  const columns = {}
+  record.forEach((cell, index) => {
+    const name = cell.trim().toLowerCase()
+    const column = Object.keys(CSV_COLUMNS).find(key => CSV_COLUMNS[key].includes(name))
+    if (column && columns[column] === undefined) columns[column] = index
+  })
+  return Object.keys(columns).length > 0 ? columns : null
+}
+
+// Without a header: the first cell that identifies something is the link,
+// the first other non-empty cell the title
+function headerlessRow(record) {
+  const cells = record.map(cell => cell.trim())
+  const index = cells.findIndex(cell => identify(cell))
+  const title = cells.find((cell, i) => i !== index && cell && !/^https?:\/\//i.test(cell)) || ''
+  return row(title, index === -1 ? cells.find(Boolean) : cells[index], index === -1 ? null : identify(cells[index]))
+}
+
+// RFC 4180, with the delimiter Excel used: "," or, in Belgian locales, ";" (or tab)
+function parseCsv(content) {
+  const firstLine = content.split(/\r?\n/, 1)[0]
+  const delimiter = [';', '\t', ','].map(d => [d, firstLine.split(d).length]).sort((a, b) => b[1] - a[1])[0][0]
+
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+  return records
+}
+
+function splitTags(value) {
+  return (value || '').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean)
+}
@@ -0,0 +1,83 @@
+/**
+ * Chatbot Bridge Utility
+ *
+ * The chatbot controller (identifier `chatbot`) renders its conversation list
+ * into #history-list itself, replacing the list's content on every render,
+ * and keeps the unlocked zero-knowledge master key to itself. These helpers
+ * let other controllers add to that list and share the key without changing
+ * the chatbot controller.
+ *
+ * @example
+ * import { watchHistoryList, chatbotMasterKey } from '../utils/chatbot_bridge'
+ * this._unwatch = watchHistoryList(list => this._decorate(list))
+ */
+
+/**
+ * The chatbot element on this page, if any
+ * @returns {HTMLElement|null}
+ */
+export function chatbotElement() {
+  return document.querySelector('[data-controller~="chatbot"]')
+}
+
+/**
+ * Call back whenever the chatbot (re)renders #history-list, once per frame.
+ * Changes the callback makes itself are ignored as long as it leaves the list
+ * as it found it on the next call (check before adding).
+ * @param {function(HTMLElement): void} callback
+ * @returns {function(): void} stops watching
+ */
+export function watchHistoryList(callback) {
+  const root = chatbotElement()
+  if (!root) return () => {}
+
+  let frame = null
+  const run = () => {
+    frame = null
+    const list = document.getElementById('history-list')
+    if (list) callback(list)
+  }
+  const observer = new MutationObserver(mutations => {
+    if (frame !== null) return
+    if (!mutations.some(m => m.target.id === 'history-list' || m.target.closest?.('#history-list'))) return
+    frame = requestAnimationFrame(run)
+  })
+  observer.observe(root, { childList: true, subtree: true })
+  run()
+
+  return () => {
+    observer.disconnect()
+    if (frame !== null) cancelAnimationFrame(frame)
+  }
+}
+
+/**
+ * The master key the chatbot unlocked, or null while it is locked
+ * @param {import('@hotwired/stimulus').Application} application
+ * @returns {CryptoKey|null}
+ */
+export function chatbotMasterKey(application) {
+  return chatbotController(application)?._masterKey || null
+}
+
+/**
+ * Hand the chatbot a master key unlocked some other way (a passkey): it then
+ * behaves as after a password unlock and renders the decrypted list.
+ * @param {import('@hotwired/stimulus').Application} application
+ * @param {CryptoKey} masterKey
+ * @returns {boolean} whether a chatbot took it
+ */
+export function unlockChatbot(application, masterKey) {
+  const chatbot = chatbotController(application)
+  if (!chatbot) return false
+
+  chatbot._masterKey = masterKey
+  chatbot._zkKeyMaterial = null
+  chatbot.renderHistoryList()
+  return true
+}
+
+function chatbotController(application) {
+  const element = chatbotElement()
+  return element ? application.getControllerForElementAndIdentifier(element, 'chatbot') : null
+}
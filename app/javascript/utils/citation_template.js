@@ -0,0 +1,301 @@
+/**
+ * Citation Template Utility
+ *
+ * A small template language for copied citations, so a firm's style guide or
+ * a journal's house style can be followed without code changes:
+ *
+ *   {article}       article number, e.g. "1134"
+ *   {paragraph}     paragraph (§) number, e.g. "2"
+ *   {title}         title of the law
+ *   {abbreviation}  e.g. "BW", "Ger.W."
+ *   {date}          publication date in the Belgisch Staatsblad / Moniteur belge, DD-MM-YYYY
+ *   {gazette}       "BS" or "MB", following the citation language
+ *   {numac}         NUMAC
+ *   {url}           link to the law (or the page)
+ *   {version}       date of the cited version, DD-MM-YYYY, when the citation
+ *                   is pinned: the consolidation of the text that was read
+ *   {in_force}      the same as a phrase: "zoals van kracht op 19-10-2026",
+ *                   "tel qu'en vigueur le 19-10-2026", …
+ *
+ * Court decisions (jurisprudence pages) and parliamentary documents have
+ * their own built-in templates, with {date} as the date of the decision or
+ * document, written out ("12 januari 2023"), and these fields:
+ *
+ *   {court}         e.g. "Cass.", "GwH", "C.E."
+ *   {roll_number}   roll or judgment number, e.g. "C.21.0345.N", "nr. 5/2023"
+ *   {ecli}          ECLI
+ *   {series}        "Parl.St.", "Doc. parl.", … following the citation language
+ *   {chamber}       e.g. "Kamer", "Sénat", "Vl.Parl."
+ *   {session}       parliamentary session, e.g. "2022-23"
+ *   {document}      document number, e.g. "55-3115/001"
+ *
+ *   {a|b}           the first of a and b that has a value
+ *   [ … ]           optional section: left out unless every placeholder in it
+ *                   has a value (sections nest)
+ *   \[ \] \{ \} \\  literal characters
+ *
+ * The copy menu's original formats ship as BUILT_IN_TEMPLATES.law.
+ * renderTemplateHtml gives the same citation as HTML for rich copies, with
+ * the gazette and the parliamentary series in italics as the citation
+ * guides write them (BS, Parl.St.).
+ *
+ * @example
+ * import { renderTemplate } from '../utils/citation_template'
+ * renderTemplate('[Art. {article}[ §{paragraph}] ]{abbreviation|numac}', { article: '5', numac: '2024001234' })
+ * // => 'Art. 5 2024001234'
+ */
+
+export const PLACEHOLDERS = [
+  'article', 'paragraph', 'title', 'abbreviation', 'date', 'gazette', 'numac', 'url', 'version', 'in_force',
+  'court', 'roll_number', 'ecli', 'series', 'chamber', 'session', 'document'
+]
+
+export const LANGUAGES = ['nl', 'fr', 'de', 'en']
+
+export const MAX_TEMPLATE_LENGTH = 500
+
+export const GAZETTE_SHORT = { nl: 'BS', fr: 'MB', de: 'BS', en: 'BS' }
+
+// Court abbreviations by ECLI court code, as in the Belgian citation guides
+// (appeal courts are cited by their seat); other courts fall back to their name
+export const COURT_SHORT = {
+  CASS: { nl: 'Cass.', fr: 'Cass.', de: 'Kass.', en: 'Cass.' },
+  GHCC: { nl: 'GwH', fr: 'C.C.', de: 'VerfGH', en: 'Const. Court' },
+  RVSCE: { nl: 'RvS', fr: 'C.E.', de: 'StR', en: 'Council of State' },
+  HBANT: { nl: 'Antwerpen', fr: 'Anvers', de: 'Antwerpen', en: 'Antwerp' },
+  HBGNT: { nl: 'Gent', fr: 'Gand', de: 'Gent', en: 'Ghent' },
+  CABRL: { nl: 'Brussel', fr: 'Bruxelles', de: 'Brüssel', en: 'Brussels' },
+  CALIE: { nl: 'Luik', fr: 'Liège', de: 'Lüttich', en: 'Liège' },
+  CAMON: { nl: 'Bergen', fr: 'Mons', de: 'Mons', en: 'Mons' },
+  AHANT: { nl: 'Arbh. Antwerpen', fr: 'C. trav. Anvers', de: 'ArbGH Antwerpen', en: 'Lab. Court Antwerp' },
+  AHGNT: { nl: 'Arbh. Gent', fr: 'C. trav. Gand', de: 'ArbGH Gent', en: 'Lab. Court Ghent' },
+  CTBRL: { nl: 'Arbh. Brussel', fr: 'C. trav. Bruxelles', de: 'ArbGH Brüssel', en: 'Lab. Court Brussels' },
+  CTLIE: { nl: 'Arbh. Luik', fr: 'C. trav. Liège', de: 'ArbGH Lüttich', en: 'Lab. Court Liège' },
+  CTMON: { nl: 'Arbh. Bergen', fr: 'C. trav. Mons', de: 'ArbGH Mons', en: 'Lab. Court Mons' }
+}
+COURT_SHORT.RVS = COURT_SHORT.RVSCE
+
+// Courts whose decisions are cited by judgment number ("GwH 12 januari 2023, nr. 5/2023")
+export const NUMBERED_COURTS = ['GHCC', 'RVSCE', 'RVS']
+
+export const NUMBER_SHORT = { nl: 'nr.', fr: 'n°', de: 'Nr.', en: 'no.' }
+
+// Followed by the version date
+export const IN_FORCE = { nl: 'zoals van kracht op', fr: "tel qu'en vigueur le", de: 'in der Fassung vom', en: 'as in force on' }
+
+export const SERIES_SHORT = { nl: 'Parl.St.', fr: 'Doc. parl.', de: 'Parl. Dok.', en: 'Parl. Doc.' }
+
+// Written in italics in HTML citations
+const ITALIC_PLACEHOLDERS = ['gazette', 'series']
+
+export const PARLIAMENT_SHORT = {
+  chamber: { nl: 'Kamer', fr: 'Chambre', de: 'Kammer', en: 'Chamber' },
+  senate: { nl: 'Senaat', fr: 'Sénat', de: 'Senat', en: 'Senate' },
+  vlaams: { nl: 'Vl.Parl.', fr: 'Parl. fl.', de: 'Fläm. Parl.', en: 'Flemish Parl.' }
+}
+
+// Per kind of document and citation language; `all` applies to every language
+export const BUILT_IN_TEMPLATES = {
+  law: {
+    full: {
+      nl: '[artikel {article}[ § {paragraph}] van het ]{title|numac}[ ({gazette} {date})][, {in_force}]',
+      fr: "[l'article {article}[ § {paragraph}] du ]{title|numac}[ ({gazette} {date})][, {in_force}]",
+      de: '[Artikel {article}[ § {paragraph}] des ]{title|numac}[ ({gazette} {date})][, {in_force}]',
+      en: '[article {article}[ § {paragraph}] of the ]{title|numac}[ ({gazette} {date})][, {in_force}]'
+    },
+    short: { all: '[Art. {article}[ §{paragraph}] ]{abbreviation|numac}[ ({in_force})]' },
+    legal: { all: '{abbreviation|numac}[, art. {article}[, §{paragraph}]][ ({in_force})]' }
+  },
+  // Cass. 12 januari 2023, C.21.0345.N, ECLI:BE:CASS:2023:ARR.20230112.1N.3
+  case: {
+    full: {
+      nl: '{court} {date}[, {roll_number}][, {ecli}]',
+      fr: '{court}, {date}[, {roll_number}][, {ecli}]',
+      de: '{court}, {date}[, {roll_number}][, {ecli}]',
+      en: '{court} {date}[, {roll_number}][, {ecli}]'
+    },
+    short: {
+      nl: '{court} {date}[, {roll_number}]',
+      fr: '{court}, {date}[, {roll_number}]',
+      de: '{court}, {date}[, {roll_number}]',
+      en: '{court} {date}[, {roll_number}]'
+    },
+    ecli: { all: '{ecli}' }
+  },
+  // Parl.St. Kamer 2022-23, nr. 55-3115/001 / Doc. parl., Chambre, 2022-2023, n° 55-3115/001
+  parliamentary: {
+    full: {
+      nl: '[{title}, ]{series} {chamber} [{session}, ]nr. {document}',
+      fr: '[{title}, ]{series}, {chamber}, [{session}, ]n° {document}',
+      de: '[{title}, ]{series}, {chamber}, [{session}, ]Nr. {document}',
+      en: '[{title}, ]{series} {chamber} [{session}, ]no. {document}'
+    },
+    short: {
+      nl: '{series} {chamber} [{session}, ]nr. {document}',
+      fr: '{series}, {chamber}, [{session}, ]n° {document}',
+      de: '{series}, {chamber}, [{session}, ]Nr. {document}',
+      en: '{series} {chamber} [{session}, ]no. {document}'
+    },
+    document: { all: '{document}' }
+  }
+}
+
+/**
+ * Thrown for templates that cannot be parsed; code is one of
+ * empty, too_long, unclosed_placeholder, unknown_placeholder, unclosed_section,
+ * unexpected_bracket.
+ */
+export class TemplateError extends Error {
+  constructor(code, position, detail = '') {
+    super(`${code} at ${position}${detail ? `: ${detail}` : ''}`)
+    this.name = 'TemplateError'
+    this.code = code
+    this.position = position
+    this.detail = detail
+  }
+}
+
+/**
+ * @param {string} id - e.g. 'full', 'short' or 'legal' for laws
+ * @param {string} language
+ * @param {'law'|'case'|'parliamentary'} [kind]
+ * @returns {string|null}
+ */
+export function builtInTemplate(id, language, kind = 'law') {
+  const template = BUILT_IN_TEMPLATES[kind]?.[id]
+  if (!template) return null
+  return template.all || template[language] || template.nl
+}
+
+/**
+ * @param {string} template
+ * @param {Object<string, string>} data - placeholder values; blank ones count as missing
+ * @returns {string}
+ * @throws {TemplateError}
+ */
+export function renderTemplate(template, data) {
+  return renderNodes(parse(template), data, PLAIN).text.trim()
+}
+
+/**
+ * @param {string} template
+ * @param {Object<string, string>} data
+ * @returns {string} HTML, values escaped
+ * @throws {TemplateError}
+ */
+export function renderTemplateHtml(template, data) {
+  return renderNodes(parse(template), data, HTML).text.trim()
+}
+
+/**
+ * @param {string} template
+ * @returns {TemplateError|null}
+ */
+export function validateTemplate(template) {
+  if (!template || !template.trim()) return new TemplateError('empty', 0)
+  if (template.length > MAX_TEMPLATE_LENGTH) return new TemplateError('too_long', MAX_TEMPLATE_LENGTH)
+  try {
+    parse(template)
+    return null
+  } catch (e) {
+    if (e instanceof TemplateError) return e
+    throw e
+  }
+}
+
+/**
+ * Parliamentary session of a date: sessions open in October, so 2023-03-01
+ * falls in "2022-23" (French citations write "2022-2023").
+ * @param {string} date - YYYY-MM-DD or DD-MM-YYYY (also with slashes or dots)
+ * @param {string} language
+ * @returns {string}
+ */
+export function parliamentarySession(date, language) {
+  const text = String(date || '').trim()
+  const ymd = text.match(/^(\d{4})[-/.](\d{1,2})/)
+  const dmy = text.match(/^\d{1,2}[-/.](\d{1,2})[-/.](\d{4})/)
+  const [year, month] = ymd ? [ymd[1], ymd[2]] : dmy ? [dmy[2], dmy[1]] : []
+  if (!year) return ''
+  const start = Number(month) >= 10 ? Number(year) : Number(year) - 1
+  const end = String(start + 1)
+  return `${start}-${language === 'fr' ? end : end.slice(2)}`
+}
+
+// Nodes: { type: 'text', value } | { type: 'field', names } | { type: 'section', children }
+function parse(template) {
+  let pos = 0
+
+  const parseNodes = (sectionStart) => {
+    const nodes = []
+    let text = ''
+    const flush = () => {
+      if (text) nodes.push({ type: 'text', value: text })
+      text = ''
+    }
+
+    while (pos < template.length) {
+      const char = template[pos]
+      if (char === '\\' && pos + 1 < template.length) {
+        text += template[pos + 1]
+        pos += 2
+      } else if (char === '{') {
+        const end = template.indexOf('}', pos)
+        if (end === -1) throw new TemplateError('unclosed_placeholder', pos)
+        const names = template.slice(pos + 1, end).split('|').map(name => name.trim())
+        const unknown = names.find(name => !PLACEHOLDERS.includes(name))
+        if (unknown !== undefined) throw new TemplateError('unknown_placeholder', pos, unknown)
+        flush()
+        nodes.push({ type: 'field', names })
+        pos = end + 1
+      } else if (char === '[') {
+        flush()
+        pos++
+        nodes.push({ type: 'section', children: parseNodes(pos - 1) })
+      } else if (char === ']' || char === '}') {
+        if (char === '}' || sectionStart === null) throw new TemplateError('unexpected_bracket', pos, char)
+        flush()
+        pos++
+        return nodes
+      } else {
+        text += char
+        pos++
+      }
+    }
+
+    if (sectionStart !== null) throw new TemplateError('unclosed_section', sectionStart)
+    flush()
+    return nodes
+  }
+
+  return parseNodes(null)
+}
+
+const PLAIN = { text: value => value, field: (_name, value) => value }
+
+const HTML = {
+  text: value => escapeHtml(value),
+  field: (name, value) => (ITALIC_PLACEHOLDERS.includes(name) ? `<i>${escapeHtml(value)}</i>` : escapeHtml(value))
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+// complete is false when a placeholder outside any nested section had no value
+function renderNodes(nodes, data, output) {
+  let text = ''
+  let complete = true
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      text += output.text(node.value)
+    } else if (node.type === 'field') {
+      const name = node.names.find(n => data[n] !== undefined && data[n] !== null && String(data[n]).trim() !== '')
+      if (name === undefined) complete = false
+      else text += output.field(name, String(data[name]))
+    } else {
+      const section = renderNodes(node.children, data, output)
+      if (section.complete) text += section.text
+    }
+  })
+  return { text, complete }
+}
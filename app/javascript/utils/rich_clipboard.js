@@ -0,0 +1,60 @@
+/**
+ * Rich Clipboard Utility
+ *
+ * Writes text/html alongside text/plain through the async Clipboard API, so
+ * pasting into Word, LibreOffice or Google Docs keeps links, italics and
+ * footnotes while plain-text fields still get the text. Browsers without
+ * ClipboardItem get the text only (writeText, then execCommand on a hidden
+ * textarea).
+ *
+ * @example
+ * import { copyRich } from '../utils/rich_clipboard'
+ * copyRich({ text: 'Art. 5 BW', html: '<a href="…">Art. 5 BW</a>' }).then(ok => ok && showToast('Copied'))
+ */
+
+/**
+ * @param {{text: string, html?: string|null}} content
+ * @returns {Promise<boolean>} whether anything was copied
+ */
+export async function copyRich({ text, html = null }) {
+  if (html && window.ClipboardItem && navigator.clipboard?.write) {
+    try {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' })
+      })])
+      return true
+    } catch {
+      // Denied or unsupported type: fall through to plain text
+    }
+  }
+
+  if (navigator.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text)
+      return true
+    } catch {
+      // Fall through to execCommand
+    }
+  }
+  return fallbackCopy(text)
+}
+
+function fallbackCopy(text) {
+  try {
+    const textarea = document.createElement('textarea')
+    textarea.value = text
+    textarea.style.position = 'fixed'
+    textarea.style.top = '-9999px'
+    textarea.style.opacity = '0'
+    document.body.appendChild(textarea)
+    textarea.focus()
+    textarea.select()
+    const ok = document.execCommand('copy')
+    document.body.removeChild(textarea)
+    return ok
+  } catch (e) {
+    console.warn('Copy failed:', e)
+    return false
+  }
+}
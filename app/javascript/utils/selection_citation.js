@@ -0,0 +1,102 @@
+/**
+ * Selection Citation Utility
+ *
+ * Works out which articles and paragraphs (§) of a law page a text selection
+ * covers, so a copy can carry a citation: articles are the [data-permalink]
+ * blocks in the articles container, their number comes from the
+ * .article-number label ("Art. 5bis." → "5bis") and their paragraphs from
+ * findParagraphs. An article counts as a whole when every paragraph in it is
+ * (partly) selected, or when it has no paragraphs.
+ *
+ * @example
+ * import { selectedArticles, articleReference } from '../utils/selection_citation'
+ * const articles = selectedArticles(window.getSelection(), document.getElementById('tekst'))
+ * articleReference(articles, 'nl')  // { article: '3-7', paragraph: '' }
+ *                                   // { article: '3', paragraph: '2' }
+ *                                   // { article: '3, § 2 en art. 5', paragraph: '' }
+ */
+import { findParagraphs } from './article_paragraphs'
+
+const AND = { nl: 'en', fr: 'et', de: 'und', en: 'and' }
+
+/**
+ * @param {Selection} selection
+ * @param {HTMLElement} root - the element holding the articles
+ * @returns {Array<{index: number, number: string, paragraphs: string[]}>} in document
+ *   order; paragraphs is empty for a whole article
+ */
+export function selectedArticles(selection, root) {
+  if (!selection || selection.isCollapsed || !root) return []
+
+  const ranges = Array.from({ length: selection.rangeCount }, (_, i) => selection.getRangeAt(i))
+  const articles = []
+  root.querySelectorAll('[data-permalink]').forEach((container, index) => {
+    if (!ranges.some(range => range.intersectsNode(container))) return
+
+    const textEl = container.dataset.source ? document.querySelector(container.dataset.source) : container
+    const number = articleNumber(textEl?.querySelector('.article-number')?.textContent)
+    if (!number) return
+
+    const paragraphs = findParagraphs(textEl)
+    const covered = paragraphs.filter((paragraph, i) => {
+      const segment = document.createRange()
+      segment.selectNodeContents(textEl)
+      segment.setStartBefore(paragraph.node)
+      if (paragraphs[i + 1]) segment.setEndBefore(paragraphs[i + 1].node)
+      return ranges.some(range => overlaps(range, segment))
+    })
+    articles.push({
+      index,
+      number,
+      paragraphs: covered.length === paragraphs.length ? [] : covered.map(paragraph => paragraph.number)
+    })
+  })
+  return articles
+}
+
+/**
+ * The {article} and {paragraph} values for the citation templates. Runs of
+ * whole articles become ranges ("3-7"); several parts are joined into the
+ * article value ("3, § 2 en art. 5").
+ * @param {Array<{index: number, number: string, paragraphs: string[]}>} articles
+ * @param {string} language
+ * @returns {{article: string, paragraph: string}|null}
+ */
+export function articleReference(articles, language) {
+  if (!articles?.length) return null
+
+  const parts = []
+  articles.forEach(article => {
+    const last = parts[parts.length - 1]
+    if (last && !last.paragraphs.length && !article.paragraphs.length && last.lastIndex === article.index - 1) {
+      last.to = article.number
+      last.lastIndex = article.index
+    } else {
+      parts.push({ from: article.number, to: null, lastIndex: article.index, paragraphs: article.paragraphs })
+    }
+  })
+
+  const numbers = part => (part.to ? `${part.from}-${part.to}` : part.from)
+  const paragraphs = part => (part.paragraphs.length > 1 ? `${part.paragraphs[0]}-${part.paragraphs[part.paragraphs.length - 1]}` : part.paragraphs[0] || '')
+  if (parts.length === 1) return { article: numbers(parts[0]), paragraph: paragraphs(parts[0]) }
+
+  const labels = parts.map((part, i) => {
+    const label = part.paragraphs.length ? `${numbers(part)}, § ${paragraphs(part)}` : numbers(part)
+    return i === 0 ? label : `art. ${label}`
+  })
+  return {
+    article: `${labels.slice(0, -1).join(', ')} ${AND[language] || AND.nl} ${labels[labels.length - 1]}`,
+    paragraph: ''
+  }
+}
+
+// "Art. 5bis." / "Artikel 1.1.1." / "5." → "5bis" / "1.1.1" / "5"
+function articleNumber(label) {
+  return String(label || '').trim().replace(/^art(?:ikel|icle|\.)?\s*/i, '').replace(/\.$/, '').trim()
+}
+
+// Whether two ranges share any content (touching boundaries do not count)
+function overlaps(range, segment) {
+  return range.compareBoundaryPoints(Range.START_TO_END, segment) > 0 &&
+    range.compareBoundaryPoints(Range.END_TO_START, segment) < 0
+}
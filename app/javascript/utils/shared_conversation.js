@@ -0,0 +1,59 @@
+/**
+ * Shared Conversation Utility
+ *
+ * Renders the read-only snapshot of a conversation someone shared
+ * (ConversationSharing.listReceived). The messages come from another account,
+ * so they are shown as text only: the chatbot stores assistant answers as
+ * HTML, which is reduced to its text content here and never inserted as markup.
+ *
+ * @example
+ * import { renderSharedMessages } from '../utils/shared_conversation'
+ * container.appendChild(renderSharedMessages(share.payload))
+ */
+
+/**
+ * @param {*} payload - the opened snapshot's payload ({ messages: [{ role, content }] })
+ * @returns {Array<{role: string, text: string}>|null} null when the payload is not a message list
+ */
+export function sharedMessages(payload) {
+  if (!Array.isArray(payload?.messages)) return null
+  return payload.messages.map(message => ({
+    role: String(message.role || ''),
+    text: plainText(message.content ?? message.text ?? '')
+  }))
+}
+
+/**
+ * The messages as blocks, or the raw payload as JSON when it is not a message list.
+ * @param {*} payload
+ * @returns {DocumentFragment}
+ */
+export function renderSharedMessages(payload) {
+  const fragment = document.createDocumentFragment()
+  const messages = sharedMessages(payload)
+
+  if (messages === null) {
+    const pre = document.createElement('pre')
+    pre.className = 'mt-2 p-2 rounded bg-white dark:bg-gray-800 whitespace-pre-wrap text-xs'
+    pre.textContent = JSON.stringify(payload, null, 2)
+    fragment.appendChild(pre)
+    return fragment
+  }
+
+  messages.forEach(({ role, text }) => {
+    const block = document.createElement('div')
+    block.className = 'mt-2 p-2 rounded bg-white dark:bg-gray-800 whitespace-pre-wrap'
+    const label = document.createElement('strong')
+    label.textContent = `${role}: `
+    block.append(label, text)
+    fragment.appendChild(block)
+  })
+  return fragment
+}
+
+// DOMParser documents are inert: no scripts run, no images load
+function plainText(value) {
+  const text = String(value)
+  if (!/[<&]/.test(text)) return text
+  return new DOMParser().parseFromString(text, 'text/html').body.textContent || ''
+}
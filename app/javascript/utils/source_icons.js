@@ -0,0 +1,41 @@
+/**
+ * Source Type Icons
+ *
+ * Small outline icons (w-4 h-4, currentColor) for the kinds of documents the
+ * site links to: laws, articles, case law and parliamentary documents. Shared
+ * by the global search dropdown and the bookmarks page.
+ *
+ * @example
+ * import { iconFor } from '../utils/source_icons'
+ * el.innerHTML = iconFor('case')
+ */
+
+export function articleIcon() {
+  return `<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z"/><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 3v5a1 1 0 001 1h5"/><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 13h6m-6 4h4"/></svg>`
+}
+
+export function lawIcon() {
+  return `<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/></svg>`
+}
+
+export function caseIcon() {
+  return `<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 6l3 1m0 0l-3 9a5.002 5.002 0 006.001 0M6 7l3 9M6 7l6-2m6 2l3-1m-3 1l-3 9a5.002 5.002 0 006.001 0M18 7l3 9m-3-9l-6-2m0-2v2m0 16V5m0 16H9m3 0h3"/></svg>`
+}
+
+export function docIcon() {
+  return `<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4"/></svg>`
+}
+
+/**
+ * @param {string} type - 'article' | 'law' | 'case' | 'doc'
+ * @returns {string} SVG markup; the law icon for unknown types
+ */
+export function iconFor(type) {
+  switch (type) {
+    case 'article': return articleIcon()
+    case 'law':     return lawIcon()
+    case 'case':    return caseIcon()
+    case 'doc':     return docIcon()
+    default:        return lawIcon()
+  }
+}
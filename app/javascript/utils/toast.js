@@ -8,6 +8,7 @@
  * import { showToast } from '../utils/toast'
  * showToast('Gekopieerd!')
  * showToast('Erreur', { duration: 5000, type: 'error' })
+ * showToast('3 bladwijzers verwijderd', { duration: 6000, action: { label: 'Ongedaan maken', onClick: undo } })
  */
 
 const TOAST_CLASS = 'ww-toast'
@@ -21,9 +22,10 @@ const FADE_OUT_DURATION = 300
  * @param {Object} [options] - Configuration options
  * @param {number} [options.duration=2000] - Time in ms before the toast fades out
  * @param {string} [options.type='success'] - Toast type: 'success' | 'error' | 'info'
+ * @param {{label: string, onClick: Function}} [options.action] - Button in the toast (e.g. undo); clicking it runs onClick and closes the toast
  */
 export function showToast(message, options = {}) {
-  const { duration = DEFAULT_DURATION, type = 'success' } = options
+  const { duration = DEFAULT_DURATION, type = 'success', action = null } = options
 
   // Remove any existing toast
   const existing = document.querySelector(`.${TOAST_CLASS}`)
@@ -41,6 +43,18 @@ export function showToast(message, options = {}) {
     toast.style.backgroundColor = 'var(--accent-600)'
   }
 
+  if (action) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'ml-3 font-semibold underline underline-offset-2 hover:no-underline'
+    button.textContent = action.label
+    button.addEventListener('click', () => {
+      toast.remove()
+      action.onClick()
+    })
+    toast.append(button)
+  }
+
   document.body.appendChild(toast)
 
   // Auto-dismiss
@@ -4,6 +4,8 @@
 #
 # This job runs daily/weekly to check for new laws matching
 # user-subscribed search alerts and sends email notifications.
+# The same run sends the digest of changes to bookmarked laws to users who
+# opted in on the bookmarks page (see BookmarkChangeService).
 #
 # @example Running manually
 #   SearchAlertNotificationJob.perform_now('daily')
@@ -45,8 +47,41 @@ class SearchAlertNotificationJob < ApplicationJob
       end
     end
 
-    Rails.logger.info("[SearchAlertJob] Completed: #{alerts_processed} alerts processed, #{notifications_sent} notifications sent")
+    digests_sent = send_bookmark_digests(frequency)
 
-    { alerts_processed: alerts_processed, notifications_sent: notifications_sent }
+    Rails.logger.info("[SearchAlertJob] Completed: #{alerts_processed} alerts processed, #{notifications_sent} notifications sent, " \
+                      "#{digests_sent} bookmark digests sent")
+
+    { alerts_processed: alerts_processed, notifications_sent: notifications_sent, bookmark_digests_sent: digests_sent }
+  end
+
+  private
+
+  # Each change is mailed once: changes up to the previous digest are skipped
+  # @return [Integer] digests sent
+  def send_bookmark_digests(frequency)
+    sent = 0
+
+    User.where(bookmark_digest: frequency)
+        .where('bookmark_digest_sent_at IS NULL OR bookmark_digest_sent_at < ?', SearchAlert.notification_threshold(frequency))
+        .find_each do |user|
+      bookmarks = user.bookmarks.where(kind: 'law').to_a
+      language_id = %w[fr de].include?(user.locale) ? 2 : 1
+      changes = BookmarkChangeService.changes_for(bookmarks, language_id, not_before: user.bookmark_digest_sent_at)
+
+      if changes.any?
+        entries = bookmarks.select { |b| changes.key?(b.id) }.map do |bookmark|
+          { numac: bookmark.numac, anchor: bookmark.anchor, title: bookmark.title.presence || bookmark.numac,
+            article: bookmark.article_label, **changes[bookmark.id].except(:since) }
+        end
+        SearchAlertMailer.bookmark_changes(user, entries, language_id).deliver_later
+        sent += 1
+      end
+      user.update_column(:bookmark_digest_sent_at, Time.current)
+    rescue StandardError => e
+      Rails.logger.error("[SearchAlertJob] Error processing bookmark digest for user ##{user.id}: #{e.message}")
+    end
+
+    sent
   end
 end
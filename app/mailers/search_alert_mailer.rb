@@ -34,6 +34,22 @@ class SearchAlertMailer < ApplicationMailer
     )
   end
 
+  # Digest of changes to a user's bookmarked laws (SearchAlertNotificationJob)
+  # @param user [User]
+  # @param entries [Array<Hash>] numac, anchor, title, article, articles, amended_by
+  #   (see BookmarkChangeService for the last two)
+  # @param language_id [Integer] language of the law links
+  def bookmark_changes(user, entries, language_id)
+    @entries = entries
+    @language_id = language_id
+    @bookmarks_url = bookmarks_url
+
+    I18n.with_locale(user.locale || 'nl') do
+      localized_mail(user, 'search_alerts.mailer.bookmark_changes.subject',
+                     subject_opts: { count: entries.size, app: app_name })
+    end
+  end
+
   private
 
   def app_name
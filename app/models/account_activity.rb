@@ -17,6 +17,8 @@ class AccountActivity < AccountRecord
     account_reactivated
     otp_enabled
     otp_disabled
+    passkey_added
+    passkey_revoked
     profile_updated
     account_deleted
     data_exported
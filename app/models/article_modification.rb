@@ -21,4 +21,20 @@ class ArticleModification < ApplicationRecord
       .pluck(:article_title, :effective_date)
       .to_h
   end
+
+  # Date of the last change in force on +date+: the consolidated text stored
+  # today is the version in force since then. nil when nothing changed.
+  def self.consolidated_on(numac, language_id = 1, date = Date.current)
+    where(content_numac: numac, language_id: language_id)
+      .where('effective_date <= ?', date)
+      .maximum(:effective_date)
+  end
+
+  # Changes that took effect after a date, oldest first: what differs between
+  # the law as it stood on that date and the current consolidated text
+  def self.changes_since(numac, date, language_id = 1)
+    where(content_numac: numac, language_id: language_id)
+      .where('effective_date > ?', date)
+      .order(:effective_date, :id)
+  end
 end
@@ -2,31 +2,104 @@
 
 # == Bookmark
 #
-# Server-side bookmark storage for laws. Replaces localStorage-based bookmarks.
-# Contains public law metadata only (NUMAC, title) - no encryption needed.
-# Requires user account.
+# Server-side bookmark storage for laws, case law and parliamentary documents.
+# Replaces localStorage-based bookmarks. Contains public document metadata only
+# (NUMAC/ECLI, title) - no encryption needed. Requires user account.
 #
 # Columns:
-#   user_id      - Owner
-#   numac        - Belgian Official Gazette number (unique per user)
-#   title        - Law title (display purposes)
-#   url          - Full URL to the law page
-#   folder       - Optional folder for organization
+#   user_id      - Owner; in a shared folder, the member who added it
+#   kind         - What is bookmarked (see KINDS); an article is a law bookmark with an anchor
+#   numac        - Key of the document: Belgian Official Gazette number for a law,
+#                  ECLI for case law, document id for a parliamentary document
+#   anchor       - Article permalink for an article bookmark ('' = the whole law)
+#   paragraph    - Paragraph number for a § bookmark ('' = the whole article)
+#   article_label - Article as shown in its header, e.g. "Art. 1675/12"
+#   excerpt      - Start of the article or paragraph text when it was bookmarked
+#   title        - Document title (display purposes)
+#   url          - Full URL to the document page
+#   bookmark_folder_id - Optional folder for organization (see BookmarkFolder)
+#   position     - Manual order set on the bookmarks page (nil = not ordered yet)
+#   note         - Optional free-text note (why the law was saved)
+#   tags         - Array of short labels, e.g. a matter or client name
 #   bookmarked_at - When the bookmark was created
+#
+# Notes and tags can name clients or matters, so unlike the law metadata they
+# are encrypted at rest.
 class Bookmark < AccountRecord
+  KINDS = %w[law case parliamentary flemish_parliament].freeze
+  MAX_TAGS = 20
+  MAX_TAG_LENGTH = 50
+
   belongs_to :user
+  belongs_to :bookmark_folder, optional: true
+
+  serialize :tags, coder: JSON, type: Array
+  encrypts :note
+  encrypts :tags
 
+  validates :kind, inclusion: { in: KINDS }
   validates :numac, presence: true,
                     length: { maximum: 50 },
-                    uniqueness: { scope: :user_id, message: 'already bookmarked' }
+                    uniqueness: { scope: [:user_id, :kind, :anchor, :paragraph], message: 'already bookmarked' }
+  validates :anchor, length: { maximum: 200 }
+  validates :anchor, absence: { message: 'only applies to laws' }, unless: -> { kind == 'law' }
+  validates :paragraph, length: { maximum: 20 }
+  validates :paragraph, absence: { message: 'requires an article' }, if: -> { anchor.blank? }
+  validates :article_label, length: { maximum: 50 }
+  validates :excerpt, length: { maximum: 1000 }
   validates :title, length: { maximum: 500 }
   validates :url, length: { maximum: 1000 }
-  validates :folder, length: { maximum: 100 }
+  validates :note, length: { maximum: 5000 }
+  validate :validate_tags
+  validate :folder_writable_by_user
+
+  before_validation :normalize_tags
 
   scope :recent, -> { order(bookmarked_at: :desc) }
-  scope :by_folder, ->(folder) { where(folder: folder) if folder.present? }
+  scope :law_level, -> { where(kind: 'law', anchor: '') }
+  scope :by_folder, ->(folder_id) { where(bookmark_folder_id: folder_id) if folder_id.present? }
+  # The user's own bookmarks plus, in shared folders, those of other members
+  scope :visible_to, lambda { |user|
+    folder_ids = user.bookmark_folders.pluck(:id) + BookmarkFolder.shared_roles_for(user).keys
+    where(user_id: user.id).or(where(bookmark_folder_id: folder_ids))
+  }
+  scope :editable_by, lambda { |user|
+    where(user_id: user.id).or(where(bookmark_folder_id: BookmarkFolder.writable_ids_for(user)))
+  }
+
+  # Bookmarks are addressed by kind and key plus, for an article or
+  # paragraph, its anchor and paragraph number
+  def self.target(numac, anchor = nil, paragraph = nil, kind: 'law')
+    where(kind: kind, numac: numac, anchor: anchor.to_s, paragraph: paragraph.to_s)
+  end
+
+  # The API speaks of types: the kinds plus 'article' (a law bookmark with an
+  # anchor). A missing type means a law, as before types existed.
+  def self.kind_for(type)
+    type.blank? || type.to_s == 'article' ? 'law' : type.to_s
+  end
+
+  def type
+    kind == 'law' && anchor.present? ? 'article' : kind
+  end
+
+  private
+
+  # Trim, drop blanks and case-insensitive duplicates (first spelling wins)
+  def normalize_tags
+    self.tags = Array(tags).map { |tag| tag.to_s.strip }.reject(&:blank?).uniq(&:downcase)
+  end
+
+  def validate_tags
+    errors.add(:tags, "too many (maximum #{MAX_TAGS})") if tags.size > MAX_TAGS
+    return unless tags.any? { |tag| tag.length > MAX_TAG_LENGTH }
+
+    errors.add(:tags, "too long (maximum #{MAX_TAG_LENGTH} characters each)")
+  end
+
+  def folder_writable_by_user
+    return if bookmark_folder.nil? || !will_save_change_to_bookmark_folder_id? || bookmark_folder.writable_by?(user)
 
-  def self.folders_for_user(user)
-    where(user: user).where.not(folder: [nil, '']).distinct.pluck(:folder).sort
+    errors.add(:bookmark_folder, 'not found')
   end
 end
@@ -0,0 +1,190 @@
+# frozen_string_literal: true
+
+# == BookmarkFolder
+#
+# A folder on the bookmarks page. Folders nest (e.g. Client → Dossier → Topic)
+# through parent_id; a bookmark sits in at most one folder.
+#
+# A folder can be shared with other accounts (see BookmarkFolderMember);
+# members then see it and its subfolders. Bookmarks in a shared folder may
+# belong to any member with the edit role: the bookmark's user is who
+# added it.
+#
+# Columns:
+#   user_id   - Owner
+#   parent_id - Enclosing folder, nil for a top-level folder
+#   name      - Display name (unique among its siblings)
+class BookmarkFolder < AccountRecord
+  MAX_PER_USER = 200
+  MAX_DEPTH = 5
+  PATH_SEPARATOR = ' / '
+
+  belongs_to :user
+  belongs_to :parent, class_name: 'BookmarkFolder', optional: true
+  has_many :children, class_name: 'BookmarkFolder', foreign_key: :parent_id, inverse_of: :parent,
+                      dependent: :destroy
+  has_many :bookmarks, dependent: :nullify
+  has_many :members, class_name: 'BookmarkFolderMember', dependent: :delete_all
+
+  validates :name, presence: true,
+                   length: { maximum: 100 },
+                   uniqueness: { scope: [:user_id, :parent_id], case_sensitive: false }
+  validate :parent_is_valid
+  validate :within_limit, on: :create
+
+  before_validation { self.name = name.to_s.strip }
+
+  scope :ordered, -> { order(:name) }
+
+  # "Client / Dossier / Topic"
+  def path
+    (ancestors.reverse.map(&:name) + [name]).join(PATH_SEPARATOR)
+  end
+
+  def ancestors
+    folders = []
+    folder = parent
+    while folder && folders.size <= MAX_DEPTH
+      folders << folder
+      folder = folder.parent
+    end
+    folders
+  end
+
+  # This folder and everything below it
+  def subtree_ids
+    by_parent = user.bookmark_folders.pluck(:id, :parent_id).group_by(&:last)
+    ids = []
+    queue = [id]
+    while (current = queue.shift)
+      ids << current
+      queue.concat(Array(by_parent[current]).map(&:first))
+    end
+    ids
+  end
+
+  # 'owner', 'edit', 'view' or nil
+  def role_for(user)
+    return 'owner' if user_id == user.id
+
+    self.class.shared_roles_for(user)[id]
+  end
+
+  def writable_by?(user)
+    %w[owner edit].include?(role_for(user))
+  end
+
+  # { folder_id => role } for every folder +user+ sees through a share,
+  # subfolders included; not the user's own folders. Where shares overlap
+  # (a subfolder shared again), edit wins over view.
+  def self.shared_roles_for(user)
+    roots = BookmarkFolderMember.accepted.where(user_id: user.id).pluck(:bookmark_folder_id, :role)
+    return {} if roots.empty?
+
+    owners = where(id: roots.map(&:first)).distinct.pluck(:user_id)
+    by_parent = where(user_id: owners).pluck(:id, :parent_id).group_by(&:last)
+    roles = {}
+    roots.each do |root_id, role|
+      queue = [root_id]
+      while (current = queue.shift)
+        roles[current] = role unless roles[current] == 'edit'
+        queue.concat(Array(by_parent[current]).map(&:first))
+      end
+    end
+    roles
+  end
+
+  # Folders +user+ may put bookmarks in: their own and those shared with edit
+  def self.writable_ids_for(user)
+    user.bookmark_folders.pluck(:id) + shared_roles_for(user).select { |_, role| role == 'edit' }.keys
+  end
+
+  # Changes whenever anything in a shared folder the user owns or is a member
+  # of changes (bookmarks, subfolders, members), so the page can poll it
+  def self.shared_version_for(user)
+    own_shared = user.bookmark_folders.where(id: BookmarkFolderMember.select(:bookmark_folder_id)).to_a
+    ids = (own_shared.flat_map(&:subtree_ids) + shared_roles_for(user).keys).uniq.sort
+    return nil if ids.empty?
+
+    bookmarks = Bookmark.where(bookmark_folder_id: ids)
+    Digest::SHA1.hexdigest([
+      ids, bookmarks.count, bookmarks.maximum(:updated_at),
+      where(id: ids).maximum(:updated_at), BookmarkFolderMember.where(user_id: user.id).count
+    ].to_json)
+  end
+
+  # Levels below this folder (0 for a folder without subfolders)
+  def height
+    children.map { |child| child.height + 1 }.max || 0
+  end
+
+  # Move everything into +target+ and delete this folder. Subfolders whose
+  # name already exists in the target are merged recursively.
+  def merge_into!(target)
+    transaction do
+      move_bookmarks_to(target)
+      children.to_a.each do |child|
+        existing = target.children.where('LOWER(name) = ?', child.name.downcase).first
+        if existing
+          child.merge_into!(existing)
+        else
+          child.update!(parent: target)
+        end
+      end
+      reload.destroy!
+    end
+  end
+
+  # Delete the folder but keep its contents: bookmarks and subfolders move
+  # one level up (bookmarks at the top level become unfiled).
+  def dissolve!
+    transaction do
+      move_bookmarks_to(parent)
+      children.to_a.each do |child|
+        sibling = user.bookmark_folders.where(parent_id: parent_id).where.not(id: id)
+                      .where('LOWER(name) = ?', child.name.downcase).first
+        sibling ? child.merge_into!(sibling) : child.update!(parent_id: parent_id)
+      end
+      reload.destroy!
+    end
+  end
+
+  # Find or create the folders for "Client / Dossier", as written by #path.
+  # Used by the JSON import.
+  def self.find_or_create_path!(user, path)
+    names = path.to_s.split(PATH_SEPARATOR).map(&:strip).reject(&:blank?).first(MAX_DEPTH)
+    names.reduce(nil) do |parent, name|
+      scope = user.bookmark_folders.where(parent_id: parent&.id)
+      scope.where('LOWER(name) = ?', name.downcase).first || scope.create!(name: name.first(100))
+    end
+  end
+
+  private
+
+  # Other members' bookmarks only follow into a folder they can still write
+  # to; otherwise they become unfiled for their owner
+  def move_bookmarks_to(folder)
+    bookmarks.where(user_id: user_id).update_all(bookmark_folder_id: folder&.id)
+    bookmarks.where.not(user_id: user_id).includes(:user).find_each do |bookmark|
+      bookmark.update_column(:bookmark_folder_id, folder&.writable_by?(bookmark.user) ? folder.id : nil)
+    end
+  end
+
+  def parent_is_valid
+    return unless parent
+
+    if parent.user_id != user_id
+      errors.add(:parent, 'not found')
+    elsif persisted? && subtree_ids.include?(parent_id)
+      errors.add(:parent, 'cannot be the folder itself or one of its subfolders')
+    elsif parent.ancestors.size + 1 + (persisted? ? height : 0) >= MAX_DEPTH
+      errors.add(:parent, "too deep (at most #{MAX_DEPTH} levels)")
+    end
+  end
+
+  def within_limit
+    return unless user && user.bookmark_folders.count >= MAX_PER_USER
+
+    errors.add(:base, "at most #{MAX_PER_USER} folders")
+  end
+end
@@ -0,0 +1,76 @@
+# frozen_string_literal: true
+
+# == BookmarkFolderMember
+#
+# Another account's access to a shared bookmark folder and its subfolders.
+# The folder stays the owner's; members with the edit role can add, move,
+# tag and delete bookmarks in it, members with the view role only read.
+#
+# Sharing starts as an invitation by email address: it grants nothing until
+# the account with that address accepts it. Invitations look the same
+# whether or not such an account exists, so sharing does not reveal which
+# addresses are registered.
+#
+# Columns:
+#   bookmark_folder_id - Shared folder (the top of what the member sees)
+#   email              - Invited address
+#   user_id            - Member; set when the invitation is accepted
+#   role               - view or edit
+#   accepted_at        - nil while the invitation is pending
+class BookmarkFolderMember < AccountRecord
+  ROLES = %w[view edit].freeze
+  MAX_PER_FOLDER = 50
+
+  belongs_to :bookmark_folder, touch: true
+  belongs_to :user, optional: true
+
+  scope :accepted, -> { where.not(accepted_at: nil) }
+  scope :pending, -> { where(accepted_at: nil) }
+  scope :invited, ->(user) { pending.where(email: user.email) }
+
+  encrypts :email, deterministic: true, downcase: true # deterministic: lookup by the invited account's email
+
+  before_validation { self.email = email.to_s.strip.presence }
+
+  validates :role, inclusion: { in: ROLES }
+  validates :email, presence: true, format: { with: URI::MailTo::EMAIL_REGEXP }
+  validates :email, uniqueness: { scope: :bookmark_folder_id, message: 'already invited' }
+  validates :user_id, uniqueness: { scope: :bookmark_folder_id, message: 'already has access' }, allow_nil: true
+  validate :not_owner
+  validate :within_limit, on: :create
+
+  after_destroy :unfile_bookmarks
+
+  def accepted?
+    accepted_at.present?
+  end
+
+  def accept!(user)
+    update!(user: user, accepted_at: Time.current)
+  end
+
+  private
+
+  def not_owner
+    return unless bookmark_folder
+
+    owner = bookmark_folder.user
+    errors.add(:email, 'owns this folder') if bookmark_folder.user_id == user_id || owner&.email.to_s.downcase == email
+  end
+
+  def within_limit
+    return unless bookmark_folder && bookmark_folder.members.count >= MAX_PER_FOLDER
+
+    errors.add(:base, "at most #{MAX_PER_FOLDER} members")
+  end
+
+  # A member who loses access takes their bookmarks back: they become
+  # unfiled instead of staying behind in someone else's folder
+  def unfile_bookmarks
+    return unless user
+
+    Bookmark.where(user_id: user_id, bookmark_folder_id: bookmark_folder.subtree_ids).includes(:bookmark_folder).find_each do |bookmark|
+      bookmark.update_column(:bookmark_folder_id, nil) unless bookmark.bookmark_folder.writable_by?(user)
+    end
+  end
+end
@@ -0,0 +1,81 @@
+# frozen_string_literal: true
+
+# == BookmarkSmartFolder
+#
+# A folder on the bookmarks page defined by a rule instead of manual
+# membership, e.g. "tagged fiscaal and changed in the last 30 days". The page
+# evaluates the rule against the user's bookmarks every time it renders, so
+# the contents follow new bookmarks, tags and law changes by themselves.
+#
+# Rule keys (all optional, at least one required; a bookmark must match all):
+#   tags           - Any of these tags (case-insensitive)
+#   types          - Bookmark types, see Bookmark#type
+#   changed_within - Days: the law (or article) changed this recently,
+#                    whether or not the user has seen it
+#   query          - Words that must all occur in the title, NUMAC, article,
+#                    excerpt, note or tags, like the search on the page, or
+#                    (laws and articles) in the text of the law, like the
+#                    laws search with "search in text"
+#
+# Columns:
+#   user_id - Owner
+#   name    - Display name
+#   rule    - The rule, as JSON
+class BookmarkSmartFolder < AccountRecord
+  MAX_PER_USER = 50
+  TYPES = %w[law article case parliamentary flemish_parliament].freeze
+  MAX_TAGS = 20
+  MAX_QUERY_LENGTH = 200
+  MAX_DAYS = 3650
+
+  belongs_to :user
+
+  serialize :rule, coder: JSON, type: Hash
+  # Tags and search words can name clients or matters
+  encrypts :rule
+
+  validates :name, presence: true,
+                   length: { maximum: 100 },
+                   uniqueness: { scope: :user_id, case_sensitive: false }
+  validate :rule_is_valid
+  validate :within_limit, on: :create
+
+  before_validation :normalize
+
+  scope :ordered, -> { order(:name) }
+
+  private
+
+  def normalize
+    self.name = name.to_s.strip
+    rule = (self.rule || {}).to_h.stringify_keys
+    self.rule = {
+      'tags' => Array(rule['tags']).map { |tag| tag.to_s.strip }.reject(&:blank?).uniq(&:downcase),
+      'types' => Array(rule['types']).map(&:to_s).uniq,
+      'changed_within' => rule['changed_within'].presence&.to_i,
+      'query' => rule['query'].to_s.strip.presence
+    }.reject { |_, value| value.blank? }
+  end
+
+  def rule_is_valid
+    if rule.empty?
+      errors.add(:rule, 'needs at least one condition')
+      return
+    end
+
+    errors.add(:rule, "has too many tags (maximum #{MAX_TAGS})") if rule.fetch('tags', []).size > MAX_TAGS
+    errors.add(:rule, 'has an unknown type') if (rule.fetch('types', []) - TYPES).any?
+    if rule.key?('changed_within') && !rule['changed_within'].between?(1, MAX_DAYS)
+      errors.add(:rule, "changed within must be between 1 and #{MAX_DAYS} days")
+    end
+    return unless rule.fetch('query', '').length > MAX_QUERY_LENGTH
+
+    errors.add(:rule, "search is too long (maximum #{MAX_QUERY_LENGTH} characters)")
+  end
+
+  def within_limit
+    return unless user && user.bookmark_smart_folders.count >= MAX_PER_USER
+
+    errors.add(:base, "at most #{MAX_PER_USER} smart folders")
+  end
+end
@@ -0,0 +1,37 @@
+# frozen_string_literal: true
+
+# == ConversationShare
+#
+# A read-only copy of a zero-knowledge chatbot conversation handed to another
+# user. The snapshot is encrypted in the owner's browser with a fresh content
+# key, which is wrapped for the recipient through an ECDH envelope
+# (ConversationCrypto.sealForRecipient). The server stores ciphertext only.
+#
+# Revoking deletes the row; a recipient who already opened the snapshot may
+# of course still have a copy of what they read.
+#
+# Columns:
+#   owner_id            - User who shared
+#   recipient_id        - User it is shared with
+#   conversation_token  - Id of the owner's conversation (re-sharing replaces the snapshot)
+#   encrypted_payload   - Snapshot, encrypted with the content key (base64)
+#   envelope_salt       - HKDF salt of the envelope key (base64)
+#   wrapped_content_key - Content key wrapped with the envelope key (base64)
+#   sender_public_key   - Owner's public key the envelope was made with (base64)
+class ConversationShare < AccountRecord
+  belongs_to :owner, class_name: 'User'
+  belongs_to :recipient, class_name: 'User'
+
+  validates :conversation_token, presence: true, length: { maximum: 100 }
+  validates :encrypted_payload, presence: true, length: { maximum: 5_000_000 }
+  validates :envelope_salt, :wrapped_content_key, :sender_public_key, presence: true, length: { maximum: 1000 }
+  validate :not_self
+
+  scope :recent, -> { order(updated_at: :desc) }
+
+  private
+
+  def not_self
+    errors.add(:recipient, 'cannot be yourself') if owner_id.present? && owner_id == recipient_id
+  end
+end
@@ -8,6 +8,14 @@ class User < AccountRecord
   has_many :account_activities, dependent: :destroy
   has_many :saved_answers, dependent: :destroy
   has_many :bookmarks, dependent: :destroy
+  has_many :bookmark_folders, dependent: :delete_all # one statement, so nested folders go together
+  has_many :bookmark_folder_memberships, class_name: 'BookmarkFolderMember', dependent: :destroy
+  has_many :bookmark_smart_folders, dependent: :delete_all
+  has_many :zk_passkeys, dependent: :destroy
+  has_many :sent_conversation_shares, class_name: 'ConversationShare', foreign_key: :owner_id,
+                                      inverse_of: :owner, dependent: :destroy
+  has_many :received_conversation_shares, class_name: 'ConversationShare', foreign_key: :recipient_id,
+                                          inverse_of: :recipient, dependent: :destroy
   has_many :credit_purchases, dependent: :destroy
   has_many :platform_invoices, dependent: :nullify # keep invoices for accounting, just unlink user
   has_many :crypto_payments, dependent: :destroy
@@ -17,9 +25,14 @@ class User < AccountRecord
   # Tables: chatbot_analytics, chatbot_feedbacks, chatbot_reports (AnalyticsRecord)
   # Tables not yet migrated: partner_usage_logs, partner_bookmarks (Praxis API integration)
 
+  BOOKMARK_DIGESTS = %w[off daily weekly].freeze
+
   MAX_FAILED_ATTEMPTS = 5
   LOCKOUT_DURATION = 15.minutes
 
+  # Reserved key inside ui_preferences holding per-key version metadata
+  UI_PREF_VERSIONS_KEY = '_versions'
+
   attr_accessor :terms_accepted
 
   validates :email, presence: true,
@@ -43,7 +56,10 @@ class User < AccountRecord
   ].freeze
 
   before_save :downcase_email
+  before_create :apply_standard_ui_prefs
   after_create :create_default_subscription
+  # Before the folders go: other members' bookmarks in them become unfiled
+  before_destroy :unfile_shared_bookmarks, prepend: true
 
 
   scope :active, -> { where(active: true) }
@@ -348,11 +364,74 @@ class User < AccountRecord
 
   # Merge a subset of preferences (partial update)
   def merge_ui_prefs!(updates)
-    current = ui_prefs
-    current.merge!(updates.stringify_keys)
-    update!(ui_preferences: current.to_json)
+    merge_versioned_ui_prefs!(updates)[:preferences]
+  end
+
+  # Per-key merge with optimistic versioning, used by the client write queue.
+  # Each top-level key carries { 'v' => counter, 'at' => client change time (ms) }.
+  #
+  # A write whose base version matches the stored one is applied and bumps the
+  # version. A write based on an older version is a conflict: the change made
+  # last on the client side (by 'at') wins, and when the stored value is kept
+  # the key is reported back so the client can adopt it.
+  #
+  # @param updates [Hash] top-level key => value
+  # @param base_versions [Hash] key => version the client edited (nil = unknown)
+  # @param changed_at [Hash] key => client-side change timestamp in ms
+  # @return [Hash] { preferences:, versions:, conflicts: }
+  def merge_versioned_ui_prefs!(updates, base_versions: nil, changed_at: {})
+    conflicts = {}
+
+    with_lock do
+      @_ui_prefs = nil
+      current = ui_prefs
+      versions = current[UI_PREF_VERSIONS_KEY].is_a?(Hash) ? current[UI_PREF_VERSIONS_KEY] : {}
+
+      updates.stringify_keys.each do |key, value|
+        stored = versions[key] || {}
+        stored_version = stored['v'].to_i
+        client_at = changed_at[key].to_i
+        stale = base_versions && base_versions[key].to_i != stored_version
+
+        if stale && current[key] != value && client_at < stored['at'].to_i
+          conflicts[key] = { 'value' => current[key], 'version' => stored_version }
+          next
+        end
+
+        current[key] = value
+        versions[key] = { 'v' => stored_version + 1, 'at' => client_at.positive? ? client_at : (Time.current.to_f * 1000).to_i }
+      end
+
+      current[UI_PREF_VERSIONS_KEY] = versions
+      update!(ui_preferences: current.to_json)
+    end
+
     @_ui_prefs = nil
-    current
+    { preferences: visible_ui_prefs, versions: ui_pref_versions, conflicts: conflicts }
+  end
+
+  # Preferences without the reserved version metadata (what the client sees)
+  def visible_ui_prefs
+    ui_prefs.except(UI_PREF_VERSIONS_KEY)
+  end
+
+  # key => current version counter
+  def ui_pref_versions
+    (ui_prefs[UI_PREF_VERSIONS_KEY] || {}).transform_values { |meta| meta['v'].to_i }
+  end
+
+  # Opaque per-user tag so the client never replays queued writes into another account
+  def ui_prefs_scope
+    Digest::SHA256.hexdigest("ui_prefs:#{id}:#{created_at.to_i}")[0, 16]
+  end
+
+  # Firm-wide standard preset (config/data/standard_preferences.yml)
+  def self.standard_ui_prefs
+    @standard_ui_prefs ||= begin
+      path = Rails.root.join('config', 'data', 'standard_preferences.yml')
+      data = File.exist?(path) ? YAML.load_file(path) : nil
+      (data.is_a?(Hash) && data['preferences'].is_a?(Hash) ? data['preferences'] : {}).freeze
+    end
   end
 
   # Get a single preference value with default
@@ -362,6 +441,13 @@ class User < AccountRecord
 
   private
 
+  def apply_standard_ui_prefs
+    standard = self.class.standard_ui_prefs
+    return if standard.empty?
+
+    self.ui_prefs = standard.merge(ui_prefs).merge('active_preset' => 'standard')
+  end
+
   def downcase_email
     self.email = email.downcase
   end
@@ -372,6 +458,11 @@ class User < AccountRecord
     # NOT here. This prevents double-granting when the model callback fires.
   end
 
+  def unfile_shared_bookmarks
+    Bookmark.where(bookmark_folder_id: bookmark_folders.select(:id)).where.not(user_id: id)
+            .update_all(bookmark_folder_id: nil)
+  end
+
   def password_complexity
     return if password.blank?
 
@@ -0,0 +1,41 @@
+# frozen_string_literal: true
+
+# == ZkPasskey
+#
+# A passkey registered to unlock the zero-knowledge conversation master key
+# through the WebAuthn PRF extension (services/conversation_passkeys.js).
+# Each authenticator holds its own copy of the master key, wrapped in the
+# browser with a key derived from the PRF output; the server never sees that
+# output or the master key. Not a login method: nothing here authenticates
+# the user to the server.
+#
+# Columns:
+#   user_id            - Owner
+#   credential_id      - WebAuthn credential id (base64url, unique per user)
+#   label              - Name shown in the management list
+#   prf_salt           - PRF evaluation input, also the HKDF salt (base64)
+#   wrapped_master_key - Master key wrapped with the PRF-derived key (base64)
+#   last_used_at       - Last successful unlock reported by the browser
+class ZkPasskey < AccountRecord
+  MAX_PER_USER = 10
+
+  belongs_to :user
+
+  validates :credential_id, presence: true,
+                            length: { maximum: 1024 },
+                            uniqueness: { scope: :user_id }
+  validates :label, length: { maximum: 100 }
+  validates :prf_salt, presence: true, length: { maximum: 100 }
+  validates :wrapped_master_key, presence: true, length: { maximum: 1000 }
+  validate :within_limit, on: :create
+
+  scope :recent, -> { order(created_at: :desc) }
+
+  private
+
+  def within_limit
+    return unless user && user.zk_passkeys.count >= MAX_PER_USER
+
+    errors.add(:base, "at most #{MAX_PER_USER} passkeys")
+  end
+end
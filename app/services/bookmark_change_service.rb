@@ -0,0 +1,135 @@
+# frozen_string_literal: true
+
+# Finds bookmarked laws that changed since the user bookmarked them or last
+# opened them. Two sources, both from the legislation database:
+#
+# - ArticleModification: which articles were modified, inserted or abolished
+# - UpdatedLaw: which laws amend the bookmarked law (also covers laws without
+#   article-level data); the amending law's date tells whether it is new
+#
+# A bookmark on one article only reports changes to that article.
+#
+# @example
+#   changes = BookmarkChangeService.changes_for(user.bookmarks, 1)
+#   changes[bookmark.id]
+#   # => { since: Date, articles: [{ article: '5', change: 'modified', date: '2026-10-01' }],
+#   #      amended_by: [{ numac: '2026012345', title: 'Wet van …', date: '2026-10-01' }] }
+class BookmarkChangeService
+  MAX_ITEMS = 20
+
+  # @param bookmarks [Enumerable<Bookmark>] bookmarks of other kinds are skipped
+  # @param language_id [Integer] 1 (Dutch) or 2 (French)
+  # @param not_before [Time, nil] ignore changes up to this time (the previous email digest)
+  # @return [Hash{Integer => Hash}] bookmark id => changes, only for changed bookmarks
+  def self.changes_for(bookmarks, language_id, not_before: nil)
+    new(bookmarks.select { |b| b.kind == 'law' }, language_id, not_before).changes
+  end
+
+  def initialize(bookmarks, language_id, not_before = nil)
+    @bookmarks = bookmarks
+    @language_id = language_id
+    @not_before = not_before&.to_date
+  end
+
+  def changes
+    return {} if @bookmarks.empty?
+
+    numacs = @bookmarks.map(&:numac).uniq
+    since = @bookmarks.map { |b| since_for(b) }.min
+    modifications = load_modifications(numacs, since)
+    amendments = load_amendments(numacs, since)
+
+    @bookmarks.each_with_object({}) do |bookmark, result|
+      since_date = since_for(bookmark)
+      articles = Array(modifications[bookmark.numac]).select { |m| m[:date] > since_date.iso8601 }
+      amended_by = Array(amendments[bookmark.numac]).select { |a| a[:date] > since_date.iso8601 }
+      articles, amended_by = for_article(bookmark, articles, amended_by)
+      next if articles.empty? && amended_by.empty?
+
+      result[bookmark.id] = {
+        since: since_date,
+        articles: articles.first(MAX_ITEMS).map { |m| m.except(:by) },
+        amended_by: amended_by.first(MAX_ITEMS)
+      }
+    end
+  end
+
+  # Date of the newest change after +since+, whether or not the user has seen
+  # it; smart folders use this for rules like "changed in the last 30 days".
+  # @return [Hash{Integer => String}] bookmark id => 'YYYY-MM-DD', only for changed bookmarks
+  def self.last_changed_for(bookmarks, language_id, since:)
+    new(bookmarks.select { |b| b.kind == 'law' }, language_id).last_changed(since.to_date)
+  end
+
+  # Date of the newest change to one law, from either source; nil when it
+  # never changed. Bookmarks seen on or after that day show no badge.
+  # @return [Date, nil]
+  def self.last_change_on(numac, language_id)
+    modified = ArticleModification.where(content_numac: numac, language_id: language_id)
+                                  .maximum(Arel.sql('COALESCE(publication_date, effective_date)'))
+    amending = UpdatedLaw.where(content_numac: numac, language_id: language_id).distinct.pluck(:update_numac)
+    amended = Legislation.where(numac: amending, language_id: language_id).maximum(:date) if amending.any?
+    [modified, amended].compact.map { |date| date.to_s.to_date }.max
+  end
+
+  def last_changed(since)
+    return {} if @bookmarks.empty?
+
+    numacs = @bookmarks.map(&:numac).uniq
+    modifications = load_modifications(numacs, since)
+    amendments = load_amendments(numacs, since)
+
+    @bookmarks.each_with_object({}) do |bookmark, result|
+      articles, amended_by = for_article(bookmark, Array(modifications[bookmark.numac]), Array(amendments[bookmark.numac]))
+      dates = articles.map { |m| m[:date] } + amended_by.map { |a| a[:date] }
+      result[bookmark.id] = dates.max if dates.any?
+    end
+  end
+
+  private
+
+  # An article bookmark only keeps changes to its own article, and the laws that made them
+  def for_article(bookmark, articles, amended_by)
+    return [articles, amended_by] unless bookmark.anchor.present? && bookmark.article_label.present?
+
+    key = article_key(bookmark.article_label)
+    articles = articles.select { |m| article_key(m[:article]) == key }
+    [articles, amended_by.select { |a| articles.any? { |m| m[:by] == a[:numac] } }]
+  end
+
+  def since_for(bookmark)
+    [(bookmark.last_seen_at || bookmark.bookmarked_at || bookmark.created_at).to_date, @not_before].compact.max
+  end
+
+  # numac => [{ article:, change:, date:, by: }], newest first
+  def load_modifications(numacs, since)
+    ArticleModification
+      .where(content_numac: numacs, language_id: @language_id)
+      .where('COALESCE(publication_date, effective_date) > ?', since)
+      .order(effective_date: :desc)
+      .pluck(:content_numac, :article_title, :change_type, :publication_date, :effective_date, :modifying_numac)
+      .each_with_object(Hash.new { |h, k| h[k] = [] }) do |(numac, article, change, published, effective, by), result|
+        result[numac] << { article: article, change: change, date: (published || effective).iso8601, by: by }
+      end
+  end
+
+  # numac => [{ numac:, title:, date: }] of the amending laws, newest first
+  def load_amendments(numacs, since)
+    links = UpdatedLaw.where(content_numac: numacs, language_id: @language_id).pluck(:content_numac, :update_numac)
+    return {} if links.empty?
+
+    laws = Legislation.where(numac: links.map(&:last).uniq, language_id: @language_id)
+                      .where('date > ?', since.iso8601)
+                      .pluck(:numac, :title, :date)
+                      .to_h { |numac, title, date| [numac, { numac: numac, title: title.to_s.truncate(200), date: date }] }
+
+    links.each_with_object(Hash.new { |h, k| h[k] = [] }) do |(numac, update_numac), result|
+      result[numac] << laws[update_numac] if laws[update_numac]
+    end.transform_values { |list| list.uniq.sort_by { |a| a[:date] }.reverse }
+  end
+
+  # "Art. 5." / "Artikel 5" / "5" => "5"
+  def article_key(label)
+    label.to_s.downcase.sub(/\A\s*(art(icle|ikel)?\.?)\s*/, '').delete_suffix('.').strip
+  end
+end
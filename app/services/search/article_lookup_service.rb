@@ -143,6 +143,23 @@ module Search
       'avg' => 'AVG/GDPR', 'gdpr' => 'AVG/GDPR'
     }.freeze
 
+    # French keys in LAW_ABBREVIATIONS; the others are Dutch
+    FRENCH_ABBREVIATIONS = %w[cc csa cp csv cic const cj cde cir cir92 ctva cnb cdip cbe rgpd].freeze
+
+    # Spelling used in citations where plain upcasing is wrong
+    CITATION_FORMS = { 'ger.w' => 'Ger.W.', 'const' => 'Const.', 'wib' => 'WIB 92', 'cir' => 'CIR 92' }.freeze
+
+    # Conventional abbreviation of a law for citations (copy reference,
+    # bookmark exports), e.g. "BW" or "Ger.W."; nil when the law has none.
+    # The first matching key wins, so the order of LAW_ABBREVIATIONS matters.
+    def self.abbreviation_for(numac, language_id = 1)
+      french = language_id.to_i == 2
+      key = LAW_ABBREVIATIONS.find do |abbreviation, numacs|
+        numacs.include?(numac) && FRENCH_ABBREVIATIONS.include?(abbreviation) == french
+      end&.first
+      key && (CITATION_FORMS[key] || key.upcase)
+    end
+
     def initialize(locale: :nl)
       @language_id = locale.to_s == 'fr' ? 2 : 1
     end
@@ -115,6 +115,15 @@ Rails.application.routes.draw do
   get 'account/edit', to: 'account#edit', as: 'edit_account'
   patch 'account', to: 'account#update'
   patch 'account/preferences', to: 'account#update_preferences'
+  patch 'account/zk_key_material', to: 'account#update_zk_key_material', as: 'zk_key_material'
+  get 'account/zk_key_rotation', to: 'account#zk_key_rotation', as: 'zk_key_rotation'
+  put 'account/zk_key_rotation', to: 'account#start_zk_key_rotation'
+  patch 'account/recovery_key', to: 'account#update_recovery_key', as: 'recovery_key'
+  delete 'account/recovery_key', to: 'account#destroy_recovery_key'
+  get 'account/zk_passkeys', to: 'account#zk_passkeys', as: 'zk_passkeys'
+  post 'account/zk_passkeys', to: 'account#create_zk_passkey'
+  delete 'account/zk_passkeys/:id', to: 'account#destroy_zk_passkey', as: 'zk_passkey'
+  post 'account/zk_passkeys/:id/used', to: 'account#touch_zk_passkey'
   get 'account/export', to: 'account#export_data', as: 'export_data'
   delete 'account', to: 'account#destroy', as: 'delete_account'
   patch 'account/cancel_deletion', to: 'account#cancel_deletion', as: 'cancel_deletion_account'
@@ -234,6 +243,7 @@ Rails.application.routes.draw do
 
       # Conversation management (server-side history + zero-knowledge)
       get 'chatbot/conversations', to: 'chatbot#conversations'
+      get 'chatbot/conversations/shared', to: 'conversation_shares#received'
       get 'chatbot/conversations/:token', to: 'chatbot#show_conversation'
       delete 'chatbot/conversations/:token', to: 'chatbot#destroy_conversation'
       patch 'chatbot/conversations/:token', to: 'chatbot#update_conversation'
@@ -243,15 +253,41 @@ Rails.application.routes.draw do
       post 'chatbot/conversations/import', to: 'chatbot#import_conversations'
       get 'chatbot/zk_key_material', to: 'chatbot#zk_key_material'
 
+      # Sharing conversations through public-key envelopes
+      get 'chatbot/keypair', to: 'conversation_shares#keypair'
+      post 'chatbot/keypair', to: 'conversation_shares#create_keypair'
+      get 'chatbot/public_keys', to: 'conversation_shares#public_key'
+      get 'chatbot/shares', to: 'conversation_shares#index'
+      post 'chatbot/shares', to: 'conversation_shares#create'
+      delete 'chatbot/shares/:id', to: 'conversation_shares#destroy'
+
     end
 
     # Bookmarks API (server-side, requires login)
     get 'bookmarks', to: 'bookmarks#index'
     post 'bookmarks', to: 'bookmarks#create'
     delete 'bookmarks/:numac', to: 'bookmarks#destroy', constraints: { numac: %r{[^/]+} }
+    patch 'bookmarks/reorder', to: 'bookmarks#reorder'
+    patch 'bookmarks/digest', to: 'bookmarks#digest'
     patch 'bookmarks/:numac', to: 'bookmarks#update', constraints: { numac: %r{[^/]+} }
     post 'bookmarks/import', to: 'bookmarks#import'
+    post 'bookmarks/bulk', to: 'bookmarks#bulk'
     get 'bookmarks/check', to: 'bookmarks#check'
+    get 'bookmarks/shared_version', to: 'bookmarks#shared_version'
+    post 'bookmark_folders', to: 'bookmark_folders#create'
+    patch 'bookmark_folders/:id', to: 'bookmark_folders#update'
+    post 'bookmark_folders/:id/merge', to: 'bookmark_folders#merge'
+    delete 'bookmark_folders/:id', to: 'bookmark_folders#destroy'
+    get 'bookmark_folders/:bookmark_folder_id/members', to: 'bookmark_folder_members#index'
+    post 'bookmark_folders/:bookmark_folder_id/members', to: 'bookmark_folder_members#create'
+    patch 'bookmark_folders/:bookmark_folder_id/members/:id', to: 'bookmark_folder_members#update'
+    delete 'bookmark_folders/:bookmark_folder_id/members/:id', to: 'bookmark_folder_members#destroy'
+    post 'bookmark_folder_invitations/:id/accept', to: 'bookmark_folder_invitations#accept'
+    delete 'bookmark_folder_invitations/:id', to: 'bookmark_folder_invitations#destroy'
+    post 'bookmark_smart_folders', to: 'bookmark_smart_folders#create'
+    patch 'bookmark_smart_folders/:id', to: 'bookmark_smart_folders#update'
+    delete 'bookmark_smart_folders/:id', to: 'bookmark_smart_folders#destroy'
+    get 'bookmark_smart_folders/:id/matches', to: 'bookmark_smart_folders#matches'
 
     # UI Preferences API (server-side, replaces ALL localStorage)
     get 'preferences', to: 'preferences#show'
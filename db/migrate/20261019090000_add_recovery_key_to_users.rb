@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+class AddRecoveryKeyToUsers < ActiveRecord::Migration[8.0]
+  def change
+    unless column_exists?(:users, :recovery_wrapped_master_key)
+      add_column :users, :recovery_wrapped_master_key, :text # Master key wrapped with the recovery phrase (base64)
+    end
+    unless column_exists?(:users, :recovery_key_salt)
+      add_column :users, :recovery_key_salt, :string         # HKDF salt for the recovery phrase (base64)
+    end
+    unless column_exists?(:users, :recovery_key_created_at)
+      add_column :users, :recovery_key_created_at, :datetime
+    end
+  end
+end
@@ -0,0 +1,19 @@
+# frozen_string_literal: true
+
+class CreateZkPasskeys < ActiveRecord::Migration[8.0]
+  def change
+    unless table_exists?(:zk_passkeys)
+      create_table :zk_passkeys do |t|
+        t.references :user, null: false, foreign_key: true
+        t.string :credential_id, null: false, limit: 1024 # WebAuthn credential id (base64url)
+        t.string :label, limit: 100
+        t.string :prf_salt, null: false                   # PRF input and HKDF salt (base64)
+        t.text :wrapped_master_key, null: false           # Master key wrapped with the PRF-derived key (base64)
+        t.datetime :last_used_at
+        t.timestamps
+      end
+
+      add_index :zk_passkeys, [:user_id, :credential_id], unique: true
+    end
+  end
+end
@@ -0,0 +1,28 @@
+# frozen_string_literal: true
+
+class CreateConversationShares < ActiveRecord::Migration[8.0]
+  def change
+    unless column_exists?(:users, :zk_public_key)
+      add_column :users, :zk_public_key, :text             # ECDH P-256 public key (base64, raw point)
+    end
+    unless column_exists?(:users, :zk_encrypted_private_key)
+      add_column :users, :zk_encrypted_private_key, :text  # Private key encrypted with the master key (base64)
+    end
+
+    unless table_exists?(:conversation_shares)
+      create_table :conversation_shares do |t|
+        t.references :owner, null: false, foreign_key: { to_table: :users }
+        t.references :recipient, null: false, foreign_key: { to_table: :users }
+        t.string :conversation_token, null: false, limit: 100
+        t.text :encrypted_payload, null: false   # Snapshot encrypted with a per-share content key
+        t.string :envelope_salt, null: false      # HKDF salt for the envelope key (base64)
+        t.text :wrapped_content_key, null: false  # Content key wrapped for the recipient (base64)
+        t.text :sender_public_key, null: false    # Owner's public key at share time (base64)
+        t.timestamps
+      end
+
+      add_index :conversation_shares, [:owner_id, :recipient_id, :conversation_token], unique: true,
+                                                                                       name: 'index_conversation_shares_unique'
+    end
+  end
+end
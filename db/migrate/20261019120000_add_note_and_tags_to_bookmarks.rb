@@ -0,0 +1,12 @@
+# frozen_string_literal: true
+
+class AddNoteAndTagsToBookmarks < ActiveRecord::Migration[8.0]
+  def change
+    unless column_exists?(:bookmarks, :note)
+      add_column :bookmarks, :note, :text # Free-text note (encrypted at rest)
+    end
+    unless column_exists?(:bookmarks, :tags)
+      add_column :bookmarks, :tags, :text # JSON array of tag strings (encrypted at rest)
+    end
+  end
+end
@@ -0,0 +1,67 @@
+# frozen_string_literal: true
+
+# Nested bookmark folders.
+#
+# Until now a folder was only the string in bookmarks.folder, so folders could
+# not nest or be renamed in one place. Every distinct folder name becomes a
+# top-level bookmark_folders row and bookmarks point at it by id.
+class CreateBookmarkFolders < ActiveRecord::Migration[8.0]
+  def up
+    unless table_exists?(:bookmark_folders)
+      create_table :bookmark_folders do |t|
+        t.references :user, null: false, foreign_key: true
+        t.references :parent, foreign_key: { to_table: :bookmark_folders }
+        t.string :name, null: false, limit: 100
+        t.timestamps
+      end
+
+      add_index :bookmark_folders, [:user_id, :parent_id, :name], unique: true
+    end
+
+    unless column_exists?(:bookmarks, :bookmark_folder_id)
+      add_reference :bookmarks, :bookmark_folder, foreign_key: true
+    end
+    unless column_exists?(:bookmarks, :position)
+      add_column :bookmarks, :position, :integer # Manual order, set by drag-and-drop
+    end
+
+    return unless column_exists?(:bookmarks, :folder)
+
+    execute <<~SQL
+      INSERT INTO bookmark_folders (user_id, name, created_at, updated_at)
+      SELECT DISTINCT user_id, folder, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+      FROM bookmarks
+      WHERE folder IS NOT NULL AND folder <> ''
+    SQL
+
+    execute <<~SQL
+      UPDATE bookmarks
+      SET bookmark_folder_id = (
+        SELECT bookmark_folders.id FROM bookmark_folders
+        WHERE bookmark_folders.user_id = bookmarks.user_id
+          AND bookmark_folders.parent_id IS NULL
+          AND bookmark_folders.name = bookmarks.folder
+      )
+      WHERE folder IS NOT NULL AND folder <> ''
+    SQL
+
+    remove_index :bookmarks, [:user_id, :folder] if index_exists?(:bookmarks, [:user_id, :folder])
+    remove_column :bookmarks, :folder
+  end
+
+  # Nesting is lost on the way down: each bookmark keeps the name of its own folder
+  def down
+    add_column :bookmarks, :folder, :string, limit: 100 unless column_exists?(:bookmarks, :folder)
+    add_index :bookmarks, [:user_id, :folder] unless index_exists?(:bookmarks, [:user_id, :folder])
+
+    execute <<~SQL
+      UPDATE bookmarks
+      SET folder = (SELECT name FROM bookmark_folders WHERE bookmark_folders.id = bookmarks.bookmark_folder_id)
+      WHERE bookmark_folder_id IS NOT NULL
+    SQL
+
+    remove_column :bookmarks, :position if column_exists?(:bookmarks, :position)
+    remove_reference :bookmarks, :bookmark_folder, foreign_key: true if column_exists?(:bookmarks, :bookmark_folder_id)
+    drop_table :bookmark_folders if table_exists?(:bookmark_folders)
+  end
+end
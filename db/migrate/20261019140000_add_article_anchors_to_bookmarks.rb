@@ -0,0 +1,26 @@
+# frozen_string_literal: true
+
+# Article- and paragraph-level bookmarks: several bookmarks per law, one per
+# (anchor, paragraph). Law-level bookmarks keep both empty ('' rather than
+# NULL, so the unique index also covers them).
+class AddArticleAnchorsToBookmarks < ActiveRecord::Migration[8.0]
+  def change
+    unless column_exists?(:bookmarks, :anchor)
+      add_column :bookmarks, :anchor, :string, limit: 200, null: false, default: '' # Article permalink, e.g. "art-1675_12"
+    end
+    unless column_exists?(:bookmarks, :paragraph)
+      add_column :bookmarks, :paragraph, :string, limit: 20, null: false, default: '' # "2" for § 2
+    end
+    unless column_exists?(:bookmarks, :article_label)
+      add_column :bookmarks, :article_label, :string, limit: 50 # As shown in the article header, e.g. "Art. 1675/12"
+    end
+    unless column_exists?(:bookmarks, :excerpt)
+      add_column :bookmarks, :excerpt, :text # Start of the article or paragraph text when bookmarked
+    end
+
+    if index_exists?(:bookmarks, [:user_id, :numac], unique: true)
+      remove_index :bookmarks, [:user_id, :numac], unique: true
+      add_index :bookmarks, [:user_id, :numac, :anchor, :paragraph], unique: true, name: 'index_bookmarks_unique_target'
+    end
+  end
+end
@@ -0,0 +1,17 @@
+# frozen_string_literal: true
+
+# Typed bookmarks: besides laws (and their articles), users can bookmark case
+# law (keyed by ECLI) and parliamentary documents (keyed by document id). The
+# key stays in the numac column; kind says what it is.
+class AddKindToBookmarks < ActiveRecord::Migration[8.0]
+  def change
+    unless column_exists?(:bookmarks, :kind)
+      add_column :bookmarks, :kind, :string, limit: 20, null: false, default: 'law' # law, case, parliamentary, flemish_parliament
+    end
+
+    if index_exists?(:bookmarks, [:user_id, :numac, :anchor, :paragraph], name: 'index_bookmarks_unique_target')
+      remove_index :bookmarks, name: 'index_bookmarks_unique_target'
+      add_index :bookmarks, [:user_id, :kind, :numac, :anchor, :paragraph], unique: true, name: 'index_bookmarks_unique_target'
+    end
+  end
+end
@@ -0,0 +1,17 @@
+# frozen_string_literal: true
+
+# Change notifications for bookmarked laws: when the user last opened the law
+# (changes before that are not news), and the optional email digest.
+class AddChangeTrackingToBookmarks < ActiveRecord::Migration[8.0]
+  def change
+    unless column_exists?(:bookmarks, :last_seen_at)
+      add_column :bookmarks, :last_seen_at, :datetime # Last visit to the law page; nil = never since bookmarking
+    end
+    unless column_exists?(:users, :bookmark_digest)
+      add_column :users, :bookmark_digest, :string, limit: 10, null: false, default: 'off' # off, daily, weekly
+    end
+    unless column_exists?(:users, :bookmark_digest_sent_at)
+      add_column :users, :bookmark_digest_sent_at, :datetime
+    end
+  end
+end
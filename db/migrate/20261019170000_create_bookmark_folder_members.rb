@@ -0,0 +1,19 @@
+# frozen_string_literal: true
+
+# Shared bookmark folders: a folder (with its subfolders) can be shared with
+# other accounts, each with a view or edit role. Bookmarks that members add
+# keep their own user_id, which is how the page shows who added them.
+class CreateBookmarkFolderMembers < ActiveRecord::Migration[8.0]
+  def change
+    return if table_exists?(:bookmark_folder_members)
+
+    create_table :bookmark_folder_members do |t|
+      t.references :bookmark_folder, null: false, foreign_key: { on_delete: :cascade }
+      t.references :user, null: false, foreign_key: { on_delete: :cascade }
+      t.string :role, null: false, default: 'view', limit: 10 # view, edit
+      t.timestamps
+    end
+
+    add_index :bookmark_folder_members, [:bookmark_folder_id, :user_id], unique: true
+  end
+end
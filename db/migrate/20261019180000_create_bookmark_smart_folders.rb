@@ -0,0 +1,17 @@
+# frozen_string_literal: true
+
+# Smart folders: a saved rule (tags, types, recently changed, search words)
+# instead of manual membership. The rule is stored as JSON and evaluated on
+# the bookmarks page, so it always reflects the current bookmarks.
+class CreateBookmarkSmartFolders < ActiveRecord::Migration[8.0]
+  def change
+    return if table_exists?(:bookmark_smart_folders)
+
+    create_table :bookmark_smart_folders do |t|
+      t.references :user, null: false, foreign_key: { on_delete: :cascade }
+      t.string :name, null: false, limit: 100
+      t.text :rule, null: false # JSON, encrypted (can hold tags)
+      t.timestamps
+    end
+  end
+end
@@ -0,0 +1,12 @@
+# frozen_string_literal: true
+
+class AddPendingMasterKeyToUsers < ActiveRecord::Migration[8.0]
+  def change
+    unless column_exists?(:users, :pending_master_key)
+      add_column :users, :pending_master_key, :text # Key rotation in progress: the new master key, encrypted with the current one (base64)
+    end
+    unless column_exists?(:users, :pending_master_key_created_at)
+      add_column :users, :pending_master_key_created_at, :datetime
+    end
+  end
+end
@@ -0,0 +1,31 @@
+# frozen_string_literal: true
+
+# Sharing a bookmark folder becomes an invitation by email address: the
+# member row exists from the start, but only grants access once the invited
+# account accepts it (accepted_at, user_id set on acceptance). Existing
+# members count as accepted.
+class AddInvitationsToBookmarkFolderMembers < ActiveRecord::Migration[8.0]
+  def up
+    add_column :bookmark_folder_members, :email, :string unless column_exists?(:bookmark_folder_members, :email)
+    add_column :bookmark_folder_members, :accepted_at, :datetime unless column_exists?(:bookmark_folder_members, :accepted_at)
+    change_column_null :bookmark_folder_members, :user_id, true
+
+    # Through the models: email is encrypted at rest, like users.email
+    BookmarkFolderMember.reset_column_information
+    BookmarkFolderMember.where(email: nil).includes(:user).find_each do |member|
+      member.update_columns(email: member.user&.email, accepted_at: member.accepted_at || member.created_at)
+    end
+
+    return if index_exists?(:bookmark_folder_members, [:bookmark_folder_id, :email])
+
+    add_index :bookmark_folder_members, [:bookmark_folder_id, :email], unique: true
+  end
+
+  def down
+    execute 'DELETE FROM bookmark_folder_members WHERE accepted_at IS NULL'
+    remove_index :bookmark_folder_members, [:bookmark_folder_id, :email], if_exists: true
+    change_column_null :bookmark_folder_members, :user_id, false
+    remove_column :bookmark_folder_members, :accepted_at, if_exists: true
+    remove_column :bookmark_folder_members, :email, if_exists: true
+  end
+end